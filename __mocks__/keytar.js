@@ -0,0 +1,19 @@
+// In-memory keychain so tests never read or write the real one
+const passwords = new Map();
+
+module.exports = {
+  async setPassword(service, account, password) {
+    passwords.set(`${service}:${account}`, password);
+  },
+  async getPassword(service, account) {
+    return passwords.has(`${service}:${account}`) ? passwords.get(`${service}:${account}`) : null;
+  },
+  async deletePassword(service, account) {
+    return passwords.delete(`${service}:${account}`);
+  },
+  async findCredentials(service) {
+    return [...passwords.entries()]
+      .filter(([id]) => id.startsWith(`${service}:`))
+      .map(([id, password]) => ({ account: id.slice(service.length + 1), password }));
+  }
+};
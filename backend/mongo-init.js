@@ -27,7 +27,9 @@ db.projects.createIndex({ "environments.remoteId": 1 });
 
 db.environments.createIndex({ "projectId": 1, "name": 1 }, { unique: true });
 db.environments.createIndex({ "variables.key": 1 });
-db.environments.createIndex({ "auditLogs.timestamp": -1 });
+db.auditlogs.createIndex({ "environmentId": 1, "sequence": 1 }, { unique: true });
+db.auditlogs.createIndex({ "projectId": 1, "timestamp": -1, "_id": -1 });
+db.auditlogs.createIndex({ "userId": 1, "timestamp": -1 });
 db.environments.createIndex({ "versionHistory.version": -1 });
 
 // Create a default admin user (optional)
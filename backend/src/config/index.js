@@ -28,7 +28,7 @@ const config = {
   encryption: {
     algorithm: 'aes-256-gcm',
     keyLength: 32,
-    ivLength: 16,
+    ivLength: 12,
     saltLength: 64
   },
   
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { connectDB } = require('./connection');
+const Environment = require('../models/Environment');
+const AuditLog = require('../models/AuditLog');
+const { encryptString, decryptString, isLegacyCiphertext } = require('../utils/encryption');
+
+/**
+ * Move audit logs embedded in environment documents into the audit log collection
+ */
+const migrateEmbeddedAuditLogs = async () => {
+  const cursor = Environment.collection.find(
+    { auditLogs: { $exists: true } },
+    { projection: { _id: 1, name: 1, projectId: 1, auditLogs: 1 } }
+  );
+  let environments = 0;
+  let entries = 0;
+
+  for await (const environment of cursor) {
+    const logs = [...(environment.auditLogs || [])]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    // Embedded entries predate the collection, so they can only start a fresh chain
+    const chainStarted = await AuditLog.exists({ environmentId: environment._id });
+    if (chainStarted && logs.length > 0) {
+      console.warn(`Skipping ${environment.name} (${environment._id}): audit chain already started`);
+      continue;
+    }
+
+    for (const log of logs) {
+      const { _id, ...auditData } = log;
+      await AuditLog.append(environment, auditData);
+      entries++;
+    }
+
+    await Environment.collection.updateOne({ _id: environment._id }, { $unset: { auditLogs: '' } });
+    environments++;
+  }
+
+  console.log(`Migrated ${entries} audit log entries from ${environments} environments`);
+};
+
+/**
+ * Re-encrypt secret values written by createCipher in the versioned AES-GCM format
+ */
+const reencryptLegacySecrets = async () => {
+  const cursor = Environment.collection.find(
+    {},
+    { projection: { _id: 1, variables: 1, versionHistory: 1 } }
+  );
+  let environments = 0;
+  let values = 0;
+
+  const reencrypt = (variables = []) => variables.map(variable => {
+    if (!variable.encrypted || !isLegacyCiphertext(variable.encryptedValue)) {
+      return variable;
+    }
+    values++;
+    return { ...variable, encryptedValue: encryptString(decryptString(variable.encryptedValue)) };
+  });
+
+  for await (const environment of cursor) {
+    const before = values;
+    const variables = reencrypt(environment.variables);
+    const versionHistory = (environment.versionHistory || []).map(version => ({
+      ...version,
+      variables: reencrypt(version.variables)
+    }));
+
+    if (values > before) {
+      await Environment.collection.updateOne(
+        { _id: environment._id },
+        { $set: { variables, versionHistory } }
+      );
+      environments++;
+    }
+  }
+
+  console.log(`Re-encrypted ${values} secret values in ${environments} environments`);
+};
+
+const migrations = [
+  migrateEmbeddedAuditLogs,
+  reencryptLegacySecrets
+];
+
+const run = async () => {
+  await connectDB();
+
+  for (const migration of migrations) {
+    console.log(`Running ${migration.name}...`);
+    await migration();
+  }
+
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('Migration failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
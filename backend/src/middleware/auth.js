@@ -2,8 +2,30 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const config = require('../config');
 
+const API_KEY_PREFIX = 'envfly_';
+
 /**
- * Authenticate JWT token
+ * Resolve the user behind a bearer token (JWT access token or envfly_ API key)
+ */
+const findUserByToken = async (token) => {
+  if (token.startsWith(API_KEY_PREFIX)) {
+    return User.findByApiKey(token).select('-password');
+  }
+
+  const decoded = jwt.verify(token, config.jwt.secret);
+
+  // Refresh tokens are only accepted by /auth/refresh
+  if (decoded.type === 'refresh') {
+    const error = new Error('Refresh tokens cannot be used for authentication');
+    error.name = 'JsonWebTokenError';
+    throw error;
+  }
+
+  return User.findById(decoded.userId).select('-password');
+};
+
+/**
+ * Authenticate JWT token or API key
  */
 const authenticateToken = async (req, res, next) => {
   try {
@@ -17,8 +39,7 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, config.jwt.secret);
-    const user = await User.findById(decoded.userId).select('-password');
+    const user = await findUserByToken(token);
     
     if (!user || !user.isActive) {
       return res.status(401).json({
@@ -121,8 +142,7 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
     
     if (token) {
-      const decoded = jwt.verify(token, config.jwt.secret);
-      const user = await User.findById(decoded.userId).select('-password');
+      const user = await findUserByToken(token);
       
       if (user && user.isActive) {
         req.user = user;
@@ -151,6 +171,13 @@ const validateRefreshToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(refreshToken, config.jwt.secret);
+    if (decoded.type !== 'refresh') {
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        message: 'The provided token is not a refresh token'
+      });
+    }
+
     const user = await User.findById(decoded.userId);
     
     if (!user || !user.isActive) {
@@ -186,6 +213,7 @@ const validateRefreshToken = async (req, res, next) => {
 };
 
 module.exports = {
+  API_KEY_PREFIX,
   authenticateToken,
   authenticateApiKey,
   requireRole,
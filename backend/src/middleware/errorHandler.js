@@ -46,6 +46,12 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
+  // Optimistic concurrency: the document changed after it was loaded
+  if (err.name === 'VersionError') {
+    const message = 'The resource was changed by another request, please retry';
+    error = { message, statusCode: 409 };
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     const message = 'Invalid token';
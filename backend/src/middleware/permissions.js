@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Team = require('../models/Team');
+const Environment = require('../models/Environment');
+const { asyncHandler } = require('./errorHandler');
+
+/**
+ * Load the project referenced by :projectId into req.project
+ */
+const loadProject = asyncHandler(async (req, res, next) => {
+  const { projectId } = req.params;
+
+  if (!mongoose.isValidObjectId(projectId)) {
+    return res.status(404).json({
+      error: 'Project not found',
+      message: `No project found with id ${projectId}`
+    });
+  }
+
+  // Team members are needed by Project#hasPermission
+  const project = await Project.findOne({ _id: projectId, isActive: true }).populate('team');
+
+  if (!project) {
+    return res.status(404).json({
+      error: 'Project not found',
+      message: `No project found with id ${projectId}`
+    });
+  }
+
+  req.project = project;
+  next();
+});
+
+/**
+ * Load the environment referenced by :environmentId into req.environment
+ */
+const loadEnvironment = asyncHandler(async (req, res, next) => {
+  const { environmentId } = req.params;
+
+  if (!mongoose.isValidObjectId(environmentId)) {
+    return res.status(404).json({
+      error: 'Environment not found',
+      message: `No environment found with id ${environmentId}`
+    });
+  }
+
+  const environment = await Environment.findOne({
+    _id: environmentId,
+    projectId: req.project._id,
+    isActive: true
+  });
+
+  if (!environment) {
+    return res.status(404).json({
+      error: 'Environment not found',
+      message: `No environment found with id ${environmentId}`
+    });
+  }
+
+  req.environment = environment;
+  next();
+});
+
+/**
+ * Require a project permission ('read', 'write' or 'admin')
+ */
+const requireProjectPermission = (permission) => {
+  return (req, res, next) => {
+    const environmentName = req.environment?.name;
+
+    if (!req.project.hasPermission(req.user._id, environmentName, permission)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: `You need ${permission} access to perform this action`
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Load the team referenced by :teamId into req.team
+ */
+const loadTeam = asyncHandler(async (req, res, next) => {
+  const { teamId } = req.params;
+  const team = mongoose.isValidObjectId(teamId)
+    ? await Team.findOne({ _id: teamId, isActive: true })
+    : null;
+
+  if (!team) {
+    return res.status(404).json({
+      error: 'Team not found',
+      message: `No team found with id ${teamId}`
+    });
+  }
+
+  req.team = team;
+  next();
+});
+
+/**
+ * Require a team permission ('read', 'write', 'admin' or 'owner')
+ */
+const requireTeamPermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.team.hasPermission(req.user._id, permission)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: `You need ${permission} access to this team`
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  loadTeam,
+  requireTeamPermission,
+  loadProject,
+  loadEnvironment,
+  requireProjectPermission
+};
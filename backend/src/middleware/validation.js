@@ -0,0 +1,36 @@
+const { query, validationResult } = require('express-validator');
+
+/**
+ * Reject the request if any express-validator chain failed
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: errors.array().map(e => e.msg).join(', '),
+      details: errors.array()
+    });
+  }
+
+  next();
+};
+
+/**
+ * Filters accepted by audit log queries
+ */
+const auditFilterValidation = [
+  query('user').optional().isString().trim().notEmpty(),
+  query('action').optional().isString().trim().notEmpty(),
+  query('environment').optional().isString().trim().notEmpty(),
+  query('since').optional().isISO8601().withMessage('since must be an ISO 8601 date'),
+  query('until').optional().isISO8601().withMessage('until must be an ISO 8601 date'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200').toInt(),
+  query('cursor').optional().isString()
+];
+
+module.exports = {
+  handleValidation,
+  auditFilterValidation
+};
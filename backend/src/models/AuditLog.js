@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+const auditLogSchema = new mongoose.Schema({
+  environmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Environment',
+    required: true
+  },
+  environmentName: {
+    type: String,
+    required: true
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'read', 'update', 'delete', 'sync', 'pull', 'push', 'rollback', 'grant'],
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userEmail: {
+    type: String,
+    required: true
+  },
+  userName: {
+    type: String,
+    required: true
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  previousHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  // Entries are immutable, so updatedAt would be meaningless
+  timestamps: false,
+  minimize: false
+});
+
+// Indexes
+auditLogSchema.index({ environmentId: 1, sequence: 1 }, { unique: true });
+auditLogSchema.index({ projectId: 1, timestamp: -1, _id: -1 });
+auditLogSchema.index({ userId: 1, timestamp: -1 });
+
+// Append-only: refuse every write that is not an insert
+const mutatingQueries = [
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'
+];
+
+auditLogSchema.pre(mutatingQueries, function(next) {
+  next(new Error('Audit logs are append-only'));
+});
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit logs are append-only'));
+  }
+  next();
+});
+
+/**
+ * Serialize a value with object keys sorted so hashing is deterministic
+ */
+function canonicalize(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      if (value[key] !== undefined) {
+        result[key] = canonicalize(value[key]);
+      }
+      return result;
+    }, {});
+  }
+  return value;
+}
+
+/**
+ * Compute the hash of an entry from its content and the previous hash
+ */
+function computeHash(entry) {
+  const content = canonicalize({
+    environmentId: entry.environmentId,
+    environmentName: entry.environmentName,
+    projectId: entry.projectId,
+    sequence: entry.sequence,
+    action: entry.action,
+    userId: entry.userId,
+    userEmail: entry.userEmail,
+    userName: entry.userName,
+    ipAddress: entry.ipAddress,
+    userAgent: entry.userAgent,
+    details: entry.details,
+    timestamp: entry.timestamp,
+    previousHash: entry.previousHash
+  });
+
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+// Static methods
+auditLogSchema.statics.GENESIS_HASH = GENESIS_HASH;
+auditLogSchema.statics.computeHash = computeHash;
+
+/**
+ * Append an entry to an environment's chain, retrying if another writer wins the sequence
+ */
+auditLogSchema.statics.append = async function(environment, auditData, attempts = 5) {
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const last = await this.findOne({ environmentId: environment._id })
+      .sort({ sequence: -1 })
+      .select('sequence hash')
+      .lean();
+
+    const entry = {
+      ...auditData,
+      details: JSON.parse(JSON.stringify(auditData.details || {})),
+      environmentId: environment._id,
+      environmentName: environment.name,
+      projectId: environment.projectId,
+      sequence: last ? last.sequence + 1 : 1,
+      timestamp: auditData.timestamp || new Date(),
+      previousHash: last ? last.hash : GENESIS_HASH
+    };
+    entry.hash = computeHash(entry);
+
+    try {
+      return await this.create(entry);
+    } catch (error) {
+      if (error.code !== 11000 || attempt === attempts) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Recompute an environment's chain and report every broken entry
+ */
+auditLogSchema.statics.verifyChain = async function(environmentId) {
+  const errors = [];
+  let expectedSequence = 1;
+  let previousHash = GENESIS_HASH;
+  let checked = 0;
+  let head = null;
+
+  const cursor = this.find({ environmentId }).sort({ sequence: 1 }).lean().cursor();
+
+  for await (const entry of cursor) {
+    checked++;
+
+    if (entry.sequence !== expectedSequence) {
+      errors.push({
+        sequence: expectedSequence,
+        reason: 'missing',
+        message: `Entries ${expectedSequence} to ${entry.sequence - 1} are missing`
+      });
+    }
+
+    if (entry.previousHash !== previousHash) {
+      errors.push({
+        id: entry._id.toString(),
+        sequence: entry.sequence,
+        reason: 'broken_link',
+        message: 'previousHash does not match the preceding entry'
+      });
+    }
+
+    if (computeHash(entry) !== entry.hash) {
+      errors.push({
+        id: entry._id.toString(),
+        sequence: entry.sequence,
+        reason: 'hash_mismatch',
+        message: 'Entry content does not match its hash'
+      });
+    }
+
+    expectedSequence = entry.sequence + 1;
+    previousHash = entry.hash;
+    head = { sequence: entry.sequence, hash: entry.hash };
+  }
+
+  return {
+    valid: errors.length === 0,
+    checked,
+    head,
+    errors
+  };
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
-const crypto = require('crypto');
 const config = require('../config');
+const AuditLog = require('./AuditLog');
+const { encryptString, decryptString } = require('../utils/encryption');
 
 const environmentSchema = new mongoose.Schema({
   projectId: {
@@ -25,7 +26,7 @@ const environmentSchema = new mongoose.Schema({
     },
     value: {
       type: String,
-      required: true
+      default: ''
     },
     encrypted: {
       type: Boolean,
@@ -47,6 +48,13 @@ const environmentSchema = new mongoose.Schema({
       trim: true
     }]
   }],
+  encrypted: {
+    type: Boolean,
+    default: false
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
   version: {
     type: Number,
     default: 1
@@ -65,6 +73,9 @@ const environmentSchema = new mongoose.Schema({
       isSecret: Boolean,
       tags: [String]
     }],
+    payload: {
+      type: mongoose.Schema.Types.Mixed
+    },
     message: {
       type: String,
       trim: true
@@ -84,46 +95,6 @@ const environmentSchema = new mongoose.Schema({
       required: true
     }
   }],
-  auditLogs: [{
-    action: {
-      type: String,
-      enum: ['create', 'read', 'update', 'delete', 'sync', 'pull', 'push'],
-      required: true
-    },
-    userId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
-    },
-    userEmail: {
-      type: String,
-      required: true
-    },
-    userName: {
-      type: String,
-      required: true
-    },
-    ipAddress: {
-      type: String
-    },
-    userAgent: {
-      type: String
-    },
-    details: {
-      variablesChanged: [{
-        key: String,
-        oldValue: String,
-        newValue: String,
-        action: String
-      }],
-      version: Number,
-      message: String
-    },
-    timestamp: {
-      type: Date,
-      default: Date.now
-    }
-  }],
   settings: {
     encryptionEnabled: {
       type: Boolean,
@@ -151,62 +122,50 @@ const environmentSchema = new mongoose.Schema({
     default: true
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Saves only apply if the document is unchanged since it was loaded, so concurrent writes cannot overwrite each other
+  optimisticConcurrency: true
 });
 
 // Indexes
 environmentSchema.index({ projectId: 1, name: 1 }, { unique: true });
 environmentSchema.index({ 'variables.key': 1 });
-environmentSchema.index({ 'auditLogs.timestamp': -1 });
 environmentSchema.index({ 'versionHistory.version': -1 });
 
 // Pre-save middleware to encrypt sensitive variables
 environmentSchema.pre('save', async function(next) {
   if (this.isModified('variables')) {
-    for (const variable of this.variables) {
-      if (variable.isSecret && !variable.encrypted && variable.value) {
-        variable.encryptedValue = await this.encryptValue(variable.value);
-        variable.encrypted = true;
-        variable.value = ''; // Clear plain text value
-      }
-    }
+    await this.encryptSecrets();
   }
   next();
 });
 
 // Instance methods
+environmentSchema.methods.encryptSecrets = async function() {
+  for (const variable of this.variables) {
+    if (variable.isSecret && !variable.encrypted && variable.value) {
+      variable.encryptedValue = await this.encryptValue(variable.value);
+      variable.encrypted = true;
+      variable.value = ''; // Clear plain text value
+    }
+  }
+};
+
 environmentSchema.methods.encryptValue = async function(value) {
   if (!config.encryption.algorithm) {
     return value;
   }
-  
-  const algorithm = config.encryption.algorithm;
-  const key = crypto.scryptSync(config.jwt.secret, 'salt', config.encryption.keyLength);
-  const iv = crypto.randomBytes(config.encryption.ivLength);
-  
-  const cipher = crypto.createCipher(algorithm, key);
-  let encrypted = cipher.update(value, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  
-  return `${iv.toString('hex')}:${encrypted}`;
+
+  return encryptString(value);
 };
 
 environmentSchema.methods.decryptValue = async function(encryptedValue) {
   if (!config.encryption.algorithm) {
     return encryptedValue;
   }
-  
+
   try {
-    const [ivHex, encrypted] = encryptedValue.split(':');
-    const algorithm = config.encryption.algorithm;
-    const key = crypto.scryptSync(config.jwt.secret, 'salt', config.encryption.keyLength);
-    const iv = Buffer.from(ivHex, 'hex');
-    
-    const decipher = crypto.createDecipher(algorithm, key);
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    return decrypted;
+    return decryptString(encryptedValue);
   } catch (error) {
     throw new Error('Failed to decrypt value');
   }
@@ -223,6 +182,8 @@ environmentSchema.methods.getVariable = function(key) {
   return variable.value;
 };
 
+// setVariable, replaceVariables, setPayload and removeVariable only change the document;
+// createVersion saves it, so each change and its version are written together
 environmentSchema.methods.setVariable = function(key, value, options = {}) {
   const existingIndex = this.variables.findIndex(v => v.key === key);
   const variableData = {
@@ -240,7 +201,44 @@ environmentSchema.methods.setVariable = function(key, value, options = {}) {
   }
   
   this.lastModified = new Date();
-  return this.save();
+  return this;
+};
+
+environmentSchema.methods.replaceVariables = function(variables) {
+  const existing = new Map(this.variables.map(v => [v.key, v]));
+  
+  // Keep per-variable metadata for keys that survive the replacement
+  this.variables = Object.entries(variables).map(([key, value]) => {
+    const previous = existing.get(key);
+    return {
+      key,
+      value: String(value),
+      description: previous?.description || '',
+      isSecret: previous?.isSecret || false,
+      tags: previous?.tags || []
+    };
+  });
+  
+  this.encrypted = false;
+  this.payload = undefined;
+  this.lastModified = new Date();
+  return this;
+};
+
+environmentSchema.methods.setPayload = function(payload) {
+  this.encrypted = true;
+  this.payload = payload;
+  this.variables = [];
+  this.lastModified = new Date();
+  return this;
+};
+
+environmentSchema.methods.getVariables = async function() {
+  const variables = {};
+  for (const variable of this.variables) {
+    variables[variable.key] = await this.getVariable(variable.key);
+  }
+  return variables;
 };
 
 environmentSchema.methods.removeVariable = function(key) {
@@ -249,13 +247,17 @@ environmentSchema.methods.removeVariable = function(key) {
     this.variables.splice(index, 1);
     this.lastModified = new Date();
   }
-  return this.save();
+  return this;
 };
 
-environmentSchema.methods.createVersion = function(message, userId, changeType = 'update') {
+environmentSchema.methods.createVersion = async function(message, userId, changeType = 'update') {
+  // Secrets are encrypted before they are copied into the history
+  await this.encryptSecrets();
+
   const versionData = {
     version: this.version + 1,
     variables: JSON.parse(JSON.stringify(this.variables)),
+    payload: this.payload,
     message,
     updatedBy: userId,
     changeType
@@ -268,17 +270,8 @@ environmentSchema.methods.createVersion = function(message, userId, changeType =
 };
 
 environmentSchema.methods.addAuditLog = function(auditData) {
-  this.auditLogs.push({
-    ...auditData,
-    timestamp: new Date()
-  });
-  
-  // Keep only last 1000 audit logs
-  if (this.auditLogs.length > 1000) {
-    this.auditLogs = this.auditLogs.slice(-1000);
-  }
-  
-  return this.save();
+  // Entries live in their own hash-chained collection
+  return AuditLog.append(this, auditData);
 };
 
 environmentSchema.methods.rollbackToVersion = function(version, userId) {
@@ -288,6 +281,8 @@ environmentSchema.methods.rollbackToVersion = function(version, userId) {
   }
   
   this.variables = JSON.parse(JSON.stringify(targetVersion.variables));
+  this.payload = targetVersion.payload;
+  this.encrypted = !!targetVersion.payload;
   this.version = this.version + 1;
   this.lastModified = new Date();
   
@@ -295,6 +290,7 @@ environmentSchema.methods.rollbackToVersion = function(version, userId) {
   this.versionHistory.push({
     version: this.version,
     variables: this.variables,
+    payload: this.payload,
     message: `Rollback to version ${version}`,
     updatedBy: userId,
     changeType: 'update'
@@ -310,7 +306,7 @@ environmentSchema.statics.findByProjectAndName = function(projectId, name) {
 
 environmentSchema.statics.findProjectEnvironments = function(projectId) {
   return this.find({ projectId, isActive: true })
-    .select('name description version lastSync lastModified variables')
+    .select('name description encrypted version lastSync lastModified variables')
     .sort({ name: 1 });
 };
 
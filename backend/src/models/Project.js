@@ -206,6 +206,20 @@ projectSchema.methods.hasPermission = function(userId, environment, permission)
   return false;
 };
 
+projectSchema.methods.getMemberIds = function() {
+  // Everyone who can read at least one environment; requires a populated team
+  const ids = new Set([(this.owner._id || this.owner).toString()]);
+
+  for (const member of this.team.members || []) {
+    if (member.isActive) ids.add(member.user.toString());
+  }
+  for (const env of this.environments) {
+    for (const userId of env.permissions?.read || []) ids.add(userId.toString());
+  }
+
+  return [...ids];
+};
+
 // Static methods
 projectSchema.statics.findUserProjects = function(userId) {
   return this.find({
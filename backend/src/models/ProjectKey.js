@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { unwrapKey } = require('../utils/encryption');
+
+const projectKeySchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  wrappedKeys: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // 'sealed' copies are opened client-side with the user's private key.
+    // 'server' copies predate public keys and are only ever read.
+    scheme: {
+      type: String,
+      enum: ['server', 'sealed'],
+      default: 'server'
+    },
+    wrappedKey: {
+      type: String,
+      required: true
+    },
+    // Public key the copy was sealed to, so copies for replaced keys can be spotted
+    recipientKey: {
+      type: String
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  rotationRequired: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+projectKeySchema.index({ projectId: 1, version: -1 }, { unique: true });
+projectKeySchema.index({ 'wrappedKeys.user': 1 });
+
+// Instance methods
+projectKeySchema.methods.getWrappedKey = function(userId) {
+  return this.wrappedKeys.find(w => w.user.toString() === userId.toString());
+};
+
+projectKeySchema.methods.addSealedKey = function(userId, sealedKey, recipientKey) {
+  const existing = this.getWrappedKey(userId);
+  if (existing) {
+    this.wrappedKeys.pull(existing._id);
+  }
+
+  this.wrappedKeys.push({
+    user: userId,
+    scheme: 'sealed',
+    wrappedKey: sealedKey,
+    recipientKey
+  });
+};
+
+projectKeySchema.methods.unwrapLegacy = function(userId) {
+  const entry = this.getWrappedKey(userId);
+  return entry?.scheme === 'server' ? unwrapKey(entry.wrappedKey, userId) : null;
+};
+
+// Static methods
+projectKeySchema.statics.findCurrent = function(projectId) {
+  return this.findOne({ projectId }).sort({ version: -1 });
+};
+
+projectKeySchema.statics.revokeUser = async function(projectIds, userId) {
+  await this.updateMany(
+    { projectId: { $in: projectIds } },
+    { $pull: { wrappedKeys: { user: userId } } }
+  );
+
+  // The removed member may still hold the current keys, so they must be replaced
+  for (const projectId of projectIds) {
+    await this.findOneAndUpdate(
+      { projectId },
+      { $set: { rotationRequired: true } },
+      { sort: { version: -1 } }
+    );
+  }
+};
+
+module.exports = mongoose.model('ProjectKey', projectKeySchema);
@@ -171,12 +171,13 @@ teamSchema.methods.removeMember = function(userId) {
   return this.save();
 };
 
-teamSchema.methods.generateInviteCode = function(role = 'member', maxUses = 1, expiresInDays = 7) {
+teamSchema.methods.generateInviteCode = function(role = 'member', maxUses = 1, expiresInDays = 7, createdBy = this.owner) {
   const crypto = require('crypto');
   const code = crypto.randomBytes(16).toString('hex');
   
   const inviteCode = {
     code,
+    createdBy,
     role,
     maxUses,
     expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
@@ -209,6 +210,10 @@ teamSchema.methods.useInviteCode = function(code) {
   return this.save();
 };
 
+teamSchema.methods.getActiveMemberCount = function() {
+  return this.members.filter(m => m.isActive).length;
+};
+
 teamSchema.methods.hasPermission = function(userId, permission) {
   const member = this.members.find(m => 
     m.user.toString() === userId.toString() && m.isActive
@@ -28,6 +28,10 @@ const userSchema = new mongoose.Schema({
     unique: true,
     sparse: true
   },
+  // X25519 public key (base64url) that project data keys are sealed to
+  publicKey: {
+    type: String
+  },
   role: {
     type: String,
     enum: ['admin', 'user', 'readonly'],
@@ -130,7 +134,7 @@ userSchema.methods.generateJWT = function() {
 
 userSchema.methods.generateRefreshToken = function() {
   return jwt.sign(
-    { userId: this._id },
+    { userId: this._id, type: 'refresh' },
     config.jwt.secret,
     { expiresIn: config.jwt.refreshExpiresIn }
   );
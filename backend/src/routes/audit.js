@@ -0,0 +1,36 @@
+const express = require('express');
+const Project = require('../models/Project');
+const auditService = require('../services/auditService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { handleValidation, auditFilterValidation } = require('../middleware/validation');
+const { loadTeam, requireTeamPermission, loadProject, requireProjectPermission } = require('../middleware/permissions');
+
+const router = express.Router();
+
+/**
+ * Audit entries for every environment in a project
+ */
+router.get('/projects/:projectId', loadProject, requireProjectPermission('admin'),
+  auditFilterValidation, handleValidation, asyncHandler(async (req, res) => {
+    res.json(await auditService.query({
+      projectIds: [req.project._id],
+      environment: req.query.environment,
+      filters: req.query
+    }));
+  }));
+
+/**
+ * Audit entries for every project in a team
+ */
+router.get('/teams/:teamId', loadTeam, requireTeamPermission('admin'),
+  auditFilterValidation, handleValidation, asyncHandler(async (req, res) => {
+    const projects = await Project.find({ team: req.team._id }).select('_id');
+
+    res.json(await auditService.query({
+      projectIds: projects.map(project => project._id),
+      environment: req.query.environment,
+      filters: req.query
+    }));
+  }));
+
+module.exports = router;
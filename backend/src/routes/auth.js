@@ -0,0 +1,140 @@
+const express = require('express');
+const { body } = require('express-validator');
+const User = require('../models/User');
+const emailService = require('../services/emailService');
+const logger = require('../utils/logger');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { handleValidation } = require('../middleware/validation');
+const { authenticateToken, validateRefreshToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Shape a user for API responses
+ */
+function serializeUser(user) {
+  return {
+    id: user._id.toString(),
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    is_verified: user.isVerified,
+    last_login: user.lastLogin,
+    created_at: user.createdAt
+  };
+}
+
+/**
+ * Issue a fresh access/refresh token pair
+ */
+function issueTokens(user) {
+  return {
+    token: user.generateJWT(),
+    refreshToken: user.generateRefreshToken()
+  };
+}
+
+/**
+ * Register a new user
+ */
+router.post('/register', [
+  body('email').isEmail().normalizeEmail().withMessage('A valid email is required'),
+  body('name').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Name is required'),
+  body('password').isString().isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+], handleValidation, asyncHandler(async (req, res) => {
+  const { email, name, password } = req.body;
+
+  if (await User.findOne({ email: email.toLowerCase() })) {
+    return res.status(409).json({
+      error: 'Email already registered',
+      message: 'An account with this email already exists'
+    });
+  }
+
+  const user = await User.create({ email, name, password });
+
+  // Registration succeeds even if the welcome email cannot be sent
+  emailService.sendWelcomeEmail({ email: user.email, name: user.name })
+    .catch(error => logger.warn('Failed to send welcome email:', error));
+
+  res.status(201).json({
+    user: serializeUser(user),
+    apiKey: user.apiKey,
+    ...issueTokens(user)
+  });
+}));
+
+/**
+ * Log in with email and password
+ */
+router.post('/login', [
+  body('email').isEmail().normalizeEmail().withMessage('A valid email is required'),
+  body('password').isString().notEmpty().withMessage('Password is required')
+], handleValidation, asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  const user = await User.findByEmail(email);
+  if (!user || !await user.comparePassword(password)) {
+    return res.status(401).json({
+      error: 'Invalid credentials',
+      message: 'Email or password is incorrect'
+    });
+  }
+
+  user.lastLogin = new Date();
+  await user.save();
+
+  res.json({
+    user: serializeUser(user),
+    apiKey: user.apiKey,
+    ...issueTokens(user)
+  });
+}));
+
+/**
+ * Exchange a refresh token for a new token pair
+ */
+router.post('/refresh', validateRefreshToken, (req, res) => {
+  res.json(issueTokens(req.user));
+});
+
+/**
+ * Log out (tokens are stateless, so the client just discards them)
+ */
+router.post('/logout', authenticateToken, (req, res) => {
+  res.json({ message: 'Logged out successfully' });
+});
+
+/**
+ * Validate the current JWT or API key
+ */
+router.get('/validate', authenticateToken, (req, res) => {
+  res.json({
+    valid: true,
+    user: serializeUser(req.user)
+  });
+});
+
+/**
+ * Get the authenticated user's profile
+ */
+router.get('/profile', authenticateToken, asyncHandler(async (req, res) => {
+  await req.user.populate('teams.team', 'name');
+  const teams = req.user.teams
+    .filter(membership => membership.team)
+    .map(membership => ({
+      id: membership.team._id.toString(),
+      name: membership.team.name,
+      role: membership.role,
+      joined_at: membership.joinedAt
+    }));
+
+  res.json({
+    ...serializeUser(req.user),
+    team: teams[0]?.name || null,
+    teams,
+    preferences: req.user.preferences
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,790 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, query } = require('express-validator');
+const Environment = require('../models/Environment');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { handleValidation, auditFilterValidation } = require('../middleware/validation');
+const { loadProject, loadEnvironment, requireProjectPermission } = require('../middleware/permissions');
+const { parseEnvContent, stringifyEnvContent, diffVariables } = require('../utils/envFile');
+const { auditEntry } = require('../utils/audit');
+const auditService = require('../services/auditService');
+
+// Mounted both at /api/v1/environments and at /api/v1/projects/:projectId/environments
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Check whether a variables payload is a client-side encrypted blob
+ */
+function isEncryptedPayload(variables) {
+  return !!variables &&
+    typeof variables.encrypted === 'string' &&
+    typeof variables.algorithm === 'string';
+}
+
+/**
+ * Convert a version snapshot into a key-value object
+ */
+async function snapshotToVariables(environment, snapshot) {
+  const variables = {};
+  for (const variable of snapshot.variables) {
+    variables[variable.key] = variable.encrypted && variable.encryptedValue
+      ? await environment.decryptValue(variable.encryptedValue)
+      : variable.value;
+  }
+  return variables;
+}
+
+/**
+ * Shape an environment for API responses
+ */
+async function serializeEnvironment(environment, includeVariables = false) {
+  const variableCount = environment.encrypted ? null : environment.variables.length;
+  const data = {
+    id: environment._id.toString(),
+    name: environment.name,
+    description: environment.description,
+    encrypted: environment.encrypted,
+    version: environment.version,
+    variable_count: variableCount,
+    metadata: {
+      version: environment.version,
+      variable_count: variableCount,
+      updated_at: environment.lastModified
+    },
+    created_at: environment.createdAt,
+    updated_at: environment.lastModified
+  };
+
+  if (includeVariables) {
+    data.variables = environment.encrypted
+      ? environment.payload
+      : await environment.getVariables();
+  }
+
+  return data;
+}
+
+/**
+ * Keep the project's environment list in step with the environment document
+ */
+async function syncProjectEnvironment(project, environment) {
+  const entry = project.environments.find(e => e.name === environment.name);
+
+  if (!entry) {
+    await project.addEnvironment(environment.name, environment.description);
+  } else {
+    entry.isActive = true;
+  }
+
+  project.environments.find(e => e.name === environment.name).remoteId = environment._id.toString();
+  const variableCount = environment.encrypted ? 0 : environment.variables.length;
+  return project.updateEnvironmentVersion(environment.name, environment.version, variableCount);
+}
+
+/**
+ * Replace an environment's variables and record the new version
+ */
+async function applyVariables(req, environment, variables, options = {}) {
+  const { action = 'push', changeType = 'update', message } = options;
+  const encrypted = typeof req.body.encrypted === 'boolean'
+    ? req.body.encrypted
+    : isEncryptedPayload(variables);
+
+  const before = environment.encrypted ? null : await environment.getVariables();
+
+  if (encrypted) {
+    environment.setPayload(variables);
+  } else {
+    environment.replaceVariables(variables);
+  }
+
+  const changes = before && !encrypted
+    ? diffVariables(before, await environment.getVariables())
+    : [];
+
+  await environment.createVersion(message || `${changeType === 'create' ? 'Created' : 'Updated'} ${environment.name}`, req.user._id, changeType);
+  await environment.addAuditLog(auditEntry(req, action, {
+    variablesChanged: changes.map(change => ({ key: change.key, action: change.type })),
+    version: environment.version,
+    message
+  }));
+  await syncProjectEnvironment(req.project, environment);
+}
+
+/**
+ * Reject plain variable sets that exceed the project limit
+ */
+function checkVariableLimit(req, res, variables) {
+  const limit = req.project.settings?.maxVariablesPerEnv;
+  if (!isEncryptedPayload(variables) && limit && Object.keys(variables).length > limit) {
+    res.status(400).json({
+      error: 'Too many variables',
+      message: `Environments in this project are limited to ${limit} variables`
+    });
+    return false;
+  }
+  return true;
+}
+
+const variablesValidation = [
+  body('variables')
+    .custom(value => value !== null && typeof value === 'object' && !Array.isArray(value))
+    .withMessage('variables must be an object'),
+  body('message').optional().isString().trim().isLength({ max: 500 })
+];
+
+const baseVersionValidation = [
+  body('base_version').optional().isInt({ min: 0 }).withMessage('base_version must be a non-negative integer').toInt()
+];
+
+/**
+ * Send the response for a write based on an older version than the current one
+ */
+function sendVersionConflict(res, environment, currentVersion, baseVersion) {
+  res.status(409).json({
+    error: 'Version conflict',
+    message: baseVersion === undefined
+      ? `${environment.name} changed while this change was being saved; it is now at version ${currentVersion}`
+      : `${environment.name} is at version ${currentVersion}, but this change was based on version ${baseVersion}`,
+    current_version: currentVersion,
+    base_version: baseVersion
+  });
+}
+
+/**
+ * Reject a write that was based on an older version than the current one.
+ * The version can come from base_version in the body or an If-Match header
+ * holding an ETag from a previous response; without either the write goes through.
+ * The check is repeated by the save itself, see conditionalWrite().
+ */
+function checkBaseVersion(req, res, next) {
+  const { environment } = req;
+  let baseVersion = req.body.base_version;
+
+  const ifMatch = req.get('If-Match');
+  if (baseVersion === undefined && ifMatch && ifMatch.trim() !== '*') {
+    baseVersion = Number(ifMatch.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'));
+    if (!Number.isInteger(baseVersion)) {
+      return res.status(400).json({
+        error: 'Invalid If-Match header',
+        message: 'If-Match must be an ETag returned by this API, e.g. "5"'
+      });
+    }
+  }
+
+  if (baseVersion !== undefined && baseVersion !== environment.version) {
+    return sendVersionConflict(res, environment, environment.version, baseVersion);
+  }
+
+  req.baseVersion = baseVersion;
+  next();
+}
+
+/**
+ * Wrap a handler that saves req.environment. Environments use optimistic concurrency,
+ * so the save fails if another write landed after the environment was loaded and
+ * checked; that write would otherwise be overwritten, so it is a version conflict.
+ */
+function conditionalWrite(handler) {
+  return asyncHandler(async (req, res, next) => {
+    try {
+      await handler(req, res, next);
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError)) {
+        throw error;
+      }
+
+      const current = await Environment.findById(req.environment._id).select('version').lean();
+      sendVersionConflict(res, req.environment, current ? current.version : null, req.baseVersion);
+    }
+  });
+}
+
+/**
+ * Expose the environment version as an ETag for If-Match
+ */
+function setVersionTag(res, environment) {
+  res.set('ETag', `"${environment.version}"`);
+}
+
+// ===== ENVIRONMENT ACCESS =====
+
+/**
+ * Load an environment by id for an admin action, sending an error response if that fails
+ */
+async function loadEnvironmentAsAdmin(req, res, environmentId) {
+  const environment = await Environment.findOne({ _id: environmentId, isActive: true });
+  if (!environment) {
+    res.status(404).json({
+      error: 'Environment not found',
+      message: `No environment found with id ${environmentId}`
+    });
+    return null;
+  }
+
+  const project = await Project.findOne({ _id: environment.projectId, isActive: true }).populate('team');
+  if (!project || !project.hasPermission(req.user._id, environment.name, 'admin')) {
+    res.status(403).json({
+      error: 'Insufficient permissions',
+      message: 'You need admin access to grant environment permissions'
+    });
+    return null;
+  }
+
+  return { environment, project };
+}
+
+/**
+ * Add users to an environment's permission list
+ */
+async function grantAccess(project, environment, userIds, permission) {
+  if (!project.getEnvironment(environment.name)) {
+    await syncProjectEnvironment(project, environment);
+  }
+
+  const grantees = project.getEnvironment(environment.name).permissions[permission];
+  for (const userId of userIds) {
+    if (!grantees.some(id => id.toString() === userId.toString())) {
+      grantees.push(userId);
+    }
+  }
+  await project.save();
+}
+
+/**
+ * Shape a user who may need a copy of the project key
+ */
+function serializeRecipient(user) {
+  return {
+    user_id: user._id.toString(),
+    email: user.email,
+    public_key: user.publicKey || null
+  };
+}
+
+/**
+ * Grant a user access to a single environment
+ */
+router.post('/access', [
+  body('user_email').isEmail().withMessage('A valid user_email is required'),
+  body('environment_id').custom(value => mongoose.isValidObjectId(value)).withMessage('A valid environment_id is required'),
+  body('permission').optional().isIn(['read', 'write', 'admin']).withMessage('permission must be read, write or admin')
+], handleValidation, asyncHandler(async (req, res) => {
+  const { user_email: userEmail, environment_id: environmentId, permission = 'read' } = req.body;
+
+  const loaded = await loadEnvironmentAsAdmin(req, res, environmentId);
+  if (!loaded) return;
+  const { environment, project } = loaded;
+
+  const user = await User.findByEmail(userEmail);
+  if (!user) {
+    return res.status(404).json({
+      error: 'User not found',
+      message: `No user found with email ${userEmail}`
+    });
+  }
+
+  // Anyone granted write or admin also needs to read
+  await grantAccess(project, environment, [user._id], permission);
+  if (permission !== 'read') {
+    await grantAccess(project, environment, [user._id], 'read');
+  }
+
+  await environment.addAuditLog(auditEntry(req, 'grant', {
+    message: `Granted ${permission} access to ${user.email}`
+  }));
+
+  res.status(201).json({
+    environment_id: environment._id.toString(),
+    user_email: user.email,
+    permission,
+    recipient: serializeRecipient(user)
+  });
+}));
+
+/**
+ * Share an environment with every member of another team
+ */
+router.post('/share', [
+  body('environment_id').custom(value => mongoose.isValidObjectId(value)).withMessage('A valid environment_id is required'),
+  body('target_team').isString().trim().notEmpty().withMessage('target_team is required'),
+  body('shared_keys').optional({ nullable: true }).isArray()
+], handleValidation, asyncHandler(async (req, res) => {
+  const { environment_id: environmentId, target_team: targetTeam, shared_keys: sharedKeys } = req.body;
+
+  // Environments are encrypted as a whole, so a subset cannot be shared on its own
+  if (sharedKeys && sharedKeys.length > 0) {
+    return res.status(400).json({
+      error: 'Partial sharing not supported',
+      message: 'Environments are encrypted as a whole; share the full environment instead'
+    });
+  }
+
+  const loaded = await loadEnvironmentAsAdmin(req, res, environmentId);
+  if (!loaded) return;
+  const { environment, project } = loaded;
+
+  const team = await Team.findOne({
+    ...(mongoose.isValidObjectId(targetTeam) ? { _id: targetTeam } : { name: targetTeam }),
+    isActive: true
+  });
+  if (!team) {
+    return res.status(404).json({
+      error: 'Team not found',
+      message: `No team found matching ${targetTeam}`
+    });
+  }
+
+  const memberIds = team.members.filter(m => m.isActive).map(m => m.user);
+  await grantAccess(project, environment, memberIds, 'read');
+
+  const users = await User.find({ _id: { $in: memberIds }, isActive: true }).select('email publicKey');
+
+  await environment.addAuditLog(auditEntry(req, 'grant', {
+    message: `Shared with team ${team.name}`
+  }));
+
+  res.status(201).json({
+    id: `${environment._id}:${team._id}`,
+    environment_id: environment._id.toString(),
+    target_team: { id: team._id.toString(), name: team.name },
+    recipients: users.map(serializeRecipient)
+  });
+}));
+
+// ===== PROJECT ENVIRONMENTS =====
+
+/**
+ * List environments in a project
+ */
+router.get('/', loadProject, requireProjectPermission('read'), asyncHandler(async (req, res) => {
+  const environments = await Environment.findProjectEnvironments(req.project._id);
+  res.json(await Promise.all(environments.map(env => serializeEnvironment(env))));
+}));
+
+/**
+ * Create a new environment
+ */
+router.post('/', loadProject, requireProjectPermission('write'), [
+  body('name').isString().trim().matches(/^[a-z0-9-]+$/i).isLength({ max: 50 })
+    .withMessage('Environment name can only contain letters, numbers, and hyphens'),
+  body('description').optional().isString().trim(),
+  body('variables').optional()
+    .custom(value => value !== null && typeof value === 'object' && !Array.isArray(value))
+    .withMessage('variables must be an object'),
+  body('message').optional().isString().trim().isLength({ max: 500 })
+], handleValidation, asyncHandler(async (req, res) => {
+  const { name, description = '', variables = {}, message } = req.body;
+
+  if (await Environment.findByProjectAndName(req.project._id, name)) {
+    return res.status(409).json({
+      error: 'Environment exists',
+      message: `Environment "${name}" already exists in this project`
+    });
+  }
+
+  const activeCount = await Environment.countDocuments({ projectId: req.project._id, isActive: true });
+  if (activeCount >= req.project.settings.maxEnvironments) {
+    return res.status(400).json({
+      error: 'Environment limit reached',
+      message: `Projects are limited to ${req.project.settings.maxEnvironments} environments`
+    });
+  }
+
+  if (!checkVariableLimit(req, res, variables)) return;
+
+  // Start at version 0 so the initial snapshot becomes version 1
+  const environment = new Environment({
+    projectId: req.project._id,
+    name,
+    description,
+    version: 0,
+    settings: {
+      encryptionEnabled: req.project.settings.encryptionEnabled,
+      autoBackup: req.project.settings.autoBackup,
+      conflictResolution: req.project.settings.conflictResolution
+    }
+  });
+
+  await applyVariables(req, environment, variables, {
+    action: 'create',
+    changeType: 'create',
+    message: message || 'Initial version'
+  });
+
+  res.status(201).json(await serializeEnvironment(environment, true));
+}));
+
+/**
+ * Get an environment with its variables
+ */
+router.get('/:environmentId', loadProject, loadEnvironment, requireProjectPermission('read'), asyncHandler(async (req, res) => {
+  await req.environment.addAuditLog(auditEntry(req, 'pull', { version: req.environment.version }));
+  setVersionTag(res, req.environment);
+  res.json(await serializeEnvironment(req.environment, true));
+}));
+
+/**
+ * Replace an environment's variables
+ */
+router.put('/:environmentId', loadProject, loadEnvironment, requireProjectPermission('write'),
+  variablesValidation, baseVersionValidation, handleValidation, checkBaseVersion, conditionalWrite(async (req, res) => {
+    if (!checkVariableLimit(req, res, req.body.variables)) return;
+
+    await applyVariables(req, req.environment, req.body.variables, { message: req.body.message });
+    setVersionTag(res, req.environment);
+    res.json(await serializeEnvironment(req.environment, true));
+  }));
+
+/**
+ * Delete an environment
+ */
+router.delete('/:environmentId', loadProject, loadEnvironment, requireProjectPermission('admin'), asyncHandler(async (req, res) => {
+  const { environment, project } = req;
+
+  environment.isActive = false;
+  environment.lastModified = new Date();
+  await environment.save();
+  await environment.addAuditLog(auditEntry(req, 'delete', { version: environment.version }));
+
+  if (project.getEnvironment(environment.name)) {
+    await project.removeEnvironment(environment.name);
+  }
+
+  res.json({
+    id: environment._id.toString(),
+    message: `Environment "${environment.name}" deleted`
+  });
+}));
+
+// ===== SINGLE VARIABLES =====
+
+/**
+ * Reject per-variable access to client-side encrypted environments
+ */
+function requirePlainEnvironment(req, res, next) {
+  if (req.environment.encrypted) {
+    return res.status(400).json({
+      error: 'Environment is encrypted',
+      message: 'Variables of client-side encrypted environments can only be read and changed by the client'
+    });
+  }
+  next();
+}
+
+/**
+ * Shape a single variable for API responses
+ */
+function serializeVariable(variable, value) {
+  return {
+    key: variable.key,
+    value,
+    description: variable.description || '',
+    is_secret: !!variable.isSecret
+  };
+}
+
+const variableKeyValidation = [
+  param('key').matches(/^[A-Za-z_][A-Za-z0-9_.-]*$/).withMessage('Invalid variable name')
+];
+
+/**
+ * Get a single variable
+ */
+router.get('/:environmentId/variables/:key', loadProject, loadEnvironment, requireProjectPermission('read'),
+  requirePlainEnvironment, variableKeyValidation, handleValidation, asyncHandler(async (req, res) => {
+    const { environment } = req;
+    const variable = environment.variables.find(v => v.key === req.params.key);
+
+    if (!variable) {
+      return res.status(404).json({
+        error: 'Variable not found',
+        message: `${req.params.key} is not set in ${environment.name}`
+      });
+    }
+
+    await environment.addAuditLog(auditEntry(req, 'read', {
+      variablesChanged: [],
+      version: environment.version,
+      message: `Read ${variable.key}`
+    }));
+
+    res.json(serializeVariable(variable, await environment.getVariable(variable.key)));
+  }));
+
+/**
+ * Set a single variable without replacing the rest of the environment
+ */
+router.put('/:environmentId/variables/:key', loadProject, loadEnvironment, requireProjectPermission('write'),
+  requirePlainEnvironment, variableKeyValidation, [
+    body('value').isString().withMessage('value must be a string'),
+    body('description').optional().isString().trim().isLength({ max: 500 }),
+    body('is_secret').optional().isBoolean().withMessage('is_secret must be a boolean'),
+    body('message').optional().isString().trim().isLength({ max: 500 }),
+    ...baseVersionValidation
+  ], handleValidation, checkBaseVersion, conditionalWrite(async (req, res) => {
+    const { environment } = req;
+    const { key } = req.params;
+    const existing = environment.variables.find(v => v.key === key);
+
+    const limit = req.project.settings?.maxVariablesPerEnv;
+    if (!existing && limit && environment.variables.length >= limit) {
+      return res.status(400).json({
+        error: 'Too many variables',
+        message: `Environments in this project are limited to ${limit} variables`
+      });
+    }
+
+    // Metadata that is not given is kept from the existing variable
+    environment.setVariable(key, req.body.value, {
+      description: req.body.description ?? existing?.description,
+      isSecret: req.body.is_secret ?? existing?.isSecret,
+      tags: existing?.tags
+    });
+
+    const message = req.body.message || `Set ${key}`;
+    await environment.createVersion(message, req.user._id, 'update');
+    await environment.addAuditLog(auditEntry(req, 'update', {
+      variablesChanged: [{ key, action: existing ? 'modified' : 'added' }],
+      version: environment.version,
+      message
+    }));
+    await syncProjectEnvironment(req.project, environment);
+
+    const variable = environment.variables.find(v => v.key === key);
+    res.status(existing ? 200 : 201).json({
+      ...serializeVariable(variable, await environment.getVariable(key)),
+      created: !existing
+    });
+  }));
+
+/**
+ * Remove a single variable
+ */
+router.delete('/:environmentId/variables/:key', loadProject, loadEnvironment, requireProjectPermission('write'),
+  requirePlainEnvironment, variableKeyValidation, baseVersionValidation, handleValidation, checkBaseVersion, conditionalWrite(async (req, res) => {
+    const { environment } = req;
+    const { key } = req.params;
+
+    if (!environment.variables.some(v => v.key === key)) {
+      return res.status(404).json({
+        error: 'Variable not found',
+        message: `${key} is not set in ${environment.name}`
+      });
+    }
+
+    environment.removeVariable(key);
+
+    const message = `Unset ${key}`;
+    await environment.createVersion(message, req.user._id, 'update');
+    await environment.addAuditLog(auditEntry(req, 'update', {
+      variablesChanged: [{ key, action: 'removed' }],
+      version: environment.version,
+      message
+    }));
+    await syncProjectEnvironment(req.project, environment);
+
+    res.json({
+      key,
+      version: environment.version,
+      message: `${key} removed from ${environment.name}`
+    });
+  }));
+
+/**
+ * Upload a .env file as the new environment content
+ */
+router.post('/:environmentId/upload', loadProject, loadEnvironment, requireProjectPermission('write'), [
+  body('content').isString().withMessage('content must be a string'),
+  body('message').optional().isString().trim().isLength({ max: 500 }),
+  ...baseVersionValidation
+], handleValidation, checkBaseVersion, conditionalWrite(async (req, res) => {
+  const variables = parseEnvContent(req.body.content);
+  if (!checkVariableLimit(req, res, variables)) return;
+
+  req.body.encrypted = false;
+  await applyVariables(req, req.environment, variables, { message: req.body.message || 'Uploaded .env file' });
+  res.json(await serializeEnvironment(req.environment));
+}));
+
+/**
+ * Download the environment as .env file content
+ */
+router.get('/:environmentId/download', loadProject, loadEnvironment, requireProjectPermission('read'), asyncHandler(async (req, res) => {
+  const { environment } = req;
+
+  if (environment.encrypted) {
+    return res.status(400).json({
+      error: 'Environment is encrypted',
+      message: 'Client-side encrypted environments cannot be downloaded as a .env file'
+    });
+  }
+
+  await environment.addAuditLog(auditEntry(req, 'pull', { version: environment.version }));
+
+  res.json({
+    name: environment.name,
+    version: environment.version,
+    content: stringifyEnvContent(await environment.getVariables())
+  });
+}));
+
+/**
+ * Get version history, newest first
+ */
+router.get('/:environmentId/history', loadProject, loadEnvironment, requireProjectPermission('read'), asyncHandler(async (req, res) => {
+  const { environment } = req;
+  await environment.populate('versionHistory.updatedBy', 'name email');
+
+  const versions = [...environment.versionHistory].sort((a, b) => a.version - b.version);
+  const history = [];
+  let previous = {};
+
+  for (const snapshot of versions) {
+    const variables = snapshot.payload ? null : await snapshotToVariables(environment, snapshot);
+
+    history.push({
+      version: snapshot.version,
+      updated_at: snapshot.updatedAt,
+      updated_by: snapshot.updatedBy?.name || snapshot.updatedBy?.email || 'unknown',
+      variable_count: variables ? Object.keys(variables).length : null,
+      message: snapshot.message,
+      change_type: snapshot.changeType,
+      encrypted: !!snapshot.payload,
+      changes: variables && previous ? diffVariables(previous, variables) : null
+    });
+
+    previous = variables;
+  }
+
+  res.json(history.reverse());
+}));
+
+/**
+ * Get the content of one version, so clients can preview it before rolling back
+ */
+router.get('/:environmentId/versions/:version', loadProject, loadEnvironment, requireProjectPermission('read'), [
+  param('version').isInt({ min: 1 }).withMessage('version must be a positive integer').toInt()
+], handleValidation, asyncHandler(async (req, res) => {
+  const { environment } = req;
+  const { version } = req.params;
+  const snapshot = environment.versionHistory.find(v => v.version === version);
+
+  if (!snapshot) {
+    return res.status(404).json({
+      error: 'Version not found',
+      message: `Version ${version} of ${environment.name} does not exist`
+    });
+  }
+
+  await environment.addAuditLog(auditEntry(req, 'read', {
+    version,
+    message: `Read version ${version}`
+  }));
+
+  res.json({
+    version: snapshot.version,
+    encrypted: !!snapshot.payload,
+    variables: snapshot.payload || await snapshotToVariables(environment, snapshot),
+    message: snapshot.message,
+    updated_at: snapshot.updatedAt
+  });
+}));
+
+/**
+ * Get audit logs, newest first, filtered and paginated
+ */
+router.get('/:environmentId/audit', loadProject, loadEnvironment, requireProjectPermission('read'),
+  auditFilterValidation, handleValidation, asyncHandler(async (req, res) => {
+    res.json(await auditService.query({
+      projectIds: [req.project._id],
+      environment: req.environment._id.toString(),
+      filters: req.query
+    }));
+  }));
+
+/**
+ * Recompute the audit hash chain and report tampering
+ */
+router.get('/:environmentId/audit/verify', loadProject, loadEnvironment, requireProjectPermission('read'), [
+  query('anchor_sequence').optional().isInt({ min: 1 }).withMessage('anchor_sequence must be a positive integer').toInt(),
+  query('anchor_hash').optional().isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('anchor_hash must be a SHA-256 hex digest')
+], handleValidation, asyncHandler(async (req, res) => {
+  const { anchor_sequence: sequence, anchor_hash: hash } = req.query;
+
+  res.json(await auditService.verify(req.environment, sequence && hash ? { sequence, hash } : null));
+}));
+
+/**
+ * Roll back to a previous version
+ */
+router.post('/:environmentId/rollback', loadProject, loadEnvironment, requireProjectPermission('write'), [
+  body('version').isInt({ min: 1 }).withMessage('version must be a positive integer').toInt(),
+  ...baseVersionValidation
+], handleValidation, checkBaseVersion, conditionalWrite(async (req, res) => {
+  const { environment } = req;
+  const { version } = req.body;
+
+  if (!environment.versionHistory.some(v => v.version === version)) {
+    return res.status(404).json({
+      error: 'Version not found',
+      message: `Version ${version} of ${environment.name} does not exist`
+    });
+  }
+
+  await environment.rollbackToVersion(version, req.user._id);
+  await environment.addAuditLog(auditEntry(req, 'rollback', {
+    version: environment.version,
+    message: `Rollback to version ${version}`
+  }));
+  await syncProjectEnvironment(req.project, environment);
+
+  setVersionTag(res, environment);
+  res.json(await serializeEnvironment(environment, true));
+}));
+
+/**
+ * Compare two versions
+ */
+router.get('/:environmentId/diff', loadProject, loadEnvironment, requireProjectPermission('read'), [
+  query('v1').optional().isInt({ min: 1 }).toInt(),
+  query('v2').optional().isInt({ min: 1 }).toInt()
+], handleValidation, asyncHandler(async (req, res) => {
+  const { environment } = req;
+  const v2 = req.query.v2 || environment.version;
+  const v1 = req.query.v1 || v2 - 1;
+
+  const from = environment.versionHistory.find(v => v.version === v1);
+  const to = environment.versionHistory.find(v => v.version === v2);
+
+  if (!from || !to) {
+    return res.status(404).json({
+      error: 'Version not found',
+      message: `Version ${!from ? v1 : v2} of ${environment.name} does not exist`
+    });
+  }
+
+  if (from.payload || to.payload) {
+    return res.status(400).json({
+      error: 'Environment is encrypted',
+      message: 'Client-side encrypted versions can only be compared locally'
+    });
+  }
+
+  const before = await snapshotToVariables(environment, from);
+  const after = await snapshotToVariables(environment, to);
+  const changes = diffVariables(before, after);
+
+  res.json({
+    v1,
+    v2,
+    added: changes.filter(c => c.type === 'added').map(c => c.key),
+    removed: changes.filter(c => c.type === 'removed').map(c => c.key),
+    modified: changes.filter(c => c.type === 'modified').map(c => c.key)
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,237 @@
+const express = require('express');
+const { body } = require('express-validator');
+const ProjectKey = require('../models/ProjectKey');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { handleValidation } = require('../middleware/validation');
+const { loadProject } = require('../middleware/permissions');
+
+// Mounted at /api/v1/projects/:projectId/keys
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Reject callers who are not project members
+ */
+function requireKeyAccess(req, res, next) {
+  if (!req.project.getMemberIds().includes(req.user._id.toString())) {
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      message: 'You do not have access to this project\'s keys'
+    });
+  }
+  next();
+}
+
+/**
+ * Validation for a list of keys sealed to project members
+ */
+const sealedKeysValidation = [
+  body('sealed_keys').isArray({ min: 1 }).withMessage('sealed_keys must be a non-empty array'),
+  body('sealed_keys.*.user_id').isMongoId().withMessage('user_id must be a user id'),
+  body('sealed_keys.*.sealed_key').isString().notEmpty().withMessage('sealed_key is required')
+];
+
+/**
+ * Store sealed copies, returning an error message if a recipient is invalid
+ */
+async function addSealedKeys(project, projectKey, sealedKeys) {
+  const memberIds = project.getMemberIds();
+  const users = await User.find({ _id: { $in: sealedKeys.map(k => k.user_id) } }).select('publicKey');
+  const publicKeys = new Map(users.map(user => [user._id.toString(), user.publicKey]));
+
+  for (const { user_id: userId } of sealedKeys) {
+    if (!memberIds.includes(userId)) {
+      return `User ${userId} is not a member of this project`;
+    }
+    if (!publicKeys.get(userId)) {
+      return `User ${userId} has not published a public key`;
+    }
+  }
+
+  for (const { user_id: userId, sealed_key: sealedKey } of sealedKeys) {
+    projectKey.addSealedKey(userId, sealedKey, publicKeys.get(userId));
+  }
+
+  return null;
+}
+
+/**
+ * Shape a key version for API responses, without key material
+ */
+function serializeKeyVersion(projectKey, currentVersion) {
+  return {
+    version: projectKey.version,
+    current: projectKey.version === currentVersion,
+    rotation_required: projectKey.rotationRequired,
+    created_by: projectKey.createdBy.toString(),
+    created_at: projectKey.createdAt,
+    recipients: projectKey.wrappedKeys.length
+  };
+}
+
+/**
+ * List data key versions
+ */
+router.get('/', loadProject, requireKeyAccess, asyncHandler(async (req, res) => {
+  const keys = await ProjectKey.find({ projectId: req.project._id }).sort({ version: -1 });
+  const currentVersion = keys[0]?.version;
+
+  res.json(keys.map(projectKey => serializeKeyVersion(projectKey, currentVersion)));
+}));
+
+/**
+ * Project members, their public keys and the key versions sealed to those keys
+ */
+router.get('/recipients', loadProject, requireKeyAccess, asyncHandler(async (req, res) => {
+  const users = await User.find({ _id: { $in: req.project.getMemberIds() }, isActive: true })
+    .select('name email publicKey');
+  const keys = await ProjectKey.find({ projectId: req.project._id }).select('version wrappedKeys');
+
+  res.json(users.map(user => ({
+    user_id: user._id.toString(),
+    name: user.name,
+    email: user.email,
+    public_key: user.publicKey || null,
+    // Copies sealed to a key the user has since replaced no longer count
+    versions: keys
+      .filter(projectKey => {
+        const copy = projectKey.getWrappedKey(user._id);
+        return copy?.scheme === 'sealed' && copy.recipientKey === user.publicKey;
+      })
+      .map(projectKey => projectKey.version)
+  })));
+}));
+
+/**
+ * Create a new data key version from copies sealed client-side to each member
+ */
+router.post('/', loadProject, requireKeyAccess, sealedKeysValidation, handleValidation, asyncHandler(async (req, res) => {
+  const { project } = req;
+  const current = await ProjectKey.findCurrent(project._id).select('version');
+
+  // Anyone who can write may create the first key; rotating needs admin
+  const permission = current ? 'admin' : 'write';
+  if (!project.hasPermission(req.user._id, null, permission)) {
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      message: `You need ${permission} access to ${current ? 'rotate' : 'create'} the project key`
+    });
+  }
+
+  if (!req.body.sealed_keys.some(k => k.user_id === req.user._id.toString())) {
+    return res.status(400).json({
+      error: 'Missing own key',
+      message: 'sealed_keys must include a copy for yourself'
+    });
+  }
+
+  const projectKey = new ProjectKey({
+    projectId: project._id,
+    version: current ? current.version + 1 : 1,
+    createdBy: req.user._id
+  });
+
+  const error = await addSealedKeys(project, projectKey, req.body.sealed_keys);
+  if (error) {
+    return res.status(400).json({ error: 'Invalid recipient', message: error });
+  }
+
+  try {
+    await projectKey.save();
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        error: 'Key version conflict',
+        message: 'Another key version was created at the same time. Please try again.'
+      });
+    }
+    throw err;
+  }
+
+  res.status(201).json(serializeKeyVersion(projectKey, projectKey.version));
+}));
+
+/**
+ * Add copies of an existing key version for more members
+ */
+router.post('/:version/recipients', loadProject, requireKeyAccess, sealedKeysValidation, handleValidation, asyncHandler(async (req, res) => {
+  const { project } = req;
+  const projectKey = await ProjectKey.findOne({ projectId: project._id, version: parseInt(req.params.version, 10) });
+
+  if (!projectKey) {
+    return res.status(404).json({
+      error: 'Key not found',
+      message: `Key version ${req.params.version} not found`
+    });
+  }
+
+  // Only someone who holds the key can have sealed it
+  if (!projectKey.getWrappedKey(req.user._id)) {
+    return res.status(403).json({
+      error: 'Key not shared',
+      message: `You do not hold key version ${projectKey.version}`
+    });
+  }
+
+  const error = await addSealedKeys(project, projectKey, req.body.sealed_keys);
+  if (error) {
+    return res.status(400).json({ error: 'Invalid recipient', message: error });
+  }
+
+  await projectKey.save();
+  res.json(serializeKeyVersion(projectKey, null));
+}));
+
+/**
+ * Get the caller's copy of a data key version ('current' or a number)
+ */
+router.get('/:version', loadProject, requireKeyAccess, asyncHandler(async (req, res) => {
+  const { project } = req;
+  const { version } = req.params;
+
+  if (version !== 'current' && !/^\d+$/.test(version)) {
+    return res.status(400).json({
+      error: 'Invalid version',
+      message: 'Version must be "current" or a positive integer'
+    });
+  }
+
+  const projectKey = version === 'current'
+    ? await ProjectKey.findCurrent(project._id)
+    : await ProjectKey.findOne({ projectId: project._id, version: parseInt(version, 10) });
+
+  if (!projectKey) {
+    return res.status(404).json({
+      error: 'Key not found',
+      message: version === 'current'
+        ? 'This project has no data key yet'
+        : `Key version ${version} not found`
+    });
+  }
+
+  const copy = projectKey.getWrappedKey(req.user._id);
+  if (!copy) {
+    return res.status(403).json({
+      error: 'Key not shared',
+      message: `Key version ${projectKey.version} has not been shared with you yet. ` +
+        'Ask a teammate to run "envfly keys sync".'
+    });
+  }
+
+  const response = {
+    version: projectKey.version,
+    user_id: req.user._id.toString(),
+    rotation_required: projectKey.rotationRequired
+  };
+
+  if (copy.scheme === 'sealed') {
+    response.sealed_key = copy.wrappedKey;
+  } else {
+    // Older server-wrapped copy; the client re-seals it to its own public key
+    response.data_key = projectKey.unwrapLegacy(req.user._id).toString('base64');
+  }
+
+  res.json(response);
+}));
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+const Project = require('../models/Project');
+const Team = require('../models/Team');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { handleValidation } = require('../middleware/validation');
+const { loadProject, requireProjectPermission } = require('../middleware/permissions');
+const environmentRoutes = require('./environments');
+const keyRoutes = require('./keys');
+
+const router = express.Router();
+
+/**
+ * Shape a project for API responses
+ */
+function serializeProject(project) {
+  return {
+    id: project._id.toString(),
+    name: project.name,
+    description: project.description,
+    team_id: (project.team?._id || project.team).toString(),
+    owner_id: (project.owner?._id || project.owner).toString(),
+    storage_provider: project.storageProvider,
+    settings: project.settings,
+    environments: project.environments
+      .filter(env => env.isActive)
+      .map(env => ({
+        name: env.name,
+        description: env.description,
+        remote_id: env.remoteId,
+        version: env.version,
+        variables: env.variables,
+        last_sync: env.lastSync
+      })),
+    created_at: project.createdAt,
+    updated_at: project.updatedAt
+  };
+}
+
+/**
+ * List projects the user owns or can reach through a team
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const teams = await Team.findUserTeams(req.user._id);
+  const projects = await Project.find({
+    $or: [
+      { owner: req.user._id },
+      { team: { $in: teams.map(team => team._id) } }
+    ],
+    isActive: true
+  }).sort({ name: 1 });
+
+  res.json(projects.map(serializeProject));
+}));
+
+/**
+ * Create a new project in a team
+ */
+router.post('/', [
+  body('name').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Project name is required'),
+  body('description').optional().isString().trim().isLength({ max: 500 }),
+  body('team_id').custom(value => mongoose.isValidObjectId(value)).withMessage('A valid team_id is required'),
+  body('storage_provider').optional().isIn(['git', 'aws', 'azure', 'google', 'envfly'])
+], handleValidation, asyncHandler(async (req, res) => {
+  const { name, description = '', team_id: teamId, storage_provider: storageProvider = 'envfly' } = req.body;
+
+  const team = await Team.findOne({ _id: teamId, isActive: true });
+  if (!team || !team.hasPermission(req.user._id, 'write')) {
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      message: 'You need write access to the team to create projects'
+    });
+  }
+
+  const projectCount = await Project.countDocuments({ team: team._id, isActive: true });
+  if (projectCount >= team.settings.maxProjects) {
+    return res.status(400).json({
+      error: 'Project limit reached',
+      message: `Teams are limited to ${team.settings.maxProjects} projects`
+    });
+  }
+
+  const project = await Project.create({
+    name,
+    description,
+    owner: req.user._id,
+    team: team._id,
+    storageProvider
+  });
+
+  team.projects.push({ project: project._id });
+  await team.save();
+
+  res.status(201).json(serializeProject(project));
+}));
+
+/**
+ * Get project details
+ */
+router.get('/:projectId', loadProject, requireProjectPermission('read'), (req, res) => {
+  res.json(serializeProject(req.project));
+});
+
+/**
+ * Update project details and settings
+ */
+router.put('/:projectId', loadProject, requireProjectPermission('admin'), [
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 100 }),
+  body('description').optional().isString().trim().isLength({ max: 500 }),
+  body('settings').optional().isObject()
+], handleValidation, asyncHandler(async (req, res) => {
+  const { project } = req;
+  const { name, description, settings } = req.body;
+
+  if (name !== undefined) project.name = name;
+  if (description !== undefined) project.description = description;
+  if (settings) {
+    project.settings = { ...project.settings.toObject(), ...settings };
+  }
+
+  await project.save();
+  res.json(serializeProject(project));
+}));
+
+/**
+ * Delete a project
+ */
+router.delete('/:projectId', loadProject, requireProjectPermission('admin'), asyncHandler(async (req, res) => {
+  req.project.isActive = false;
+  await req.project.save();
+
+  res.json({
+    id: req.project._id.toString(),
+    message: `Project "${req.project.name}" deleted`
+  });
+}));
+
+// Environment routes nested under their project
+router.use('/:projectId/environments', environmentRoutes);
+router.use('/:projectId/keys', keyRoutes);
+
+module.exports = router;
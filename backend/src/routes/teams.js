@@ -0,0 +1,351 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const ProjectKey = require('../models/ProjectKey');
+const emailService = require('../services/emailService');
+const logger = require('../utils/logger');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { handleValidation } = require('../middleware/validation');
+const { loadTeam, requireTeamPermission } = require('../middleware/permissions');
+
+const router = express.Router();
+
+const INVITE_EXPIRY_DAYS = 7;
+const ASSIGNABLE_ROLES = ['admin', 'member', 'readonly'];
+
+/**
+ * Find the active membership for a user
+ */
+function findMember(team, userId) {
+  return team.members.find(m => m.user.toString() === userId.toString() && m.isActive);
+}
+
+/**
+ * Shape a team for API responses from the point of view of userId
+ */
+function serializeTeam(team, userId) {
+  return {
+    id: team._id.toString(),
+    name: team.name,
+    description: team.description,
+    role: findMember(team, userId)?.role || null,
+    member_count: team.getActiveMemberCount(),
+    project_count: team.projects.length,
+    settings: {
+      encryption_enabled: team.settings.encryptionEnabled,
+      audit_logs: team.settings.auditLogs,
+      auto_backup: team.settings.autoBackup,
+      require_approval: team.settings.requireApproval,
+      max_projects: team.settings.maxProjects,
+      max_members: team.settings.maxMembers
+    },
+    created_at: team.createdAt
+  };
+}
+
+/**
+ * Mirror a team membership onto the user document
+ */
+async function syncUserMembership(userId, team, role) {
+  const user = await User.findById(userId);
+  if (!user) return;
+
+  user.teams = user.teams.filter(t => t.team.toString() !== team._id.toString());
+  if (role) {
+    user.teams.push({ team: team._id, role, joinedAt: new Date() });
+  }
+
+  await user.save();
+}
+
+/**
+ * Reject the request if the team has no free seats
+ */
+function checkMemberLimit(team, res) {
+  if (team.getActiveMemberCount() >= team.settings.maxMembers) {
+    res.status(403).json({
+      error: 'Member limit reached',
+      message: `This team is limited to ${team.settings.maxMembers} members`
+    });
+    return false;
+  }
+  return true;
+}
+
+const settingsValidation = [
+  body('settings').optional().isObject(),
+  body('settings.encryption_enabled').optional().isBoolean(),
+  body('settings.audit_logs').optional().isBoolean(),
+  body('settings.auto_backup').optional().isBoolean(),
+  body('settings.require_approval').optional().isBoolean()
+];
+
+/**
+ * Map snake_case settings from the CLI onto the schema
+ */
+function applySettings(team, settings = {}) {
+  const mapping = {
+    encryption_enabled: 'encryptionEnabled',
+    audit_logs: 'auditLogs',
+    auto_backup: 'autoBackup',
+    require_approval: 'requireApproval'
+  };
+
+  for (const [key, field] of Object.entries(mapping)) {
+    if (settings[key] !== undefined) {
+      team.settings[field] = settings[key];
+    }
+  }
+}
+
+/**
+ * List the user's teams
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const teams = await Team.findUserTeams(req.user._id);
+  res.json(teams.map(team => serializeTeam(team, req.user._id)));
+}));
+
+/**
+ * Create a team owned by the current user
+ */
+router.post('/', [
+  body('name').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Team name is required'),
+  body('description').optional().isString().trim().isLength({ max: 500 }),
+  ...settingsValidation
+], handleValidation, asyncHandler(async (req, res) => {
+  const { name, description = '', settings } = req.body;
+
+  const team = new Team({ name, description, owner: req.user._id });
+  applySettings(team, settings);
+
+  await team.addMember(req.user._id, 'owner');
+  await syncUserMembership(req.user._id, team, 'owner');
+
+  // Reusable code for sharing with the whole team
+  const inviteCode = await team.generateInviteCode('member', team.settings.maxMembers, INVITE_EXPIRY_DAYS, req.user._id);
+
+  res.status(201).json({
+    ...serializeTeam(team, req.user._id),
+    invite_code: inviteCode
+  });
+}));
+
+/**
+ * Join a team with an invite code
+ */
+router.post('/join', [
+  body('invite_code').isString().trim().notEmpty().withMessage('Invite code is required')
+], handleValidation, asyncHandler(async (req, res) => {
+  const code = req.body.invite_code;
+  const team = await Team.findByInviteCode(code);
+  const invite = team && team.isActive && team.validateInviteCode(code);
+
+  if (!invite) {
+    return res.status(404).json({
+      error: 'Invalid invite code',
+      message: 'The invite code is invalid, expired or has already been used'
+    });
+  }
+
+  if (findMember(team, req.user._id)) {
+    return res.status(409).json({
+      error: 'Already a member',
+      message: `You are already a member of ${team.name}`
+    });
+  }
+
+  if (!checkMemberLimit(team, res)) return;
+
+  await team.addMember(req.user._id, invite.role, invite.createdBy);
+  await team.useInviteCode(code);
+  await syncUserMembership(req.user._id, team, invite.role);
+
+  res.json(serializeTeam(team, req.user._id));
+}));
+
+/**
+ * Get team details
+ */
+router.get('/:teamId', loadTeam, requireTeamPermission('read'), (req, res) => {
+  res.json(serializeTeam(req.team, req.user._id));
+});
+
+/**
+ * Update team name, description or settings
+ */
+router.put('/:teamId', loadTeam, requireTeamPermission('admin'), [
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 100 }),
+  body('description').optional().isString().trim().isLength({ max: 500 }),
+  ...settingsValidation
+], handleValidation, asyncHandler(async (req, res) => {
+  const { team } = req;
+  const { name, description, settings } = req.body;
+
+  if (name !== undefined) team.name = name;
+  if (description !== undefined) team.description = description;
+  applySettings(team, settings);
+
+  await team.save();
+  res.json(serializeTeam(team, req.user._id));
+}));
+
+/**
+ * Delete a team
+ */
+router.delete('/:teamId', loadTeam, requireTeamPermission('owner'), asyncHandler(async (req, res) => {
+  req.team.isActive = false;
+  await req.team.save();
+
+  res.json({
+    id: req.team._id.toString(),
+    message: `Team "${req.team.name}" deleted`
+  });
+}));
+
+/**
+ * List team members
+ */
+router.get('/:teamId/members', loadTeam, requireTeamPermission('read'), asyncHandler(async (req, res) => {
+  await req.team.populate('members.user', 'name email isActive');
+
+  res.json(req.team.members
+    .filter(member => member.user)
+    .map(member => ({
+      id: member.user._id.toString(),
+      name: member.user.name,
+      email: member.user.email,
+      role: member.role,
+      joined_at: member.joinedAt,
+      invited_at: member.invitedAt,
+      status: member.isActive && member.user.isActive ? 'active' : 'inactive'
+    })));
+}));
+
+/**
+ * Invite a member by email
+ */
+router.post('/:teamId/invite', loadTeam, requireTeamPermission('admin'), [
+  body('email').isEmail().normalizeEmail().withMessage('A valid email is required'),
+  body('role').optional().isIn(ASSIGNABLE_ROLES).withMessage(`role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`)
+], handleValidation, asyncHandler(async (req, res) => {
+  const { team } = req;
+  const { email, role = 'member' } = req.body;
+
+  const existingUser = await User.findByEmail(email);
+  if (existingUser && findMember(team, existingUser._id)) {
+    return res.status(409).json({
+      error: 'Already a member',
+      message: `${email} is already a member of ${team.name}`
+    });
+  }
+
+  if (!checkMemberLimit(team, res)) return;
+
+  const code = await team.generateInviteCode(role, 1, INVITE_EXPIRY_DAYS, req.user._id);
+  const invite = team.inviteCodes.find(ic => ic.code === code);
+
+  let emailSent = true;
+  try {
+    await emailService.sendTeamInvitation({
+      inviteeEmail: email,
+      inviterName: req.user.name,
+      teamName: team.name,
+      inviteCode: code,
+      expiresAt: invite.expiresAt,
+      role
+    });
+  } catch (error) {
+    // The code is still valid and can be shared by hand
+    logger.warn('Failed to send team invitation:', error);
+    emailSent = false;
+  }
+
+  res.status(201).json({
+    code,
+    email,
+    role,
+    expires_at: invite.expiresAt,
+    email_sent: emailSent
+  });
+}));
+
+/**
+ * Change a member's role
+ */
+router.put('/:teamId/members/:userId', loadTeam, requireTeamPermission('admin'), [
+  body('role').isIn(ASSIGNABLE_ROLES).withMessage(`role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`)
+], handleValidation, asyncHandler(async (req, res) => {
+  const { team } = req;
+  const member = mongoose.isValidObjectId(req.params.userId) && findMember(team, req.params.userId);
+
+  if (!member) {
+    return res.status(404).json({
+      error: 'Member not found',
+      message: 'This user is not a member of the team'
+    });
+  }
+
+  if (member.role === 'owner') {
+    return res.status(403).json({
+      error: 'Cannot change owner',
+      message: 'The team owner\'s role cannot be changed'
+    });
+  }
+
+  member.role = req.body.role;
+  await team.save();
+  await syncUserMembership(member.user, team, member.role);
+
+  res.json({
+    id: member.user.toString(),
+    role: member.role
+  });
+}));
+
+/**
+ * Remove a member, or leave the team when removing yourself
+ */
+router.delete('/:teamId/members/:userId', loadTeam, asyncHandler(async (req, res) => {
+  const { team } = req;
+  const member = mongoose.isValidObjectId(req.params.userId) && findMember(team, req.params.userId);
+  const isSelf = req.params.userId === req.user._id.toString();
+
+  if (!isSelf && !team.hasPermission(req.user._id, 'admin')) {
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      message: 'You need admin access to this team'
+    });
+  }
+
+  if (!member) {
+    return res.status(404).json({
+      error: 'Member not found',
+      message: 'This user is not a member of the team'
+    });
+  }
+
+  if (member.role === 'owner') {
+    return res.status(403).json({
+      error: 'Cannot remove owner',
+      message: 'The team owner cannot be removed'
+    });
+  }
+
+  await team.removeMember(member.user);
+  await syncUserMembership(member.user, team, null);
+
+  // Drop their copies of the team's project keys
+  const projects = await Project.find({ team: team._id }).select('_id');
+  await ProjectKey.revokeUser(projects.map(project => project._id), member.user);
+
+  res.json({
+    id: member.user.toString(),
+    message: isSelf ? `Left team "${team.name}"` : 'Member removed'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const { body } = require('express-validator');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { handleValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * Get the current user
+ */
+router.get('/me', (req, res) => {
+  res.json(req.user);
+});
+
+/**
+ * Update name and preferences
+ */
+router.put('/me', [
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 100 }),
+  body('preferences').optional().isObject()
+], handleValidation, asyncHandler(async (req, res) => {
+  const { name, preferences } = req.body;
+
+  if (name !== undefined) req.user.name = name;
+  if (preferences) {
+    req.user.preferences = { ...req.user.preferences.toObject(), ...preferences };
+  }
+
+  await req.user.save();
+  res.json(req.user);
+}));
+
+/**
+ * Change password
+ */
+router.put('/me/password', [
+  body('currentPassword').isString().notEmpty().withMessage('Current password is required'),
+  body('newPassword').isString().isLength({ min: 8 }).withMessage('New password must be at least 8 characters')
+], handleValidation, asyncHandler(async (req, res) => {
+  // req.user is loaded without the password hash
+  const user = await User.findById(req.user._id);
+
+  if (!await user.comparePassword(req.body.currentPassword)) {
+    return res.status(401).json({
+      error: 'Invalid credentials',
+      message: 'Current password is incorrect'
+    });
+  }
+
+  user.password = req.body.newPassword;
+  await user.save();
+
+  res.json({ message: 'Password updated successfully' });
+}));
+
+/**
+ * Regenerate the API key, invalidating the old one
+ */
+router.post('/me/api-key', asyncHandler(async (req, res) => {
+  req.user.apiKey = req.user.generateApiKey();
+  await req.user.save();
+
+  res.json({ apiKey: req.user.apiKey });
+}));
+
+/**
+ * Publish the X25519 public key that project data keys are sealed to
+ */
+router.put('/me/public-key', [
+  body('public_key').isString().matches(/^[A-Za-z0-9_-]{43}$/)
+    .withMessage('public_key must be a base64url-encoded X25519 public key')
+], handleValidation, asyncHandler(async (req, res) => {
+  req.user.publicKey = req.body.public_key;
+  await req.user.save();
+
+  res.json({ public_key: req.user.publicKey });
+}));
+
+module.exports = router;
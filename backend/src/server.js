@@ -9,7 +9,7 @@ const expressWinston = require('express-winston');
 
 // Import configurations
 const config = require('./config');
-const connectDB = require('./database/connection');
+const { connectDB } = require('./database/connection');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { serializeAuditLog, encodeCursor, decodeCursor } = require('../utils/audit');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+class AuditService {
+  constructor() {
+    this.defaultLimit = DEFAULT_LIMIT;
+    this.maxLimit = MAX_LIMIT;
+  }
+
+  /**
+   * Build the query selecting audit entries
+   */
+  buildMatch({ projectIds, environment, filters, cursor }) {
+    const match = { projectId: { $in: projectIds } };
+
+    if (environment) {
+      if (mongoose.isValidObjectId(environment)) {
+        match.environmentId = new mongoose.Types.ObjectId(environment);
+      } else {
+        match.environmentName = environment;
+      }
+    }
+
+    if (filters.user) {
+      if (mongoose.isValidObjectId(filters.user)) {
+        match.userId = new mongoose.Types.ObjectId(filters.user);
+      } else {
+        match.userEmail = filters.user.toLowerCase();
+      }
+    }
+
+    if (filters.action) {
+      match.action = { $in: filters.action.split(',').map(a => a.trim()) };
+    }
+
+    if (filters.since || filters.until) {
+      match.timestamp = {};
+      if (filters.since) match.timestamp.$gte = new Date(filters.since);
+      if (filters.until) match.timestamp.$lte = new Date(filters.until);
+    }
+
+    if (cursor) {
+      match.$or = [
+        { timestamp: { $lt: cursor.timestamp } },
+        {
+          timestamp: cursor.timestamp,
+          _id: { $lt: new mongoose.Types.ObjectId(cursor.id) }
+        }
+      ];
+    }
+
+    return match;
+  }
+
+  /**
+   * Query audit entries across projects, newest first, one page at a time
+   */
+  async query({ projectIds, environment, filters = {} }) {
+    const limit = Math.min(filters.limit || this.defaultLimit, this.maxLimit);
+    const cursor = filters.cursor ? decodeCursor(filters.cursor) : null;
+
+    if (filters.cursor && !cursor) {
+      const error = new Error('The pagination cursor is malformed');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const rows = await AuditLog.find(this.buildMatch({ projectIds, environment, filters, cursor }))
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      entries: page.map(log => ({
+        ...serializeAuditLog(log),
+        environment_id: log.environmentId.toString(),
+        environment_name: log.environmentName,
+        project_id: log.projectId.toString()
+      })),
+      next_cursor: rows.length > limit ? encodeCursor(last) : null
+    };
+  }
+
+  /**
+   * Verify an environment's hash chain, optionally against a previously seen head
+   */
+  async verify(environment, anchor = null) {
+    const result = await AuditLog.verifyChain(environment._id);
+    let anchorMatches = null;
+
+    if (anchor) {
+      const entry = await AuditLog.findOne({
+        environmentId: environment._id,
+        sequence: anchor.sequence
+      }).select('hash').lean();
+
+      // A rewritten chain can be internally consistent but will not contain the old head
+      anchorMatches = !!entry && entry.hash === anchor.hash;
+    }
+
+    return {
+      environment_id: environment._id.toString(),
+      environment_name: environment.name,
+      valid: result.valid && anchorMatches !== false,
+      checked: result.checked,
+      head: result.head,
+      anchor_matches: anchorMatches,
+      errors: result.errors
+    };
+  }
+}
+
+// Create singleton instance
+const auditService = new AuditService();
+
+module.exports = auditService;
@@ -26,7 +26,7 @@ class EmailService {
 
       // Initialize SMTP
       if (config.email.smtp.auth.user && config.email.smtp.auth.pass) {
-        this.smtpTransporter = nodemailer.createTransporter({
+        this.smtpTransporter = nodemailer.createTransport({
           host: config.email.smtp.host,
           port: config.email.smtp.port,
           secure: config.email.smtp.secure,
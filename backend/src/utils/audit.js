@@ -0,0 +1,69 @@
+/**
+ * Build an audit log entry for the current request
+ */
+function auditEntry(req, action, details = {}) {
+  return {
+    action,
+    userId: req.user._id,
+    userEmail: req.user.email,
+    userName: req.user.name,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    details
+  };
+}
+
+/**
+ * Shape an audit log entry for API responses
+ */
+function serializeAuditLog(log) {
+  return {
+    id: log._id.toString(),
+    action: log.action,
+    timestamp: log.timestamp,
+    user_name: log.userName,
+    user_email: log.userEmail,
+    ip_address: log.ipAddress,
+    user_agent: log.userAgent,
+    message: log.details?.message,
+    details: {
+      version: log.details?.version,
+      variables_changed: (log.details?.variablesChanged || []).map(change => ({
+        key: change.key,
+        type: change.action
+      }))
+    }
+  };
+}
+
+/**
+ * Encode a pagination cursor pointing just past an entry
+ */
+function encodeCursor(log) {
+  return Buffer.from(JSON.stringify({
+    t: new Date(log.timestamp).getTime(),
+    id: log._id.toString()
+  })).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor, returning null if it is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof t !== 'number' || typeof id !== 'string') {
+      return null;
+    }
+    return { timestamp: new Date(t), id };
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  auditEntry,
+  serializeAuditLog,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+const ENVELOPE_PREFIX = 'v2';
+// createCipher always used the cipher's default GCM IV length
+const LEGACY_IV_LENGTH = 12;
+
+/**
+ * Key used to encrypt secret variable values at rest
+ */
+function getKey() {
+  return crypto.scryptSync(config.jwt.secret, 'salt', config.encryption.keyLength);
+}
+
+/**
+ * Encrypt a value as "v2:<iv>:<tag>:<ciphertext>"
+ */
+function encryptString(value, key = getKey()) {
+  const iv = crypto.randomBytes(config.encryption.ivLength);
+  const cipher = crypto.createCipheriv(config.encryption.algorithm, key, iv);
+
+  let encrypted = cipher.update(value, 'utf8', 'hex');
+  encrypted += cipher.final('hex');
+
+  return [ENVELOPE_PREFIX, iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted].join(':');
+}
+
+/**
+ * Check whether a stored value predates the versioned format
+ */
+function isLegacyCiphertext(value) {
+  return typeof value === 'string' && !value.startsWith(`${ENVELOPE_PREFIX}:`);
+}
+
+/**
+ * Reproduce OpenSSL's EVP_BytesToKey (MD5, one round, no salt) as used by createCipher
+ */
+function legacyKeyAndIv(password) {
+  let derived = Buffer.alloc(0);
+  let block = Buffer.alloc(0);
+
+  while (derived.length < config.encryption.keyLength + LEGACY_IV_LENGTH) {
+    block = crypto.createHash('md5').update(Buffer.concat([block, password])).digest();
+    derived = Buffer.concat([derived, block]);
+  }
+
+  return {
+    key: derived.subarray(0, config.encryption.keyLength),
+    iv: derived.subarray(config.encryption.keyLength, config.encryption.keyLength + LEGACY_IV_LENGTH)
+  };
+}
+
+/**
+ * Decrypt a value, including the "<iv>:<ciphertext>" format written by createCipher
+ */
+function decryptString(value, key = getKey()) {
+  if (isLegacyCiphertext(value)) {
+    // createCipher ignored the stored IV and no auth tag was kept, so the old
+    // ciphertext can be read but not authenticated. Migrate it with "npm run migrate".
+    const [, encrypted] = value.split(':');
+    const legacy = legacyKeyAndIv(key);
+    const decipher = crypto.createDecipheriv(config.encryption.algorithm, legacy.key, legacy.iv);
+    return decipher.update(encrypted, 'hex', 'utf8');
+  }
+
+  const [, ivHex, tagHex, encrypted] = value.split(':');
+  const decipher = crypto.createDecipheriv(config.encryption.algorithm, key, Buffer.from(ivHex, 'hex'));
+  decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+
+  let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+  decrypted += decipher.final('utf8');
+
+  return decrypted;
+}
+
+/**
+ * Per-user key that wrapped that user's copy of a project data key
+ */
+function getUserWrappingKey(userId) {
+  return Buffer.from(crypto.hkdfSync('sha256', getKey(), userId.toString(), 'envfly-project-key', config.encryption.keyLength));
+}
+
+/**
+ * Unwrap a user's copy of a project data key that the server wrapped.
+ * New copies are sealed client-side, so this is only used for older keys.
+ */
+function unwrapKey(wrappedKey, userId) {
+  return Buffer.from(decryptString(wrappedKey, getUserWrappingKey(userId)), 'base64');
+}
+
+module.exports = {
+  encryptString,
+  decryptString,
+  isLegacyCiphertext,
+  unwrapKey
+};
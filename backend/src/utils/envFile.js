@@ -0,0 +1,76 @@
+/**
+ * Parse .env file content into a key-value object
+ */
+function parseEnvContent(content) {
+  const variables = {};
+
+  for (const line of content.split(/\r?\n/)) {
+    const trimmedLine = line.trim();
+
+    // Skip empty lines and comments
+    if (!trimmedLine || trimmedLine.startsWith('#')) {
+      continue;
+    }
+
+    const equalIndex = trimmedLine.indexOf('=');
+    if (equalIndex <= 0) {
+      continue;
+    }
+
+    const key = trimmedLine.substring(0, equalIndex).replace(/^export\s+/, '').trim();
+    let value = trimmedLine.substring(equalIndex + 1).trim();
+
+    if (value.length >= 2 && value[0] === value[value.length - 1] && (value[0] === '"' || value[0] === "'")) {
+      value = value.slice(1, -1);
+      if (trimmedLine[equalIndex + 1] === '"') {
+        value = value.replace(/\\(.)/g, (match, char) => (char === 'n' ? '\n' : char));
+      }
+    }
+
+    variables[key] = value;
+  }
+
+  return variables;
+}
+
+/**
+ * Convert a key-value object to .env file content
+ */
+function stringifyEnvContent(variables) {
+  const lines = Object.entries(variables).map(([key, value]) => {
+    if (/^[\w@%+=:,./-]*$/.test(value)) {
+      return `${key}=${value}`;
+    }
+
+    const escaped = value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `${key}="${escaped}"`;
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Compare two key-value objects and list changed keys
+ */
+function diffVariables(before, after) {
+  const changes = [];
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const key of keys) {
+    if (!(key in before)) {
+      changes.push({ key, type: 'added' });
+    } else if (!(key in after)) {
+      changes.push({ key, type: 'removed' });
+    } else if (before[key] !== after[key]) {
+      changes.push({ key, type: 'modified' });
+    }
+  }
+
+  return changes;
+}
+
+module.exports = {
+  parseEnvContent,
+  stringifyEnvContent,
+  diffVariables
+};
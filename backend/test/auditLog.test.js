@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../src/models/AuditLog');
+const auditService = require('../src/services/auditService');
+
+const environment = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'production',
+  projectId: new mongoose.Types.ObjectId()
+};
+
+/**
+ * Build a valid chain the way append() does
+ */
+function buildChain(length) {
+  const entries = [];
+
+  for (let sequence = 1; sequence <= length; sequence++) {
+    const entry = {
+      _id: new mongoose.Types.ObjectId(),
+      environmentId: environment._id,
+      environmentName: environment.name,
+      projectId: environment.projectId,
+      sequence,
+      action: sequence === 1 ? 'create' : 'push',
+      userId: new mongoose.Types.ObjectId(),
+      userEmail: 'dev@example.com',
+      userName: 'Dev',
+      details: { version: sequence, changes: { added: ['API_KEY'] } },
+      timestamp: new Date(Date.UTC(2024, 0, sequence)),
+      previousHash: sequence === 1 ? AuditLog.GENESIS_HASH : entries[sequence - 2].hash
+    };
+    entry.hash = AuditLog.computeHash(entry);
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+/**
+ * Serve entries to verifyChain's find().sort().lean().cursor()
+ */
+function mockEntries(entries) {
+  jest.spyOn(AuditLog, 'find').mockReturnValue({
+    sort: () => ({
+      lean: () => ({
+        cursor: () => entries.slice().sort((a, b) => a.sequence - b.sequence)
+      })
+    })
+  });
+}
+
+describe('AuditLog.verifyChain', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('accepts an intact chain and reports its head', async () => {
+    const chain = buildChain(4);
+    mockEntries(chain);
+
+    const result = await AuditLog.verifyChain(environment._id);
+
+    expect(result).toEqual({
+      valid: true,
+      checked: 4,
+      head: { sequence: 4, hash: chain[3].hash },
+      errors: []
+    });
+  });
+
+  test('detects an entry whose content was changed', async () => {
+    const chain = buildChain(3);
+    chain[1].details = { version: 2, changes: { added: ['OTHER_KEY'] } };
+    mockEntries(chain);
+
+    const result = await AuditLog.verifyChain(environment._id);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      expect.objectContaining({ sequence: 2, reason: 'hash_mismatch' })
+    ]);
+  });
+
+  test('detects an entry rehashed after tampering by the broken link that follows', async () => {
+    const chain = buildChain(3);
+    chain[1].userEmail = 'someone-else@example.com';
+    chain[1].hash = AuditLog.computeHash(chain[1]);
+    mockEntries(chain);
+
+    const result = await AuditLog.verifyChain(environment._id);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      expect.objectContaining({ sequence: 3, reason: 'broken_link' })
+    ]);
+  });
+
+  test('detects a removed entry', async () => {
+    const chain = buildChain(4);
+    mockEntries([chain[0], chain[2], chain[3]]);
+
+    const result = await AuditLog.verifyChain(environment._id);
+
+    expect(result.valid).toBe(false);
+    expect(result.checked).toBe(3);
+    expect(result.errors).toEqual([
+      expect.objectContaining({ sequence: 2, reason: 'missing' }),
+      expect.objectContaining({ sequence: 3, reason: 'broken_link' })
+    ]);
+  });
+
+  test('detects removed entries at the start of the chain', async () => {
+    const chain = buildChain(3);
+    mockEntries(chain.slice(1));
+
+    const result = await AuditLog.verifyChain(environment._id);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors.map(error => error.reason)).toEqual(['missing', 'broken_link']);
+  });
+});
+
+describe('auditService.verify', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Serve the anchor lookup's findOne().select().lean()
+   */
+  function mockAnchorLookup(entries) {
+    jest.spyOn(AuditLog, 'findOne').mockImplementation(({ sequence }) => ({
+      select: () => ({
+        lean: async () => entries.find(entry => entry.sequence === sequence) || null
+      })
+    }));
+  }
+
+  test('detects removed newest entries against a previously seen head', async () => {
+    const chain = buildChain(4);
+    const anchor = { sequence: 4, hash: chain[3].hash };
+    mockEntries(chain.slice(0, 3));
+    mockAnchorLookup(chain.slice(0, 3));
+
+    const result = await auditService.verify(environment, anchor);
+
+    expect(result.errors).toEqual([]);
+    expect(result.anchor_matches).toBe(false);
+    expect(result.valid).toBe(false);
+  });
+
+  test('detects a rewritten chain that no longer contains the seen head', async () => {
+    const chain = buildChain(3);
+    const anchor = { sequence: 3, hash: chain[2].hash };
+    const rewritten = buildChain(3);
+    mockEntries(rewritten);
+    mockAnchorLookup(rewritten);
+
+    const result = await auditService.verify(environment, anchor);
+
+    expect(result.anchor_matches).toBe(false);
+    expect(result.valid).toBe(false);
+  });
+
+  test('accepts a chain that grew past the seen head', async () => {
+    const chain = buildChain(5);
+    mockEntries(chain);
+    mockAnchorLookup(chain);
+
+    const result = await auditService.verify(environment, { sequence: 3, hash: chain[2].hash });
+
+    expect(result.anchor_matches).toBe(true);
+    expect(result.valid).toBe(true);
+  });
+});
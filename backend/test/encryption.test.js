@@ -0,0 +1,66 @@
+process.env.JWT_SECRET = 'envfly-test-secret';
+
+const crypto = require('crypto');
+const { encryptString, decryptString, isLegacyCiphertext } = require('../src/utils/encryption');
+
+// Written by the old Environment.encryptValue (crypto.createCipher) with JWT_SECRET=envfly-test-secret
+const LEGACY_FIXTURES = [
+  {
+    plaintext: 'postgres://user:p@ss@db:5432/app',
+    stored: 'fb70ed32cb28950a5a3cf352d6a73d2e:051531707a818e83b4e7ec20373e483cf8723e99392d4937e6c3951e2cd0853f'
+  },
+  {
+    plaintext: 'héllo wörld ✓',
+    stored: 'd459ea0e02c9833f9068407d3527fcca:1db9eb68719ccb874d7eb139207bd89a1b'
+  }
+];
+
+describe('encryption', () => {
+  describe('legacy values', () => {
+    test.each(LEGACY_FIXTURES)('decrypts createCipher output for $plaintext', ({ plaintext, stored }) => {
+      expect(isLegacyCiphertext(stored)).toBe(true);
+      expect(decryptString(stored)).toBe(plaintext);
+    });
+
+    test('migrates to the v2 envelope', () => {
+      for (const { plaintext, stored } of LEGACY_FIXTURES) {
+        const migrated = encryptString(decryptString(stored));
+
+        expect(migrated.startsWith('v2:')).toBe(true);
+        expect(isLegacyCiphertext(migrated)).toBe(false);
+        expect(decryptString(migrated)).toBe(plaintext);
+      }
+    });
+  });
+
+  describe('v2 envelope', () => {
+    test('stores a fresh 96-bit IV and an auth tag', () => {
+      const first = encryptString('secret').split(':');
+      const second = encryptString('secret').split(':');
+
+      expect(first).toHaveLength(4);
+      expect(first[1]).toHaveLength(24);
+      expect(first[2]).toHaveLength(32);
+      expect(first[1]).not.toBe(second[1]);
+    });
+
+    test('round-trips empty, multi-line and non-ASCII values', () => {
+      for (const value of ['', 'line one\nline two', 'ключ=значение #1 🔐']) {
+        expect(decryptString(encryptString(value))).toBe(value);
+      }
+    });
+
+    test('rejects a tampered ciphertext', () => {
+      const [prefix, iv, tag, data] = encryptString('secret').split(':');
+      const flipped = (parseInt(data[0], 16) ^ 1).toString(16) + data.slice(1);
+
+      expect(() => decryptString([prefix, iv, tag, flipped].join(':'))).toThrow();
+    });
+
+    test('rejects a value encrypted under another key', () => {
+      const stored = encryptString('secret', crypto.randomBytes(32));
+
+      expect(() => decryptString(stored)).toThrow();
+    });
+  });
+});
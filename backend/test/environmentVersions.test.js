@@ -0,0 +1,186 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Environment = require('../src/models/Environment');
+const Project = require('../src/models/Project');
+const AuditLog = require('../src/models/AuditLog');
+const environmentRoutes = require('../src/routes/environments');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+const userId = new mongoose.Types.ObjectId();
+const projectId = new mongoose.Types.ObjectId();
+const environmentId = new mongoose.Types.ObjectId();
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { _id: userId, email: 'dev@example.com', name: 'Dev' };
+    next();
+  });
+  app.use('/projects/:projectId/environments', environmentRoutes);
+  app.use(errorHandler);
+  return app;
+}
+
+function fakeProject() {
+  const environments = [{ name: 'production', isActive: true, permissions: { read: [], write: [], admin: [] } }];
+  return {
+    _id: projectId,
+    settings: { maxVariablesPerEnv: 100 },
+    environments,
+    hasPermission: () => true,
+    getEnvironment: name => environments.find(e => e.name === name),
+    addEnvironment: async () => {},
+    updateEnvironmentVersion: async () => {}
+  };
+}
+
+function versionSnapshot(version, variables) {
+  return {
+    version,
+    variables: Object.entries(variables).map(([key, value]) => ({ key, value, encrypted: false })),
+    message: `Version ${version}`,
+    updatedBy: userId,
+    changeType: 'update'
+  };
+}
+
+/**
+ * A single stored environment document. Mongoose saves are answered the way MongoDB would:
+ * an update only matches if its filter, including the version key, matches what is stored.
+ */
+function createStore() {
+  const store = {
+    version: 2,
+    __v: 0,
+    saves: [],
+    loaded: null
+  };
+
+  store.document = () => ({
+    _id: environmentId,
+    projectId,
+    name: 'production',
+    encrypted: false,
+    variables: [{ key: 'API_URL', value: 'https://v2.example.com' }],
+    version: store.version,
+    versionHistory: [
+      versionSnapshot(1, { API_URL: 'https://v1.example.com' }),
+      versionSnapshot(2, { API_URL: 'https://v2.example.com' })
+    ],
+    isActive: true,
+    __v: store.__v
+  });
+
+  jest.spyOn(Environment.collection, 'updateOne').mockImplementation(async (where, update) => {
+    store.saves.push({ where, update });
+
+    const matches = String(where._id) === String(environmentId) && (where.__v === undefined || where.__v === store.__v);
+    if (!matches) {
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0 };
+    }
+
+    store.__v += update.$inc?.__v || 0;
+    store.version = update.$set?.version ?? store.version;
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+  });
+
+  // Every request loads the environment as it was before any of them saved, as concurrent requests do
+  jest.spyOn(Environment, 'findOne').mockImplementation(async () => Environment.hydrate(store.loaded || store.document()));
+  jest.spyOn(Environment, 'findById').mockImplementation(() => ({
+    select: () => ({ lean: async () => ({ _id: environmentId, version: store.version }) })
+  }));
+
+  return store;
+}
+
+describe('environment writes', () => {
+  let app;
+  let store;
+  const url = `/projects/${projectId}/environments/${environmentId}`;
+
+  beforeEach(() => {
+    app = buildApp();
+    store = createStore();
+    store.loaded = store.document();
+
+    jest.spyOn(Project, 'findOne').mockReturnValue({ populate: async () => fakeProject() });
+    jest.spyOn(AuditLog, 'append').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('saves a change and its version in one write filtered on the loaded version key', async () => {
+    const response = await request(app).put(url).send({ variables: { API_URL: 'https://v3.example.com' }, base_version: 2 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.version).toBe(3);
+    expect(response.headers.etag).toBe('"3"');
+    expect(store.saves).toHaveLength(1);
+    expect(store.saves[0].where).toMatchObject({ __v: 0 });
+    expect(store.saves[0].update.$inc).toEqual({ __v: 1 });
+  });
+
+  test('rejects the second of two pushes based on the same version', async () => {
+    const first = await request(app).put(url).send({ variables: { API_URL: 'https://first.example.com' }, base_version: 2 });
+    const second = await request(app).put(url).send({ variables: { API_URL: 'https://second.example.com' }, base_version: 2 });
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(409);
+    expect(second.body).toMatchObject({ error: 'Version conflict', current_version: 3, base_version: 2 });
+    expect(store.version).toBe(3);
+  });
+
+  test('rejects a push without a base version that lost a race', async () => {
+    await request(app).put(url).send({ variables: { API_URL: 'https://first.example.com' } });
+    const second = await request(app).put(url).send({ variables: { API_URL: 'https://second.example.com' } });
+
+    expect(second.status).toBe(409);
+    expect(second.body).toMatchObject({ error: 'Version conflict', current_version: 3 });
+  });
+
+  test('rejects setting a single variable that lost a race', async () => {
+    await request(app).put(url).send({ variables: { API_URL: 'https://first.example.com' }, base_version: 2 });
+    const second = await request(app).put(`${url}/variables/DEBUG`).send({ value: 'true', base_version: 2 });
+
+    expect(second.status).toBe(409);
+  });
+
+  test('rejects a rollback based on an older version', async () => {
+    store.loaded = { ...store.document(), version: 3, versionHistory: [...store.document().versionHistory, versionSnapshot(3, {})] };
+
+    const response = await request(app).post(`${url}/rollback`).send({ version: 1, base_version: 2 });
+
+    expect(response.status).toBe(409);
+    expect(response.body).toMatchObject({ error: 'Version conflict', current_version: 3, base_version: 2 });
+    expect(store.saves).toHaveLength(0);
+  });
+
+  test('rejects a rollback that raced a push', async () => {
+    const push = await request(app).put(url).send({ variables: { API_URL: 'https://v3.example.com' }, base_version: 2 });
+    const rollback = await request(app).post(`${url}/rollback`).send({ version: 1, base_version: 2 });
+
+    expect(push.status).toBe(200);
+    expect(rollback.status).toBe(409);
+    expect(rollback.body).toMatchObject({ error: 'Version conflict', current_version: 3 });
+  });
+
+  test('encrypts secret values before copying them into the version history', async () => {
+    const response = await request(app).put(`${url}/variables/DB_PASSWORD`).send({ value: 'hunter2', is_secret: true, base_version: 2 });
+
+    expect(response.status).toBe(201);
+    expect(response.body.value).toBe('hunter2');
+    expect(JSON.stringify(store.saves[0].update)).not.toContain('hunter2');
+  });
+
+  test('rolls back when the base version is current', async () => {
+    const response = await request(app).post(`${url}/rollback`).send({ version: 1, base_version: 2 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.version).toBe(3);
+    expect(response.body.variables).toEqual({ API_URL: 'https://v1.example.com' });
+  });
+});
@@ -14,11 +14,23 @@ const listCmd = require('../src/commands/list');
 const teamCmd = require('../src/commands/team');
 const historyCmd = require('../src/commands/history');
 const auditCmd = require('../src/commands/audit');
+const migrateEncryptionCmd = require('../src/commands/migrate-encryption');
+const keysCmd = require('../src/commands/keys');
+const resolveCmd = require('../src/commands/resolve');
+const runCmd = require('../src/commands/run');
+const getCmd = require('../src/commands/get');
+const setCmd = require('../src/commands/set');
+const unsetCmd = require('../src/commands/unset');
+const rollbackCmd = require('../src/commands/rollback');
+const diffCmd = require('../src/commands/diff');
+const queueCmd = require('../src/commands/queue');
 
 program
   .name('envfly')
   .description('Sync environment variables across teams and projects')
-  .version(version);
+  .version(version)
+  // Keep -V/--version from swallowing subcommand options such as "rollback --version"
+  .enablePositionalOptions();
 
 // Commands
 program
@@ -36,22 +48,62 @@ program
   .description('Sync specific environment')
   .option('-f, --force', 'Force sync without confirmation')
   .option('--all', 'Sync all environments')
+  .option('-i, --interactive', 'Choose local, remote or a new value for each conflicting key')
+  .option('--offline', 'Merge with the cached remote state and queue the remote update')
+  .option('--show-values', 'Show conflicting values instead of masking them')
   .action(syncCmd);
 
 program
   .command('push <environment>')
   .description('Push local .env to remote')
+  .option('-f, --force', 'Overwrite the remote even if it changed since your last pull or push')
+  .option('--offline', 'Queue the push and send it once EnvFly can be reached')
   .action(pushCmd);
 
 program
   .command('pull <environment>')
   .description('Pull remote environment to local')
+  .option('--expand', 'Write values with ${...} references expanded')
+  .option('--offline', 'Pull from the local cache of the last known remote state')
   .action(pullCmd);
 
 program
-  .command('list')
-  .description('List available environments')
+  .command('resolve <environment>')
+  .description('Print an environment with ${...} references expanded')
+  .option('--raw', 'Print values without expanding references')
+  .option('--remote', 'Read the remote environment instead of the local file')
+  .option('-o, --output <file>', 'Write to a file instead of stdout')
+  .action(resolveCmd);
+
+program
+  .command('run <environment> [command...]')
+  .description('Run a command with an environment injected, without writing it to disk')
+  .option('--watch [seconds]', 'Restart the command when the remote environment changes (checks every 30s by default)')
+  .option('--raw', 'Inject values without expanding ${...} references')
+  .action(runCmd);
+
+program
+  .command('get <environment> <key>')
+  .description('Print one variable of a remote environment')
+  .action(getCmd);
+
+program
+  .command('set <environment> <assignment>')
+  .description('Set one variable (KEY=value) in a remote environment without pushing the whole file')
+  .option('--secret', 'Mark the variable as secret')
+  .option('--description <text>', 'Describe the variable')
+  .action(setCmd);
+
+program
+  .command('unset <environment> <key>')
+  .description('Remove one variable from a remote environment')
+  .action(unsetCmd);
+
+program
+  .command('list [environment]')
+  .description('List available environments, or where each variable of an environment comes from')
   .alias('ls')
+  .option('--offline', 'Show the cached remote state instead of contacting EnvFly')
   .action(listCmd);
 
 // Team management commands
@@ -67,9 +119,55 @@ program
   .action(historyCmd);
 
 program
+  .command('diff <from> [to]')
+  .description('Compare remote and local, two versions (env@3) or two environments')
+  .option('--format <format>', 'Output format: unified, json or summary', 'unified')
+  .option('--show-values', 'Show values instead of masking them')
+  .option('--exit-code', 'Exit with status 1 when there are differences')
+  .action(diffCmd);
+
+program
+  .command('rollback <environment> [version]')
+  .description('Restore a previous version of a remote environment')
+  .option('--version <version>', 'Version to restore (same as the positional argument)')
+  .option('--previous', 'Restore the version before the current one')
+  .option('--pull', 'Update the local file after rolling back')
+  .option('--show-values', 'Show values in the preview instead of masking them')
+  .option('-y, --yes', 'Roll back without confirmation')
+  .action(rollbackCmd);
+
+const auditCommand = program
   .command('audit <environment>')
   .description('Show environment audit logs')
+  .option('--user <email>', 'Only show entries by this user')
+  .option('--action <actions>', 'Only show these actions (comma-separated, e.g. push,rollback)')
+  .option('--since <date>', 'Only show entries after this date or duration (e.g. 2024-01-31, 7d)')
+  .option('--until <date>', 'Only show entries before this date or duration')
+  .option('--limit <n>', 'Maximum number of entries to show', '100')
+  // "audit help" would otherwise shadow an environment named help
+  .addHelpCommand(false)
   .action(auditCmd);
 
+auditCommand
+  .command('verify <environment>')
+  .description('Check environment audit logs for tampering')
+  .action(auditCmd.verify);
+
+program
+  .command('migrate-encryption')
+  .description('Re-encrypt environments stored in the old encryption format')
+  .action(migrateEncryptionCmd);
+
+program
+  .command('keys <action>')
+  .description('Manage project data keys (list, sync, rotate)')
+  .option('-y, --yes', 'Rotate without confirmation')
+  .action(keysCmd);
+
+program
+  .command('queue [action] [environment]')
+  .description('Manage pushes made while offline (list, push, drop)')
+  .action(queueCmd);
+
 // Parse arguments
 program.parse(); 
\ No newline at end of file
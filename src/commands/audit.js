@@ -2,57 +2,32 @@ const chalk = require('chalk');
 const { configManager } = require('../lib/config');
 const { authManager } = require('../lib/auth');
 const { apiClient } = require('../lib/api');
-const { showSuccess, showError, showInfo, createSpinner, formatDate } = require('../lib/utils');
+const { showSuccess, showError, showInfo, createSpinner, formatDate, parseDateInput } = require('../lib/utils');
 
-async function audit(environment) {
+async function audit(environment, options = {}) {
   try {
-    // Load configuration
-    const config = await configManager.loadConfig();
-    
-    // Check authentication
-    const isAuthenticated = await authManager.checkAuth();
-    if (!isAuthenticated) {
-      showError(
-        'You are not authenticated. Please run "envfly login" first.',
-        'Authentication Required'
-      );
-      process.exit(1);
-    }
+    const { config, envConfig } = await loadAuditEnvironment(environment);
 
-    // Initialize API client
-    await apiClient.initialize();
-
-    // Validate environment name
-    if (!environment) {
-      showError(
-        'Environment name is required. Use "envfly audit <environment>"',
-        'Environment Required'
-      );
-      process.exit(1);
-    }
+    const filters = buildAuditFilters(options);
+    await showEnvironmentAudit(environment, envConfig, config, filters, parseInt(options.limit, 10) || 100);
 
-    // Check if environment exists in config
-    const envConfig = config.environments[environment];
-    if (!envConfig) {
-      showError(
-        `Environment "${environment}" not found in configuration.\n\n` +
-        `Available environments: ${Object.keys(config.environments).join(', ')}`,
-        'Environment Not Found'
-      );
-      process.exit(1);
-    }
+  } catch (error) {
+    showError(
+      `Audit command failed: ${error.message}`,
+      'Audit Failed'
+    );
+    process.exit(1);
+  }
+}
 
-    // Check if environment has remote ID
-    if (!envConfig.remote_id) {
-      showError(
-        `Environment "${environment}" is not connected to a remote environment.\n\n` +
-        `Use "envfly push ${environment}" to create a remote environment first.`,
-        'No Remote Environment'
-      );
-      process.exit(1);
-    }
+/**
+ * "envfly audit verify <environment>"
+ */
+async function verify(environment) {
+  try {
+    const { config, envConfig } = await loadAuditEnvironment(environment);
 
-    await showEnvironmentAudit(environment, envConfig, config);
+    await verifyEnvironmentAudit(environment, envConfig, config);
 
   } catch (error) {
     showError(
@@ -63,21 +38,112 @@ async function audit(environment) {
   }
 }
 
+/**
+ * Check authentication and that the environment has a remote, exiting with an error if not
+ */
+async function loadAuditEnvironment(environment) {
+  // Load configuration
+  const config = await configManager.loadConfig();
+  
+  // Check authentication
+  const isAuthenticated = await authManager.checkAuth();
+  if (!isAuthenticated) {
+    showError(
+      'You are not authenticated. Please run "envfly login" first.',
+      'Authentication Required'
+    );
+    process.exit(1);
+  }
+
+  // Initialize API client
+  await apiClient.initialize();
+
+  // Validate environment name
+  if (!environment) {
+    showError(
+      'Environment name is required. Use "envfly audit <environment>"',
+      'Environment Required'
+    );
+    process.exit(1);
+  }
+
+  // Check if environment exists in config
+  const envConfig = config.environments[environment];
+  if (!envConfig) {
+    showError(
+      `Environment "${environment}" not found in configuration.\n\n` +
+      `Available environments: ${Object.keys(config.environments).join(', ')}`,
+      'Environment Not Found'
+    );
+    process.exit(1);
+  }
+
+  // Check if environment has remote ID
+  if (!envConfig.remote_id) {
+    showError(
+      `Environment "${environment}" is not connected to a remote environment.\n\n` +
+      `Use "envfly push ${environment}" to create a remote environment first.`,
+      'No Remote Environment'
+    );
+    process.exit(1);
+  }
+
+  return { config, envConfig };
+}
+
+/**
+ * Convert command options into API query filters
+ */
+function buildAuditFilters(options) {
+  const filters = {};
+
+  if (options.user) filters.user = options.user;
+  if (options.action) filters.action = options.action;
+  if (options.since) filters.since = parseDateInput(options.since);
+  if (options.until) filters.until = parseDateInput(options.until);
+
+  return filters;
+}
+
+/**
+ * Fetch audit log pages until the limit is reached or entries run out
+ */
+async function fetchAuditLogs(config, envConfig, filters, limit) {
+  const auditLogs = [];
+  let cursor = null;
+  let hasMore = false;
+
+  do {
+    const page = await apiClient.getEnvironmentAudit(config.project_id, envConfig.remote_id, {
+      ...filters,
+      limit: Math.min(limit - auditLogs.length, 200),
+      ...(cursor && { cursor })
+    });
+
+    auditLogs.push(...page.entries);
+    cursor = page.next_cursor;
+    hasMore = !!cursor;
+  } while (cursor && auditLogs.length < limit);
+
+  return { auditLogs, hasMore };
+}
+
 /**
  * Show environment audit logs
  */
-async function showEnvironmentAudit(envName, envConfig, config) {
+async function showEnvironmentAudit(envName, envConfig, config, filters = {}, limit = 100) {
   const spinner = createSpinner(`Fetching audit logs for ${envName}...`);
   spinner.start();
 
   try {
-    const auditLogs = await apiClient.getEnvironmentAudit(config.project_id, envConfig.remote_id);
+    const { auditLogs, hasMore } = await fetchAuditLogs(config, envConfig, filters, limit);
     spinner.succeed('Audit logs loaded');
 
     if (auditLogs.length === 0) {
+      const filtered = Object.keys(filters).length > 0;
       showInfo(
         `No audit logs available for ${envName}.\n\n` +
-        `This environment hasn't been modified yet.`,
+        (filtered ? 'No entries match the given filters.' : `This environment hasn't been modified yet.`),
         'No Audit Logs'
       );
       return;
@@ -144,12 +210,63 @@ async function showEnvironmentAudit(envName, envConfig, config) {
       console.log(`  ${chalk.cyan(user)}: ${chalk.bold(count)}`);
     });
 
+    if (hasMore) {
+      console.log(chalk.gray(`\nShowing the latest ${auditLogs.length} entries. Use --limit or narrow the filters to see more.`));
+    }
+
   } catch (error) {
     spinner.fail(`Failed to fetch audit logs for ${envName}`);
     throw error;
   }
 }
 
+/**
+ * Verify an environment's audit hash chain and remember its head
+ */
+async function verifyEnvironmentAudit(envName, envConfig, config) {
+  const spinner = createSpinner(`Verifying audit chain for ${envName}...`);
+  spinner.start();
+
+  let result;
+  try {
+    result = await apiClient.verifyEnvironmentAudit(config.project_id, envConfig.remote_id, envConfig.audit_anchor);
+  } catch (error) {
+    spinner.fail(`Failed to verify audit logs for ${envName}`);
+    throw error;
+  }
+
+  if (result.valid) {
+    spinner.succeed(`Audit chain for ${envName} is intact`);
+    console.log(`  Entries checked: ${chalk.bold(result.checked)}`);
+
+    if (result.head) {
+      console.log(`  Head: #${result.head.sequence} ${chalk.gray(result.head.hash)}`);
+
+      // Later runs check that this entry is still part of the chain
+      envConfig.audit_anchor = result.head;
+      await configManager.saveConfig(config);
+    }
+    return;
+  }
+
+  spinner.fail(`Audit chain for ${envName} has been tampered with`);
+  console.log(chalk.gray('─'.repeat(80)));
+
+  for (const error of result.errors) {
+    console.log(`${chalk.red('✗')} Entry #${error.sequence}: ${error.message}`);
+  }
+
+  if (result.anchor_matches === false) {
+    console.log(
+      `${chalk.red('✗')} Entry #${envConfig.audit_anchor.sequence} no longer matches the hash recorded ` +
+      'by your last verification. The chain may have been rewritten.'
+    );
+  }
+
+  console.log(chalk.gray(`\nEntries checked: ${result.checked}`));
+  process.exit(1);
+}
+
 /**
  * Get action icon
  */
@@ -180,12 +297,13 @@ function getActionColor(action) {
     'pull': chalk.cyan,
     'push': chalk.magenta,
     'sync': chalk.yellow,
-    'rollback': chalk.orange,
-    'share': chalk.purple,
+    'rollback': chalk.yellowBright,
+    'share': chalk.magentaBright,
     'grant': chalk.green,
     'revoke': chalk.red
   };
   return colors[action] || chalk.white;
 }
 
-module.exports = audit; 
\ No newline at end of file
+module.exports = audit;
+module.exports.verify = verify;
@@ -0,0 +1,260 @@
+const chalk = require('chalk');
+const { configManager } = require('../lib/config');
+const { authManager } = require('../lib/auth');
+const { apiClient } = require('../lib/api');
+const { envParser } = require('../lib/env-parser');
+const { environmentLoader } = require('../lib/environments');
+const { showError } = require('../lib/utils');
+
+const FORMATS = ['unified', 'json', 'summary'];
+const MASK = '********';
+
+async function diff(from, to, options = {}) {
+  try {
+    // Load configuration
+    const config = await configManager.loadConfig();
+
+    const format = options.format || 'unified';
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown format "${format}". Use one of: ${FORMATS.join(', ')}`);
+    }
+
+    const [left, right] = resolveSides(from, to);
+    [left, right].forEach(side => environmentLoader.getEnvConfig(side.environment, config));
+
+    const needsRemote = [left, right].some(side => side.source !== 'local');
+    if (needsRemote && (config.storage?.provider || 'envfly') === 'envfly') {
+      // Check authentication
+      const isAuthenticated = await authManager.checkAuth();
+      if (!isAuthenticated) {
+        showError(
+          'You are not authenticated. Please run "envfly login" first.',
+          'Authentication Required'
+        );
+        process.exit(1);
+      }
+
+      // Initialize API client
+      await apiClient.initialize();
+    }
+
+    const changes = await compareSides(left, right, config, options);
+    const identical = changes.added.length + changes.removed.length + changes.modified.length === 0;
+
+    // Plain output so it can be redirected or parsed in CI
+    switch (format) {
+      case 'json':
+        process.stdout.write(JSON.stringify(toJson(left, right, changes, options), null, 2) + '\n');
+        break;
+      case 'summary':
+        process.stdout.write(formatSummary(changes));
+        break;
+      default:
+        process.stdout.write(formatUnified(left, right, changes, options, config));
+    }
+
+    if (options.exitCode && !identical) {
+      process.exit(1);
+    }
+
+  } catch (error) {
+    showError(
+      `Diff failed: ${error.message}`,
+      'Diff Failed'
+    );
+    process.exit(1);
+  }
+}
+
+/**
+ * Parse "name", "name@local", "name@remote" or "name@<version>" into a side to compare
+ */
+function parseSide(spec) {
+  const [environment, qualifier, ...rest] = String(spec).split('@');
+  if (!environment || rest.length > 0) {
+    throw new Error(`Invalid environment "${spec}". Use <env>, <env>@local, <env>@remote or <env>@<version>`);
+  }
+
+  if (qualifier === undefined || qualifier === 'remote') {
+    return { environment, source: 'remote', explicit: qualifier !== undefined };
+  }
+  if (qualifier === 'local') {
+    return { environment, source: 'local', explicit: true };
+  }
+
+  // Accept "v3" as written in the history output
+  const version = qualifier.replace(/^v(?=\d+$)/, '');
+  if (!/^\d+$/.test(version)) {
+    throw new Error(`Invalid version "${qualifier}" in "${spec}"`);
+  }
+  return { environment, source: 'version', version: Number(version), explicit: true };
+}
+
+/**
+ * Work out both sides of the comparison.
+ * With one argument, "env" compares remote to local and "env@N" compares version N to remote.
+ */
+function resolveSides(from, to) {
+  const left = parseSide(from);
+
+  if (to !== undefined) {
+    return [left, parseSide(to)];
+  }
+
+  if (left.source === 'version') {
+    return [left, { environment: left.environment, source: 'remote' }];
+  }
+
+  if (left.explicit) {
+    throw new Error(`Give a second environment to compare ${from} with, or use "envfly diff ${left.environment}"`);
+  }
+
+  return [
+    { environment: left.environment, source: 'remote' },
+    { environment: left.environment, source: 'local' }
+  ];
+}
+
+/**
+ * Label a side for output
+ */
+function describeSide(side) {
+  return side.source === 'version'
+    ? `${side.environment}@${side.version}`
+    : `${side.environment}@${side.source}`;
+}
+
+/**
+ * Load the variables a side sees, including inherited ones for remote sides
+ */
+async function loadSide(side, config) {
+  if (side.source === 'local') {
+    return await environmentLoader.loadLocal(side.environment, config);
+  }
+
+  const variables = side.source === 'version'
+    ? await environmentLoader.loadVersion(side.environment, side.version, config)
+    : await environmentLoader.loadRemote(side.environment, config);
+
+  if (!environmentLoader.hasBases(side.environment, config)) {
+    return variables;
+  }
+
+  const merged = await environmentLoader.applyInheritance(side.environment, variables, config);
+  return merged.variables;
+}
+
+/**
+ * Compare two sides, letting the server compare two versions when values are not needed
+ */
+async function compareSides(left, right, config, options) {
+  const serverSide = !options.showValues &&
+    (config.storage?.provider || 'envfly') === 'envfly' &&
+    left.source === 'version' && right.source === 'version' &&
+    left.environment === right.environment;
+
+  if (serverSide) {
+    try {
+      const result = await apiClient.getEnvironmentDiff(
+        config.project_id,
+        config.environments[left.environment].remote_id,
+        left.version,
+        right.version
+      );
+      return {
+        added: result.added.map(key => ({ key })),
+        removed: result.removed.map(key => ({ key })),
+        modified: result.modified.map(key => ({ key }))
+      };
+    } catch (error) {
+      // Encrypted versions can only be compared here
+      if (error.status !== 400) {
+        throw error;
+      }
+    }
+  }
+
+  const before = await loadSide(left, config);
+  const after = await loadSide(right, config);
+  return envParser.detectConflicts(before, after);
+}
+
+/**
+ * Render a value, masked unless --show-values was given
+ */
+function showValue(value, options) {
+  return options.showValues ? value : MASK;
+}
+
+/**
+ * Unified diff of the changed variables, sorted by key
+ */
+function formatUnified(left, right, changes, options, config) {
+  const describeFile = side => side.source === 'local'
+    ? `${describeSide(side)} (${config.environments[side.environment].file || `.env.${side.environment}`})`
+    : describeSide(side);
+
+  const entries = [
+    ...changes.removed.map(change => ({ key: change.key, lines: [chalk.red(`-${change.key}=${showValue(change.value, options)}`)] })),
+    ...changes.added.map(change => ({ key: change.key, lines: [chalk.green(`+${change.key}=${showValue(change.value, options)}`)] })),
+    ...changes.modified.map(change => ({
+      key: change.key,
+      lines: [
+        chalk.red(`-${change.key}=${showValue(change.localValue, options)}`),
+        chalk.green(`+${change.key}=${showValue(change.remoteValue, options)}`)
+      ]
+    }))
+  ].sort((a, b) => a.key.localeCompare(b.key));
+
+  if (entries.length === 0) {
+    return chalk.gray(`No differences between ${describeSide(left)} and ${describeSide(right)}\n`);
+  }
+
+  const lines = [
+    chalk.bold(`--- ${describeFile(left)}`),
+    chalk.bold(`+++ ${describeFile(right)}`),
+    ...entries.flatMap(entry => entry.lines)
+  ];
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Key-only summary, one line per changed variable
+ */
+function formatSummary(changes) {
+  const lines = [
+    ...changes.added.map(change => `+ ${change.key}`),
+    ...changes.removed.map(change => `- ${change.key}`),
+    ...changes.modified.map(change => `~ ${change.key}`)
+  ];
+
+  const total = lines.length;
+  lines.push(total === 0
+    ? 'No differences'
+    : `${total} ${total === 1 ? 'difference' : 'differences'} ` +
+      `(${changes.added.length} added, ${changes.removed.length} removed, ${changes.modified.length} changed)`);
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Machine-readable result; values are only included with --show-values
+ */
+function toJson(left, right, changes, options) {
+  const side = s => ({
+    environment: s.environment,
+    source: s.source,
+    ...(s.source === 'version' && { version: s.version })
+  });
+
+  return {
+    from: side(left),
+    to: side(right),
+    identical: changes.added.length + changes.removed.length + changes.modified.length === 0,
+    added: changes.added.map(c => (options.showValues ? { key: c.key, value: c.value } : { key: c.key })),
+    removed: changes.removed.map(c => (options.showValues ? { key: c.key, value: c.value } : { key: c.key })),
+    modified: changes.modified.map(c => (options.showValues ? { key: c.key, from: c.localValue, to: c.remoteValue } : { key: c.key }))
+  };
+}
+
+module.exports = diff;
@@ -0,0 +1,53 @@
+const chalk = require('chalk');
+const { configManager } = require('../lib/config');
+const { authManager } = require('../lib/auth');
+const { apiClient } = require('../lib/api');
+const { variableManager } = require('../lib/variables');
+const { showError } = require('../lib/utils');
+
+async function get(environment, key) {
+  try {
+    // Load configuration
+    const config = await configManager.loadConfig();
+
+    if ((config.storage?.provider || 'envfly') === 'envfly') {
+      // Check authentication
+      const isAuthenticated = await authManager.checkAuth();
+      if (!isAuthenticated) {
+        showError(
+          'You are not authenticated. Please run "envfly login" first.',
+          'Authentication Required'
+        );
+        process.exit(1);
+      }
+
+      // Initialize API client
+      await apiClient.initialize();
+    }
+
+    const variable = await variableManager.get(environment, key, config);
+    if (!variable) {
+      showError(
+        `${key} is not set in ${environment}`,
+        'Variable Not Found'
+      );
+      process.exit(1);
+    }
+
+    // Plain output so it can be captured, e.g. TOKEN=$(envfly get production API_TOKEN)
+    process.stdout.write(`${variable.value}\n`);
+
+    if (variable.origin !== environment) {
+      console.error(chalk.gray(`envfly: ${key} is inherited from ${variable.origin}`));
+    }
+
+  } catch (error) {
+    showError(
+      `Get failed: ${error.message}`,
+      'Get Failed'
+    );
+    process.exit(1);
+  }
+}
+
+module.exports = get;
@@ -2,25 +2,29 @@ const chalk = require('chalk');
 const { configManager } = require('../lib/config');
 const { authManager } = require('../lib/auth');
 const { apiClient } = require('../lib/api');
+const { StorageProviderFactory } = require('../lib/storage-providers');
 const { showSuccess, showError, showInfo, createSpinner, formatDate } = require('../lib/utils');
 
 async function history(environment) {
   try {
     // Load configuration
     const config = await configManager.loadConfig();
+    const storageProvider = config.storage?.provider || 'envfly';
     
-    // Check authentication
-    const isAuthenticated = await authManager.checkAuth();
-    if (!isAuthenticated) {
-      showError(
-        'You are not authenticated. Please run "envfly login" first.',
-        'Authentication Required'
-      );
-      process.exit(1);
-    }
+    if (storageProvider === 'envfly') {
+      // Check authentication
+      const isAuthenticated = await authManager.checkAuth();
+      if (!isAuthenticated) {
+        showError(
+          'You are not authenticated. Please run "envfly login" first.',
+          'Authentication Required'
+        );
+        process.exit(1);
+      }
 
-    // Initialize API client
-    await apiClient.initialize();
+      // Initialize API client
+      await apiClient.initialize();
+    }
 
     // Validate environment name
     if (!environment) {
@@ -43,7 +47,7 @@ async function history(environment) {
     }
 
     // Check if environment has remote ID
-    if (!envConfig.remote_id) {
+    if (storageProvider === 'envfly' && !envConfig.remote_id) {
       showError(
         `Environment "${environment}" is not connected to a remote environment.\n\n` +
         `Use "envfly push ${environment}" to create a remote environment first.`,
@@ -71,7 +75,15 @@ async function showEnvironmentHistory(envName, envConfig, config) {
   spinner.start();
 
   try {
-    const history = await apiClient.getEnvironmentHistory(config.project_id, envConfig.remote_id);
+    const storageProvider = config.storage?.provider || 'envfly';
+    let history;
+    if (storageProvider === 'envfly') {
+      history = await apiClient.getEnvironmentHistory(config.project_id, envConfig.remote_id);
+    } else {
+      // Providers with native versioning list their own versions, newest first
+      const provider = await StorageProviderFactory.create(storageProvider, config.storage.config);
+      history = await provider.listVersions(envName);
+    }
     spinner.succeed('History loaded');
 
     if (history.length === 0) {
@@ -92,9 +104,11 @@ async function showEnvironmentHistory(envName, envConfig, config) {
       
       console.log(`${isCurrent ? chalk.green('→') : ' '} Version ${chalk.bold(version.version)}`);
       console.log(`  Updated: ${formatDate(version.updated_at)}`);
-      console.log(`  By: ${chalk.cyan(version.updated_by)}`);
-      console.log(`  Variables: ${chalk.bold(version.variable_count)}`);
-      console.log(`  Message: ${version.message || 'No message'}`);
+      if (storageProvider === 'envfly') {
+        console.log(`  By: ${chalk.cyan(version.updated_by)}`);
+        console.log(`  Variables: ${chalk.bold(version.variable_count)}`);
+        console.log(`  Message: ${version.message || 'No message'}`);
+      }
       
       if (version.changes) {
         console.log(`  Changes:`);
@@ -54,10 +54,26 @@ async function init() {
             name: 'Git Repository (encrypted) - Store in your Git repo',
             value: 'git'
           },
+          {
+            name: 'Local Directory (encrypted) - Store on this machine or a mounted share',
+            value: 'local'
+          },
+          {
+            name: 'SOPS Files (age) - Encrypted values in files the sops CLI can read',
+            value: 'sops'
+          },
           {
             name: 'AWS Secrets Manager - Store in AWS',
             value: 'aws'
           },
+          {
+            name: 'AWS Parameter Store - One SecureString parameter per variable',
+            value: 'aws-ssm'
+          },
+          {
+            name: 'Amazon S3 / MinIO (encrypted) - Store in a versioned bucket',
+            value: 's3'
+          },
           {
             name: 'Azure Key Vault - Store in Azure',
             value: 'azure'
@@ -66,6 +82,10 @@ async function init() {
             name: 'Google Secret Manager - Store in Google Cloud',
             value: 'google'
           },
+          {
+            name: 'HashiCorp Vault - Store in a Vault KV v2 engine',
+            value: 'vault'
+          },
           {
             name: 'EnvFly Cloud Service - Use EnvFly hosted service',
             value: 'envfly'
@@ -214,6 +234,71 @@ async function configureStorageProvider(providerType) {
       };
       break;
 
+    case 'local':
+      const localAnswers = await inquirer.prompt([
+        {
+          type: 'password',
+          name: 'encryptionKey',
+          message: 'Enter encryption key for local storage:',
+          validate: (input) => {
+            if (!input || input.length < 8) {
+              return 'Encryption key must be at least 8 characters';
+            }
+            return true;
+          }
+        },
+        {
+          type: 'input',
+          name: 'path',
+          message: 'Directory to store environments in:',
+          default: '.envfly-environments'
+        }
+      ]);
+
+      config.encryption_key = localAnswers.encryptionKey;
+      config.local = {
+        path: localAnswers.path
+      };
+      break;
+
+    case 'sops':
+      const sopsAnswers = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'path',
+          message: 'Directory to store environments in:',
+          default: '.envfly-environments'
+        },
+        {
+          type: 'list',
+          name: 'format',
+          message: 'File format:',
+          choices: ['yaml', 'json', 'dotenv'],
+          default: 'yaml'
+        },
+        {
+          type: 'input',
+          name: 'recipients',
+          message: 'Age recipients, separated by commas (leave empty to use .sops.yaml or SOPS_AGE_RECIPIENTS):',
+          default: '',
+          validate: (input) => {
+            if (input && !input.split(',').every(recipient => /^age1[02-9ac-hj-np-z]+$/.test(recipient.trim()))) {
+              return 'Age recipients start with age1';
+            }
+            return true;
+          }
+        }
+      ]);
+
+      config.sops = {
+        path: sopsAnswers.path,
+        format: sopsAnswers.format,
+        ...(sopsAnswers.recipients && {
+          age_recipients: sopsAnswers.recipients.split(',').map(recipient => recipient.trim())
+        })
+      };
+      break;
+
     case 'aws':
       const awsAnswers = await inquirer.prompt([
         {
@@ -236,6 +321,101 @@ async function configureStorageProvider(providerType) {
       };
       break;
 
+    case 'aws-ssm':
+      const ssmAnswers = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'region',
+          message: 'AWS region:',
+          default: process.env.AWS_REGION || 'us-east-1'
+        },
+        {
+          type: 'input',
+          name: 'prefix',
+          message: 'Parameter path prefix:',
+          default: 'envfly'
+        },
+        {
+          type: 'input',
+          name: 'kmsKeyId',
+          message: 'KMS key ID or alias for SecureString parameters (leave empty for the AWS managed key):',
+          default: ''
+        },
+        {
+          type: 'input',
+          name: 'tags',
+          message: 'Tags for the parameters, e.g. team=payments,service=api (optional):',
+          default: '',
+          validate: (input) => {
+            if (input && !input.split(',').every(tag => /^[^=]+=.*$/.test(tag.trim()))) {
+              return 'Use key=value pairs separated by commas';
+            }
+            return true;
+          }
+        }
+      ]);
+
+      config.ssm = {
+        region: ssmAnswers.region,
+        prefix: ssmAnswers.prefix,
+        ...(ssmAnswers.kmsKeyId && { kms_key_id: ssmAnswers.kmsKeyId }),
+        ...(ssmAnswers.tags && {
+          tags: Object.fromEntries(ssmAnswers.tags.split(',').map(tag => {
+            const [key, ...value] = tag.trim().split('=');
+            return [key.trim(), value.join('=').trim()];
+          }))
+        })
+      };
+      break;
+
+    case 's3':
+      const s3Answers = await inquirer.prompt([
+        {
+          type: 'password',
+          name: 'encryptionKey',
+          message: 'Enter encryption key for S3 storage:',
+          validate: (input) => {
+            if (!input || input.length < 8) {
+              return 'Encryption key must be at least 8 characters';
+            }
+            return true;
+          }
+        },
+        {
+          type: 'input',
+          name: 'bucket',
+          message: 'Bucket name (with versioning enabled):',
+          validate: (input) => input ? true : 'Bucket name is required'
+        },
+        {
+          type: 'input',
+          name: 'region',
+          message: 'Region:',
+          default: process.env.AWS_REGION || 'us-east-1'
+        },
+        {
+          type: 'input',
+          name: 'prefix',
+          message: 'Object key prefix:',
+          default: 'envfly'
+        },
+        {
+          type: 'input',
+          name: 'endpoint',
+          message: 'Custom endpoint, e.g. http://localhost:9000 for MinIO (leave empty for AWS):',
+          default: ''
+        }
+      ]);
+
+      config.encryption_key = s3Answers.encryptionKey;
+      config.s3 = {
+        bucket: s3Answers.bucket,
+        region: s3Answers.region,
+        prefix: s3Answers.prefix,
+        ...(s3Answers.endpoint && { endpoint: s3Answers.endpoint })
+      };
+      break;
+
     case 'azure':
       const azureAnswers = await inquirer.prompt([
         {
@@ -284,6 +464,60 @@ async function configureStorageProvider(providerType) {
         prefix: googleAnswers.prefix
       };
       break;
+
+    case 'vault':
+      const vaultAnswers = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'address',
+          message: 'Vault address:',
+          default: process.env.VAULT_ADDR || 'http://127.0.0.1:8200'
+        },
+        {
+          type: 'input',
+          name: 'mount',
+          message: 'KV v2 mount path:',
+          default: 'secret'
+        },
+        {
+          type: 'input',
+          name: 'prefix',
+          message: 'Secret path prefix:',
+          default: 'envfly'
+        },
+        {
+          type: 'list',
+          name: 'authMethod',
+          message: 'Vault authentication method:',
+          choices: [
+            {
+              name: 'Token (VAULT_TOKEN or ~/.vault-token)',
+              value: 'token'
+            },
+            {
+              name: 'AppRole (secret ID from VAULT_SECRET_ID)',
+              value: 'approle'
+            }
+          ]
+        },
+        {
+          type: 'input',
+          name: 'roleId',
+          message: 'AppRole role ID:',
+          default: process.env.VAULT_ROLE_ID || '',
+          when: (answers) => answers.authMethod === 'approle'
+        }
+      ]);
+
+      config.vault = {
+        address: vaultAnswers.address,
+        mount: vaultAnswers.mount,
+        prefix: vaultAnswers.prefix,
+        auth: vaultAnswers.authMethod === 'approle'
+          ? { method: 'approle', role_id: vaultAnswers.roleId }
+          : { method: 'token' }
+      };
+      break;
   }
 
   return config;
@@ -361,9 +595,14 @@ async function handleTeamSetup() {
 function getStorageProviderName(providerType) {
   const providers = {
     'git': 'Git Repository',
+    'local': 'Local Directory',
+    'sops': 'SOPS Files',
     'aws': 'AWS Secrets Manager',
+    'aws-ssm': 'AWS Parameter Store',
+    's3': 'Amazon S3',
     'azure': 'Azure Key Vault',
     'google': 'Google Secret Manager',
+    'vault': 'HashiCorp Vault',
     'envfly': 'EnvFly Cloud Service'
   };
   return providers[providerType] || providerType;
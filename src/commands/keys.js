@@ -0,0 +1,198 @@
+const inquirer = require('inquirer');
+const chalk = require('chalk');
+const { configManager } = require('../lib/config');
+const { authManager } = require('../lib/auth');
+const { apiClient } = require('../lib/api');
+const { keyManager } = require('../lib/keys');
+const { cryptoManager } = require('../lib/crypto');
+const { showSuccess, showError, showInfo, createSpinner, formatDate } = require('../lib/utils');
+
+async function keys(action, options = {}) {
+  try {
+    // Load configuration
+    const config = await configManager.loadConfig();
+
+    // Check authentication
+    const isAuthenticated = await authManager.checkAuth();
+    if (!isAuthenticated) {
+      showError(
+        'You are not authenticated. Please run "envfly login" first.',
+        'Authentication Required'
+      );
+      process.exit(1);
+    }
+
+    // Initialize API client
+    await apiClient.initialize();
+
+    switch (action) {
+      case 'list':
+        await listKeys(config);
+        break;
+      case 'rotate':
+        await rotateKey(config, options);
+        break;
+      case 'sync':
+        await syncKeys(config);
+        break;
+      default:
+        showError(
+          `Unknown keys command: ${action}\n\n` +
+          `Available commands:\n` +
+          `  envfly keys list     - List project data key versions\n` +
+          `  envfly keys sync     - Share project keys with members who lack them\n` +
+          `  envfly keys rotate   - Re-encrypt all environments under a new data key`,
+          'Invalid Command'
+        );
+        process.exit(1);
+    }
+
+  } catch (error) {
+    showError(
+      `Keys command failed: ${error.message}`,
+      'Keys Command Failed'
+    );
+    process.exit(1);
+  }
+}
+
+/**
+ * List project data key versions
+ */
+async function listKeys(config) {
+  const spinner = createSpinner('Fetching project keys...');
+  spinner.start();
+
+  try {
+    const versions = await keyManager.listKeys(config.project_id);
+    spinner.succeed('Project keys loaded');
+
+    if (versions.length === 0) {
+      showInfo(
+        'This project has no data key yet.\n\n' +
+        'One is created the first time you push an encrypted environment.',
+        'No Keys'
+      );
+      return;
+    }
+
+    console.log(chalk.blue(`\n🔑 Data keys for ${config.project_name}`));
+    console.log(chalk.gray('─'.repeat(60)));
+
+    for (const version of versions) {
+      const label = version.current
+        ? (version.rotation_required ? chalk.yellow(' (current, rotation required)') : chalk.green(' (current)'))
+        : '';
+      console.log(`${chalk.bold(`v${version.version}`)}${label} - ${formatDate(version.created_at)}`);
+      console.log(`  Members with access: ${chalk.bold(version.recipients)}`);
+    }
+
+  } catch (error) {
+    spinner.fail('Failed to fetch project keys');
+    throw error;
+  }
+}
+
+/**
+ * Create a new data key and re-encrypt every remote environment under it
+ */
+async function rotateKey(config, options) {
+  if (!options.yes) {
+    const { confirmed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message: `Re-encrypt every environment in ${config.project_name} under a new data key?`,
+        default: false
+      }
+    ]);
+
+    if (!confirmed) {
+      console.log(chalk.yellow('Key rotation cancelled'));
+      return;
+    }
+  }
+
+  const spinner = createSpinner('Decrypting environments...');
+  spinner.start();
+
+  try {
+    // Decrypt everything first so a failure leaves the old key in place
+    const remoteEnvironments = await apiClient.getEnvironments(config.project_id);
+    const decrypted = [];
+
+    for (const env of remoteEnvironments) {
+      spinner.text = `Decrypting ${env.name}...`;
+      const remoteData = await apiClient.getEnvironment(config.project_id, env.id);
+
+      if (remoteData.encrypted) {
+        decrypted.push({
+          id: env.id,
+          name: env.name,
+          version: remoteData.version,
+          variables: await cryptoManager.decrypt(remoteData.variables, config.project_id)
+        });
+      }
+    }
+
+    spinner.text = 'Creating new data key...';
+    const { version, pending } = await keyManager.createKey(config.project_id);
+
+    for (const env of decrypted) {
+      spinner.text = `Re-encrypting ${env.name}...`;
+      const encryptedData = await cryptoManager.encrypt(env.variables, config.project_id);
+      await apiClient.updateEnvironment(
+        config.project_id,
+        env.id,
+        encryptedData,
+        `Rotate data key to v${version}`,
+        env.version
+      );
+    }
+
+    spinner.succeed(`Rotated data key to v${version}`);
+
+    showSuccess(
+      `Re-encrypted ${chalk.bold(decrypted.length)} environments under data key ${chalk.bold(`v${version}`)}.\n\n` +
+      'The new key was sealed to every current member\'s public key.\n' +
+      (pending.length > 0
+        ? chalk.yellow(`Waiting for a public key from: ${pending.map(p => p.email).join(', ')}\n`) +
+          chalk.gray('They get access once they run "envfly login" and someone runs "envfly keys sync".\n')
+        : '') +
+      chalk.gray('Older versions in the history stay readable with the previous keys.'),
+      'Key Rotated'
+    );
+
+  } catch (error) {
+    spinner.fail('Key rotation failed');
+    throw error;
+  }
+}
+
+/**
+ * Seal project keys for members who do not hold them yet
+ */
+async function syncKeys(config) {
+  const spinner = createSpinner('Sharing project keys...');
+  spinner.start();
+
+  try {
+    const { shared, pending } = await keyManager.shareWithMembers(config.project_id);
+    spinner.succeed(shared.length > 0 ? `Shared project keys with ${shared.length} members` : 'All members already hold the project keys');
+
+    if (shared.length > 0) {
+      shared.forEach(email => console.log(`  ${chalk.green('✓')} ${email}`));
+    }
+
+    if (pending.length > 0) {
+      console.log(chalk.yellow(`\nWaiting for a public key from: ${pending.join(', ')}`));
+      console.log(chalk.gray('They need to run "envfly login" once before keys can be shared with them.'));
+    }
+
+  } catch (error) {
+    spinner.fail('Failed to share project keys');
+    throw error;
+  }
+}
+
+module.exports = keys;
@@ -4,12 +4,23 @@ const { authManager } = require('../lib/auth');
 const { apiClient } = require('../lib/api');
 const { StorageProviderFactory } = require('../lib/storage-providers');
 const { envParser } = require('../lib/env-parser');
+const { environmentLoader } = require('../lib/environments');
+const { cacheManager } = require('../lib/cache');
 const { showSuccess, showError, showInfo, createSpinner, formatDate, formatFileSize } = require('../lib/utils');
 
-async function list() {
+async function list(environment, options = {}) {
   try {
     // Load configuration
     const config = await configManager.loadConfig();
+
+    if (options.offline) {
+      cacheManager.goOffline(config);
+    }
+
+    if (environment) {
+      await listKeyOrigins(environment, config);
+      return;
+    }
     
     const spinner = createSpinner('Loading environment information...');
     spinner.start();
@@ -30,10 +41,13 @@ async function list() {
     // Get local environments
     const localEnvironments = await getLocalEnvironments(config);
 
+    // Pushes made while offline that have not reached EnvFly yet
+    const queue = storageProvider === 'envfly' ? await cacheManager.getQueue(config) : [];
+
     spinner.succeed('Environment information loaded');
 
     // Display environments
-    displayEnvironments(config, localEnvironments, remoteEnvironments);
+    displayEnvironments(config, localEnvironments, remoteEnvironments, queue);
 
   } catch (error) {
     showError(
@@ -44,11 +58,80 @@ async function list() {
   }
 }
 
+/**
+ * Show each variable of an environment and the layer it comes from
+ */
+async function listKeyOrigins(environment, config) {
+  const envConfig = environmentLoader.getEnvConfig(environment, config);
+  const chain = configManager.getInheritanceChain(environment, config);
+
+  const spinner = createSpinner(`Loading ${environment} layers...`);
+  spinner.start();
+
+  let localEnv = {};
+  try {
+    localEnv = await envParser.readEnvFile(envParser.getEnvFilePath(environment, config));
+  } catch (error) {
+    // Missing local file; remote layers are still shown
+  }
+
+  let origins = {};
+  let remoteEnv = {};
+  try {
+    const storageProvider = config.storage?.provider || 'envfly';
+    if (storageProvider === 'envfly' && !cacheManager.isOffline()) {
+      if (!await authManager.checkAuth()) {
+        throw new Error('not authenticated');
+      }
+      await apiClient.initialize();
+    }
+
+    // An environment that was never pushed has no layer of its own yet
+    const ownVariables = storageProvider !== 'envfly' || envConfig.remote_id
+      ? await environmentLoader.loadRemote(environment, config)
+      : {};
+    ({ variables: remoteEnv, origins } = await environmentLoader.applyInheritance(environment, ownVariables, config));
+    spinner.succeed(`Loaded ${chain.length} layers`);
+  } catch (error) {
+    spinner.warn(`Could not load remote layers: ${error.message}`);
+  }
+
+  console.log(chalk.blue(`\n🧬 ${environment}`) + chalk.gray(chain.length > 1 ? ` (${chain.join(' → ')})` : ''));
+  console.log(chalk.gray('─'.repeat(80)));
+
+  const keys = [...new Set([...Object.keys(remoteEnv), ...Object.keys(localEnv)])].sort();
+  if (keys.length === 0) {
+    console.log(chalk.yellow('No variables found.'));
+    return;
+  }
+
+  console.log(chalk.bold('Variable'.padEnd(40) + 'From'));
+  for (const key of keys) {
+    let from;
+    if (!origins[key]) {
+      from = chalk.yellow('local only (not pushed)');
+    } else if (localEnv[key] !== undefined && localEnv[key] !== remoteEnv[key]) {
+      from = chalk.yellow(`${origins[key]}, changed locally`);
+    } else if (!(key in localEnv) && Object.keys(localEnv).length > 0) {
+      from = chalk.gray(`${origins[key]}, missing locally`);
+    } else {
+      from = origins[key] === environment ? chalk.green(origins[key]) : chalk.cyan(origins[key]);
+    }
+
+    console.log(key.padEnd(40) + from);
+  }
+}
+
 /**
  * Get environments from EnvFly cloud service
  */
 async function getEnvFlyEnvironments(config) {
   try {
+    // Offline, the cache holds the last known remote state
+    if (cacheManager.isOffline()) {
+      return await cacheManager.list(config);
+    }
+
     // Check authentication
     const isAuthenticated = await authManager.checkAuth();
     if (!isAuthenticated) {
@@ -59,7 +142,7 @@ async function getEnvFlyEnvironments(config) {
     await apiClient.initialize();
 
     // Get project environments
-    const environments = await apiClient.getProjectEnvironments(config.project_id);
+    const environments = await apiClient.getEnvironments(config.project_id);
     return environments || [];
 
   } catch (error) {
@@ -144,7 +227,7 @@ async function getLocalEnvironments(config) {
 /**
  * Display environments in a formatted table
  */
-function displayEnvironments(config, localEnvironments, remoteEnvironments) {
+function displayEnvironments(config, localEnvironments, remoteEnvironments, queue = []) {
   console.log(chalk.blue('\n📋 Environment Overview'));
   console.log(chalk.gray('─'.repeat(80)));
 
@@ -158,6 +241,9 @@ function displayEnvironments(config, localEnvironments, remoteEnvironments) {
   
   const storageProvider = config.storage?.provider || 'envfly';
   console.log(chalk.gray(`Storage: ${getStorageProviderName(storageProvider)}`));
+  if (cacheManager.isOffline()) {
+    console.log(chalk.yellow('Offline: remote state is from the local cache'));
+  }
   
   console.log(chalk.gray('─'.repeat(80)));
 
@@ -210,7 +296,10 @@ function displayEnvironments(config, localEnvironments, remoteEnvironments) {
     
     // Status
     let status = '';
-    if (localEnv.error) {
+    const queued = queue.find(item => item.environment === localEnv.name);
+    if (queued) {
+      status = queued.conflict ? chalk.red('Conflict') : chalk.yellow('Queued');
+    } else if (localEnv.error) {
       status = chalk.red('Error');
     } else if (!localEnv.exists) {
       status = chalk.yellow('Missing');
@@ -251,6 +340,9 @@ function displayEnvironments(config, localEnvironments, remoteEnvironments) {
   console.log(`Existing files: ${chalk.bold(existingEnvironments)}`);
   console.log(`Synced environments: ${chalk.bold(syncedEnvironments)}`);
   console.log(`Total variables: ${chalk.bold(totalVariables)}`);
+  if (queue.length > 0) {
+    console.log(`Queued pushes: ${chalk.bold(queue.length)} ${chalk.gray('(run "envfly queue" for details)')}`);
+  }
 
   // Remote environments summary
   if (remoteEnvironments.length > 0) {
@@ -287,9 +379,14 @@ function displayEnvironments(config, localEnvironments, remoteEnvironments) {
 function getStorageProviderName(providerType) {
   const providers = {
     'git': 'Git Repository',
+    'local': 'Local Directory',
+    'sops': 'SOPS Files',
     'aws': 'AWS Secrets Manager',
+    'aws-ssm': 'AWS Parameter Store',
+    's3': 'Amazon S3',
     'azure': 'Azure Key Vault',
     'google': 'Google Secret Manager',
+    'vault': 'HashiCorp Vault',
     'envfly': 'EnvFly Cloud Service'
   };
   return providers[providerType] || providerType;
@@ -70,6 +70,14 @@ async function login() {
       await authManager.login(answers.apiKey.trim());
       spinner.succeed('Authentication successful!');
 
+      // Publish our public key so teammates can share project keys with us
+      try {
+        const { keyManager } = require('../lib/keys');
+        await keyManager.ensureKeyPair({ publish: true });
+      } catch (keyError) {
+        console.warn(chalk.yellow(`Warning: Could not publish your public key: ${keyError.message}`));
+      }
+
       // Get user profile if possible
       try {
         const { apiClient } = require('../lib/api');
@@ -0,0 +1,152 @@
+const chalk = require('chalk');
+const { configManager } = require('../lib/config');
+const { authManager } = require('../lib/auth');
+const { apiClient } = require('../lib/api');
+const { StorageProviderFactory } = require('../lib/storage-providers');
+const { cryptoManager } = require('../lib/crypto');
+const { showSuccess, showError, showInfo, createSpinner } = require('../lib/utils');
+
+async function migrateEncryption() {
+  try {
+    // Load configuration
+    const config = await configManager.loadConfig();
+
+    // Get storage provider
+    const storageProvider = config.storage?.provider || 'envfly';
+
+    let results;
+    if (storageProvider === 'envfly') {
+      results = await migrateEnvFlyEnvironments(config);
+    } else if (storageProvider === 'git') {
+      results = await migrateGitEnvironments(config);
+    } else {
+      showInfo(
+        `Environments stored with ${storageProvider} are encrypted by the provider itself.\n\n` +
+        'There is nothing to migrate.',
+        'Nothing to Migrate'
+      );
+      return;
+    }
+
+    showMigrationSummary(results);
+
+  } catch (error) {
+    showError(
+      `Encryption migration failed: ${error.message}`,
+      'Migration Failed'
+    );
+    process.exit(1);
+  }
+}
+
+/**
+ * Re-encrypt remote environments under the project data key
+ */
+async function migrateEnvFlyEnvironments(config) {
+  // Check authentication
+  const isAuthenticated = await authManager.checkAuth();
+  if (!isAuthenticated) {
+    showError(
+      'You are not authenticated. Please run "envfly login" first.',
+      'Authentication Required'
+    );
+    process.exit(1);
+  }
+
+  // Initialize API client
+  await apiClient.initialize();
+
+  const results = { migrated: [], current: [], skipped: [] };
+
+  for (const [name, envConfig] of Object.entries(config.environments)) {
+    if (!envConfig.remote_id) {
+      results.skipped.push(name);
+      continue;
+    }
+
+    const spinner = createSpinner(`Checking ${name}...`);
+    spinner.start();
+
+    try {
+      const remoteData = await apiClient.getEnvironment(config.project_id, envConfig.remote_id);
+
+      // Anything not under a project key was encrypted with an API key
+      if (!remoteData.encrypted || cryptoManager.isProjectKeyed(remoteData.variables)) {
+        spinner.succeed(`${name} is already up to date`);
+        results.current.push(name);
+        continue;
+      }
+
+      spinner.text = `Re-encrypting ${name}...`;
+      const variables = await cryptoManager.decrypt(remoteData.variables);
+      const encryptedData = await cryptoManager.encrypt(variables, config.project_id);
+
+      await apiClient.updateEnvironment(
+        config.project_id,
+        envConfig.remote_id,
+        encryptedData,
+        'Re-encrypt with the project data key',
+        remoteData.version
+      );
+
+      spinner.succeed(`Re-encrypted ${name}`);
+      results.migrated.push(name);
+    } catch (error) {
+      spinner.fail(`Failed to re-encrypt ${name}`);
+      throw error;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Re-encrypt Git-stored environments written in the old format
+ */
+async function migrateGitEnvironments(config) {
+  const provider = await StorageProviderFactory.create('git', config.storage.config);
+  const environments = await provider.list();
+  const results = { migrated: [], current: [], skipped: [] };
+
+  for (const { name } of environments) {
+    const spinner = createSpinner(`Checking ${name}...`);
+    spinner.start();
+
+    try {
+      if (await provider.reencrypt(name)) {
+        spinner.succeed(`Re-encrypted ${name}`);
+        results.migrated.push(name);
+      } else {
+        spinner.succeed(`${name} is already up to date`);
+        results.current.push(name);
+      }
+    } catch (error) {
+      spinner.fail(`Failed to re-encrypt ${name}`);
+      throw error;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Show migration summary
+ */
+function showMigrationSummary(results) {
+  const lines = [
+    `Re-encrypted: ${chalk.bold(results.migrated.length)}`,
+    `Already up to date: ${chalk.bold(results.current.length)}`
+  ];
+
+  if (results.skipped.length > 0) {
+    lines.push(`Not pushed yet: ${chalk.bold(results.skipped.join(', '))}`);
+  }
+
+  if (results.migrated.length > 0) {
+    lines.push('', chalk.gray('Earlier versions in the history keep their old encryption.'));
+  }
+
+  showSuccess(lines.join('\n'), 'Migration Complete');
+}
+
+module.exports = migrateEncryption;
@@ -4,10 +4,11 @@ const { authManager } = require('../lib/auth');
 const { apiClient } = require('../lib/api');
 const { StorageProviderFactory } = require('../lib/storage-providers');
 const { envParser } = require('../lib/env-parser');
-const { cryptoManager } = require('../lib/crypto');
+const { environmentLoader } = require('../lib/environments');
+const { cacheManager } = require('../lib/cache');
 const { showSuccess, showError, showInfo, createSpinner, formatDate } = require('../lib/utils');
 
-async function pull(environment) {
+async function pull(environment, options = {}) {
   try {
     // Load configuration
     const config = await configManager.loadConfig();
@@ -32,15 +33,19 @@ async function pull(environment) {
       process.exit(1);
     }
 
+    if (options.offline) {
+      cacheManager.goOffline(config);
+    }
+
     // Get storage provider
     const storageProvider = config.storage?.provider || 'envfly';
     
     if (storageProvider === 'envfly') {
       // Use EnvFly cloud service
-      await pullFromEnvFly(environment, envConfig, config);
+      await pullFromEnvFly(environment, envConfig, config, options);
     } else {
       // Use custom storage provider
-      await pullFromStorageProvider(environment, envConfig, config);
+      await pullFromStorageProvider(environment, envConfig, config, options);
     }
 
   } catch (error) {
@@ -55,20 +60,38 @@ async function pull(environment) {
 /**
  * Pull from EnvFly cloud service
  */
-async function pullFromEnvFly(environment, envConfig, config) {
-  // Check authentication
-  const isAuthenticated = await authManager.checkAuth();
-  if (!isAuthenticated) {
+async function pullFromEnvFly(environment, envConfig, config, options) {
+  const offline = cacheManager.isOffline();
+
+  if (!offline) {
+    // Check authentication
+    const isAuthenticated = await authManager.checkAuth();
+    if (!isAuthenticated) {
+      showError(
+        'You are not authenticated. Please run "envfly login" first.',
+        'Authentication Required'
+      );
+      process.exit(1);
+    }
+
+    // Initialize API client
+    await apiClient.initialize();
+
+    // Send pushes made while offline before reading the remote state
+    await cacheManager.replayQueue(config);
+  }
+
+  // Pulling would overwrite changes that are only kept in the queue
+  const queued = (await cacheManager.getQueue(config)).find(item => item.environment === environment);
+  if (queued) {
     showError(
-      'You are not authenticated. Please run "envfly login" first.',
-      'Authentication Required'
+      `${environment} has changes queued while offline that are not pushed yet.\n\n` +
+      `Run "envfly sync ${environment}" to merge them, or "envfly queue drop ${environment}" to discard them.`,
+      'Queued Changes'
     );
     process.exit(1);
   }
 
-  // Initialize API client
-  await apiClient.initialize();
-
   // Check if environment has remote ID
   if (!envConfig.remote_id) {
     showError(
@@ -92,24 +115,15 @@ async function pullFromEnvFly(environment, envConfig, config) {
       console.log(chalk.blue(`✓ Created backup: ${backupPath}`));
     }
 
-    spinner.text = 'Fetching from EnvFly...';
+    spinner.text = offline ? 'Reading offline cache...' : 'Fetching from EnvFly...';
 
-    // Fetch remote environment
-    const remoteData = await apiClient.getEnvironment(config.project_id, envConfig.remote_id);
-    
-    if (!remoteData || !remoteData.variables) {
-      throw new Error('Remote environment is empty or invalid');
-    }
-
-    spinner.text = 'Decrypting environment variables...';
+    // Fetch and decrypt the remote environment
+    const remoteData = await environmentLoader.fetchRemote(environment, config);
+    let remoteEnv = remoteData.variables;
 
-    // Decrypt environment variables if encrypted
-    let remoteEnv;
-    if (remoteData.encrypted && cryptoManager.isEncryptionEnabled(config)) {
-      const decrypted = await cryptoManager.decryptFileContent(remoteData.variables);
-      remoteEnv = envParser.parseEnvContent(decrypted);
-    } else {
-      remoteEnv = remoteData.variables || {};
+    if (environmentLoader.hasBases(environment, config)) {
+      spinner.text = 'Merging base environments...';
+      ({ variables: remoteEnv } = await environmentLoader.applyInheritance(environment, remoteEnv, config));
     }
 
     // Validate remote environment
@@ -121,13 +135,20 @@ async function pullFromEnvFly(environment, envConfig, config) {
       throw new Error('Remote environment validation failed');
     }
 
+    if (options.expand) {
+      spinner.text = 'Expanding variable references...';
+      remoteEnv = await environmentLoader.resolve(environment, remoteEnv, config, 'remote');
+    }
+
     spinner.text = 'Writing to local file...';
 
     // Write to local file
     await envParser.writeEnvFile(localFilePath, remoteEnv);
 
-    // Update last pull time
+    // Update last pull time, and the version the next push is based on
     envConfig.last_pull = new Date().toISOString();
+    envConfig.sync_base = envParser.createSnapshot(remoteEnv);
+    envConfig.version = remoteData.version;
     await configManager.saveConfig(config);
 
     spinner.succeed(`Successfully pulled ${environment} environment`);
@@ -140,6 +161,7 @@ async function pullFromEnvFly(environment, envConfig, config) {
       `Environment ${chalk.bold(environment)} pulled successfully!\n\n` +
       `Local file: ${chalk.bold(envConfig.file)}\n` +
       `Remote ID: ${chalk.bold(envConfig.remote_id)}\n` +
+      (offline ? `Source: ${chalk.bold('offline cache')} (cached ${formatDate(remoteData.cached_at)})\n` : '') +
       `Variables: ${chalk.bold(variableCount)}\n` +
       `File size: ${chalk.bold(require('../lib/utils').formatFileSize(fileSize))}\n` +
       `Last pull: ${chalk.bold(formatDate(envConfig.last_pull))}`,
@@ -169,7 +191,7 @@ async function pullFromEnvFly(environment, envConfig, config) {
 /**
  * Pull from custom storage provider
  */
-async function pullFromStorageProvider(environment, envConfig, config) {
+async function pullFromStorageProvider(environment, envConfig, config, options) {
   const spinner = createSpinner(`Pulling ${environment} from ${config.storage.provider}...`);
   spinner.start();
 
@@ -190,7 +212,12 @@ async function pullFromStorageProvider(environment, envConfig, config) {
     
     // Retrieve environment variables
     const result = await provider.retrieve(environment);
-    const remoteEnv = result.variables;
+    let remoteEnv = result.variables;
+
+    if (environmentLoader.hasBases(environment, config)) {
+      spinner.text = 'Merging base environments...';
+      ({ variables: remoteEnv } = await environmentLoader.applyInheritance(environment, remoteEnv, config));
+    }
 
     // Validate remote environment
     const validation = envParser.validateEnvironment(remoteEnv);
@@ -201,6 +228,11 @@ async function pullFromStorageProvider(environment, envConfig, config) {
       throw new Error('Remote environment validation failed');
     }
 
+    if (options.expand) {
+      spinner.text = 'Expanding variable references...';
+      remoteEnv = await environmentLoader.resolve(environment, remoteEnv, config, 'remote');
+    }
+
     spinner.text = 'Writing to local file...';
 
     // Write to local file
@@ -208,6 +240,11 @@ async function pullFromStorageProvider(environment, envConfig, config) {
 
     // Update last pull time
     envConfig.last_pull = new Date().toISOString();
+    envConfig.sync_base = envParser.createSnapshot(remoteEnv);
+    if (result.metadata?.etag) {
+      // The next push only overwrites this copy
+      envConfig.etag = result.metadata.etag;
+    }
     await configManager.saveConfig(config);
 
     spinner.succeed(`Successfully pulled ${environment} environment`);
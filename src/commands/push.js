@@ -1,3 +1,4 @@
+const inquirer = require('inquirer');
 const chalk = require('chalk');
 const { configManager } = require('../lib/config');
 const { authManager } = require('../lib/auth');
@@ -5,9 +6,13 @@ const { apiClient } = require('../lib/api');
 const { StorageProviderFactory } = require('../lib/storage-providers');
 const { envParser } = require('../lib/env-parser');
 const { cryptoManager } = require('../lib/crypto');
-const { showSuccess, showError, showInfo, createSpinner, formatDate } = require('../lib/utils');
+const { keyManager } = require('../lib/keys');
+const { environmentLoader } = require('../lib/environments');
+const { cacheManager } = require('../lib/cache');
+const { showSuccess, showError, showInfo, showWarning, createSpinner, formatDate } = require('../lib/utils');
+const sync = require('./sync');
 
-async function push(environment) {
+async function push(environment, options = {}) {
   try {
     // Load configuration
     const config = await configManager.loadConfig();
@@ -32,18 +37,30 @@ async function push(environment) {
       process.exit(1);
     }
 
+    if (options.offline) {
+      cacheManager.goOffline(config);
+    }
+
     // Get storage provider
     const storageProvider = config.storage?.provider || 'envfly';
     
-    if (storageProvider === 'envfly') {
+    if (storageProvider === 'envfly' && cacheManager.isOffline()) {
+      // Keep the push until EnvFly can be reached again
+      await queuePush(environment, envConfig, config, options);
+    } else if (storageProvider === 'envfly') {
       // Use EnvFly cloud service
-      await pushToEnvFly(environment, envConfig, config);
+      await pushToEnvFly(environment, envConfig, config, options);
     } else {
       // Use custom storage provider
-      await pushToStorageProvider(environment, envConfig, config);
+      await pushToStorageProvider(environment, envConfig, config, options);
     }
 
   } catch (error) {
+    if (error.status === 409 && error.data?.error === 'Version conflict') {
+      await offerSync(environment, error);
+      return;
+    }
+
     showError(
       `Push failed: ${error.message}`,
       'Push Failed'
@@ -52,10 +69,40 @@ async function push(environment) {
   }
 }
 
+/**
+ * Explain a push rejected because the remote moved on, and offer to merge with sync instead
+ */
+async function offerSync(environment, error) {
+  showWarning(
+    `${error.message}.\n\n` +
+    `Someone changed ${environment} after your last pull or push, so pushing now would overwrite their changes.`,
+    'Remote Changed'
+  );
+
+  const { runSync } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'runSync',
+      message: `Run "envfly sync ${environment}" to merge their changes with yours?`,
+      default: true
+    }
+  ]);
+
+  if (!runSync) {
+    console.log(chalk.yellow(
+      `Push cancelled. Run "envfly sync ${environment}" to merge, ` +
+      `or "envfly push ${environment} --force" to overwrite the remote.`
+    ));
+    process.exit(1);
+  }
+
+  await sync(environment, {});
+}
+
 /**
  * Push to EnvFly cloud service
  */
-async function pushToEnvFly(environment, envConfig, config) {
+async function pushToEnvFly(environment, envConfig, config, options = {}) {
   // Check authentication
   const isAuthenticated = await authManager.checkAuth();
   if (!isAuthenticated) {
@@ -69,29 +116,25 @@ async function pushToEnvFly(environment, envConfig, config) {
   // Initialize API client
   await apiClient.initialize();
 
+  // Send pushes made while offline first, so this one builds on them
+  await cacheManager.replayQueue(config);
+
   const spinner = createSpinner(`Pushing ${environment} environment...`);
   spinner.start();
 
   try {
-    // Get local environment file path
-    const localFilePath = envParser.getEnvFilePath(environment, config);
-    
-    // Read local environment
-    let localEnv;
-    try {
-      localEnv = await envParser.readEnvFile(localFilePath);
-    } catch (error) {
-      spinner.fail(`Local environment file not found: ${envConfig.file}`);
-      throw new Error(`Local environment file not found: ${envConfig.file}`);
-    }
+    let localEnv = await readLocalEnvironment(environment, envConfig, config, spinner);
+
+    // Snapshot what was pushed, including inherited keys, as the base for the next sync
+    const snapshot = envParser.createSnapshot(localEnv);
 
-    // Validate environment
-    const validation = envParser.validateEnvironment(localEnv);
-    if (!validation.valid) {
-      spinner.fail('Environment validation failed');
-      console.log(chalk.red('Validation errors:'));
-      validation.errors.forEach(error => console.log(chalk.red(`  • ${error}`)));
-      throw new Error('Environment validation failed');
+    // Only upload the keys this layer owns; inherited ones live in the base environments
+    let inheritedCount = 0;
+    if (environmentLoader.hasBases(environment, config)) {
+      spinner.text = 'Separating inherited variables...';
+      const layer = await environmentLoader.extractOwnLayer(environment, localEnv, config);
+      localEnv = layer.variables;
+      inheritedCount = layer.inherited;
     }
 
     spinner.text = 'Encrypting environment variables...';
@@ -99,8 +142,7 @@ async function pushToEnvFly(environment, envConfig, config) {
     // Encrypt environment variables if enabled
     let encryptedData;
     if (cryptoManager.isEncryptionEnabled(config)) {
-      const envContent = envParser.stringifyEnvContent(localEnv);
-      encryptedData = await cryptoManager.encryptFileContent(envContent);
+      encryptedData = await cryptoManager.encrypt(localEnv, config.project_id);
     } else {
       encryptedData = localEnv;
     }
@@ -111,8 +153,11 @@ async function pushToEnvFly(environment, envConfig, config) {
     let remoteId = envConfig.remote_id;
     
     if (remoteId) {
-      // Update existing environment
-      await apiClient.updateEnvironment(config.project_id, remoteId, encryptedData);
+      // Update existing environment, based on the version we last saw so a
+      // teammate's push in the meantime is not silently overwritten
+      const baseVersion = options.force ? null : envConfig.version;
+      const updatedEnv = await apiClient.updateEnvironment(config.project_id, remoteId, encryptedData, null, baseVersion);
+      envConfig.version = updatedEnv.version;
       console.log(chalk.blue(`✓ Updated existing remote environment`));
     } else {
       // Create new environment
@@ -128,6 +173,7 @@ async function pushToEnvFly(environment, envConfig, config) {
       
       // Update config with new remote ID
       envConfig.remote_id = remoteId;
+      envConfig.version = createdEnv.version;
       await configManager.saveConfig(config);
       
       console.log(chalk.blue(`✓ Created new remote environment`));
@@ -135,65 +181,151 @@ async function pushToEnvFly(environment, envConfig, config) {
 
     // Update last push time
     envConfig.last_push = new Date().toISOString();
+    envConfig.sync_base = snapshot;
     await configManager.saveConfig(config);
 
+    // This push supersedes any queued one, and is now the last known remote state
+    await cacheManager.discardQueued(config, environment);
+    await cacheManager.store(environment, {
+      variables: localEnv,
+      version: envConfig.version,
+      keyVersion: cryptoManager.isEncryptionEnabled(config) ? encryptedData.key_version : null
+    }, config);
+
     spinner.succeed(`Successfully pushed ${environment} environment`);
 
     showSuccess(
       `Environment ${chalk.bold(environment)} pushed successfully!\n\n` +
       `Local file: ${chalk.bold(envConfig.file)}\n` +
       `Remote ID: ${chalk.bold(remoteId)}\n` +
-      `Variables: ${chalk.bold(Object.keys(localEnv).length)}\n` +
+      `Variables: ${chalk.bold(Object.keys(localEnv).length)}` +
+      (inheritedCount > 0 ? chalk.gray(` (${inheritedCount} inherited, not uploaded)`) : '') + '\n' +
       `Encrypted: ${chalk.bold(cryptoManager.isEncryptionEnabled(config) ? 'Yes' : 'No')}\n` +
       `Last push: ${chalk.bold(formatDate(envConfig.last_push))}`,
       'Push Complete'
     );
 
+    if (keyManager.isRotationRequired(config.project_id)) {
+      console.log(chalk.yellow(
+        '⚠️  A member was removed since the current data key was created. ' +
+        'Run "envfly keys rotate" so they cannot read new values.'
+      ));
+    }
+
   } catch (error) {
     spinner.fail(`Failed to push ${environment}`);
     throw error;
   }
 }
 
+/**
+ * Queue a push made while offline. It is sent based on the version we last saw,
+ * so changes made remotely in the meantime turn into a conflict instead of being overwritten.
+ */
+async function queuePush(environment, envConfig, config, options = {}) {
+  if (!envConfig.remote_id) {
+    throw new Error(`Environment "${environment}" has never been pushed. Creating it needs a connection to EnvFly.`);
+  }
+
+  const spinner = createSpinner(`Queueing push of ${environment}...`);
+  spinner.start();
+
+  try {
+    let localEnv = await readLocalEnvironment(environment, envConfig, config, spinner);
+    const snapshot = envParser.createSnapshot(localEnv);
+
+    // Inherited keys are separated using the cached base environments
+    if (environmentLoader.hasBases(environment, config)) {
+      spinner.text = 'Separating inherited variables...';
+      ({ variables: localEnv } = await environmentLoader.extractOwnLayer(environment, localEnv, config));
+    }
+
+    const { replaced } = await cacheManager.enqueue(environment, localEnv, config, {
+      baseVersion: options.force ? null : envConfig.version,
+      snapshot
+    });
+
+    spinner.succeed(`Queued push of ${environment}`);
+
+    showInfo(
+      `You are offline, so ${chalk.bold(environment)} will be pushed the next time you run ` +
+      `push, pull or sync online, or "envfly queue push".\n\n` +
+      `Variables: ${chalk.bold(Object.keys(localEnv).length)}\n` +
+      `Based on version: ${chalk.bold(options.force || !envConfig.version ? 'none (overwrites the remote)' : envConfig.version)}` +
+      (replaced ? chalk.gray(`\nReplaces the push of ${environment} queued earlier.`) : ''),
+      'Push Queued'
+    );
+
+  } catch (error) {
+    spinner.fail(`Failed to queue push of ${environment}`);
+    throw error;
+  }
+}
+
+/**
+ * Read and validate a local environment file
+ */
+async function readLocalEnvironment(environment, envConfig, config, spinner) {
+  const localFilePath = envParser.getEnvFilePath(environment, config);
+
+  let localEnv;
+  try {
+    localEnv = await envParser.readEnvFile(localFilePath);
+  } catch (error) {
+    spinner.fail(`Local environment file not found: ${envConfig.file}`);
+    throw new Error(`Local environment file not found: ${envConfig.file}`);
+  }
+
+  const validation = envParser.validateEnvironment(localEnv);
+  if (!validation.valid) {
+    spinner.fail('Environment validation failed');
+    console.log(chalk.red('Validation errors:'));
+    validation.errors.forEach(error => console.log(chalk.red(`  • ${error}`)));
+    throw new Error('Environment validation failed');
+  }
+
+  return localEnv;
+}
+
 /**
  * Push to custom storage provider
  */
-async function pushToStorageProvider(environment, envConfig, config) {
+async function pushToStorageProvider(environment, envConfig, config, options = {}) {
   const spinner = createSpinner(`Pushing ${environment} to ${config.storage.provider}...`);
   spinner.start();
 
   try {
-    // Get local environment file path
-    const localFilePath = envParser.getEnvFilePath(environment, config);
-    
-    // Read local environment
-    let localEnv;
-    try {
-      localEnv = await envParser.readEnvFile(localFilePath);
-    } catch (error) {
-      spinner.fail(`Local environment file not found: ${envConfig.file}`);
-      throw new Error(`Local environment file not found: ${envConfig.file}`);
-    }
+    let localEnv = await readLocalEnvironment(environment, envConfig, config, spinner);
+
+    // Snapshot what was pushed, including inherited keys, as the base for the next sync
+    const snapshot = envParser.createSnapshot(localEnv);
 
-    // Validate environment
-    const validation = envParser.validateEnvironment(localEnv);
-    if (!validation.valid) {
-      spinner.fail('Environment validation failed');
-      console.log(chalk.red('Validation errors:'));
-      validation.errors.forEach(error => console.log(chalk.red(`  • ${error}`)));
-      throw new Error('Environment validation failed');
+    // Only upload the keys this layer owns; inherited ones live in the base environments
+    let inheritedCount = 0;
+    if (environmentLoader.hasBases(environment, config)) {
+      spinner.text = 'Separating inherited variables...';
+      const layer = await environmentLoader.extractOwnLayer(environment, localEnv, config);
+      localEnv = layer.variables;
+      inheritedCount = layer.inherited;
     }
 
     spinner.text = 'Storing environment variables...';
 
     // Create storage provider
     const provider = await StorageProviderFactory.create(config.storage.provider, config.storage.config);
-    
+
+    // Only overwrite the copy last pulled or pushed; without one, only create it
+    provider.setBase(environment, options.force ? undefined : (envConfig.etag ?? null), { force: options.force });
+
     // Store environment variables
     const metadata = await provider.store(environment, localEnv);
 
     // Update last push time
     envConfig.last_push = new Date().toISOString();
+    envConfig.sync_base = snapshot;
+    if (metadata?.etag) {
+      envConfig.etag = metadata.etag;
+    }
     await configManager.saveConfig(config);
 
     spinner.succeed(`Successfully pushed ${environment} environment`);
@@ -202,7 +334,8 @@ async function pushToStorageProvider(environment, envConfig, config) {
       `Environment ${chalk.bold(environment)} pushed successfully!\n\n` +
       `Local file: ${chalk.bold(envConfig.file)}\n` +
       `Storage: ${chalk.bold(config.storage.provider)}\n` +
-      `Variables: ${chalk.bold(Object.keys(localEnv).length)}\n` +
+      `Variables: ${chalk.bold(Object.keys(localEnv).length)}` +
+      (inheritedCount > 0 ? chalk.gray(` (${inheritedCount} inherited, not uploaded)`) : '') + '\n' +
       `Last push: ${chalk.bold(formatDate(envConfig.last_push))}`,
       'Push Complete'
     );
@@ -0,0 +1,135 @@
+const chalk = require('chalk');
+const { configManager } = require('../lib/config');
+const { authManager } = require('../lib/auth');
+const { apiClient } = require('../lib/api');
+const { cacheManager } = require('../lib/cache');
+const { showSuccess, showError, showInfo, formatDate } = require('../lib/utils');
+
+async function queue(action = 'list', environment) {
+  try {
+    // Load configuration
+    const config = await configManager.loadConfig();
+
+    switch (action) {
+      case 'list':
+        await listQueue(config);
+        break;
+      case 'push':
+        await pushQueue(config);
+        break;
+      case 'drop':
+        await dropQueued(config, environment);
+        break;
+      default:
+        showError(
+          `Unknown queue command: ${action}\n\n` +
+          `Available commands:\n` +
+          `  envfly queue              - List pushes made while offline\n` +
+          `  envfly queue push         - Send queued pushes now\n` +
+          `  envfly queue drop [env]   - Discard queued pushes`,
+          'Invalid Command'
+        );
+        process.exit(1);
+    }
+
+  } catch (error) {
+    showError(
+      `Queue command failed: ${error.message}`,
+      'Queue Command Failed'
+    );
+    process.exit(1);
+  }
+}
+
+/**
+ * List pushes waiting to be sent
+ */
+async function listQueue(config) {
+  const items = await cacheManager.getQueue(config);
+
+  if (items.length === 0) {
+    showInfo('No pushes are queued.', 'Queue Empty');
+    return;
+  }
+
+  console.log(chalk.blue('\n⏳ Queued Pushes'));
+  console.log(chalk.gray('─'.repeat(80)));
+
+  for (const item of items) {
+    const base = item.base_version ? `based on version ${item.base_version}` : 'overwrites the remote';
+    console.log(`${chalk.bold(item.environment)} ${chalk.gray(`queued ${formatDate(item.queued_at)}, ${base}`)}`);
+    if (item.conflict) {
+      console.log(chalk.red(`  Conflict: ${item.conflict.message}`));
+      console.log(chalk.gray(`  Run "envfly sync ${item.environment}" to merge, or "envfly queue drop ${item.environment}" to discard.`));
+    }
+  }
+
+  console.log(chalk.gray('─'.repeat(80)));
+  console.log(chalk.gray('Queued pushes are sent by the next online push, pull or sync, or by "envfly queue push".'));
+}
+
+/**
+ * Send queued pushes now
+ */
+async function pushQueue(config) {
+  // Check authentication
+  const isAuthenticated = await authManager.checkAuth();
+  if (!isAuthenticated) {
+    showError(
+      'You are not authenticated. Please run "envfly login" first.',
+      'Authentication Required'
+    );
+    process.exit(1);
+  }
+
+  // Initialize API client
+  await apiClient.initialize();
+
+  const results = await cacheManager.replayQueue(config);
+  const remaining = await cacheManager.getQueue(config);
+
+  if (results.pushed.length + results.conflicts.length + results.failed.length === 0 && remaining.length === 0) {
+    showInfo('No pushes are queued.', 'Queue Empty');
+    return;
+  }
+
+  if (remaining.length > 0) {
+    showError(
+      `Pushed ${results.pushed.length} queued ${results.pushed.length === 1 ? 'change' : 'changes'}; ` +
+      `${remaining.length} still queued: ${remaining.map(item => item.environment).join(', ')}`,
+      'Queue Not Empty'
+    );
+    process.exit(1);
+  }
+
+  showSuccess(
+    `Pushed queued changes to ${results.pushed.map(name => chalk.bold(name)).join(', ')}.`,
+    'Queue Sent'
+  );
+}
+
+/**
+ * Discard queued pushes, of one environment or all of them
+ */
+async function dropQueued(config, environment) {
+  if (environment && !config.environments[environment]) {
+    throw new Error(
+      `Environment "${environment}" not found in configuration. ` +
+      `Available environments: ${Object.keys(config.environments).join(', ')}`
+    );
+  }
+
+  const discarded = await cacheManager.discardQueued(config, environment || null);
+  if (discarded === 0) {
+    showInfo(environment ? `No pushes of ${environment} are queued.` : 'No pushes are queued.', 'Queue Empty');
+    return;
+  }
+
+  showSuccess(
+    `Discarded ${discarded} queued ${discarded === 1 ? 'push' : 'pushes'}${environment ? ` of ${chalk.bold(environment)}` : ''}.\n\n` +
+    chalk.gray('Your local files are unchanged.'),
+    'Queue Cleared'
+  );
+}
+
+module.exports = queue;
@@ -0,0 +1,63 @@
+const path = require('path');
+const chalk = require('chalk');
+const { configManager } = require('../lib/config');
+const { authManager } = require('../lib/auth');
+const { apiClient } = require('../lib/api');
+const { envParser } = require('../lib/env-parser');
+const { environmentLoader } = require('../lib/environments');
+const { showSuccess, showError } = require('../lib/utils');
+
+async function resolve(environment, options = {}) {
+  try {
+    // Load configuration
+    const config = await configManager.loadConfig();
+    environmentLoader.getEnvConfig(environment, config);
+
+    const source = options.remote ? 'remote' : 'local';
+
+    if (source === 'remote' && (config.storage?.provider || 'envfly') === 'envfly') {
+      // Check authentication
+      const isAuthenticated = await authManager.checkAuth();
+      if (!isAuthenticated) {
+        showError(
+          'You are not authenticated. Please run "envfly login" first.',
+          'Authentication Required'
+        );
+        process.exit(1);
+      }
+
+      // Initialize API client
+      await apiClient.initialize();
+    }
+
+    const variables = await environmentLoader.load(environment, config, source);
+    const output = options.raw
+      ? variables
+      : await environmentLoader.resolve(environment, variables, config, source);
+
+    if (!options.output) {
+      // Plain output so it can be redirected, e.g. envfly resolve production > .env.build
+      process.stdout.write(envParser.stringifyEnvContent(output));
+      return;
+    }
+
+    const outputPath = path.resolve(options.output);
+    await envParser.writeEnvFile(outputPath, output);
+
+    showSuccess(
+      `Wrote ${chalk.bold(Object.keys(output).length)} variables to ${chalk.bold(options.output)}\n\n` +
+      `Source: ${chalk.bold(source)}\n` +
+      `References: ${chalk.bold(options.raw ? 'kept as written' : 'expanded')}`,
+      'Environment Resolved'
+    );
+
+  } catch (error) {
+    showError(
+      `Resolve failed: ${error.message}`,
+      'Resolve Failed'
+    );
+    process.exit(1);
+  }
+}
+
+module.exports = resolve;
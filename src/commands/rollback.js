@@ -0,0 +1,205 @@
+const inquirer = require('inquirer');
+const chalk = require('chalk');
+const { configManager } = require('../lib/config');
+const { authManager } = require('../lib/auth');
+const { apiClient } = require('../lib/api');
+const { StorageProviderFactory } = require('../lib/storage-providers');
+const { envParser } = require('../lib/env-parser');
+const { environmentLoader } = require('../lib/environments');
+const { showSuccess, showError, showInfo, createSpinner, formatDate } = require('../lib/utils');
+const pull = require('./pull');
+
+async function rollback(environment, target, options = {}) {
+  try {
+    // Load configuration
+    const config = await configManager.loadConfig();
+    const envConfig = environmentLoader.getEnvConfig(environment, config);
+    const storageProvider = config.storage?.provider || 'envfly';
+
+    let provider = null;
+    if (storageProvider === 'envfly') {
+      // Check authentication
+      const isAuthenticated = await authManager.checkAuth();
+      if (!isAuthenticated) {
+        showError(
+          'You are not authenticated. Please run "envfly login" first.',
+          'Authentication Required'
+        );
+        process.exit(1);
+      }
+
+      // Initialize API client
+      await apiClient.initialize();
+
+      // Check if environment has remote ID
+      if (!envConfig.remote_id) {
+        showError(
+          `Environment "${environment}" is not connected to a remote environment.\n\n` +
+          `Use "envfly push ${environment}" to create a remote environment first.`,
+          'No Remote Environment'
+        );
+        process.exit(1);
+      }
+    } else {
+      provider = await StorageProviderFactory.create(storageProvider, config.storage.config);
+    }
+
+    const spinner = createSpinner(`Fetching history for ${environment}...`);
+    spinner.start();
+
+    let selected;
+    let current;
+    let currentVersion = null;
+    let previous;
+    try {
+      const versions = await listVersions(environment, config, provider);
+      selected = selectVersion(environment, versions, target, options);
+
+      spinner.text = `Loading version ${selected.version}...`;
+      if (provider) {
+        // Read through the provider that writes the rollback, so it only overwrites this copy
+        ({ variables: current } = await provider.retrieve(environment));
+      } else {
+        // The rollback is only applied to the version previewed here
+        ({ variables: current, version: currentVersion } = await environmentLoader.fetchRemote(environment, config));
+      }
+      previous = await environmentLoader.loadVersion(environment, selected.version, config);
+      spinner.succeed(`Loaded version ${selected.version} of ${environment}`);
+    } catch (error) {
+      spinner.fail(`Failed to load history for ${environment}`);
+      throw error;
+    }
+
+    // Preview what the rollback changes, from the current version's point of view
+    const changes = envParser.detectConflicts(current, previous);
+    if (changes.added.length + changes.removed.length + changes.modified.length === 0) {
+      showInfo(
+        `Version ${selected.version} has the same variables as the current version of ${environment}.\n\n` +
+        'Nothing to roll back.',
+        'No Changes'
+      );
+      return;
+    }
+
+    console.log(chalk.blue(`\n🔄 Rolling back ${environment} to version ${selected.version}`));
+    console.log(chalk.gray(`Version ${selected.version} from ${formatDate(selected.updated_at)}${selected.message ? `: ${selected.message}` : ''}`));
+    console.log(chalk.gray('─'.repeat(60)));
+    console.log(envParser.generateDiffReport(changes, { showValues: options.showValues }));
+
+    if (!options.yes) {
+      const { confirmed } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirmed',
+          message: `Roll back ${environment} to version ${selected.version}?`,
+          default: false
+        }
+      ]);
+
+      if (!confirmed) {
+        console.log(chalk.yellow('Rollback cancelled'));
+        return;
+      }
+    }
+
+    const rollbackSpinner = createSpinner(`Rolling back ${environment}...`);
+    rollbackSpinner.start();
+
+    let newVersion;
+    try {
+      if (provider) {
+        const metadata = await provider.rollback(environment, selected.version);
+        newVersion = metadata?.version;
+      } else {
+        const result = await apiClient.rollbackEnvironment(config.project_id, envConfig.remote_id, selected.version, currentVersion);
+        newVersion = result.version;
+      }
+      rollbackSpinner.succeed(`Rolled back ${environment} to version ${selected.version}`);
+    } catch (error) {
+      rollbackSpinner.fail(`Failed to roll back ${environment}`);
+      if (error.status === 409 && error.data?.error === 'Version conflict') {
+        throw new Error(
+          `${environment} changed to version ${error.data.current_version} after the preview, so nothing was rolled back. ` +
+          `Run "envfly rollback ${environment}" again to review the new changes.`
+        );
+      }
+      throw error;
+    }
+
+    showSuccess(
+      `Environment ${chalk.bold(environment)} now has the variables of version ${chalk.bold(selected.version)}.\n\n` +
+      (newVersion ? `New version: ${chalk.bold(newVersion)}\n` : '') +
+      `Storage: ${chalk.bold(storageProvider)}\n` +
+      chalk.gray('The rollback is recorded as a new version, so it can be undone the same way.') +
+      (options.pull ? '' : chalk.gray(`\nRun "envfly pull ${environment}" to update your local file.`)),
+      'Rollback Complete'
+    );
+
+    if (options.pull) {
+      await pull(environment, {});
+    }
+
+  } catch (error) {
+    showError(
+      `Rollback failed: ${error.message}`,
+      'Rollback Failed'
+    );
+    process.exit(1);
+  }
+}
+
+/**
+ * List remote versions of an environment, newest first
+ */
+async function listVersions(environment, config, provider) {
+  if (provider) {
+    return await provider.listVersions(environment);
+  }
+
+  const history = await apiClient.getEnvironmentHistory(config.project_id, config.environments[environment].remote_id);
+  return history.map((entry, index) => ({
+    version: entry.version,
+    updated_at: entry.updated_at,
+    message: entry.message,
+    current: index === 0
+  }));
+}
+
+/**
+ * Pick the version to roll back to from a positional version, --version or --previous
+ */
+function selectVersion(environment, versions, target, options) {
+  if (versions.length === 0) {
+    throw new Error(`${environment} has no version history`);
+  }
+
+  if (options.previous) {
+    if (versions.length < 2) {
+      throw new Error(`${environment} has no previous version`);
+    }
+    return versions[1];
+  }
+
+  const requested = options.version ?? target;
+  if (requested === undefined) {
+    throw new Error(
+      `Specify a version, e.g. "envfly rollback ${environment} --version ${versions[1]?.version ?? 1}", ` +
+      'or use --previous. Run "envfly history" to see versions.'
+    );
+  }
+
+  // Accept "v3" as written in the history output
+  const wanted = String(requested).replace(/^v(?=\d+$)/, '');
+  const selected = versions.find(v => String(v.version) === wanted || v.id === wanted);
+  if (!selected) {
+    throw new Error(`Version ${requested} of ${environment} not found. Run "envfly history ${environment}" to see versions.`);
+  }
+
+  if (selected.current) {
+    throw new Error(`Version ${selected.version} is already the current version of ${environment}`);
+  }
+
+  return selected;
+}
+
+module.exports = rollback;
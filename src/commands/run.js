@@ -0,0 +1,205 @@
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const chalk = require('chalk');
+const { configManager } = require('../lib/config');
+const { authManager } = require('../lib/auth');
+const { apiClient } = require('../lib/api');
+const { environmentLoader } = require('../lib/environments');
+const { showError } = require('../lib/utils');
+
+const FORWARDED_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+const DEFAULT_WATCH_INTERVAL = 30; // seconds
+const RESTART_GRACE_PERIOD = 10000; // ms
+
+async function run(environment, command = [], options = {}) {
+  let config;
+  let variables;
+
+  try {
+    // Load configuration
+    config = await configManager.loadConfig();
+    environmentLoader.getEnvConfig(environment, config);
+
+    if (command.length === 0) {
+      showError(
+        'A command is required. Use: envfly run <environment> -- <command> [args...]',
+        'Command Required'
+      );
+      process.exit(1);
+    }
+
+    if ((config.storage?.provider || 'envfly') === 'envfly') {
+      // Check authentication
+      const isAuthenticated = await authManager.checkAuth();
+      if (!isAuthenticated) {
+        showError(
+          'You are not authenticated. Please run "envfly login" first.',
+          'Authentication Required'
+        );
+        process.exit(1);
+      }
+
+      // Initialize API client
+      await apiClient.initialize();
+    }
+
+    variables = await loadVariables(environment, config, options);
+
+  } catch (error) {
+    showError(
+      `Run failed: ${error.message}`,
+      'Run Failed'
+    );
+    process.exit(1);
+  }
+
+  // Status goes to stderr so the command's stdout stays clean
+  console.error(chalk.gray(`envfly: injecting ${Object.keys(variables).length} variables from ${environment}`));
+
+  const interval = options.watch === undefined ? null : parseWatchInterval(options.watch);
+  supervise(environment, command, variables, config, options, interval);
+}
+
+/**
+ * Fetch an environment from remote storage, merged with its bases and with references expanded
+ */
+async function loadVariables(environment, config, options) {
+  const envConfig = environmentLoader.getEnvConfig(environment, config);
+  const storageProvider = config.storage?.provider || 'envfly';
+
+  let variables = storageProvider !== 'envfly' || envConfig.remote_id
+    ? await environmentLoader.loadRemote(environment, config)
+    : {};
+
+  if (environmentLoader.hasBases(environment, config)) {
+    ({ variables } = await environmentLoader.applyInheritance(environment, variables, config));
+  }
+
+  if (storageProvider === 'envfly' && !envConfig.remote_id && Object.keys(variables).length === 0) {
+    throw new Error(
+      `Environment "${environment}" is not connected to a remote environment. ` +
+      `Use "envfly push ${environment}" to create it first.`
+    );
+  }
+
+  return options.raw
+    ? variables
+    : await environmentLoader.resolve(environment, variables, config, 'remote');
+}
+
+/**
+ * Parse the --watch value into milliseconds
+ */
+function parseWatchInterval(value) {
+  const seconds = value === true ? DEFAULT_WATCH_INTERVAL : Number(value);
+  if (!Number.isFinite(seconds) || seconds < 1) {
+    showError(
+      `Invalid watch interval "${value}". Use a number of seconds, e.g. --watch 30`,
+      'Invalid Option'
+    );
+    process.exit(1);
+  }
+  return seconds * 1000;
+}
+
+/**
+ * Fingerprint a set of variables so changes can be detected without keeping old values around
+ */
+function fingerprint(variables) {
+  const sorted = Object.keys(variables).sort().map(key => [key, variables[key]]);
+  return crypto.createHash('sha256').update(JSON.stringify(sorted)).digest('hex');
+}
+
+/**
+ * Run the command, forward signals to it and exit with its status.
+ * With an interval, poll the environment and restart the command when it changes.
+ */
+function supervise(environment, command, variables, config, options, interval) {
+  let child = null;
+  let restarting = false;
+  let current = fingerprint(variables);
+  let poller = null;
+
+  const start = () => {
+    child = spawn(command[0], command.slice(1), {
+      stdio: 'inherit',
+      env: { ...process.env, ...variables },
+      shell: process.platform === 'win32'
+    });
+
+    child.on('error', (error) => {
+      clearInterval(poller);
+      showError(
+        `Could not start "${command[0]}": ${error.message}`,
+        'Run Failed'
+      );
+      process.exit(error.code === 'ENOENT' ? 127 : 1);
+    });
+
+    child.on('exit', (code, signal) => {
+      if (restarting) {
+        restarting = false;
+        console.error(chalk.gray(`envfly: restarting with ${Object.keys(variables).length} variables from ${environment}`));
+        start();
+        return;
+      }
+
+      clearInterval(poller);
+      FORWARDED_SIGNALS.forEach(name => process.removeListener(name, forward));
+
+      if (signal) {
+        // Die the same way the child did
+        process.kill(process.pid, signal);
+        return;
+      }
+      process.exit(code === null ? 1 : code);
+    });
+  };
+
+  const forward = (signal) => {
+    if (child && child.exitCode === null) {
+      child.kill(signal);
+    }
+  };
+  FORWARDED_SIGNALS.forEach(name => process.on(name, forward));
+
+  if (interval) {
+    let polling = false;
+
+    poller = setInterval(async () => {
+      if (polling || restarting) {
+        return;
+      }
+      polling = true;
+
+      try {
+        const latest = await loadVariables(environment, config, options);
+        const latestFingerprint = fingerprint(latest);
+
+        if (latestFingerprint !== current) {
+          console.error(chalk.yellow(`envfly: ${environment} changed, restarting command`));
+          variables = latest;
+          current = latestFingerprint;
+          restarting = true;
+          child.kill('SIGTERM');
+
+          // Give the command a moment to shut down cleanly before forcing it
+          const running = child;
+          setTimeout(() => {
+            if (running.exitCode === null && running.signalCode === null) {
+              running.kill('SIGKILL');
+            }
+          }, RESTART_GRACE_PERIOD).unref();
+        }
+      } catch (error) {
+        console.error(chalk.yellow(`envfly: could not check ${environment} for changes: ${error.message}`));
+      } finally {
+        polling = false;
+      }
+    }, interval);
+  }
+
+  start();
+}
+
+module.exports = run;
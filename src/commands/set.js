@@ -0,0 +1,64 @@
+const chalk = require('chalk');
+const { configManager } = require('../lib/config');
+const { authManager } = require('../lib/auth');
+const { apiClient } = require('../lib/api');
+const { variableManager } = require('../lib/variables');
+const { showSuccess, showError, createSpinner } = require('../lib/utils');
+
+async function set(environment, assignment, options = {}) {
+  try {
+    // Load configuration
+    const config = await configManager.loadConfig();
+    const { key, value } = variableManager.parseAssignment(assignment);
+
+    if ((config.storage?.provider || 'envfly') === 'envfly') {
+      // Check authentication
+      const isAuthenticated = await authManager.checkAuth();
+      if (!isAuthenticated) {
+        showError(
+          'You are not authenticated. Please run "envfly login" first.',
+          'Authentication Required'
+        );
+        process.exit(1);
+      }
+
+      // Initialize API client
+      await apiClient.initialize();
+    }
+
+    const spinner = createSpinner(`Setting ${key} in ${environment}...`);
+    spinner.start();
+
+    let result;
+    try {
+      result = await variableManager.set(environment, key, value, config, {
+        description: options.description,
+        secret: options.secret
+      });
+      spinner.succeed(`${result.created ? 'Added' : 'Updated'} ${key} in ${environment}`);
+    } catch (error) {
+      spinner.fail(`Failed to set ${key}`);
+      throw error;
+    }
+
+    const ignored = !result.metadataStored && (options.secret || options.description !== undefined);
+
+    showSuccess(
+      `${chalk.bold(key)} ${result.created ? 'added to' : 'updated in'} ${chalk.bold(environment)}.\n\n` +
+      (ignored
+        ? chalk.yellow('--secret and --description are only stored for unencrypted EnvFly Cloud environments.\n')
+        : '') +
+      chalk.gray(`Run "envfly pull ${environment}" to update your local file.`),
+      'Variable Set'
+    );
+
+  } catch (error) {
+    showError(
+      `Set failed: ${error.message}`,
+      'Set Failed'
+    );
+    process.exit(1);
+  }
+}
+
+module.exports = set;
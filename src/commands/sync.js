@@ -5,25 +5,35 @@ const { authManager } = require('../lib/auth');
 const { apiClient } = require('../lib/api');
 const { envParser } = require('../lib/env-parser');
 const { cryptoManager } = require('../lib/crypto');
-const { showSuccess, showError, showInfo, createSpinner, formatDate } = require('../lib/utils');
+const { environmentLoader } = require('../lib/environments');
+const { cacheManager } = require('../lib/cache');
+const { showSuccess, showError, showInfo, createSpinner, formatDate, truncate } = require('../lib/utils');
 
 async function sync(environment, options = {}) {
   try {
     // Load configuration
     const config = await configManager.loadConfig();
-    
-    // Check authentication
-    const isAuthenticated = await authManager.checkAuth();
-    if (!isAuthenticated) {
-      showError(
-        'You are not authenticated. Please run "envfly login" first.',
-        'Authentication Required'
-      );
-      process.exit(1);
-    }
 
-    // Initialize API client
-    await apiClient.initialize();
+    if (options.offline) {
+      // Merge against the cached remote state and queue the remote update
+      cacheManager.goOffline(config);
+    } else {
+      // Check authentication
+      const isAuthenticated = await authManager.checkAuth();
+      if (!isAuthenticated) {
+        showError(
+          'You are not authenticated. Please run "envfly login" first.',
+          'Authentication Required'
+        );
+        process.exit(1);
+      }
+
+      // Initialize API client
+      await apiClient.initialize();
+
+      // Send pushes made while offline before merging
+      await cacheManager.replayQueue(config);
+    }
 
     // Handle --all flag
     if (options.all) {
@@ -110,56 +120,86 @@ async function syncEnvironment(envName, envConfig, config, options) {
   spinner.start();
 
   try {
+    if (!envConfig.remote_id) {
+      throw new Error(
+        `Environment "${envName}" is not connected to a remote environment. ` +
+        `Use "envfly push ${envName}" to create it first.`
+      );
+    }
+
     // Get local environment file path
     const localFilePath = envParser.getEnvFilePath(envName, config);
     
     // Read local environment
     let localEnv = {};
+    let localMissing = false;
     try {
       localEnv = await envParser.readEnvFile(localFilePath);
     } catch (error) {
       // Local file doesn't exist, that's okay
       console.log(chalk.yellow(`⚠ Local file ${envConfig.file} not found`));
+      localMissing = true;
     }
 
-    // Get remote environment
-    let remoteEnv = {};
-    let remoteId = envConfig.remote_id;
-
-    if (remoteId) {
-      try {
-        const remoteData = await apiClient.getEnvironment(config.project_id, remoteId);
-        if (remoteData.encrypted && cryptoManager.isEncryptionEnabled(config)) {
-          const decrypted = await cryptoManager.decryptFileContent(remoteData.variables);
-          remoteEnv = envParser.parseEnvContent(decrypted);
-        } else {
-          remoteEnv = remoteData.variables || {};
-        }
-      } catch (error) {
-        console.log(chalk.yellow(`⚠ Could not fetch remote environment: ${error.message}`));
-      }
+    // Get remote environment. A failed fetch must not look like an empty remote,
+    // or the merge would treat every key as deleted there.
+    let remoteEnv;
+    let remoteVersion;
+    try {
+      ({ variables: remoteEnv, version: remoteVersion } = await environmentLoader.fetchRemote(envName, config));
+    } catch (error) {
+      throw new Error(`Could not fetch remote environment: ${error.message}`);
+    }
+
+    // Compare against the materialized environment, including inherited keys
+    if (environmentLoader.hasBases(envName, config)) {
+      ({ variables: remoteEnv } = await environmentLoader.applyInheritance(envName, remoteEnv, config));
     }
 
     spinner.stop();
 
-    // Detect conflicts
-    const conflicts = envParser.detectConflicts(localEnv, remoteEnv);
-    const hasConflicts = conflicts.added.length > 0 || conflicts.removed.length > 0 || conflicts.modified.length > 0;
-
-    if (hasConflicts) {
-      console.log(chalk.yellow('\n⚠ Conflicts detected between local and remote environments:'));
-      console.log(envParser.generateDiffReport(conflicts));
-
-      if (!options.force) {
-        const resolution = await promptConflictResolution(conflicts);
-        await resolveConflicts(envName, localEnv, remoteEnv, conflicts, resolution, localFilePath, config);
-      } else {
-        // Force mode - use remote
-        await envParser.writeEnvFile(localFilePath, remoteEnv);
-        console.log(chalk.green(`✓ Updated local environment with remote values (force mode)`));
-      }
-    } else {
+    // A missing file has nothing to keep, so everything comes from remote
+    const base = localMissing ? null : envConfig.sync_base;
+    if (!base && !localMissing) {
+      console.log(chalk.yellow(`⚠ No sync snapshot for ${envName} yet; keys on one side only are treated as additions`));
+    }
+
+    const merge = envParser.threeWayMerge(base, localEnv, remoteEnv);
+
+    // The merged result builds on this remote version
+    envConfig.version = remoteVersion;
+    let result = { local: merge.merged, remote: merge.merged, skipped: [] };
+    let applied = true;
+
+    if (merge.fromLocal.length + merge.fromRemote.length + merge.conflicts.length === 0) {
       console.log(chalk.green(`✓ Environment ${envName} is already in sync`));
+      envConfig.sync_base = envParser.createSnapshot(merge.merged);
+    } else {
+      console.log(generateMergeReport(merge, { showValues: options.showValues }));
+
+      if (merge.conflicts.length > 0) {
+        // Force mode - remote wins conflicts
+        const decisions = options.force
+          ? decideAll(merge.conflicts, 'remote')
+          : await promptConflictResolution(merge.conflicts, options);
+        result = resolveConflicts(merge.merged, merge.conflicts, decisions);
+      }
+
+      // Only move the base forward once both sides hold the merged result
+      const snapshot = createMergedSnapshot(result, base);
+      applied = await applyMerge(envName, localEnv, remoteEnv, remoteVersion, result, localFilePath, config, snapshot);
+      if (applied) {
+        envConfig.sync_base = snapshot;
+      }
+
+      if (result.skipped.length > 0) {
+        console.log(chalk.yellow(`⚠ Skipped ${result.skipped.join(', ')}; ${result.skipped.length === 1 ? 'it stays' : 'they stay'} in conflict until the next sync`));
+      }
+    }
+
+    // Changes queued for this environment are part of the merged result now
+    if (applied && !cacheManager.isOffline()) {
+      await cacheManager.discardQueued(config, envName);
     }
 
     // Update last sync time in config
@@ -169,7 +209,9 @@ async function syncEnvironment(envName, envConfig, config, options) {
     showSuccess(
       `Environment ${chalk.bold(envName)} synced successfully!\n\n` +
       `Local file: ${chalk.bold(envConfig.file)}\n` +
-      `Variables: ${chalk.bold(Object.keys(localEnv).length)} local, ${chalk.bold(Object.keys(remoteEnv).length)} remote\n` +
+      `Variables: ${chalk.bold(Object.keys(result.local).length)}\n` +
+      `Changes: ${chalk.bold(merge.fromRemote.length)} from remote, ${chalk.bold(merge.fromLocal.length)} from local, ` +
+      `${chalk.bold(merge.conflicts.length)} conflicts\n` +
       `Last sync: ${chalk.bold(formatDate(envConfig.last_sync))}`,
       'Sync Complete'
     );
@@ -181,12 +223,46 @@ async function syncEnvironment(envName, envConfig, config, options) {
 }
 
 /**
- * Prompt user for conflict resolution
+ * Describe what each side changed and which keys conflict, masking values unless showValues is set
+ */
+function generateMergeReport(merge, { showValues = false } = {}) {
+  const lines = [];
+  const symbol = type => (type === 'added' ? chalk.green('+') : type === 'removed' ? chalk.red('-') : chalk.yellow('~'));
+  const show = value => (value === undefined ? chalk.gray('(deleted)') : showValues ? value : '********');
+
+  if (merge.fromRemote.length > 0) {
+    lines.push(chalk.blue('\nRemote changes (applied to local file):'));
+    merge.fromRemote.forEach(change => lines.push(`  ${symbol(change.type)} ${change.key}`));
+  }
+
+  if (merge.fromLocal.length > 0) {
+    lines.push(chalk.blue('\nLocal changes (pushed to remote):'));
+    merge.fromLocal.forEach(change => lines.push(`  ${symbol(change.type)} ${change.key}`));
+  }
+
+  if (merge.conflicts.length > 0) {
+    lines.push(chalk.yellow('\n⚠ Conflicts (changed on both sides):'));
+    merge.conflicts.forEach(({ key, localValue, remoteValue }) => {
+      lines.push(chalk.yellow(`  ! ${key}`));
+      lines.push(`    local:  ${show(localValue)}`);
+      lines.push(`    remote: ${show(remoteValue)}`);
+    });
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Prompt user for conflict resolution, either for all conflicts at once or key by key
  */
-async function promptConflictResolution(conflicts) {
+async function promptConflictResolution(conflicts, options = {}) {
+  if (options.interactive) {
+    return await promptEachConflict(conflicts, options);
+  }
+
   const choices = [
     {
-      name: 'Use local values (overwrite remote)',
+      name: 'Keep local values (push them to remote)',
       value: 'local'
     },
     {
@@ -194,8 +270,8 @@ async function promptConflictResolution(conflicts) {
       value: 'remote'
     },
     {
-      name: 'Merge (keep both, remote wins on conflicts)',
-      value: 'merge'
+      name: 'Choose for each key',
+      value: 'each'
     },
     {
       name: 'Cancel sync',
@@ -207,7 +283,7 @@ async function promptConflictResolution(conflicts) {
     {
       type: 'list',
       name: 'resolution',
-      message: 'How would you like to resolve these conflicts?',
+      message: `How would you like to resolve ${conflicts.length === 1 ? 'this conflict' : `these ${conflicts.length} conflicts`}?`,
       choices
     }
   ]);
@@ -217,60 +293,189 @@ async function promptConflictResolution(conflicts) {
     process.exit(0);
   }
 
-  return resolution;
+  return resolution === 'each'
+    ? await promptEachConflict(conflicts)
+    : decideAll(conflicts, resolution);
 }
 
 /**
- * Resolve conflicts based on user choice
+ * Walk the conflicting keys and ask which value to keep for each
  */
-async function resolveConflicts(envName, localEnv, remoteEnv, conflicts, resolution, localFilePath, config) {
-  let finalEnv;
+async function promptEachConflict(conflicts, options = {}) {
+  const decisions = {};
+  const describe = (side, value) => (value === undefined
+    ? `${side}: delete it`
+    : `${side}: ${options.showValues ? truncate(value, 50) : '********'}`);
+
+  for (const [index, conflict] of conflicts.entries()) {
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: `(${index + 1}/${conflicts.length}) ${conflict.key}`,
+        choices: [
+          { name: describe('Keep local', conflict.localValue), value: 'local' },
+          { name: describe('Use remote', conflict.remoteValue), value: 'remote' },
+          { name: 'Enter a new value', value: 'edit' },
+          { name: 'Skip (leave both sides as they are)', value: 'skip' }
+        ]
+      }
+    ]);
 
-  switch (resolution) {
-    case 'local':
-      finalEnv = { ...remoteEnv, ...localEnv };
-      break;
-    
-    case 'remote':
-      finalEnv = { ...localEnv, ...remoteEnv };
-      break;
-    
-    case 'merge':
-      finalEnv = { ...localEnv, ...remoteEnv };
-      break;
-    
-    default:
-      throw new Error(`Unknown resolution strategy: ${resolution}`);
+    if (action !== 'edit') {
+      decisions[conflict.key] = { action };
+      continue;
+    }
+
+    const { value } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'value',
+        message: `New value for ${conflict.key}:`,
+        ...(options.showValues && { default: conflict.localValue ?? conflict.remoteValue })
+      }
+    ]);
+    decisions[conflict.key] = { action, value };
   }
 
-  // Create backup
-  const backupPath = await envParser.createBackup(localFilePath);
-  if (backupPath) {
-    console.log(chalk.blue(`✓ Created backup: ${backupPath}`));
+  return decisions;
+}
+
+/**
+ * Apply one choice to every conflicting key
+ */
+function decideAll(conflicts, action) {
+  if (!['local', 'remote'].includes(action)) {
+    throw new Error(`Unknown resolution strategy: ${action}`);
   }
 
-  // Write merged environment
-  await envParser.writeEnvFile(localFilePath, finalEnv);
-  console.log(chalk.green(`✓ Updated local environment with ${resolution} strategy`));
+  return Object.fromEntries(conflicts.map(conflict => [conflict.key, { action }]));
+}
 
-  // Update remote if using local strategy
-  if (resolution === 'local' && config.environments[envName].remote_id) {
-    const spinner = createSpinner('Updating remote environment...');
-    spinner.start();
+/**
+ * Settle conflicting keys according to the decisions. Skipped keys keep each side's
+ * own value, so the local and remote results can differ.
+ */
+function resolveConflicts(merged, conflicts, decisions) {
+  const result = { local: { ...merged }, remote: { ...merged }, skipped: [] };
+  const assign = (target, key, value) => {
+    if (value !== undefined) {
+      target[key] = value;
+    }
+  };
 
-    try {
-      const encrypted = await cryptoManager.encryptFileContent(envParser.stringifyEnvContent(finalEnv));
-      await apiClient.updateEnvironment(
-        config.project_id,
-        config.environments[envName].remote_id,
-        encrypted
-      );
-      spinner.succeed('Remote environment updated');
-    } catch (error) {
-      spinner.fail('Failed to update remote environment');
-      console.log(chalk.yellow(`⚠ Remote update failed: ${error.message}`));
+  for (const conflict of conflicts) {
+    const decision = decisions[conflict.key] || { action: 'skip' };
+
+    if (decision.action === 'skip') {
+      assign(result.local, conflict.key, conflict.localValue);
+      assign(result.remote, conflict.key, conflict.remoteValue);
+      result.skipped.push(conflict.key);
+      continue;
+    }
+
+    const value = decision.action === 'local' ? conflict.localValue
+      : decision.action === 'remote' ? conflict.remoteValue
+      : decision.value;
+    assign(result.local, conflict.key, value);
+    assign(result.remote, conflict.key, value);
+  }
+
+  return result;
+}
+
+/**
+ * Snapshot the merged result, keeping the old base for skipped keys so they still conflict
+ */
+function createMergedSnapshot(result, base) {
+  if (result.skipped.length === 0) {
+    return envParser.createSnapshot(result.local);
+  }
+
+  const snapshot = envParser.createSnapshot(result.local, base?.salt);
+  for (const key of result.skipped) {
+    if (base && Object.prototype.hasOwnProperty.call(base.hashes, key)) {
+      snapshot.hashes[key] = base.hashes[key];
+    } else {
+      delete snapshot.hashes[key];
     }
   }
+
+  return snapshot;
+}
+
+/**
+ * Write the merged result to whichever sides differ from it.
+ * The remote is updated whenever a local change or local choice has to reach it; offline, the update is queued.
+ * Returns false if the remote could not be updated.
+ */
+async function applyMerge(envName, localEnv, remoteEnv, remoteVersion, result, localFilePath, config, snapshot) {
+  if (!isSameEnvironment(localEnv, result.local)) {
+    // Create backup
+    const backupPath = await envParser.createBackup(localFilePath);
+    if (backupPath) {
+      console.log(chalk.blue(`✓ Created backup: ${backupPath}`));
+    }
+
+    await envParser.writeEnvFile(localFilePath, result.local);
+    console.log(chalk.green('✓ Updated local environment'));
+  }
+
+  if (isSameEnvironment(remoteEnv, result.remote)) {
+    return true;
+  }
+
+  const offline = cacheManager.isOffline();
+  const spinner = createSpinner(offline ? 'Queueing remote update...' : 'Updating remote environment...');
+  spinner.start();
+
+  try {
+    const { variables: ownEnv } = environmentLoader.hasBases(envName, config)
+      ? await environmentLoader.extractOwnLayer(envName, result.remote, config)
+      : { variables: result.remote };
+
+    if (offline) {
+      await cacheManager.enqueue(envName, ownEnv, config, {
+        baseVersion: remoteVersion,
+        message: 'Sync local changes',
+        snapshot
+      });
+      spinner.warn('Remote update queued; it will be sent once you are back online');
+      return false;
+    }
+
+    const encrypted = await cryptoManager.encrypt(ownEnv, config.project_id);
+    const updatedEnv = await apiClient.updateEnvironment(
+      config.project_id,
+      config.environments[envName].remote_id,
+      encrypted,
+      'Sync local changes',
+      remoteVersion
+    );
+    config.environments[envName].version = updatedEnv.version;
+    await cacheManager.store(envName, {
+      variables: ownEnv,
+      version: updatedEnv.version,
+      keyVersion: encrypted.key_version
+    }, config);
+    spinner.succeed('Remote environment updated');
+    return true;
+  } catch (error) {
+    spinner.fail('Failed to update remote environment');
+    console.log(chalk.yellow(`⚠ Remote update failed: ${error.message}`));
+    if (error.status === 409) {
+      console.log(chalk.yellow(`  The remote changed during the sync. Run "envfly sync ${envName}" again to merge it.`));
+    }
+    return false;
+  }
+}
+
+/**
+ * Whether two environments hold exactly the same variables
+ */
+function isSameEnvironment(a, b) {
+  const changes = envParser.detectConflicts(a, b);
+  return changes.added.length + changes.removed.length + changes.modified.length === 0;
 }
 
 module.exports = sync; 
\ No newline at end of file
@@ -3,6 +3,8 @@ const chalk = require('chalk');
 const { configManager } = require('../lib/config');
 const { authManager } = require('../lib/auth');
 const { apiClient } = require('../lib/api');
+const { keyManager } = require('../lib/keys');
+const keys = require('./keys');
 const { showSuccess, showError, showInfo, createSpinner, formatDate } = require('../lib/utils');
 
 async function team() {
@@ -49,6 +51,9 @@ async function team() {
       case 'share-env':
         await shareEnvironment(args[1], args[2], args[3], args[4]);
         break;
+      case 'remove':
+        await removeMember(args[1]);
+        break;
       default:
         showError(
           `Unknown team command: ${subcommand}\n\n` +
@@ -59,7 +64,8 @@ async function team() {
           `  envfly team join <code>       - Join team via invite code\n` +
           `  envfly team members <team>    - List team members\n` +
           `  envfly team grant <user> <env> - Grant environment access\n` +
-          `  envfly team share-env <env>   - Share environment with team`,
+          `  envfly team share-env <env>   - Share environment with team\n` +
+          `  envfly team remove <email>    - Remove member and rotate project key`,
           'Invalid Command'
         );
         process.exit(1);
@@ -161,10 +167,10 @@ async function listTeams() {
 /**
  * Invite member to team
  */
-async function inviteMember(email, role = 'developer') {
+async function inviteMember(email, role = 'member') {
   if (!email) {
     showError(
-      'Email is required. Use: envfly team invite <email> [role]',
+      'Email is required. Use: envfly team invite <email> [admin|member|readonly]',
       'Email Required'
     );
     process.exit(1);
@@ -191,7 +197,11 @@ async function inviteMember(email, role = 'developer') {
     };
 
     const invite = await apiClient.inviteTeamMember(inviteData);
-    spinner.succeed('Invitation sent');
+    if (invite.email_sent === false) {
+      spinner.warn('Invitation created, but the email could not be sent');
+    } else {
+      spinner.succeed('Invitation sent');
+    }
 
     showSuccess(
       `Invitation sent to ${chalk.bold(email)}!\n\n` +
@@ -203,6 +213,8 @@ async function inviteMember(email, role = 'developer') {
       'Invitation Sent'
     );
 
+    await shareProjectKeys(config);
+
   } catch (error) {
     spinner.fail('Failed to send invitation');
     throw error;
@@ -232,6 +244,9 @@ async function joinTeam(inviteCode) {
     const team = await apiClient.joinTeam(joinData);
     spinner.succeed('Successfully joined team');
 
+    // Teammates can only share project keys once our public key is published
+    await keyManager.ensureKeyPair({ publish: true });
+
     showSuccess(
       `Successfully joined ${chalk.bold(team.name)}!\n\n` +
       `Team ID: ${chalk.bold(team.id)}\n` +
@@ -239,7 +254,8 @@ async function joinTeam(inviteCode) {
       `Member Count: ${chalk.bold(team.member_count)}\n\n` +
       `You can now access team environments:\n` +
       `${chalk.cyan('envfly list')} - List available environments\n` +
-      `${chalk.cyan('envfly sync <env>')} - Sync environments`,
+      `${chalk.cyan('envfly sync <env>')} - Sync environments\n\n` +
+      chalk.gray('If a pull says a key has not been shared with you, ask a teammate to run "envfly keys sync".'),
       'Team Joined'
     );
 
@@ -337,6 +353,8 @@ async function grantPermission(userEmail, environment, permission = 'read') {
       'Permission Granted'
     );
 
+    await shareProjectKeys(config);
+
   } catch (error) {
     spinner.fail('Failed to grant permission');
     throw error;
@@ -346,10 +364,10 @@ async function grantPermission(userEmail, environment, permission = 'read') {
 /**
  * Share environment with another team
  */
-async function shareEnvironment(environment, targetTeam, keys = null) {
+async function shareEnvironment(environment, targetTeam, sharedKeys = null) {
   if (!environment || !targetTeam) {
     showError(
-      'Environment and target team are required. Use: envfly team share-env <environment> <team> [keys]',
+      'Environment and target team are required. Use: envfly team share-env <environment> <team>',
       'Parameters Required'
     );
     process.exit(1);
@@ -373,25 +391,102 @@ async function shareEnvironment(environment, targetTeam, keys = null) {
     const shareData = {
       environment_id: envConfig.remote_id,
       target_team: targetTeam,
-      shared_keys: keys ? keys.split(',') : null
+      shared_keys: sharedKeys ? sharedKeys.split(',') : null
     };
 
     const share = await apiClient.shareEnvironment(shareData);
     spinner.succeed('Environment shared');
 
     showSuccess(
-      `Successfully shared ${chalk.bold(environment)} with ${chalk.bold(targetTeam)}!\n\n` +
-      `Shared Keys: ${keys || 'All variables'}\n` +
-      `Share ID: ${chalk.bold(share.id)}\n\n` +
+      `Successfully shared ${chalk.bold(environment)} with ${chalk.bold(share.target_team.name)}!\n\n` +
+      `Members with access: ${chalk.bold(share.recipients.length)}\n\n` +
       `Team members can access using:\n` +
-      `${chalk.cyan(`envfly pull shared/${environment}`)}`,
+      `${chalk.cyan(`envfly pull ${environment}`)}`,
       'Environment Shared'
     );
 
+    await shareProjectKeys(config);
+
   } catch (error) {
     spinner.fail('Failed to share environment');
     throw error;
   }
 }
 
+/**
+ * Remove a team member and rotate the project key they held
+ */
+async function removeMember(member) {
+  if (!member) {
+    showError(
+      'Member email is required. Use: envfly team remove <email>',
+      'Member Required'
+    );
+    process.exit(1);
+  }
+
+  const config = await configManager.loadConfig();
+  if (!config.team_id) {
+    showError(
+      'No team selected. Please run "envfly init" to set up a team.',
+      'No Team Selected'
+    );
+    process.exit(1);
+  }
+
+  const spinner = createSpinner(`Removing ${member}...`);
+  spinner.start();
+
+  try {
+    const members = await apiClient.getTeamMembers(config.team_id);
+    const target = members.find(m => m.email === member.toLowerCase() || m.id === member);
+
+    if (!target) {
+      spinner.fail('Member not found');
+      showError(
+        `${member} is not a member of ${config.team_name || config.team_id}.`,
+        'Member Not Found'
+      );
+      process.exit(1);
+    }
+
+    await apiClient.removeTeamMember(config.team_id, target.id);
+    spinner.succeed(`Removed ${target.email} from the team`);
+
+  } catch (error) {
+    spinner.fail('Failed to remove member');
+    throw error;
+  }
+
+  // They may still hold the current data key, so replace it
+  if (config.project_id) {
+    await keys('rotate', { yes: true });
+  }
+}
+
+/**
+ * Seal project keys for members who do not hold them yet
+ */
+async function shareProjectKeys(config) {
+  if (!config.project_id) {
+    return;
+  }
+
+  try {
+    const { shared, pending } = await keyManager.shareWithMembers(config.project_id);
+
+    if (shared.length > 0) {
+      console.log(chalk.green(`🔑 Shared project keys with: ${shared.join(', ')}`));
+    }
+    if (pending.length > 0) {
+      console.log(chalk.gray(
+        `Keys will be shared with ${pending.join(', ')} once they log in and someone runs "envfly keys sync".`
+      ));
+    }
+  } catch (error) {
+    console.log(chalk.yellow(`⚠️  Could not share project keys: ${error.message}`));
+    console.log(chalk.gray('Run "envfly keys sync" to retry.'));
+  }
+}
+
 module.exports = team; 
\ No newline at end of file
@@ -0,0 +1,58 @@
+const chalk = require('chalk');
+const { configManager } = require('../lib/config');
+const { authManager } = require('../lib/auth');
+const { apiClient } = require('../lib/api');
+const { variableManager } = require('../lib/variables');
+const { showSuccess, showError, createSpinner } = require('../lib/utils');
+
+async function unset(environment, key) {
+  try {
+    // Load configuration
+    const config = await configManager.loadConfig();
+
+    if ((config.storage?.provider || 'envfly') === 'envfly') {
+      // Check authentication
+      const isAuthenticated = await authManager.checkAuth();
+      if (!isAuthenticated) {
+        showError(
+          'You are not authenticated. Please run "envfly login" first.',
+          'Authentication Required'
+        );
+        process.exit(1);
+      }
+
+      // Initialize API client
+      await apiClient.initialize();
+    }
+
+    const spinner = createSpinner(`Removing ${key} from ${environment}...`);
+    spinner.start();
+
+    let result;
+    try {
+      result = await variableManager.unset(environment, key, config);
+      spinner.succeed(`Removed ${key} from ${environment}`);
+    } catch (error) {
+      spinner.fail(`Failed to remove ${key}`);
+      throw error;
+    }
+
+    showSuccess(
+      `${chalk.bold(key)} removed from ${chalk.bold(environment)}.\n\n` +
+      (result.inheritedFrom
+        ? chalk.yellow(`${environment} now inherits ${key} from ${result.inheritedFrom}.\n`)
+        : '') +
+      chalk.gray(`Run "envfly pull ${environment}" to update your local file.`),
+      'Variable Removed'
+    );
+
+  } catch (error) {
+    showError(
+      `Unset failed: ${error.message}`,
+      'Unset Failed'
+    );
+    process.exit(1);
+  }
+}
+
+module.exports = unset;
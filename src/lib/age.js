@@ -0,0 +1,470 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const HEADER_VERSION = 'age-encryption.org/v1';
+const X25519_LABEL = 'age-encryption.org/v1/X25519';
+const ARMOR_BEGIN = '-----BEGIN AGE ENCRYPTED FILE-----';
+const ARMOR_END = '-----END AGE ENCRYPTED FILE-----';
+const CHUNK_SIZE = 64 * 1024;
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+// DER prefixes that turn raw 32-byte X25519 keys into key objects
+const X25519_SPKI_PREFIX = Buffer.from('302a300506032b656e032100', 'hex');
+const X25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b656e04220420', 'hex');
+
+class AgeManager {
+  // ===== KEYS =====
+
+  /**
+   * Generate an age identity (AGE-SECRET-KEY-1...) and its recipient (age1...)
+   */
+  generateIdentity() {
+    const { privateKey } = crypto.generateKeyPairSync('x25519');
+    const secret = Buffer.from(privateKey.export({ format: 'jwk' }).d, 'base64url');
+    const identity = this.bech32Encode('age-secret-key-', secret).toUpperCase();
+
+    return { identity, recipient: this.parseIdentity(identity).recipient };
+  }
+
+  /**
+   * Decode an age1... recipient into its raw X25519 public key
+   */
+  parseRecipient(recipient) {
+    const { hrp, data } = this.bech32Decode(recipient);
+    if (hrp !== 'age' || data.length !== 32) {
+      throw new Error(`Invalid age recipient "${recipient}"`);
+    }
+    return data;
+  }
+
+  /**
+   * Decode an AGE-SECRET-KEY-1... identity into its private key and recipient
+   */
+  parseIdentity(identity) {
+    const { hrp, data } = this.bech32Decode(identity);
+    if (hrp !== 'age-secret-key-' || data.length !== 32) {
+      throw new Error('Invalid age identity');
+    }
+
+    const privateKey = crypto.createPrivateKey({
+      key: Buffer.concat([X25519_PKCS8_PREFIX, data]),
+      format: 'der',
+      type: 'pkcs8'
+    });
+    const publicKey = Buffer.from(crypto.createPublicKey(privateKey).export({ format: 'jwk' }).x, 'base64url');
+
+    return { privateKey, publicKey, recipient: this.bech32Encode('age', publicKey) };
+  }
+
+  /**
+   * Load identities from where SOPS looks: SOPS_AGE_KEY, then SOPS_AGE_KEY_FILE or the default keys.txt
+   */
+  async loadIdentities() {
+    const sources = [];
+
+    if (process.env.SOPS_AGE_KEY) {
+      sources.push(process.env.SOPS_AGE_KEY);
+    }
+
+    const keyFile = process.env.SOPS_AGE_KEY_FILE || this.getDefaultKeyFile();
+    if (await fs.pathExists(keyFile)) {
+      sources.push(await fs.readFile(keyFile, 'utf8'));
+    }
+
+    return sources
+      .flatMap(text => text.split(/\r?\n/))
+      .map(line => line.trim())
+      .filter(line => line.startsWith('AGE-SECRET-KEY-'))
+      .map(line => this.parseIdentity(line));
+  }
+
+  /**
+   * The keys.txt SOPS reads by default, under the user's config directory
+   */
+  getDefaultKeyFile() {
+    let configDir = path.join(os.homedir(), '.config');
+    if (process.env.XDG_CONFIG_HOME) {
+      configDir = process.env.XDG_CONFIG_HOME;
+    } else if (process.platform === 'darwin') {
+      configDir = path.join(os.homedir(), 'Library', 'Application Support');
+    } else if (process.platform === 'win32' && process.env.APPDATA) {
+      configDir = process.env.APPDATA;
+    }
+
+    return path.join(configDir, 'sops', 'age', 'keys.txt');
+  }
+
+  // ===== ENCRYPTION =====
+
+  /**
+   * Encrypt data to one or more recipients as an ASCII-armored age file
+   */
+  encrypt(plaintext, recipients) {
+    const fileKey = crypto.randomBytes(16);
+
+    let header = `${HEADER_VERSION}\n`;
+    for (const recipient of recipients) {
+      const { share, body } = this.wrapFileKey(fileKey, this.parseRecipient(recipient));
+      header += `-> X25519 ${this.encodeBase64(share)}\n${this.wrapLines(this.encodeBase64(body))}\n`;
+    }
+    header += '---';
+
+    const mac = crypto.createHmac('sha256', this.deriveKey(fileKey, Buffer.alloc(0), 'header'))
+      .update(header)
+      .digest();
+    const nonce = crypto.randomBytes(16);
+
+    const file = Buffer.concat([
+      Buffer.from(`${header} ${this.encodeBase64(mac)}\n`),
+      nonce,
+      this.sealPayload(this.deriveKey(fileKey, nonce, 'payload'), Buffer.from(plaintext))
+    ]);
+
+    return `${ARMOR_BEGIN}\n${this.wrapLines(file.toString('base64'), true)}\n${ARMOR_END}\n`;
+  }
+
+  /**
+   * Decrypt an armored or binary age file with whichever identity it was encrypted to
+   */
+  decrypt(file, identities) {
+    const data = this.dearmor(file);
+
+    const headerEnd = data.indexOf('\n--- ');
+    const macEnd = headerEnd === -1 ? -1 : data.indexOf('\n', headerEnd + 1);
+    if (macEnd === -1) {
+      throw new Error('Invalid age file: header not terminated');
+    }
+
+    const header = data.subarray(0, headerEnd + 4).toString('latin1');
+    if (!/^[\x20-\x7e\n]*$/.test(header)) {
+      throw new Error('Invalid age file: header contains non-printable characters');
+    }
+    const mac = this.decodeBase64(data.subarray(headerEnd + 5, macEnd).toString('latin1'));
+    const lines = header.split('\n');
+    if (lines[0] !== HEADER_VERSION) {
+      throw new Error(`Unsupported age version "${lines[0]}"`);
+    }
+
+    let fileKey = null;
+    for (const stanza of this.parseStanzas(lines.slice(1, -1))) {
+      if (stanza.type === 'scrypt') {
+        throw new Error('Passphrase-encrypted age files are not supported');
+      }
+      if (stanza.type !== 'X25519') {
+        continue;
+      }
+
+      for (const identity of identities) {
+        fileKey = this.unwrapFileKey(stanza, identity);
+        if (fileKey) {
+          break;
+        }
+      }
+      if (fileKey) {
+        break;
+      }
+    }
+
+    if (!fileKey) {
+      throw new Error('No age identity matches any recipient of this file');
+    }
+
+    const expectedMac = crypto.createHmac('sha256', this.deriveKey(fileKey, Buffer.alloc(0), 'header'))
+      .update(header)
+      .digest();
+    if (mac.length !== expectedMac.length || !crypto.timingSafeEqual(mac, expectedMac)) {
+      throw new Error('Invalid age file: header MAC mismatch');
+    }
+
+    const nonce = data.subarray(macEnd + 1, macEnd + 17);
+    return this.openPayload(this.deriveKey(fileKey, nonce, 'payload'), data.subarray(macEnd + 17));
+  }
+
+  // ===== HELPERS =====
+
+  wrapFileKey(fileKey, recipient) {
+    const ephemeral = crypto.generateKeyPairSync('x25519');
+    const share = Buffer.from(ephemeral.publicKey.export({ format: 'jwk' }).x, 'base64url');
+    const sharedSecret = this.sharedSecret(ephemeral.privateKey, recipient);
+
+    const wrapKey = this.deriveKey(sharedSecret, Buffer.concat([share, recipient]), X25519_LABEL);
+    return { share, body: this.chachaSeal(wrapKey, Buffer.alloc(12), fileKey) };
+  }
+
+  unwrapFileKey(stanza, identity) {
+    if (stanza.args.length !== 1) {
+      throw new Error('Invalid age file: malformed X25519 stanza');
+    }
+
+    const share = this.decodeBase64(stanza.args[0]);
+    if (share.length !== 32 || stanza.body.length !== 32) {
+      throw new Error('Invalid age file: malformed X25519 stanza');
+    }
+
+    const sharedSecret = this.sharedSecret(identity.privateKey, share);
+    const wrapKey = this.deriveKey(sharedSecret, Buffer.concat([share, identity.publicKey]), X25519_LABEL);
+
+    try {
+      return this.chachaOpen(wrapKey, Buffer.alloc(12), stanza.body);
+    } catch {
+      // Encrypted to someone else
+      return null;
+    }
+  }
+
+  sharedSecret(privateKey, publicKey) {
+    const secret = crypto.diffieHellman({
+      privateKey,
+      publicKey: crypto.createPublicKey({
+        key: Buffer.concat([X25519_SPKI_PREFIX, publicKey]),
+        format: 'der',
+        type: 'spki'
+      })
+    });
+
+    if (secret.every(byte => byte === 0)) {
+      throw new Error('Invalid age file: low-order X25519 share');
+    }
+    return secret;
+  }
+
+  parseStanzas(lines) {
+    const stanzas = [];
+
+    for (let i = 0; i < lines.length;) {
+      if (!lines[i].startsWith('-> ')) {
+        throw new Error('Invalid age file: malformed recipient stanza');
+      }
+
+      const [type, ...args] = lines[i].slice(3).split(' ');
+      if (!type || [type, ...args].some(arg => !/^[\x21-\x7e]+$/.test(arg))) {
+        throw new Error('Invalid age file: malformed recipient stanza');
+      }
+
+      // The body ends with the first line shorter than 64 columns, which may be empty
+      let body = '';
+      let ended = false;
+      for (i++; i < lines.length && !ended; i++) {
+        if (lines[i].length > 64) {
+          throw new Error('Invalid age file: stanza body line longer than 64 columns');
+        }
+        body += lines[i];
+        ended = lines[i].length < 64;
+      }
+      if (!ended) {
+        throw new Error('Invalid age file: stanza body not terminated');
+      }
+
+      stanzas.push({ type, args, body: this.decodeBase64(body) });
+    }
+
+    return stanzas;
+  }
+
+  sealPayload(key, plaintext) {
+    const chunks = [];
+    const count = Math.max(1, Math.ceil(plaintext.length / CHUNK_SIZE));
+
+    for (let i = 0; i < count; i++) {
+      const chunk = plaintext.subarray(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE);
+      chunks.push(this.chachaSeal(key, this.chunkNonce(i, i === count - 1), chunk));
+    }
+
+    return Buffer.concat(chunks);
+  }
+
+  openPayload(key, payload) {
+    const chunks = [];
+    const sealedSize = CHUNK_SIZE + 16;
+    const count = Math.max(1, Math.ceil(payload.length / sealedSize));
+
+    for (let i = 0; i < count; i++) {
+      const chunk = payload.subarray(i * sealedSize, (i + 1) * sealedSize);
+      chunks.push(this.chachaOpen(key, this.chunkNonce(i, i === count - 1), chunk));
+    }
+
+    // Only an empty payload may end with an empty chunk
+    if (count > 1 && chunks[count - 1].length === 0) {
+      throw new Error('Invalid age file: empty final chunk');
+    }
+
+    return Buffer.concat(chunks);
+  }
+
+  chunkNonce(counter, last) {
+    const nonce = Buffer.alloc(12);
+    nonce.writeUIntBE(counter, 5, 6);
+    nonce[11] = last ? 1 : 0;
+    return nonce;
+  }
+
+  chachaSeal(key, nonce, plaintext) {
+    const cipher = crypto.createCipheriv('chacha20-poly1305', key, nonce, { authTagLength: 16 });
+    return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+  }
+
+  chachaOpen(key, nonce, sealed) {
+    const decipher = crypto.createDecipheriv('chacha20-poly1305', key, nonce, { authTagLength: 16 });
+    decipher.setAuthTag(sealed.subarray(sealed.length - 16));
+    return Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - 16)), decipher.final()]);
+  }
+
+  deriveKey(ikm, salt, info) {
+    return Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, 32));
+  }
+
+  // Armor is strict PEM: whitespace only around it, 64-column lines, canonical padded base64
+  dearmor(file) {
+    const text = Buffer.isBuffer(file) ? file.toString('utf8') : file;
+    const trimmed = text.replace(/^[ \t\r\n]+|[ \t\r\n]+$/g, '');
+
+    if (!trimmed.startsWith(ARMOR_BEGIN)) {
+      return Buffer.isBuffer(file) ? file : Buffer.from(file, 'binary');
+    }
+
+    const lines = trimmed.split(/\r?\n/);
+    if (lines[0] !== ARMOR_BEGIN) {
+      throw new Error('Invalid age file: malformed armor header');
+    }
+    if (lines.length < 3 || lines[lines.length - 1] !== ARMOR_END) {
+      throw new Error('Invalid age file: armor not terminated');
+    }
+
+    const body = lines.slice(1, -1);
+    body.forEach((line, index) => {
+      const last = index === body.length - 1;
+      if (!/^[A-Za-z0-9+/=]+$/.test(line) || line.length > 64 || (!last && line.length !== 64)) {
+        throw new Error('Invalid age file: malformed armor line');
+      }
+    });
+
+    const encoded = body.join('');
+    const data = Buffer.from(encoded, 'base64');
+    if (data.toString('base64') !== encoded) {
+      throw new Error('Invalid age file: armor is not canonical base64');
+    }
+    return data;
+  }
+
+  encodeBase64(data) {
+    return data.toString('base64').replace(/=+$/, '');
+  }
+
+  // Headers use unpadded base64, and only its canonical encoding
+  decodeBase64(text) {
+    const data = Buffer.from(text, 'base64');
+    if (!/^[A-Za-z0-9+/]*$/.test(text) || this.encodeBase64(data) !== text) {
+      throw new Error('Invalid age file: malformed base64');
+    }
+    return data;
+  }
+
+  // Stanza bodies must end with a line shorter than 64 columns; armor has no such rule
+  wrapLines(text, armor = false) {
+    const lines = text.match(/.{1,64}/g) || [''];
+    if (!armor && lines[lines.length - 1].length === 64) {
+      lines.push('');
+    }
+    return lines.join('\n');
+  }
+
+  bech32Encode(hrp, data) {
+    const words = this.convertBits(data, 8, 5, true);
+    const checksum = this.bech32Polymod([...this.bech32HrpExpand(hrp), ...words, 0, 0, 0, 0, 0, 0]) ^ 1;
+
+    let result = `${hrp}1`;
+    for (const word of words) {
+      result += BECH32_CHARSET[word];
+    }
+    for (let i = 0; i < 6; i++) {
+      result += BECH32_CHARSET[(checksum >>> (5 * (5 - i))) & 31];
+    }
+    return result;
+  }
+
+  bech32Decode(text) {
+    if (text !== text.toLowerCase() && text !== text.toUpperCase()) {
+      throw new Error('Invalid bech32 string: mixed case');
+    }
+
+    const lower = text.toLowerCase();
+    const separator = lower.lastIndexOf('1');
+    if (separator < 1 || separator + 7 > lower.length) {
+      throw new Error('Invalid bech32 string');
+    }
+
+    const hrp = lower.slice(0, separator);
+    const words = [...lower.slice(separator + 1)].map(char => {
+      const word = BECH32_CHARSET.indexOf(char);
+      if (word === -1) {
+        throw new Error(`Invalid bech32 character "${char}"`);
+      }
+      return word;
+    });
+
+    if (this.bech32Polymod([...this.bech32HrpExpand(hrp), ...words]) !== 1) {
+      throw new Error('Invalid bech32 checksum');
+    }
+
+    return { hrp, data: Buffer.from(this.convertBits(words.slice(0, -6), 5, 8, false)) };
+  }
+
+  bech32Polymod(values) {
+    const generators = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+    let checksum = 1;
+
+    for (const value of values) {
+      const top = checksum >>> 25;
+      checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+      for (let i = 0; i < 5; i++) {
+        if ((top >>> i) & 1) {
+          checksum ^= generators[i];
+        }
+      }
+    }
+
+    return checksum >>> 0;
+  }
+
+  bech32HrpExpand(hrp) {
+    const codes = [...hrp].map(char => char.charCodeAt(0));
+    return [...codes.map(code => code >>> 5), 0, ...codes.map(code => code & 31)];
+  }
+
+  convertBits(data, fromBits, toBits, pad) {
+    const maxValue = (1 << toBits) - 1;
+    const maxAccumulator = (1 << (fromBits + toBits - 1)) - 1;
+    const result = [];
+    let accumulator = 0;
+    let bits = 0;
+
+    for (const value of data) {
+      accumulator = ((accumulator << fromBits) | value) & maxAccumulator;
+      bits += fromBits;
+      while (bits >= toBits) {
+        bits -= toBits;
+        result.push((accumulator >>> bits) & maxValue);
+      }
+    }
+
+    if (pad) {
+      if (bits > 0) {
+        result.push((accumulator << (toBits - bits)) & maxValue);
+      }
+    } else if (bits >= fromBits || ((accumulator << (toBits - bits)) & maxValue)) {
+      throw new Error('Invalid bech32 padding');
+    }
+
+    return result;
+  }
+}
+
+// Create singleton instance
+const ageManager = new AgeManager();
+
+module.exports = {
+  AgeManager,
+  ageManager
+};
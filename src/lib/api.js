@@ -54,49 +54,56 @@ class ApiClient {
   async handleApiError(error) {
     const { config, response, code } = error;
 
-    // Network errors
+    // Network errors; flagged so commands can tell an unreachable server from a failed request
+    const networkError = (message) => Object.assign(new Error(message), { code, unreachable: true });
+
     if (code === 'ECONNREFUSED') {
-      throw new Error('Could not connect to EnvFly server. Please check your internet connection.');
+      throw networkError('Could not connect to EnvFly server. Please check your internet connection.');
     }
 
     if (code === 'ENOTFOUND') {
-      throw new Error('EnvFly server not found. Please check the API endpoint configuration.');
+      throw networkError('EnvFly server not found. Please check the API endpoint configuration.');
     }
 
     if (code === 'ETIMEDOUT') {
-      throw new Error('Request timed out. Please try again.');
+      throw networkError('Request timed out. Please try again.');
     }
 
     // HTTP errors
     if (response) {
       const { status, data } = response;
+      // Keep the status so callers can tell a missing resource from a failure
+      const apiError = (message) => Object.assign(new Error(message), { status, data });
 
       switch (status) {
         case 401:
-          throw new Error('Authentication failed. Please run "envfly login" to authenticate.');
+          throw apiError('Authentication failed. Please run "envfly login" to authenticate.');
         
         case 403:
-          throw new Error('Access denied. You do not have permission to perform this action.');
+          throw apiError('Access denied. You do not have permission to perform this action.');
         
         case 404:
-          throw new Error('Resource not found. Please check the environment name and project configuration.');
+          throw apiError('Resource not found. Please check the environment name and project configuration.');
         
         case 409:
-          throw new Error('Conflict detected. Please resolve conflicts before proceeding.');
+          throw apiError(data?.message || 'Conflict detected. Please resolve conflicts before proceeding.');
         
         case 429:
-          throw new Error('Rate limit exceeded. Please wait a moment before trying again.');
+          throw apiError('Rate limit exceeded. Please wait a moment before trying again.');
         
         case 500:
-          throw new Error('Server error. Please try again later or contact support.');
+          throw apiError('Server error. Please try again later or contact support.');
         
         default:
           const message = data?.message || data?.error || 'An unexpected error occurred';
-          throw new Error(`API Error (${status}): ${message}`);
+          throw apiError(`API Error (${status}): ${message}`);
       }
     }
 
     // Other errors
+    if (error.request) {
+      throw networkError(`Request failed: ${error.message}`);
+    }
     throw new Error(`Request failed: ${error.message}`);
   }
 
@@ -118,7 +125,8 @@ class ApiClient {
         lastError = error;
         
         // Don't retry on certain errors
-        if (error.response && [401, 403, 404, 409].includes(error.response.status)) {
+        const status = error.response?.status || error.status;
+        if (status && [401, 403, 404, 409].includes(status)) {
           throw error;
         }
         
@@ -182,6 +190,16 @@ class ApiClient {
     });
   }
 
+  /**
+   * Remove member from team
+   */
+  async removeTeamMember(teamId, userId) {
+    return await this.request({
+      method: 'DELETE',
+      url: `/teams/${teamId}/members/${userId}`
+    });
+  }
+
   /**
    * Invite member to team
    */
@@ -263,13 +281,49 @@ class ApiClient {
   }
 
   /**
-   * Update environment variables
+   * Update environment variables. With a base version the server rejects the
+   * update with 409 if the environment changed since that version.
    */
-  async updateEnvironment(projectId, environmentId, variables) {
+  async updateEnvironment(projectId, environmentId, variables, message = null, baseVersion = null) {
     return await this.request({
       method: 'PUT',
       url: `/projects/${projectId}/environments/${environmentId}`,
-      data: { variables }
+      data: {
+        variables,
+        ...(message && { message }),
+        ...(baseVersion !== null && baseVersion !== undefined && { base_version: baseVersion })
+      }
+    });
+  }
+
+  /**
+   * Get a single variable of a server-side environment
+   */
+  async getVariable(projectId, environmentId, key) {
+    return await this.request({
+      method: 'GET',
+      url: `/projects/${projectId}/environments/${environmentId}/variables/${encodeURIComponent(key)}`
+    });
+  }
+
+  /**
+   * Set a single variable of a server-side environment
+   */
+  async setVariable(projectId, environmentId, key, data) {
+    return await this.request({
+      method: 'PUT',
+      url: `/projects/${projectId}/environments/${environmentId}/variables/${encodeURIComponent(key)}`,
+      data
+    });
+  }
+
+  /**
+   * Remove a single variable of a server-side environment
+   */
+  async unsetVariable(projectId, environmentId, key) {
+    return await this.request({
+      method: 'DELETE',
+      url: `/projects/${projectId}/environments/${environmentId}/variables/${encodeURIComponent(key)}`
     });
   }
 
@@ -360,22 +414,70 @@ class ApiClient {
 
   /**
    * Get environment audit logs
+   * Filters: user, action, since, until, limit, cursor
+   */
+  async getEnvironmentAudit(projectId, environmentId, filters = {}) {
+    return await this.request({
+      method: 'GET',
+      url: `/projects/${projectId}/environments/${environmentId}/audit`,
+      params: filters
+    });
+  }
+
+  /**
+   * Verify the audit hash chain of an environment
+   */
+  async verifyEnvironmentAudit(projectId, environmentId, anchor = null) {
+    return await this.request({
+      method: 'GET',
+      url: `/projects/${projectId}/environments/${environmentId}/audit/verify`,
+      params: anchor ? { anchor_sequence: anchor.sequence, anchor_hash: anchor.hash } : {}
+    });
+  }
+
+  /**
+   * Get audit logs across all environments in a project
+   */
+  async getProjectAudit(projectId, filters = {}) {
+    return await this.request({
+      method: 'GET',
+      url: `/audit/projects/${projectId}`,
+      params: filters
+    });
+  }
+
+  /**
+   * Get audit logs across all projects in a team
    */
-  async getEnvironmentAudit(projectId, environmentId) {
+  async getTeamAudit(teamId, filters = {}) {
     return await this.request({
       method: 'GET',
-      url: `/projects/${projectId}/environments/${environmentId}/audit`
+      url: `/audit/teams/${teamId}`,
+      params: filters
     });
   }
 
   /**
    * Rollback environment to specific version
    */
-  async rollbackEnvironment(projectId, environmentId, version) {
+  async rollbackEnvironment(projectId, environmentId, version, baseVersion = null) {
     return await this.request({
       method: 'POST',
       url: `/projects/${projectId}/environments/${environmentId}/rollback`,
-      data: { version }
+      data: {
+        version,
+        ...(baseVersion !== null && baseVersion !== undefined && { base_version: baseVersion })
+      }
+    });
+  }
+
+  /**
+   * Get the content of one environment version
+   */
+  async getEnvironmentVersion(projectId, environmentId, version) {
+    return await this.request({
+      method: 'GET',
+      url: `/projects/${projectId}/environments/${environmentId}/versions/${version}`
     });
   }
 
@@ -389,6 +491,71 @@ class ApiClient {
       params: { v1: version1, v2: version2 }
     });
   }
+
+  // ===== PROJECT KEY ENDPOINTS =====
+
+  /**
+   * List project data key versions
+   */
+  async getProjectKeys(projectId) {
+    return await this.request({
+      method: 'GET',
+      url: `/projects/${projectId}/keys`
+    });
+  }
+
+  /**
+   * Get the caller's copy of a project data key ('current' or a version number)
+   */
+  async getProjectKey(projectId, version = 'current') {
+    return await this.request({
+      method: 'GET',
+      url: `/projects/${projectId}/keys/${version}`
+    });
+  }
+
+  /**
+   * Create a new project data key version from copies sealed to each member
+   */
+  async createProjectKey(projectId, sealedKeys) {
+    return await this.request({
+      method: 'POST',
+      url: `/projects/${projectId}/keys`,
+      data: { sealed_keys: sealedKeys }
+    });
+  }
+
+  /**
+   * List project members with their public keys and the key versions they hold
+   */
+  async getKeyRecipients(projectId) {
+    return await this.request({
+      method: 'GET',
+      url: `/projects/${projectId}/keys/recipients`
+    });
+  }
+
+  /**
+   * Add sealed copies of a key version for more members
+   */
+  async addProjectKeyRecipients(projectId, version, sealedKeys) {
+    return await this.request({
+      method: 'POST',
+      url: `/projects/${projectId}/keys/${version}/recipients`,
+      data: { sealed_keys: sealedKeys }
+    });
+  }
+
+  /**
+   * Publish the public key that project data keys are sealed to
+   */
+  async updatePublicKey(publicKey) {
+    return await this.request({
+      method: 'PUT',
+      url: '/users/me/public-key',
+      data: { public_key: publicKey }
+    });
+  }
 }
 
 // Create singleton instance
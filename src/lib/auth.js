@@ -5,10 +5,12 @@ const { configManager } = require('./config');
 
 const SERVICE_NAME = 'envfly-cli';
 const ACCOUNT_NAME = 'api-key';
+const KEYPAIR_ACCOUNT_NAME = 'identity-keypair';
 
 class AuthManager {
   constructor() {
     this.apiKey = null;
+    this.keyPair = null;
     this.isAuthenticated = false;
   }
 
@@ -62,6 +64,41 @@ class AuthManager {
     }
   }
 
+  /**
+   * Store the X25519 keypair that project data keys are sealed to
+   */
+  async storeKeyPair(keyPair) {
+    try {
+      await keytar.setPassword(SERVICE_NAME, KEYPAIR_ACCOUNT_NAME, JSON.stringify(keyPair));
+      this.keyPair = keyPair;
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to store keypair: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieve the stored X25519 keypair
+   */
+  async getKeyPair() {
+    try {
+      if (this.keyPair) {
+        return this.keyPair;
+      }
+
+      const storedKeyPair = await keytar.getPassword(SERVICE_NAME, KEYPAIR_ACCOUNT_NAME);
+      if (storedKeyPair) {
+        this.keyPair = JSON.parse(storedKeyPair);
+        return this.keyPair;
+      }
+
+      return null;
+    } catch (error) {
+      console.warn(chalk.yellow('Warning: Could not retrieve stored keypair'));
+      return null;
+    }
+  }
+
   /**
    * Check if user is authenticated
    */
@@ -0,0 +1,358 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk');
+const { apiClient } = require('./api');
+const { authManager } = require('./auth');
+const { keyManager } = require('./keys');
+const { cryptoManager } = require('./crypto');
+const { configManager } = require('./config');
+const { isDevelopment } = require('./utils');
+
+class CacheManager {
+  constructor() {
+    this.cacheDir = process.env.ENVFLY_CACHE_DIR || path.join(os.homedir(), '.envfly', 'cache');
+    this.offline = false;
+  }
+
+  /**
+   * Serve remote reads from the cache and queue pushes instead of sending them
+   */
+  goOffline(config) {
+    if ((config.storage?.provider || 'envfly') !== 'envfly') {
+      throw new Error('Offline mode is only available with EnvFly Cloud storage');
+    }
+    this.offline = true;
+  }
+
+  /**
+   * Whether commands should work from the cache
+   */
+  isOffline() {
+    return this.offline;
+  }
+
+  // ===== STORAGE =====
+
+  /**
+   * Path of a project's cache file
+   */
+  getCachePath(projectId) {
+    return path.join(this.cacheDir, `${String(projectId).replace(/[^A-Za-z0-9_.-]/g, '_')}.json`);
+  }
+
+  /**
+   * Read a project's cache, or an empty one
+   */
+  async read(config) {
+    const cachePath = this.getCachePath(config.project_id);
+    const empty = { project_id: config.project_id, keys: {}, environments: {}, queue: [] };
+
+    if (!await fs.pathExists(cachePath)) {
+      return empty;
+    }
+
+    try {
+      return { ...empty, ...JSON.parse(await fs.readFile(cachePath, 'utf8')) };
+    } catch (error) {
+      throw new Error(`Offline cache ${cachePath} is unreadable. Delete it and run "envfly pull" while online.`);
+    }
+  }
+
+  /**
+   * Write a project's cache, readable only by the current user
+   */
+  async write(config, cache) {
+    const cachePath = this.getCachePath(config.project_id);
+    const tempPath = `${cachePath}.${process.pid}.tmp`;
+
+    await fs.ensureDir(this.cacheDir, { mode: 0o700 });
+    await fs.writeFile(tempPath, JSON.stringify(cache, null, 2), { mode: 0o600 });
+    await fs.rename(tempPath, cachePath);
+  }
+
+  // ===== ENCRYPTION =====
+
+  /**
+   * Get a project data key, keeping a copy sealed to our keypair so it can be opened offline
+   */
+  async getProjectKey(config, cache, version) {
+    const keyPair = await authManager.getKeyPair();
+    if (!keyPair) {
+      throw new Error('No keypair available to open the project key');
+    }
+
+    if (cache.keys[version]) {
+      return keyManager.openSealedKey(cache.keys[version], keyPair);
+    }
+
+    if (this.offline) {
+      throw new Error(`Key version ${version} is not in the offline cache`);
+    }
+
+    const key = await keyManager.getKey(config.project_id, version);
+    cache.keys[version] = keyManager.sealKey(key, keyPair.publicKey);
+    return key;
+  }
+
+  /**
+   * Encrypt variables for the cache with a project data key, or the API key when there is none
+   */
+  async seal(variables, config, cache, aad, keyVersion = null) {
+    if (Number.isInteger(keyVersion)) {
+      const key = await this.getProjectKey(config, cache, keyVersion);
+      return {
+        ...cryptoManager.seal(JSON.stringify(variables), key, aad),
+        key_version: keyVersion
+      };
+    }
+
+    const apiKey = await authManager.getApiKey();
+    if (!apiKey) {
+      throw new Error('No API key available to encrypt the offline cache');
+    }
+    return await cryptoManager.encryptWithPassphrase(variables, apiKey, aad);
+  }
+
+  /**
+   * Decrypt variables sealed with seal()
+   */
+  async open(envelope, config, cache, aad) {
+    if (cryptoManager.isProjectKeyed(envelope)) {
+      const key = await this.getProjectKey(config, cache, envelope.key_version);
+      return JSON.parse(cryptoManager.open(envelope, key, aad));
+    }
+
+    const apiKey = await authManager.getApiKey();
+    if (!apiKey) {
+      throw new Error('No API key available to decrypt the offline cache');
+    }
+    return await cryptoManager.decryptWithPassphrase(envelope, apiKey, aad);
+  }
+
+  /**
+   * The newest project key version we hold, for sealing while offline
+   */
+  latestKeyVersion(cache) {
+    const versions = Object.keys(cache.keys).map(Number).filter(Number.isInteger);
+    return versions.length > 0 ? Math.max(...versions) : null;
+  }
+
+  // ===== ENVIRONMENTS =====
+
+  /**
+   * Remember the last known remote state of an environment.
+   * The cache is a convenience, so failing to write it never fails the read.
+   */
+  async store(name, state, config) {
+    try {
+      const cache = await this.read(config);
+      await this.putEnvironment(cache, name, state, config);
+      await this.write(config, cache);
+    } catch (error) {
+      if (isDevelopment()) {
+        console.warn(chalk.yellow(`Could not update offline cache for ${name}: ${error.message}`));
+      }
+    }
+  }
+
+  /**
+   * Record an environment's remote state in a loaded cache
+   */
+  async putEnvironment(cache, name, { variables, version, updatedAt = null, keyVersion = null }, config) {
+    cache.environments[name] = {
+      remote_id: config.environments[name].remote_id,
+      version,
+      updated_at: updatedAt,
+      cached_at: new Date().toISOString(),
+      data: await this.seal(variables, config, cache, `envfly-cache:${config.project_id}:${name}`, keyVersion)
+    };
+  }
+
+  /**
+   * Load the last known remote state of an environment
+   */
+  async load(name, config) {
+    const envConfig = config.environments[name];
+    const cache = await this.read(config);
+    const entry = cache.environments[name];
+
+    if (!entry || entry.remote_id !== envConfig.remote_id) {
+      throw new Error(`No cached copy of "${name}". Run "envfly pull ${name}" while online first.`);
+    }
+
+    // Merging against a copy older than our last push or pull would undo it
+    if (Number.isInteger(entry.version) && Number.isInteger(envConfig.version) && entry.version < envConfig.version) {
+      throw new Error(
+        `The cached copy of "${name}" is version ${entry.version}, older than version ${envConfig.version} ` +
+        `you last pushed or pulled. Run "envfly pull ${name}" while online to refresh it.`
+      );
+    }
+
+    const variables = await this.open(entry.data, config, cache, `envfly-cache:${config.project_id}:${name}`);
+    return {
+      variables,
+      version: entry.version,
+      updated_at: entry.updated_at,
+      cached_at: entry.cached_at
+    };
+  }
+
+  /**
+   * List cached environments without decrypting them
+   */
+  async list(config) {
+    const cache = await this.read(config);
+    return Object.entries(cache.environments).map(([name, entry]) => ({
+      name,
+      version: entry.version,
+      cached_at: entry.cached_at,
+      metadata: { updated_at: entry.updated_at }
+    }));
+  }
+
+  // ===== QUEUE =====
+
+  /**
+   * Queue a push until we are back online. A newer push of the same environment replaces the older one,
+   * since both hold the whole environment and only the newer one can still match its base version.
+   */
+  async enqueue(name, variables, config, { baseVersion = null, message = null, snapshot = null } = {}) {
+    const cache = await this.read(config);
+    const replaced = cache.queue.some(item => item.environment === name);
+
+    const item = {
+      id: crypto.randomBytes(8).toString('hex'),
+      environment: name,
+      remote_id: config.environments[name].remote_id,
+      base_version: baseVersion,
+      message,
+      sync_base: snapshot,
+      queued_at: new Date().toISOString(),
+      data: await this.seal(variables, config, cache, `envfly-queue:${config.project_id}:${name}`, this.latestKeyVersion(cache))
+    };
+
+    cache.queue = [...cache.queue.filter(queued => queued.environment !== name), item];
+    await this.write(config, cache);
+
+    return { item, replaced };
+  }
+
+  /**
+   * List queued pushes without decrypting them
+   */
+  async getQueue(config) {
+    const cache = await this.read(config);
+    return cache.queue.map(({ data, ...item }) => item);
+  }
+
+  /**
+   * Drop queued pushes, of one environment or all of them
+   */
+  async discardQueued(config, name = null) {
+    const cache = await this.read(config);
+    const kept = cache.queue.filter(item => name !== null && item.environment !== name);
+    const discarded = cache.queue.length - kept.length;
+
+    if (discarded > 0) {
+      cache.queue = kept;
+      await this.write(config, cache);
+    }
+
+    return discarded;
+  }
+
+  /**
+   * Send queued pushes, each based on the version it was made against so that
+   * changes made remotely in the meantime are reported as conflicts, not overwritten
+   */
+  async replayQueue(config) {
+    const cache = await this.read(config);
+    const results = { pushed: [], conflicts: [], failed: [] };
+
+    if (cache.queue.length === 0) {
+      return results;
+    }
+
+    console.log(chalk.blue(`Replaying ${cache.queue.length} queued ${cache.queue.length === 1 ? 'push' : 'pushes'}...`));
+
+    for (const item of [...cache.queue]) {
+      const envConfig = config.environments[item.environment];
+      if (!envConfig || envConfig.remote_id !== item.remote_id) {
+        console.log(chalk.yellow(`⚠ Dropped queued push of ${item.environment}: it is no longer connected to the same remote environment`));
+        cache.queue = cache.queue.filter(queued => queued.id !== item.id);
+        continue;
+      }
+
+      try {
+        const variables = await this.open(item.data, config, cache, `envfly-queue:${config.project_id}:${item.environment}`);
+        const data = cryptoManager.isEncryptionEnabled(config)
+          ? await cryptoManager.encrypt(variables, config.project_id)
+          : variables;
+
+        const updatedEnv = await apiClient.updateEnvironment(
+          config.project_id,
+          item.remote_id,
+          data,
+          item.message || 'Queued offline push',
+          item.base_version
+        );
+
+        envConfig.version = updatedEnv.version;
+        envConfig.last_push = new Date().toISOString();
+        if (item.sync_base) {
+          envConfig.sync_base = item.sync_base;
+        }
+        cache.queue = cache.queue.filter(queued => queued.id !== item.id);
+
+        // What we pushed is the last known remote state now; a stale copy must not outlive it
+        try {
+          await this.putEnvironment(cache, item.environment, {
+            variables,
+            version: updatedEnv.version,
+            keyVersion: cryptoManager.isEncryptionEnabled(config) ? data.key_version : null
+          }, config);
+        } catch (error) {
+          delete cache.environments[item.environment];
+        }
+
+        results.pushed.push(item.environment);
+        console.log(chalk.green(`✓ Pushed changes to ${item.environment} queued while offline`));
+      } catch (error) {
+        if (error.unreachable) {
+          console.log(chalk.yellow('⚠ Still offline; queued pushes will be retried later'));
+          break;
+        }
+
+        if (error.status === 409 && error.data?.error === 'Version conflict') {
+          item.conflict = { message: error.message, current_version: error.data.current_version };
+          results.conflicts.push(item.environment);
+          console.log(chalk.yellow(
+            `⚠ ${item.environment} changed remotely while you were offline. ` +
+            `Run "envfly sync ${item.environment}" to merge your queued changes.`
+          ));
+          continue;
+        }
+
+        results.failed.push(item.environment);
+        console.log(chalk.yellow(`⚠ Could not push queued changes to ${item.environment}: ${error.message}`));
+      }
+    }
+
+    await this.write(config, cache);
+    if (results.pushed.length > 0) {
+      await configManager.saveConfig(config);
+    }
+
+    return results;
+  }
+}
+
+// Create singleton instance
+const cacheManager = new CacheManager();
+
+module.exports = {
+  CacheManager,
+  cacheManager
+};
@@ -169,6 +169,70 @@ class ConfigManager {
     if (!config.auth || typeof config.auth !== 'object') {
       throw new Error('Invalid configuration: missing or invalid auth section');
     }
+
+    this.validateInheritance(config.environments);
+  }
+
+  /**
+   * Check every "extends" list names known environments and forms no cycle
+   */
+  validateInheritance(environments) {
+    for (const [name, envConfig] of Object.entries(environments)) {
+      const bases = envConfig?.extends;
+      if (bases === undefined) {
+        continue;
+      }
+
+      if (!Array.isArray(bases) || bases.some(base => typeof base !== 'string')) {
+        throw new Error(`Invalid configuration: "extends" of environment "${name}" must be an array of environment names`);
+      }
+
+      for (const base of bases) {
+        if (!environments[base]) {
+          throw new Error(`Invalid configuration: environment "${name}" extends unknown environment "${base}"`);
+        }
+      }
+    }
+
+    const done = new Set();
+    const visit = (name, path) => {
+      if (path.includes(name)) {
+        const cycle = [...path.slice(path.indexOf(name)), name];
+        throw new Error(`Invalid configuration: inheritance cycle ${cycle.join(' -> ')}`);
+      }
+      if (done.has(name)) {
+        return;
+      }
+
+      for (const base of environments[name].extends || []) {
+        visit(base, [...path, name]);
+      }
+      done.add(name);
+    };
+
+    Object.keys(environments).forEach(name => visit(name, []));
+  }
+
+  /**
+   * Layers an environment is built from, base-most first and ending with the environment itself
+   */
+  getInheritanceChain(envName, config = this.config) {
+    const envConfig = config.environments[envName];
+    if (!envConfig) {
+      throw new Error(`Environment "${envName}" not found in configuration`);
+    }
+
+    const chain = [];
+    for (const base of envConfig.extends || []) {
+      for (const layer of this.getInheritanceChain(base, config)) {
+        if (!chain.includes(layer)) {
+          chain.push(layer);
+        }
+      }
+    }
+    chain.push(envName);
+
+    return chain;
   }
 
   /**
@@ -196,6 +260,7 @@ const createConfig = (projectName, teamId) => configManager.createConfig(project
 const configExists = () => configManager.configExists();
 const getEnvironment = (envName) => configManager.getEnvironment(envName);
 const listEnvironments = () => configManager.listEnvironments();
+const getInheritanceChain = (envName, config) => configManager.getInheritanceChain(envName, config);
 
 module.exports = {
   ConfigManager,
@@ -205,5 +270,6 @@ module.exports = {
   createConfig,
   configExists,
   getEnvironment,
-  listEnvironments
+  listEnvironments,
+  getInheritanceChain
 }; 
\ No newline at end of file
@@ -1,14 +1,18 @@
 const crypto = require('crypto');
 const { authManager } = require('./auth');
+const { keyManager } = require('./keys');
+const { envParser } = require('./env-parser');
 
 class CryptoManager {
   constructor() {
     this.algorithm = 'aes-256-gcm';
     this.keyLength = 32; // 256 bits
-    this.ivLength = 16; // 128 bits
+    this.ivLength = 12; // 96 bits, the GCM standard
     this.tagLength = 16; // 128 bits
     this.saltLength = 64; // 512 bits
     this.iterations = 100000; // PBKDF2 iterations
+    this.envelopeVersion = 2;
+    this.aad = 'envfly-cli';
   }
 
   /**
@@ -31,36 +35,143 @@ class CryptoManager {
   }
 
   /**
-   * Encrypt environment variables
+   * Encrypt a string with a raw key into a versioned envelope
    */
-  async encrypt(data) {
+  seal(plaintext, key, aad = null) {
+    const iv = crypto.randomBytes(this.ivLength);
+    const cipher = crypto.createCipheriv(this.algorithm, key, iv, { authTagLength: this.tagLength });
+    if (aad) {
+      cipher.setAAD(Buffer.from(aad, 'utf8'));
+    }
+
+    let encrypted = cipher.update(plaintext, 'utf8', 'hex');
+    encrypted += cipher.final('hex');
+
+    return {
+      v: this.envelopeVersion,
+      algorithm: this.algorithm,
+      encrypted,
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex')
+    };
+  }
+
+  /**
+   * Decrypt a versioned envelope with a raw key
+   */
+  open(envelope, key, aad = null) {
+    const { encrypted, iv, tag, algorithm } = envelope;
+
+    if (algorithm !== this.algorithm) {
+      throw new Error(`Unsupported encryption algorithm: ${algorithm}`);
+    }
+    if (envelope.v !== this.envelopeVersion) {
+      throw new Error(`Unsupported encryption envelope version: ${envelope.v}`);
+    }
+
+    const decipher = crypto.createDecipheriv(this.algorithm, key, Buffer.from(iv, 'hex'), { authTagLength: this.tagLength });
+    if (aad) {
+      decipher.setAAD(Buffer.from(aad, 'utf8'));
+    }
+    decipher.setAuthTag(Buffer.from(tag, 'hex'));
+
+    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+
+    return decrypted;
+  }
+
+  /**
+   * Decrypt data written by crypto.createCipher, which ignored the stored IV.
+   * Read-only: nothing is written in this format any more.
+   */
+  openLegacy(envelope, password, aad = null) {
+    const { key, iv } = this.legacyKeyAndIv(password);
+    const decipher = crypto.createDecipheriv(this.algorithm, key, iv);
+    if (aad) {
+      decipher.setAAD(Buffer.from(aad, 'utf8'));
+    }
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'hex'));
+
+    let decrypted = decipher.update(envelope.encrypted, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+
+    return decrypted;
+  }
+
+  /**
+   * Reproduce OpenSSL's EVP_BytesToKey (MD5, one round, no salt) as used by createCipher
+   */
+  legacyKeyAndIv(password) {
+    const ivLength = 12; // createCipher used the cipher's default GCM IV length
+    let derived = Buffer.alloc(0);
+    let block = Buffer.alloc(0);
+
+    while (derived.length < this.keyLength + ivLength) {
+      block = crypto.createHash('md5').update(Buffer.concat([block, Buffer.from(password)])).digest();
+      derived = Buffer.concat([derived, block]);
+    }
+
+    return {
+      key: derived.subarray(0, this.keyLength),
+      iv: derived.subarray(this.keyLength, this.keyLength + ivLength)
+    };
+  }
+
+  /**
+   * Check whether encrypted data predates the versioned envelope
+   */
+  isLegacyEnvelope(envelope) {
+    return !!envelope && typeof envelope.encrypted === 'string' && !envelope.v;
+  }
+
+  /**
+   * Encrypt data with a key derived from a passphrase
+   */
+  async encryptWithPassphrase(data, passphrase, aad = null) {
+    const { key, salt } = await this.deriveKey(passphrase);
+
+    return {
+      ...this.seal(JSON.stringify(data), key, aad),
+      salt: salt.toString('hex')
+    };
+  }
+
+  /**
+   * Decrypt data encrypted with encryptWithPassphrase
+   */
+  async decryptWithPassphrase(envelope, passphrase, aad = null) {
+    const { key } = await this.deriveKey(passphrase, Buffer.from(envelope.salt, 'hex'));
+    return JSON.parse(this.open(envelope, key, aad));
+  }
+
+  /**
+   * Check whether encrypted data uses a project data key
+   */
+  isProjectKeyed(envelope) {
+    return !!envelope && Number.isInteger(envelope.key_version);
+  }
+
+  /**
+   * Encrypt environment variables with the project's current data key.
+   * Without a project, falls back to a key derived from the API key.
+   */
+  async encrypt(data, projectId = null) {
     try {
+      if (projectId) {
+        const { version, key } = await keyManager.getCurrentKey(projectId);
+        return {
+          ...this.seal(JSON.stringify(data), key, this.aad),
+          key_version: version
+        };
+      }
+
       const apiKey = await authManager.getApiKey();
       if (!apiKey) {
         throw new Error('No API key available for encryption');
       }
 
-      const { key, salt } = await this.deriveKey(apiKey);
-      const iv = crypto.randomBytes(this.ivLength);
-      
-      const cipher = crypto.createCipher(this.algorithm, key);
-      cipher.setAAD(Buffer.from('envfly-cli', 'utf8'));
-      
-      let encrypted = cipher.update(JSON.stringify(data), 'utf8', 'hex');
-      encrypted += cipher.final('hex');
-      
-      const tag = cipher.getAuthTag();
-      
-      // Combine all components
-      const result = {
-        encrypted: encrypted,
-        iv: iv.toString('hex'),
-        tag: tag.toString('hex'),
-        salt: salt.toString('hex'),
-        algorithm: this.algorithm
-      };
-      
-      return result;
+      return await this.encryptWithPassphrase(data, apiKey, this.aad);
     } catch (error) {
       throw new Error(`Encryption failed: ${error.message}`);
     }
@@ -69,31 +180,36 @@ class CryptoManager {
   /**
    * Decrypt environment variables
    */
-  async decrypt(encryptedData) {
+  async decrypt(encryptedData, projectId = null) {
     try {
+      if (this.isProjectKeyed(encryptedData)) {
+        if (!projectId) {
+          throw new Error('A project is required to decrypt with a project key');
+        }
+
+        const key = await keyManager.getKey(projectId, encryptedData.key_version);
+        return JSON.parse(this.open(encryptedData, key, this.aad));
+      }
+
+      // Data from before project keys was encrypted with the API key
       const apiKey = await authManager.getApiKey();
       if (!apiKey) {
         throw new Error('No API key available for decryption');
       }
 
-      const { encrypted, iv, tag, salt, algorithm } = encryptedData;
-      
-      if (algorithm !== this.algorithm) {
-        throw new Error(`Unsupported encryption algorithm: ${algorithm}`);
+      if (this.isLegacyEnvelope(encryptedData)) {
+        if (encryptedData.algorithm !== this.algorithm) {
+          throw new Error(`Unsupported encryption algorithm: ${encryptedData.algorithm}`);
+        }
+
+        // The old format passed the derived key to createCipher as a password
+        const { key } = await this.deriveKey(apiKey, Buffer.from(encryptedData.salt, 'hex'));
+        return JSON.parse(this.openLegacy(encryptedData, key, this.aad));
       }
 
-      const { key } = await this.deriveKey(apiKey, Buffer.from(salt, 'hex'));
-      const decipher = crypto.createDecipher(this.algorithm, key);
-      
-      decipher.setAAD(Buffer.from('envfly-cli', 'utf8'));
-      decipher.setAuthTag(Buffer.from(tag, 'hex'));
-      
-      let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      
-      return JSON.parse(decrypted);
+      return await this.decryptWithPassphrase(encryptedData, apiKey, this.aad);
     } catch (error) {
-      if (error.message.includes('bad decrypt')) {
+      if (error.message.includes('bad decrypt') || error.message.includes('unable to authenticate')) {
         throw new Error('Decryption failed: Invalid encryption key or corrupted data');
       }
       throw new Error(`Decryption failed: ${error.message}`);
@@ -120,63 +236,18 @@ class CryptoManager {
   /**
    * Encrypt environment file content
    */
-  async encryptFileContent(content) {
+  async encryptFileContent(content, projectId = null) {
     // Parse .env content into object
-    const envObject = this.parseEnvContent(content);
-    return await this.encrypt(envObject);
+    const envObject = envParser.parseEnvContent(content);
+    return await this.encrypt(envObject, projectId);
   }
 
   /**
    * Decrypt environment file content
    */
-  async decryptFileContent(encryptedData) {
-    const decrypted = await this.decrypt(encryptedData);
-    return this.stringifyEnvContent(decrypted);
-  }
-
-  /**
-   * Parse .env file content into object
-   */
-  parseEnvContent(content) {
-    const lines = content.split('\n');
-    const envObject = {};
-    
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      
-      // Skip empty lines and comments
-      if (!trimmedLine || trimmedLine.startsWith('#')) {
-        continue;
-      }
-      
-      // Handle key=value format
-      const equalIndex = trimmedLine.indexOf('=');
-      if (equalIndex > 0) {
-        const key = trimmedLine.substring(0, equalIndex).trim();
-        const value = trimmedLine.substring(equalIndex + 1).trim();
-        
-        // Remove quotes if present
-        const cleanValue = value.replace(/^["']|["']$/g, '');
-        envObject[key] = cleanValue;
-      }
-    }
-    
-    return envObject;
-  }
-
-  /**
-   * Convert object back to .env file format
-   */
-  stringifyEnvContent(envObject) {
-    const lines = [];
-    
-    for (const [key, value] of Object.entries(envObject)) {
-      // Escape special characters in value
-      const escapedValue = value.replace(/"/g, '\\"');
-      lines.push(`${key}="${escapedValue}"`);
-    }
-    
-    return lines.join('\n') + '\n';
+  async decryptFileContent(encryptedData, projectId = null) {
+    const decrypted = await this.decrypt(encryptedData, projectId);
+    return envParser.stringifyEnvContent(decrypted);
   }
 
   /**
@@ -220,14 +291,15 @@ class CryptoManager {
 const cryptoManager = new CryptoManager();
 
 // Export functions for backward compatibility
-const encrypt = (data) => cryptoManager.encrypt(data);
-const decrypt = (encryptedData) => cryptoManager.decrypt(encryptedData);
+const encrypt = (data, projectId) => cryptoManager.encrypt(data, projectId);
+const decrypt = (encryptedData, projectId) => cryptoManager.decrypt(encryptedData, projectId);
 const encryptVariable = (key, value) => cryptoManager.encryptVariable(key, value);
 const decryptVariable = (encryptedData) => cryptoManager.decryptVariable(encryptedData);
-const encryptFileContent = (content) => cryptoManager.encryptFileContent(content);
-const decryptFileContent = (encryptedData) => cryptoManager.decryptFileContent(encryptedData);
-const parseEnvContent = (content) => cryptoManager.parseEnvContent(content);
-const stringifyEnvContent = (envObject) => cryptoManager.stringifyEnvContent(envObject);
+const encryptFileContent = (content, projectId) => cryptoManager.encryptFileContent(content, projectId);
+const decryptFileContent = (encryptedData, projectId) => cryptoManager.decryptFileContent(encryptedData, projectId);
+// .env parsing lives in env-parser; these stay for backward compatibility
+const parseEnvContent = (content) => envParser.parseEnvContent(content);
+const stringifyEnvContent = (envObject) => envParser.stringifyEnvContent(envObject);
 
 module.exports = {
   CryptoManager,
@@ -1,5 +1,6 @@
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
 const chalk = require('chalk');
 
 class EnvParser {
@@ -7,65 +8,208 @@ class EnvParser {
     this.supportedFormats = ['.env', '.env.local', '.env.production', '.env.staging', '.env.development'];
   }
 
+  /**
+   * Split .env content into entries whose raw text joins back into the original
+   */
+  tokenize(content) {
+    const entries = [];
+    let position = 0;
+
+    while (position < content.length) {
+      const entry = this.readEntry(content, position);
+      entries.push(entry);
+      position += entry.raw.length;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Read the entry starting at position: a blank line, comment, variable or invalid line
+   */
+  readEntry(content, position) {
+    const lineEnd = this.findLineEnd(content, position);
+    const line = content.slice(position, lineEnd);
+
+    if (!line.trim()) {
+      return { type: 'blank', raw: line };
+    }
+
+    if (line.trim().startsWith('#')) {
+      return { type: 'comment', raw: line };
+    }
+
+    // [export ]KEY=value or KEY: value
+    const match = line.match(/^[ \t]*(export[ \t]+)?([\w.-]+)[ \t]*(?:=|:(?=[ \t]))/);
+    if (!match) {
+      return { type: 'invalid', raw: line };
+    }
+
+    const separatorEnd = position + match[0].length;
+    const valueStart = separatorEnd + line.slice(match[0].length).match(/^[ \t]*/)[0].length;
+    const quote = content[valueStart];
+
+    if (quote === '"' || quote === "'" || quote === '`') {
+      const quoted = this.readQuoted(content, valueStart, quote);
+      if (quoted) {
+        return {
+          type: 'variable',
+          key: match[2],
+          value: quoted.value,
+          quote,
+          exported: !!match[1],
+          prefix: content.slice(position, valueStart),
+          suffix: content.slice(quoted.end, quoted.lineEnd),
+          raw: content.slice(position, quoted.lineEnd)
+        };
+      }
+      // An unterminated quote is read as part of an unquoted value
+    }
+
+    // Unquoted values run to the end of the line or a " #" comment
+    const text = line.slice(match[0].length).replace(/\r?\n$/, '');
+    const commentIndex = text.search(/\s#/);
+    const body = commentIndex >= 0 ? text.slice(0, commentIndex) : text;
+    const value = body.trim();
+    const leading = value ? body.match(/^\s*/)[0].length : body.length;
+
+    return {
+      type: 'variable',
+      key: match[2],
+      value,
+      quote: null,
+      exported: !!match[1],
+      prefix: content.slice(position, separatorEnd + leading),
+      suffix: content.slice(separatorEnd + leading + value.length, lineEnd),
+      raw: line
+    };
+  }
+
+  /**
+   * Index just past the newline ending the line at position
+   */
+  findLineEnd(content, position) {
+    const newline = content.indexOf('\n', position);
+    return newline === -1 ? content.length : newline + 1;
+  }
+
+  /**
+   * Read a quoted value, which may span lines; null if it is not closed cleanly
+   */
+  readQuoted(content, start, quote) {
+    let index = start + 1;
+
+    while (index < content.length && content[index] !== quote) {
+      // Only double quotes support escapes
+      index += quote === '"' && content[index] === '\\' ? 2 : 1;
+    }
+
+    if (index >= content.length) {
+      return null;
+    }
+
+    // Only whitespace and a comment may follow the closing quote
+    const lineEnd = this.findLineEnd(content, index);
+    if (!/^[ \t]*(#[^\n]*)?\r?\n?$/.test(content.slice(index + 1, lineEnd))) {
+      return null;
+    }
+
+    // Line breaks inside a value are always read as \n
+    const inner = content.slice(start + 1, index).replace(/\r\n/g, '\n');
+    return {
+      value: quote === '"' ? this.unescapeValue(inner) : inner,
+      end: index + 1,
+      lineEnd
+    };
+  }
+
+  /**
+   * Expand escape sequences in a double-quoted value
+   */
+  unescapeValue(value) {
+    const sequences = { n: '\n', r: '\r', t: '\t', '"': '"', '\\': '\\' };
+    return value.replace(/\\([nrt"\\])/g, (match, char) => sequences[char]);
+  }
+
   /**
    * Parse .env file content into key-value object
    */
   parseEnvContent(content) {
-    const lines = content.split('\n');
     const envObject = {};
-    const comments = {};
-    
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      const trimmedLine = line.trim();
-      
-      // Skip empty lines
-      if (!trimmedLine) {
-        continue;
+
+    for (const entry of this.tokenize(content)) {
+      if (entry.type === 'variable') {
+        envObject[entry.key] = entry.value;
       }
-      
-      // Handle comments
-      if (trimmedLine.startsWith('#')) {
-        // Store comment for next variable
-        continue;
+    }
+
+    return envObject;
+  }
+
+  /**
+   * Apply new values to parsed entries, only rewriting lines whose value changed
+   */
+  updateEntries(entries, envObject) {
+    const updated = [];
+    const seen = new Set();
+
+    // When a key repeats, the last definition wins and is the one to update
+    const lastIndex = new Map();
+    entries.forEach((entry, index) => {
+      if (entry.type === 'variable') lastIndex.set(entry.key, index);
+    });
+
+    entries.forEach((entry, index) => {
+      if (entry.type !== 'variable') {
+        updated.push(entry);
+        return;
       }
-      
-      // Handle key=value format
-      const equalIndex = trimmedLine.indexOf('=');
-      if (equalIndex > 0) {
-        const key = trimmedLine.substring(0, equalIndex).trim();
-        let value = trimmedLine.substring(equalIndex + 1).trim();
-        
-        // Handle quoted values
-        if ((value.startsWith('"') && value.endsWith('"')) || 
-            (value.startsWith("'") && value.endsWith("'"))) {
-          value = value.slice(1, -1);
-        }
-        
-        // Handle multiline values
-        if (value.endsWith('\\')) {
-          value = value.slice(0, -1);
-          let nextLine = '';
-          let j = i + 1;
-          
-          while (j < lines.length) {
-            nextLine = lines[j].trim();
-            if (nextLine.endsWith('\\')) {
-              value += nextLine.slice(0, -1);
-              j++;
-            } else {
-              value += nextLine;
-              break;
-            }
-          }
-          i = j;
-        }
-        
-        envObject[key] = value;
+
+      // Variables that are gone are dropped; their comments stay
+      if (!Object.prototype.hasOwnProperty.call(envObject, entry.key)) {
+        return;
+      }
+
+      seen.add(entry.key);
+      const value = String(envObject[entry.key]);
+
+      if (value === entry.value || index !== lastIndex.get(entry.key)) {
+        updated.push(entry);
+      } else {
+        const formatted = this.formatValue(value, entry.quote);
+        updated.push({
+          ...entry,
+          value,
+          quote: /^["'`]/.test(formatted) ? formatted[0] : null,
+          raw: `${entry.prefix}${formatted}${entry.suffix}`
+        });
+      }
+    });
+
+    const added = Object.keys(envObject).filter(key => !seen.has(key));
+    if (added.length > 0) {
+      const content = updated.map(entry => entry.raw).join('');
+      const eol = content.includes('\r\n') ? '\r\n' : '\n';
+
+      if (content && !content.endsWith('\n')) {
+        updated.push({ type: 'blank', raw: eol });
+      }
+
+      for (const key of added) {
+        updated.push(...this.tokenize(`${key}=${this.escapeValue(envObject[key])}${eol}`));
       }
     }
-    
-    return envObject;
+
+    return updated;
+  }
+
+  /**
+   * Rewrite .env content with new values, keeping comments, order and untouched lines
+   */
+  updateEnvContent(content, envObject) {
+    return this.updateEntries(this.tokenize(content), envObject)
+      .map(entry => entry.raw)
+      .join('');
   }
 
   /**
@@ -88,6 +232,21 @@ class EnvParser {
     return lines.join('\n') + '\n';
   }
 
+  /**
+   * Format a value, keeping its previous quote style where the value allows it
+   */
+  formatValue(value, quote) {
+    if (quote === "'" && !/['\r\n]/.test(value)) {
+      return `'${value}'`;
+    }
+
+    if (quote === '"') {
+      return `"${this.escapeQuoted(value)}"`;
+    }
+
+    return this.escapeValue(value);
+  }
+
   /**
    * Escape value for .env format
    */
@@ -97,14 +256,116 @@ class EnvParser {
     }
     
     // If value contains spaces, quotes, or special characters, quote it
-    if (value.includes(' ') || value.includes('"') || value.includes("'") || 
-        value.includes('#') || value.includes('$') || value.includes('\\')) {
-      return `"${value.replace(/"/g, '\\"')}"`;
+    if (/[\s"'`#$\\]/.test(value)) {
+      return `"${this.escapeQuoted(value)}"`;
     }
     
     return value;
   }
 
+  /**
+   * Escape a value for use inside double quotes
+   */
+  escapeQuoted(value) {
+    return value
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, '\\n')
+      .replace(/\r/g, '\\r')
+      .replace(/\t/g, '\\t');
+  }
+
+  /**
+   * Expand ${KEY} and ${env:<environment>.KEY} references in an environment's values
+   */
+  async resolveVariables(envObject, options = {}) {
+    const { envName = null, loadEnvironment = null } = options;
+    const environments = new Map([[envName, envObject]]);
+    const resolved = new Map();
+
+    const label = ({ env, key }) => (env === envName ? key : `env:${env}.${key}`);
+
+    const getEnvironment = async (env, referencedBy) => {
+      if (!environments.has(env)) {
+        if (!loadEnvironment) {
+          throw new Error(`${label(referencedBy)} references environment "${env}", which cannot be loaded here`);
+        }
+        environments.set(env, await loadEnvironment(env));
+      }
+      return environments.get(env);
+    };
+
+    const resolveReference = async (ref, stack) => {
+      const id = `${ref.env}\0${ref.key}`;
+      if (resolved.has(id)) {
+        return resolved.get(id);
+      }
+
+      const cycleStart = stack.findIndex(entry => entry.env === ref.env && entry.key === ref.key);
+      if (cycleStart !== -1) {
+        throw new Error(`Circular reference: ${[...stack.slice(cycleStart), ref].map(label).join(' -> ')}`);
+      }
+
+      const referencedBy = stack[stack.length - 1] || ref;
+      const variables = await getEnvironment(ref.env, referencedBy);
+      if (!Object.prototype.hasOwnProperty.call(variables, ref.key)) {
+        throw new Error(`${label(referencedBy)} references undefined variable ${label(ref)}`);
+      }
+
+      const value = await expand(String(variables[ref.key]), [...stack, ref]);
+      resolved.set(id, value);
+      return value;
+    };
+
+    const expand = async (value, stack) => {
+      const owner = stack[stack.length - 1];
+      let result = '';
+      let last = 0;
+
+      // \${...} is kept as a literal ${...}
+      for (const match of value.matchAll(/\\?\$\{([^}]*)\}/g)) {
+        result += value.slice(last, match.index);
+        last = match.index + match[0].length;
+
+        if (match[0].startsWith('\\')) {
+          result += match[0].slice(1);
+          continue;
+        }
+
+        result += await resolveReference(this.parseReference(match[1], owner), stack);
+      }
+
+      return result + value.slice(last);
+    };
+
+    const result = {};
+    for (const key of Object.keys(envObject)) {
+      result[key] = await resolveReference({ env: envName, key }, []);
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse the inside of a ${...} reference into an environment and key
+   */
+  parseReference(reference, owner) {
+    const local = reference.match(/^\s*([\w.-]+)\s*$/);
+    if (local) {
+      return { env: owner.env, key: local[1] };
+    }
+
+    const external = reference.match(/^\s*env:([\w-]+)\.([\w.-]+)\s*$/);
+    if (external) {
+      return { env: external[1], key: external[2] };
+    }
+
+    throw new Error(
+      `Invalid reference "\${${reference}}" in ${owner.key}. ` +
+      'Use ${KEY} or ${env:<environment>.KEY}'
+    );
+  }
+
   /**
    * Read and parse .env file
    */
@@ -126,7 +387,10 @@ class EnvParser {
    */
   async writeEnvFile(filePath, envObject, comments = {}) {
     try {
-      const content = this.stringifyEnvContent(envObject, comments);
+      // Update an existing file in place so its layout survives
+      const content = await fs.pathExists(filePath)
+        ? this.updateEnvContent(await fs.readFile(filePath, 'utf8'), envObject)
+        : this.stringifyEnvContent(envObject, comments);
       await fs.writeFile(filePath, content, 'utf8');
     } catch (error) {
       throw new Error(`Failed to write environment file: ${error.message}`);
@@ -186,15 +450,16 @@ class EnvParser {
   }
 
   /**
-   * Generate diff report
+   * Generate diff report, with values masked unless showValues is set
    */
-  generateDiffReport(conflicts) {
+  generateDiffReport(conflicts, { showValues = false } = {}) {
     const lines = [];
+    const show = value => (showValues ? value : '********');
     
     if (conflicts.added.length > 0) {
       lines.push(chalk.green('Added variables:'));
       conflicts.added.forEach(({ key, value }) => {
-        lines.push(chalk.green(`  + ${key}=${value}`));
+        lines.push(chalk.green(`  + ${key}=${show(value)}`));
       });
       lines.push('');
     }
@@ -202,7 +467,7 @@ class EnvParser {
     if (conflicts.removed.length > 0) {
       lines.push(chalk.red('Removed variables:'));
       conflicts.removed.forEach(({ key, value }) => {
-        lines.push(chalk.red(`  - ${key}=${value}`));
+        lines.push(chalk.red(`  - ${key}=${show(value)}`));
       });
       lines.push('');
     }
@@ -211,8 +476,8 @@ class EnvParser {
       lines.push(chalk.yellow('Modified variables:'));
       conflicts.modified.forEach(({ key, localValue, remoteValue }) => {
         lines.push(chalk.yellow(`  ~ ${key}:`));
-        lines.push(chalk.red(`    - ${localValue}`));
-        lines.push(chalk.green(`    + ${remoteValue}`));
+        lines.push(chalk.red(`    - ${show(localValue)}`));
+        lines.push(chalk.green(`    + ${show(remoteValue)}`));
       });
       lines.push('');
     }
@@ -221,22 +486,71 @@ class EnvParser {
   }
 
   /**
-   * Merge environments with conflict resolution
+   * Record a salted hash of every value, so a later sync can tell which side changed a key
+   * without keeping the values themselves in .envfly
    */
-  mergeEnvironments(localEnv, remoteEnv, strategy = 'prompt') {
-    switch (strategy) {
-      case 'local':
-        return { ...remoteEnv, ...localEnv };
-      
-      case 'remote':
-        return { ...localEnv, ...remoteEnv };
-      
-      case 'merge':
-        return { ...localEnv, ...remoteEnv };
-      
-      default:
-        throw new Error(`Unknown merge strategy: ${strategy}`);
+  createSnapshot(envObject, salt = crypto.randomBytes(16).toString('hex')) {
+    const hashes = {};
+
+    for (const [key, value] of Object.entries(envObject)) {
+      hashes[key] = this.hashValue(salt, key, value);
     }
+
+    return { salt, hashes };
+  }
+
+  /**
+   * Hash one variable for a snapshot
+   */
+  hashValue(salt, key, value) {
+    return crypto.createHash('sha256').update(`${salt}\0${key}\0${value}`).digest('hex');
+  }
+
+  /**
+   * Merge local and remote against the snapshot taken at the last pull, push or sync.
+   * Keys changed on one side only are taken from that side; keys changed differently on
+   * both sides are returned as conflicts and left out of `merged`. Without a snapshot,
+   * keys present on one side only count as additions.
+   */
+  threeWayMerge(base, localEnv, remoteEnv) {
+    const snapshot = base || { salt: '', hashes: {} };
+    const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+    const valueOf = (object, key) => (has(object, key) ? object[key] : undefined);
+    const unchanged = (key, value) => (value === undefined
+      ? !has(snapshot.hashes, key)
+      : snapshot.hashes[key] === this.hashValue(snapshot.salt, key, value));
+    const changeType = (before, after) => (after === undefined ? 'removed' : before === undefined ? 'added' : 'modified');
+
+    const result = { merged: {}, fromLocal: [], fromRemote: [], conflicts: [] };
+    const keys = new Set([...Object.keys(localEnv), ...Object.keys(remoteEnv)]);
+
+    for (const key of keys) {
+      const localValue = valueOf(localEnv, key);
+      const remoteValue = valueOf(remoteEnv, key);
+
+      if (localValue === remoteValue) {
+        result.merged[key] = localValue;
+        continue;
+      }
+
+      if (unchanged(key, localValue)) {
+        // Only the remote side changed
+        if (remoteValue !== undefined) {
+          result.merged[key] = remoteValue;
+        }
+        result.fromRemote.push({ key, type: changeType(localValue, remoteValue), value: remoteValue });
+      } else if (unchanged(key, remoteValue)) {
+        // Only the local side changed
+        if (localValue !== undefined) {
+          result.merged[key] = localValue;
+        }
+        result.fromLocal.push({ key, type: changeType(remoteValue, localValue), value: localValue });
+      } else {
+        result.conflicts.push({ key, localValue, remoteValue, inBase: has(snapshot.hashes, key) });
+      }
+    }
+
+    return result;
   }
 
   /**
@@ -331,22 +645,24 @@ const envParser = new EnvParser();
 // Export functions for backward compatibility
 const parseEnvContent = (content) => envParser.parseEnvContent(content);
 const stringifyEnvContent = (envObject, comments) => envParser.stringifyEnvContent(envObject, comments);
+const updateEnvContent = (content, envObject) => envParser.updateEnvContent(content, envObject);
+const resolveVariables = (envObject, options) => envParser.resolveVariables(envObject, options);
 const readEnvFile = (filePath) => envParser.readEnvFile(filePath);
 const writeEnvFile = (filePath, envObject, comments) => envParser.writeEnvFile(filePath, envObject, comments);
 const createBackup = (filePath) => envParser.createBackup(filePath);
 const detectConflicts = (localEnv, remoteEnv) => envParser.detectConflicts(localEnv, remoteEnv);
-const generateDiffReport = (conflicts) => envParser.generateDiffReport(conflicts);
-const mergeEnvironments = (localEnv, remoteEnv, strategy) => envParser.mergeEnvironments(localEnv, remoteEnv, strategy);
+const generateDiffReport = (conflicts, options) => envParser.generateDiffReport(conflicts, options);
 
 module.exports = {
   EnvParser,
   envParser,
   parseEnvContent,
   stringifyEnvContent,
+  updateEnvContent,
+  resolveVariables,
   readEnvFile,
   writeEnvFile,
   createBackup,
   detectConflicts,
-  generateDiffReport,
-  mergeEnvironments
+  generateDiffReport
 }; 
\ No newline at end of file
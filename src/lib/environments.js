@@ -0,0 +1,206 @@
+const { apiClient } = require('./api');
+const { configManager } = require('./config');
+const { StorageProviderFactory } = require('./storage-providers');
+const { envParser } = require('./env-parser');
+const { cryptoManager } = require('./crypto');
+const { cacheManager } = require('./cache');
+
+class EnvironmentLoader {
+  constructor() {
+    this.sources = ['local', 'remote'];
+  }
+
+  /**
+   * Get an environment's configuration, failing clearly if it is not configured
+   */
+  getEnvConfig(name, config) {
+    const envConfig = config.environments[name];
+    if (!envConfig) {
+      throw new Error(
+        `Environment "${name}" not found in configuration. ` +
+        `Available environments: ${Object.keys(config.environments).join(', ')}`
+      );
+    }
+    return envConfig;
+  }
+
+  /**
+   * Read an environment's raw variables from its local .env file
+   */
+  async loadLocal(name, config) {
+    this.getEnvConfig(name, config);
+    return await envParser.readEnvFile(envParser.getEnvFilePath(name, config));
+  }
+
+  /**
+   * Fetch and decrypt an environment's raw variables from remote storage
+   */
+  async loadRemote(name, config) {
+    this.getEnvConfig(name, config);
+    const storageProvider = config.storage?.provider || 'envfly';
+
+    if (storageProvider !== 'envfly') {
+      const provider = await StorageProviderFactory.create(storageProvider, config.storage.config);
+      const result = await provider.retrieve(name);
+      return result.variables;
+    }
+
+    return (await this.fetchRemote(name, config)).variables;
+  }
+
+  /**
+   * Fetch and decrypt an environment's raw variables and version from EnvFly.
+   * Each fetch refreshes the offline cache, which is read instead while offline.
+   */
+  async fetchRemote(name, config) {
+    const envConfig = this.getEnvConfig(name, config);
+
+    if (!envConfig.remote_id) {
+      throw new Error(`Environment "${name}" is not connected to a remote environment`);
+    }
+
+    if (cacheManager.isOffline()) {
+      return await cacheManager.load(name, config);
+    }
+
+    const remoteData = await apiClient.getEnvironment(config.project_id, envConfig.remote_id);
+    let variables = remoteData.variables || {};
+    let keyVersion = null;
+    if (remoteData.encrypted && cryptoManager.isEncryptionEnabled(config)) {
+      variables = await cryptoManager.decrypt(remoteData.variables, config.project_id);
+      keyVersion = cryptoManager.isProjectKeyed(remoteData.variables) ? remoteData.variables.key_version : null;
+    }
+
+    await cacheManager.store(name, {
+      variables,
+      version: remoteData.version,
+      updatedAt: remoteData.updated_at,
+      keyVersion
+    }, config);
+
+    return { variables, version: remoteData.version, updated_at: remoteData.updated_at };
+  }
+
+  /**
+   * Fetch and decrypt the raw variables of one remote version of an environment
+   */
+  async loadVersion(name, version, config) {
+    const envConfig = this.getEnvConfig(name, config);
+    const storageProvider = config.storage?.provider || 'envfly';
+
+    if (storageProvider !== 'envfly') {
+      const provider = await StorageProviderFactory.create(storageProvider, config.storage.config);
+      const result = await provider.retrieveVersion(name, version);
+      return result.variables;
+    }
+
+    if (!envConfig.remote_id) {
+      throw new Error(`Environment "${name}" is not connected to a remote environment`);
+    }
+
+    const data = await apiClient.getEnvironmentVersion(config.project_id, envConfig.remote_id, version);
+    if (data.encrypted && cryptoManager.isEncryptionEnabled(config)) {
+      return await cryptoManager.decrypt(data.variables, config.project_id);
+    }
+
+    return data.variables || {};
+  }
+
+  /**
+   * Load an environment's raw variables from 'local' or 'remote'
+   */
+  async load(name, config, source = 'local') {
+    if (!this.sources.includes(source)) {
+      throw new Error(`Unknown source "${source}". Use one of: ${this.sources.join(', ')}`);
+    }
+
+    return source === 'remote'
+      ? await this.loadRemote(name, config)
+      : await this.loadLocal(name, config);
+  }
+
+  /**
+   * Merge the remote layers of an environment's bases, recording which layer each key comes from
+   */
+  async loadInherited(name, config) {
+    const variables = {};
+    const origins = {};
+
+    for (const layer of configManager.getInheritanceChain(name, config).slice(0, -1)) {
+      let layerVariables;
+      try {
+        layerVariables = await this.loadRemote(layer, config);
+      } catch (error) {
+        throw new Error(`Could not load base environment "${layer}" of "${name}": ${error.message}`);
+      }
+
+      for (const [key, value] of Object.entries(layerVariables)) {
+        variables[key] = value;
+        origins[key] = layer;
+      }
+    }
+
+    return { variables, origins };
+  }
+
+  /**
+   * Layer an environment's own variables over its bases
+   */
+  async applyInheritance(name, ownVariables, config) {
+    const inherited = await this.loadInherited(name, config);
+    const origins = { ...inherited.origins };
+
+    for (const key of Object.keys(ownVariables)) {
+      origins[key] = name;
+    }
+
+    return {
+      variables: { ...inherited.variables, ...ownVariables },
+      origins
+    };
+  }
+
+  /**
+   * Keep only the variables an environment owns: those its bases lack or that it overrides
+   */
+  async extractOwnLayer(name, variables, config) {
+    const inherited = await this.loadInherited(name, config);
+    const own = {};
+
+    for (const [key, value] of Object.entries(variables)) {
+      if (inherited.variables[key] !== value) {
+        own[key] = value;
+      }
+    }
+
+    return {
+      variables: own,
+      inherited: Object.keys(variables).length - Object.keys(own).length
+    };
+  }
+
+  /**
+   * Whether an environment extends others
+   */
+  hasBases(name, config) {
+    return (config.environments[name]?.extends || []).length > 0;
+  }
+
+  /**
+   * Expand references in an environment, loading referenced environments from the same source
+   */
+  async resolve(name, variables, config, source = 'local') {
+    return await envParser.resolveVariables(variables, {
+      envName: name,
+      loadEnvironment: other => this.load(other, config, source)
+    });
+  }
+}
+
+// Create singleton instance
+const environmentLoader = new EnvironmentLoader();
+
+module.exports = {
+  EnvironmentLoader,
+  environmentLoader
+};
@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const { apiClient } = require('./api');
+const { authManager } = require('./auth');
+
+class KeyManager {
+  constructor() {
+    this.keyLength = 32; // 256 bits
+    this.ivLength = 12; // 96 bits
+    this.sealAad = 'envfly-sealed-key';
+    this.cache = new Map();
+    this.rotationRequired = new Map();
+  }
+
+  /**
+   * Cache key for a project key version
+   */
+  cacheKey(projectId, version) {
+    return `${projectId}:${version}`;
+  }
+
+  // ===== SEALING =====
+
+  /**
+   * Generate an X25519 keypair; the public key is base64url, the private key a JWK
+   */
+  generateKeyPair() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+
+    return {
+      publicKey: publicKey.export({ format: 'jwk' }).x,
+      privateKey: privateKey.export({ format: 'jwk' })
+    };
+  }
+
+  /**
+   * Derive the AES key for a sealed box from an X25519 shared secret
+   */
+  deriveSealingKey(sharedSecret, ephemeralPublicKey, recipientPublicKey) {
+    const salt = Buffer.concat([
+      Buffer.from(ephemeralPublicKey, 'base64url'),
+      Buffer.from(recipientPublicKey, 'base64url')
+    ]);
+    return Buffer.from(crypto.hkdfSync('sha256', sharedSecret, salt, this.sealAad, this.keyLength));
+  }
+
+  /**
+   * Seal a data key to a recipient's public key with an ephemeral X25519 key
+   */
+  sealKey(dataKey, recipientPublicKey) {
+    const ephemeral = crypto.generateKeyPairSync('x25519');
+    const ephemeralPublicKey = ephemeral.publicKey.export({ format: 'jwk' }).x;
+    const sharedSecret = crypto.diffieHellman({
+      privateKey: ephemeral.privateKey,
+      publicKey: crypto.createPublicKey({ key: { kty: 'OKP', crv: 'X25519', x: recipientPublicKey }, format: 'jwk' })
+    });
+
+    const key = this.deriveSealingKey(sharedSecret, ephemeralPublicKey, recipientPublicKey);
+    const iv = crypto.randomBytes(this.ivLength);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(this.sealAad, 'utf8'));
+    const encrypted = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+    return Buffer.from(JSON.stringify({
+      v: 1,
+      epk: ephemeralPublicKey,
+      iv: iv.toString('base64url'),
+      tag: cipher.getAuthTag().toString('base64url'),
+      encrypted: encrypted.toString('base64url')
+    })).toString('base64url');
+  }
+
+  /**
+   * Open a data key sealed to our public key
+   */
+  openSealedKey(sealedKey, keyPair) {
+    const sealed = JSON.parse(Buffer.from(sealedKey, 'base64url').toString('utf8'));
+    const sharedSecret = crypto.diffieHellman({
+      privateKey: crypto.createPrivateKey({ key: keyPair.privateKey, format: 'jwk' }),
+      publicKey: crypto.createPublicKey({ key: { kty: 'OKP', crv: 'X25519', x: sealed.epk }, format: 'jwk' })
+    });
+
+    const key = this.deriveSealingKey(sharedSecret, sealed.epk, keyPair.publicKey);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(sealed.iv, 'base64url'));
+    decipher.setAAD(Buffer.from(this.sealAad, 'utf8'));
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'base64url'));
+
+    return Buffer.concat([decipher.update(Buffer.from(sealed.encrypted, 'base64url')), decipher.final()]);
+  }
+
+  // ===== IDENTITY =====
+
+  /**
+   * Load our keypair, generating and publishing one on first use
+   */
+  async ensureKeyPair({ publish = false } = {}) {
+    let keyPair = await authManager.getKeyPair();
+
+    if (!keyPair) {
+      keyPair = this.generateKeyPair();
+      await authManager.storeKeyPair(keyPair);
+      publish = true;
+    }
+
+    if (publish) {
+      await apiClient.updatePublicKey(keyPair.publicKey);
+    }
+
+    return keyPair;
+  }
+
+  // ===== PROJECT KEYS =====
+
+  /**
+   * Turn a key response into a data key, re-sealing server-wrapped copies to ourselves
+   */
+  async openKeyResponse(projectId, result) {
+    const keyPair = await this.ensureKeyPair();
+
+    if (result.sealed_key) {
+      try {
+        return this.openSealedKey(result.sealed_key, keyPair);
+      } catch (error) {
+        throw Object.assign(new Error(
+          `Key version ${result.version} was sealed to a different keypair. ` +
+          'Ask a teammate to run "envfly keys sync" to share it with your current one.'
+        ), { code: 'SEALED_TO_OTHER_KEYPAIR' });
+      }
+    }
+
+    // Copies from before public keys were wrapped by the server; replace ours with a sealed one
+    const key = Buffer.from(result.data_key, 'base64');
+    await apiClient.addProjectKeyRecipients(projectId, result.version, [
+      { user_id: result.user_id, sealed_key: this.sealKey(key, keyPair.publicKey) }
+    ]);
+
+    return key;
+  }
+
+  /**
+   * Get a specific version of a project's data key
+   */
+  async getKey(projectId, version) {
+    const cacheKey = this.cacheKey(projectId, version);
+    if (this.cache.has(cacheKey)) {
+      return this.cache.get(cacheKey);
+    }
+
+    const result = await apiClient.getProjectKey(projectId, version);
+    const key = await this.openKeyResponse(projectId, result);
+    this.cache.set(cacheKey, key);
+
+    return key;
+  }
+
+  /**
+   * Get the current data key for a project, creating the first one if needed
+   */
+  async getCurrentKey(projectId) {
+    let result;
+    try {
+      result = await apiClient.getProjectKey(projectId, 'current');
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+      return await this.createKey(projectId);
+    }
+
+    const key = await this.openKeyResponse(projectId, result);
+    this.cache.set(this.cacheKey(projectId, result.version), key);
+    this.rotationRequired.set(projectId, !!result.rotation_required);
+
+    return { version: result.version, key };
+  }
+
+  /**
+   * Generate a new data key version sealed to every member with a public key
+   */
+  async createKey(projectId) {
+    // The server only accepts copies for members whose public key it knows, including ours
+    await this.ensureKeyPair({ publish: true });
+
+    const key = crypto.randomBytes(this.keyLength);
+    const recipients = await apiClient.getKeyRecipients(projectId);
+    const sealable = recipients.filter(recipient => recipient.public_key);
+
+    const result = await apiClient.createProjectKey(projectId, sealable.map(recipient => ({
+      user_id: recipient.user_id,
+      sealed_key: this.sealKey(key, recipient.public_key)
+    })));
+    this.cache.set(this.cacheKey(projectId, result.version), key);
+    this.rotationRequired.set(projectId, false);
+
+    return {
+      version: result.version,
+      key,
+      pending: recipients.filter(recipient => !recipient.public_key)
+    };
+  }
+
+  /**
+   * Seal every key version we hold for members who do not have it yet
+   */
+  async shareWithMembers(projectId) {
+    const [recipients, versions] = await Promise.all([
+      apiClient.getKeyRecipients(projectId),
+      apiClient.getProjectKeys(projectId)
+    ]);
+    const shared = [];
+
+    for (const { version } of versions) {
+      const missing = recipients.filter(r => r.public_key && !r.versions.includes(version));
+      if (missing.length === 0) {
+        continue;
+      }
+
+      let key;
+      try {
+        key = await this.getKey(projectId, version);
+      } catch (error) {
+        // We can only share versions we hold ourselves
+        if (error.status === 403 || error.code === 'SEALED_TO_OTHER_KEYPAIR') continue;
+        throw error;
+      }
+
+      await apiClient.addProjectKeyRecipients(projectId, version, missing.map(recipient => ({
+        user_id: recipient.user_id,
+        sealed_key: this.sealKey(key, recipient.public_key)
+      })));
+
+      for (const recipient of missing) {
+        if (!shared.includes(recipient.email)) shared.push(recipient.email);
+      }
+    }
+
+    return {
+      shared,
+      pending: recipients.filter(recipient => !recipient.public_key).map(recipient => recipient.email)
+    };
+  }
+
+  /**
+   * Whether the server flagged the current key for rotation (e.g. after a member was removed)
+   */
+  isRotationRequired(projectId) {
+    return this.rotationRequired.get(projectId) === true;
+  }
+
+  /**
+   * List a project's data key versions
+   */
+  async listKeys(projectId) {
+    return await apiClient.getProjectKeys(projectId);
+  }
+
+  /**
+   * Forget cached keys
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+// Create singleton instance
+const keyManager = new KeyManager();
+
+module.exports = {
+  KeyManager,
+  keyManager
+};
@@ -0,0 +1,428 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ageManager } = require('./age');
+
+const SOPS_VERSION = '3.8.1';
+const ENCRYPTED_VALUE = /^ENC\[AES256_GCM,data:([^,]*),iv:([^,]+),tag:([^,]+),type:(\w+)\]$/;
+const RULE_KEYS = ['unencrypted_suffix', 'encrypted_suffix', 'unencrypted_regex', 'encrypted_regex', 'mac_only_encrypted'];
+const EXTENSIONS = { yaml: '.yaml', json: '.json', dotenv: '.env' };
+
+class SopsManager {
+  // ===== FORMATS =====
+
+  /**
+   * File extension SOPS uses for a format
+   */
+  getExtension(format) {
+    return EXTENSIONS[format];
+  }
+
+  /**
+   * Pick a file's format from its extension, as SOPS does
+   */
+  detectFormat(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (ext === '.yaml' || ext === '.yml') {
+      return 'yaml';
+    }
+    if (ext === '.json') {
+      return 'json';
+    }
+    if (ext === '.env' || path.basename(filePath).startsWith('.env')) {
+      return 'dotenv';
+    }
+    return null;
+  }
+
+  /**
+   * Split a file into its top-level entries and its sops metadata (null if there is none)
+   */
+  parse(content, format) {
+    if (format === 'dotenv') {
+      return this.parseDotenv(content);
+    }
+
+    // The core schema keeps timestamps as the strings SOPS hashed
+    const document = format === 'json' ? JSON.parse(content) : yaml.safeLoad(content, { schema: yaml.CORE_SCHEMA });
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+      throw new Error('A SOPS environment file must hold a map of variables');
+    }
+
+    const { sops: metadata = null, ...values } = document;
+    const entries = Object.entries(values);
+
+    // Environments are flat; nested maps and lists have no .env equivalent
+    const nested = entries.find(([, value]) => value !== null && typeof value === 'object');
+    if (nested) {
+      throw new Error(`Nested values are not supported, but "${nested[0]}" holds a ${Array.isArray(nested[1]) ? 'list' : 'map'}`);
+    }
+
+    return { entries, metadata };
+  }
+
+  /**
+   * Write entries and sops metadata in a format
+   */
+  serialize(entries, metadata, format) {
+    if (format === 'dotenv') {
+      const lines = entries.map(([key, value]) => `${key}=${String(value).replace(/\n/g, '\\n')}`);
+      for (const [key, value] of this.flattenMetadata(metadata)) {
+        lines.push(`${key}=${String(value).replace(/\n/g, '\\n')}`);
+      }
+      return `${lines.join('\n')}\n`;
+    }
+
+    const document = { ...Object.fromEntries(entries), sops: metadata };
+    if (format === 'json') {
+      return `${JSON.stringify(document, null, '\t')}\n`;
+    }
+    return yaml.safeDump(document, { lineWidth: -1 });
+  }
+
+  /**
+   * Whether a file has comments, which are not kept when EnvFly rewrites it
+   */
+  hasComments(content, format) {
+    if (format === 'json') {
+      return false;
+    }
+    // Whole-line comments, and YAML comments after an encrypted value
+    return /^\s*#/m.test(content) || (format === 'yaml' && /\]\s+#/.test(content));
+  }
+
+  parseDotenv(content) {
+    const entries = [];
+    const flatMetadata = [];
+
+    for (const line of content.split(/\r?\n/)) {
+      // Comments are not variables, and SOPS leaves dotenv values unquoted
+      if (!line.trim() || line.trim().startsWith('#')) {
+        continue;
+      }
+
+      const index = line.indexOf('=');
+      if (index <= 0) {
+        throw new Error(`Invalid dotenv line: ${line}`);
+      }
+
+      const key = line.slice(0, index);
+      const value = line.slice(index + 1).replace(/\\n/g, '\n');
+      if (key.startsWith('sops_')) {
+        flatMetadata.push([key.slice('sops_'.length), value]);
+      } else {
+        entries.push([key, value]);
+      }
+    }
+
+    return { entries, metadata: flatMetadata.length > 0 ? this.unflattenMetadata(flatMetadata) : null };
+  }
+
+  // dotenv files keep metadata as sops_age__list_0__map_recipient=... lines
+  flattenMetadata(metadata, prefix = 'sops') {
+    const lines = [];
+
+    for (const [key, value] of Object.entries(metadata).sort(([a], [b]) => a.localeCompare(b))) {
+      const name = prefix === 'sops' ? `sops_${key}` : `${prefix}__map_${key}`;
+      if (Array.isArray(value)) {
+        value.forEach((item, index) => lines.push(...this.flattenMetadata(item, `${name}__list_${index}`)));
+      } else if (value !== null && typeof value === 'object') {
+        lines.push(...this.flattenMetadata(value, name));
+      } else {
+        lines.push([name, value]);
+      }
+    }
+
+    return lines;
+  }
+
+  unflattenMetadata(flatMetadata) {
+    const metadata = {};
+
+    for (const [flatKey, value] of flatMetadata) {
+      const [first, ...rest] = flatKey.split('__');
+      const pathParts = [first, ...rest.map(part => {
+        const list = /^list_(\d+)$/.exec(part);
+        return list ? Number(list[1]) : part.replace(/^map_/, '');
+      })];
+
+      let node = metadata;
+      pathParts.forEach((part, index) => {
+        if (index === pathParts.length - 1) {
+          node[part] = value === 'true' || value === 'false' ? value === 'true' : value;
+        } else {
+          node[part] = node[part] ?? (typeof pathParts[index + 1] === 'number' ? [] : {});
+          node = node[part];
+        }
+      });
+    }
+
+    return metadata;
+  }
+
+  // ===== CONFIGURATION =====
+
+  /**
+   * First creation rule in the nearest .sops.yaml whose path_regex matches a file, as sops picks it
+   */
+  async findCreationRule(filePath) {
+    let dir = path.dirname(path.resolve(filePath));
+
+    while (true) {
+      const configFile = path.join(dir, '.sops.yaml');
+      if (await fs.pathExists(configFile)) {
+        const config = yaml.safeLoad(await fs.readFile(configFile, 'utf8')) || {};
+        const relativePath = path.relative(dir, path.resolve(filePath)).split(path.sep).join('/');
+
+        return (config.creation_rules || []).find(rule =>
+          !rule.path_regex || new RegExp(rule.path_regex).test(relativePath)
+        ) || null;
+      }
+
+      const parent = path.dirname(dir);
+      if (parent === dir) {
+        return null;
+      }
+      dir = parent;
+    }
+  }
+
+  /**
+   * Age recipients of a creation rule, given directly or in key groups
+   */
+  getRuleRecipients(rule) {
+    return [rule.age, ...(rule.key_groups || []).map(group => group.age)]
+      .filter(Boolean)
+      .flat()
+      .flatMap(value => String(value).split(','))
+      .map(value => value.trim())
+      .filter(Boolean);
+  }
+
+  // ===== ENCRYPTION =====
+
+  /**
+   * Decrypt a SOPS file, verifying its MAC
+   */
+  decrypt(content, format, identities) {
+    const { entries, metadata } = this.parse(content, format);
+    if (!metadata) {
+      throw new Error('File is not encrypted with SOPS');
+    }
+
+    const rules = this.getRules(metadata);
+    const dataKey = this.openDataKey(metadata, identities);
+    const variables = {};
+    const types = {};
+    const hashed = [];
+
+    for (const [key, stored] of entries) {
+      const encrypted = this.isEncrypted(key, rules);
+      const { value, type } = encrypted
+        ? this.decryptValue(stored, dataKey, `${key}:`, key)
+        : { value: stored === null ? '' : String(stored), type: this.getPlainType(stored) };
+
+      variables[key] = value;
+      types[key] = type;
+      if (encrypted || !rules.mac_only_encrypted) {
+        hashed.push(this.macValue(value, type));
+      }
+    }
+
+    const { value: mac } = this.decryptValue(metadata.mac, dataKey, metadata.lastmodified, 'the MAC');
+    if (mac !== this.computeMac(hashed)) {
+      throw new Error('MAC mismatch: the file was changed without SOPS');
+    }
+
+    return {
+      variables,
+      types,
+      rules,
+      recipients: this.getRecipients(metadata),
+      lastModified: metadata.lastmodified
+    };
+  }
+
+  /**
+   * Encrypt variables into a SOPS file for age recipients.
+   * `types` keeps int, float and bool values typed when they still are.
+   */
+  encrypt(variables, format, { recipients, rules = { unencrypted_suffix: '_unencrypted' }, types = {} }) {
+    if (recipients.length === 0) {
+      throw new Error('No age recipients to encrypt to');
+    }
+
+    const dataKey = crypto.randomBytes(32);
+    const lastModified = this.formatTimestamp(new Date());
+    const entries = [];
+    const hashed = [];
+
+    for (const [key, value] of Object.entries(variables)) {
+      const type = format !== 'dotenv' && this.matchesType(value, types[key]) ? types[key] : 'str';
+
+      if (this.isEncrypted(key, rules)) {
+        entries.push([key, this.encryptValue(value, type, dataKey, `${key}:`)]);
+        hashed.push(this.macValue(value, type));
+      } else {
+        entries.push([key, type === 'str' ? value : JSON.parse(value)]);
+        if (!rules.mac_only_encrypted) {
+          hashed.push(this.macValue(value, type));
+        }
+      }
+    }
+
+    const metadata = {
+      age: recipients.map(recipient => ({
+        recipient,
+        enc: ageManager.encrypt(dataKey, [recipient])
+      })),
+      lastmodified: lastModified,
+      mac: this.encryptValue(this.computeMac(hashed), 'str', dataKey, lastModified),
+      ...Object.fromEntries(RULE_KEYS.filter(key => rules[key] !== undefined).map(key => [key, rules[key]])),
+      version: SOPS_VERSION
+    };
+
+    return this.serialize(entries, metadata, format);
+  }
+
+  /**
+   * Age recipients of a file, readable without decrypting it
+   */
+  getRecipients(metadata) {
+    return (metadata.age || []).map(entry => entry.recipient);
+  }
+
+  /**
+   * Which keys a file leaves in cleartext, from its metadata or a .sops.yaml creation rule
+   */
+  getRules(source) {
+    return Object.fromEntries(RULE_KEYS.filter(key => source[key] !== undefined && source[key] !== '').map(key => [key, source[key]]));
+  }
+
+  isEncrypted(key, rules) {
+    if (rules.unencrypted_suffix) {
+      return !key.endsWith(rules.unencrypted_suffix);
+    }
+    if (rules.encrypted_suffix) {
+      return key.endsWith(rules.encrypted_suffix);
+    }
+    if (rules.unencrypted_regex) {
+      return !new RegExp(rules.unencrypted_regex).test(key);
+    }
+    if (rules.encrypted_regex) {
+      return new RegExp(rules.encrypted_regex).test(key);
+    }
+    return true;
+  }
+
+  openDataKey(metadata, identities) {
+    if (!metadata.age || metadata.age.length === 0) {
+      throw new Error('The file has no age recipients; only age keys are supported');
+    }
+    if (identities.length === 0) {
+      throw new Error('No age identity found. Set SOPS_AGE_KEY or SOPS_AGE_KEY_FILE');
+    }
+
+    for (const { enc } of metadata.age) {
+      try {
+        return ageManager.decrypt(enc, identities);
+      } catch {
+        // Encrypted to another recipient
+      }
+    }
+
+    throw new Error(`None of your age identities is a recipient of this file (${this.getRecipients(metadata).join(', ')})`);
+  }
+
+  encryptValue(value, type, dataKey, aad) {
+    // SOPS leaves empty values empty
+    if (value === '') {
+      return '';
+    }
+
+    const iv = crypto.randomBytes(32);
+    const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, iv);
+    cipher.setAAD(Buffer.from(aad, 'utf8'));
+    const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+    return `ENC[AES256_GCM,data:${data.toString('base64')},iv:${iv.toString('base64')},` +
+      `tag:${cipher.getAuthTag().toString('base64')},type:${type}]`;
+  }
+
+  decryptValue(stored, dataKey, aad, label) {
+    if (stored === '' || stored === null) {
+      return { value: '', type: 'str' };
+    }
+
+    const match = ENCRYPTED_VALUE.exec(stored);
+    if (!match) {
+      throw new Error(`${label} is not a SOPS encrypted value`);
+    }
+
+    const [, data, iv, tag, type] = match;
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, Buffer.from(iv, 'base64'));
+      decipher.setAAD(Buffer.from(aad, 'utf8'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      const value = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+      return { value, type };
+    } catch {
+      throw new Error(`Could not decrypt ${label}: the file was changed without SOPS`);
+    }
+  }
+
+  // SOPS hashes bools as True and False, although it encrypts them as true and false
+  macValue(value, type) {
+    if (type === 'bool') {
+      return value === 'true' ? 'True' : 'False';
+    }
+    return value;
+  }
+
+  // SHA-512 over every value in file order, as uppercase hex
+  computeMac(values) {
+    const hash = crypto.createHash('sha512');
+    for (const value of values) {
+      hash.update(value, 'utf8');
+    }
+    return hash.digest('hex').toUpperCase();
+  }
+
+  getPlainType(value) {
+    if (typeof value === 'boolean') {
+      return 'bool';
+    }
+    if (typeof value === 'number') {
+      return Number.isInteger(value) ? 'int' : 'float';
+    }
+    return 'str';
+  }
+
+  // Only keep a type if SOPS would print the value back the same way, or its MAC would differ
+  matchesType(value, type) {
+    switch (type) {
+      case 'int':
+        return /^-?\d+$/.test(value) && Number.isSafeInteger(Number(value)) && String(Number(value)) === value;
+      case 'float':
+        return /^-?\d+(\.\d+)?$/.test(value) && String(Number(value)) === value;
+      case 'bool':
+        return value === 'true' || value === 'false';
+      default:
+        return false;
+    }
+  }
+
+  // RFC 3339 in UTC without fractions, as SOPS writes lastmodified
+  formatTimestamp(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+}
+
+// Create singleton instance
+const sopsManager = new SopsManager();
+
+module.exports = {
+  SopsManager,
+  sopsManager
+};
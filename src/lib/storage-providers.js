@@ -1,8 +1,12 @@
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
-const crypto = require('crypto');
+const axios = require('axios');
 const { execSync } = require('child_process');
-const { showError, showInfo } = require('./utils');
+const { showError, showInfo, showWarning } = require('./utils');
+const { cryptoManager } = require('./crypto');
+const { ageManager } = require('./age');
+const { sopsManager } = require('./sops');
 
 // Storage provider base class
 class StorageProvider {
@@ -29,6 +33,67 @@ class StorageProvider {
   async delete(environment) {
     throw new Error('delete() must be implemented by subclass');
   }
+
+  // Single-variable operations read and rewrite the whole environment.
+  // Providers that can address one key directly may override them.
+
+  async getVariable(environment, key) {
+    const { variables } = await this.retrieve(environment);
+    return Object.prototype.hasOwnProperty.call(variables, key) ? variables[key] : null;
+  }
+
+  async setVariable(environment, key, value) {
+    const { variables } = await this.retrieve(environment);
+    const created = !Object.prototype.hasOwnProperty.call(variables, key);
+    await this.store(environment, { ...variables, [key]: value });
+    return { created };
+  }
+
+  async unsetVariable(environment, key) {
+    const { variables } = await this.retrieve(environment);
+    if (!Object.prototype.hasOwnProperty.call(variables, key)) {
+      return { removed: false };
+    }
+
+    const { [key]: removed, ...rest } = variables;
+    await this.store(environment, rest);
+    return { removed: true };
+  }
+
+  // Version history. Providers list versions newest first as
+  // { version, id, updated_at, current }, where `version` is what users type
+  // and `id` is the provider's own identifier.
+
+  async listVersions(environment) {
+    throw new Error(`${this.constructor.name} does not keep version history`);
+  }
+
+  async retrieveVersion(environment, version) {
+    throw new Error(`${this.constructor.name} does not keep version history`);
+  }
+
+  async findVersion(environment, version) {
+    const versions = await this.listVersions(environment);
+    const match = versions.find(v => String(v.version) === String(version) || v.id === String(version));
+    if (!match) {
+      throw new Error(`Version ${version} of ${environment} not found`);
+    }
+    return match;
+  }
+
+  // Rolling back stores the old content as a new version, so the rollback
+  // itself can be undone
+  async rollback(environment, version) {
+    const { variables } = await this.retrieveVersion(environment, version);
+    return await this.store(environment, variables);
+  }
+
+  // Conditional writes. Providers that can refuse to overwrite a changed copy
+  // return its `etag` in the metadata of each read and write. Callers pass back
+  // the one they last saw, or null to only create the environment; `force`
+  // writes without a condition.
+
+  setBase(environment, etag, options = {}) {}
 }
 
 // Git-based storage provider
@@ -161,7 +226,92 @@ class GitStorageProvider extends StorageProvider {
     }
   }
 
+  async reencrypt(environment) {
+    try {
+      const envDir = path.join(this.repoPath, this.envPath);
+      const envFile = path.join(envDir, `${environment}.json`);
+      const data = await fs.readJson(envFile);
+
+      if (!cryptoManager.isLegacyEnvelope(data.variables)) {
+        return false;
+      }
+
+      // Keep the metadata so the version number does not move
+      const variables = await this.decryptVariables(data.variables);
+      data.variables = await this.encryptVariables(variables);
+
+      await fs.writeJson(envFile, data, { spaces: 2 });
+      await this.gitAdd(envFile);
+      await this.gitCommit(`Re-encrypt ${environment} environment`);
+
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to re-encrypt environment ${environment}: ${error.message}`);
+    }
+  }
+
+  async listVersions(environment) {
+    try {
+      const envFile = this.getRelativeEnvFile(environment);
+      const log = execSync(`git log --format=%H%x09%aI -- "${envFile}"`, {
+        cwd: this.repoPath,
+        encoding: 'utf8'
+      });
+
+      const versions = [];
+      for (const line of log.split('\n').filter(Boolean)) {
+        const [commit, date] = line.split('\t');
+        const data = this.readEnvFileAt(commit, envFile);
+
+        // Commits that deleted the file have nothing to roll back to
+        if (data) {
+          versions.push({
+            version: data.metadata?.version ?? commit.slice(0, 7),
+            id: commit,
+            updated_at: date,
+            current: versions.length === 0
+          });
+        }
+      }
+
+      return versions;
+    } catch (error) {
+      throw new Error(`Failed to list versions of ${environment}: ${error.message}`);
+    }
+  }
+
+  async retrieveVersion(environment, version) {
+    const match = await this.findVersion(environment, version);
+
+    try {
+      const data = this.readEnvFileAt(match.id, this.getRelativeEnvFile(environment));
+      return {
+        variables: await this.decryptVariables(data.variables),
+        metadata: data.metadata
+      };
+    } catch (error) {
+      throw new Error(`Failed to retrieve version ${version} of ${environment}: ${error.message}`);
+    }
+  }
+
   // Git helper methods
+  getRelativeEnvFile(environment) {
+    return path.posix.join(this.envPath.split(path.sep).join('/'), `${environment}.json`);
+  }
+
+  readEnvFileAt(commit, envFile) {
+    try {
+      // "./" makes the path relative to repoPath rather than the repository root
+      return JSON.parse(execSync(`git show "${commit}:./${envFile}"`, {
+        cwd: this.repoPath,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore']
+      }));
+    } catch {
+      return null;
+    }
+  }
+
   async isGitRepository() {
     try {
       execSync('git rev-parse --git-dir', { cwd: this.repoPath, stdio: 'ignore' });
@@ -195,35 +345,229 @@ class GitStorageProvider extends StorageProvider {
   }
 
   // Encryption methods
-  async encryptVariables(variables) {
+  getEncryptionKey() {
     const key = this.config.encryption_key || process.env.ENVFLY_ENCRYPTION_KEY;
     if (!key) {
       throw new Error('Encryption key not configured');
     }
+    return key;
+  }
 
-    const cipher = crypto.createCipher('aes-256-gcm', key);
-    let encrypted = cipher.update(JSON.stringify(variables), 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    return {
-      encrypted,
-      tag: cipher.getAuthTag().toString('hex')
-    };
+  async encryptVariables(variables) {
+    return await cryptoManager.encryptWithPassphrase(variables, this.getEncryptionKey(), 'envfly-git');
   }
 
   async decryptVariables(encryptedData) {
+    const key = this.getEncryptionKey();
+
+    if (cryptoManager.isLegacyEnvelope(encryptedData)) {
+      // Written by createCipher straight from the passphrase, without AAD
+      return JSON.parse(cryptoManager.openLegacy(encryptedData, key));
+    }
+
+    return await cryptoManager.decryptWithPassphrase(encryptedData, key, 'envfly-git');
+  }
+}
+
+// Local filesystem provider, for single machines, air-gapped hosts and shared mounts
+class LocalStorageProvider extends StorageProvider {
+  constructor(config) {
+    super(config);
+    const dir = config.local?.path || '.envfly-environments';
+    this.envDir = path.resolve(dir.replace(/^~(?=$|[\\/])/, os.homedir()));
+  }
+
+  async initialize() {
+    try {
+      await fs.ensureDir(this.envDir, { mode: 0o700 });
+      await fs.access(this.envDir, fs.constants.R_OK | fs.constants.W_OK);
+
+      // Fail here rather than on the first push
+      this.getEncryptionKey();
+      return true;
+    } catch (error) {
+      throw new Error(`Local storage initialization failed: ${error.message}`);
+    }
+  }
+
+  async store(environment, variables) {
+    try {
+      const version = await this.getNextVersion(environment);
+      const data = {
+        environment,
+        variables: await this.encryptVariables(variables),
+        metadata: {
+          updated_at: new Date().toISOString(),
+          variable_count: Object.keys(variables).length,
+          version
+        }
+      };
+
+      // Claim the version first, so two writers sharing a directory cannot both store it
+      await fs.ensureDir(this.getVersionsDir(environment), { mode: 0o700 });
+      try {
+        await fs.writeFile(this.getVersionFile(environment, version), JSON.stringify(data, null, 2), { flag: 'wx', mode: 0o600 });
+      } catch (error) {
+        if (error.code === 'EEXIST') {
+          throw new Error(`version ${version} was stored by someone else at the same time, try again`);
+        }
+        throw error;
+      }
+
+      await this.updateCurrent(environment, data);
+      return data.metadata;
+    } catch (error) {
+      throw new Error(`Failed to store environment ${environment}: ${error.message}`);
+    }
+  }
+
+  async retrieve(environment) {
+    try {
+      const envFile = this.getEnvFile(environment);
+      if (!await fs.pathExists(envFile)) {
+        throw new Error(`Environment ${environment} not found`);
+      }
+
+      const data = await fs.readJson(envFile);
+      return {
+        variables: await this.decryptVariables(data.variables),
+        metadata: data.metadata
+      };
+    } catch (error) {
+      throw new Error(`Failed to retrieve environment ${environment}: ${error.message}`);
+    }
+  }
+
+  async list() {
+    try {
+      if (!await fs.pathExists(this.envDir)) {
+        return [];
+      }
+
+      const files = await fs.readdir(this.envDir);
+      const environments = [];
+
+      for (const file of files) {
+        if (file.endsWith('.json')) {
+          const data = await fs.readJson(path.join(this.envDir, file));
+          environments.push({
+            name: file.replace(/\.json$/, ''),
+            metadata: data.metadata
+          });
+        }
+      }
+
+      return environments;
+    } catch (error) {
+      throw new Error(`Failed to list environments: ${error.message}`);
+    }
+  }
+
+  async delete(environment) {
+    try {
+      await fs.remove(this.getEnvFile(environment));
+      await fs.remove(this.getVersionsDir(environment));
+    } catch (error) {
+      throw new Error(`Failed to delete environment ${environment}: ${error.message}`);
+    }
+  }
+
+  async listVersions(environment) {
+    try {
+      const versionsDir = this.getVersionsDir(environment);
+      if (!await fs.pathExists(versionsDir)) {
+        return [];
+      }
+
+      const versions = [];
+      for (const file of await fs.readdir(versionsDir)) {
+        if (/^\d+\.json$/.test(file)) {
+          const { metadata } = await fs.readJson(path.join(versionsDir, file));
+          versions.push({
+            version: metadata.version,
+            id: String(metadata.version),
+            updated_at: metadata.updated_at
+          });
+        }
+      }
+
+      return versions
+        .sort((a, b) => b.version - a.version)
+        .map((v, index) => ({ ...v, current: index === 0 }));
+    } catch (error) {
+      throw new Error(`Failed to list versions of ${environment}: ${error.message}`);
+    }
+  }
+
+  async retrieveVersion(environment, version) {
+    const match = await this.findVersion(environment, version);
+
+    try {
+      const data = await fs.readJson(this.getVersionFile(environment, match.version));
+      return {
+        variables: await this.decryptVariables(data.variables),
+        metadata: data.metadata
+      };
+    } catch (error) {
+      throw new Error(`Failed to retrieve version ${version} of ${environment}: ${error.message}`);
+    }
+  }
+
+  // Local helper methods
+  getEnvFile(environment) {
+    return path.join(this.envDir, `${environment}.json`);
+  }
+
+  getVersionsDir(environment) {
+    return path.join(this.envDir, '.versions', environment);
+  }
+
+  getVersionFile(environment, version) {
+    return path.join(this.getVersionsDir(environment), `${version}.json`);
+  }
+
+  /**
+   * Point the environment at a stored version, unless a writer that claimed a newer one was overwritten
+   */
+  async updateCurrent(environment, data) {
+    let written = data;
+    for (;;) {
+      await this.writeFileAtomic(this.getEnvFile(environment), written);
+
+      const [latest] = await this.listVersions(environment);
+      if (!latest || latest.version <= written.metadata.version) {
+        return;
+      }
+      written = await fs.readJson(this.getVersionFile(environment, latest.version));
+    }
+  }
+
+  async writeFileAtomic(file, data) {
+    const tempFile = `${file}.${process.pid}.${Math.random().toString(36).slice(2)}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(data, null, 2), { mode: 0o600 });
+    await fs.rename(tempFile, file);
+  }
+
+  async getNextVersion(environment) {
+    const versions = await this.listVersions(environment);
+    return versions.length > 0 ? versions[0].version + 1 : 1;
+  }
+
+  // Encryption methods
+  getEncryptionKey() {
     const key = this.config.encryption_key || process.env.ENVFLY_ENCRYPTION_KEY;
     if (!key) {
       throw new Error('Encryption key not configured');
     }
+    return key;
+  }
+
+  async encryptVariables(variables) {
+    return await cryptoManager.encryptWithPassphrase(variables, this.getEncryptionKey(), 'envfly-local');
+  }
 
-    const decipher = crypto.createDecipher('aes-256-gcm', key);
-    decipher.setAuthTag(Buffer.from(encryptedData.tag, 'hex'));
-    
-    let decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    return JSON.parse(decrypted);
+  async decryptVariables(encryptedData) {
+    return await cryptoManager.decryptWithPassphrase(encryptedData, this.getEncryptionKey(), 'envfly-local');
   }
 }
 
@@ -328,6 +672,59 @@ class AWSSecretsManagerProvider extends StorageProvider {
     }
   }
 
+  async listVersions(environment) {
+    try {
+      const secretName = `${this.prefix}/${environment}`;
+      const secretVersions = [];
+      let nextToken;
+
+      do {
+        const result = await this.secretsManager.listSecretVersionIds({
+          SecretId: secretName,
+          IncludeDeprecated: true,
+          ...(nextToken && { NextToken: nextToken })
+        }).promise();
+        secretVersions.push(...result.Versions);
+        nextToken = result.NextToken;
+      } while (nextToken);
+
+      // Secrets Manager version ids are UUIDs, so number them by creation date
+      return secretVersions
+        .sort((a, b) => new Date(a.CreatedDate) - new Date(b.CreatedDate))
+        .map((v, index) => ({
+          version: index + 1,
+          id: v.VersionId,
+          updated_at: new Date(v.CreatedDate).toISOString(),
+          current: (v.VersionStages || []).includes('AWSCURRENT')
+        }))
+        .reverse();
+    } catch (error) {
+      throw new Error(`Failed to list versions of ${environment}: ${error.message}`);
+    }
+  }
+
+  async retrieveVersion(environment, version) {
+    const match = await this.findVersion(environment, version);
+
+    try {
+      const result = await this.secretsManager.getSecretValue({
+        SecretId: `${this.prefix}/${environment}`,
+        VersionId: match.id
+      }).promise();
+
+      const variables = JSON.parse(result.SecretString);
+      return {
+        variables,
+        metadata: {
+          updated_at: match.updated_at,
+          variable_count: Object.keys(variables).length
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to retrieve version ${version} of ${environment}: ${error.message}`);
+    }
+  }
+
   async delete(environment) {
     try {
       const secretName = `${this.prefix}/${environment}`;
@@ -342,38 +739,67 @@ class AWSSecretsManagerProvider extends StorageProvider {
   }
 }
 
-// Azure Key Vault provider
-class AzureKeyVaultProvider extends StorageProvider {
+// AWS Systems Manager Parameter Store provider, one SecureString parameter per variable
+class AWSParameterStoreProvider extends StorageProvider {
   constructor(config) {
     super(config);
-    this.vaultUrl = config.azure.vault_url;
-    this.prefix = config.azure.prefix || 'envfly';
+    const ssm = config.ssm || {};
+    this.region = ssm.region || process.env.AWS_REGION || 'us-east-1';
+    this.prefix = (ssm.prefix ?? 'envfly').replace(/^\/+|\/+$/g, '');
+    this.kmsKeyId = ssm.kms_key_id;
+    this.tags = Object.entries(ssm.tags || {}).map(([Key, Value]) => ({ Key, Value: String(Value) }));
   }
 
   async initialize() {
     try {
-      // Check if Azure SDK is available
-      const { DefaultAzureCredential } = require('@azure/identity');
-      const { SecretClient } = require('@azure/keyvault-secrets');
-      
-      const credential = new DefaultAzureCredential();
-      this.client = new SecretClient(this.vaultUrl, credential);
-      
+      // Check if AWS SDK is available
+      const AWS = require('aws-sdk');
+      this.ssm = new AWS.SSM({ region: this.region });
+
       // Test connection
-      await this.client.listPropertiesOfSecrets().next();
+      await this.ssm.describeParameters({ MaxResults: 1 }).promise();
       return true;
     } catch (error) {
-      throw new Error(`Azure Key Vault initialization failed: ${error.message}`);
+      throw new Error(`AWS Parameter Store initialization failed: ${error.message}`);
     }
   }
 
   async store(environment, variables) {
     try {
-      const secretName = `${this.prefix}-${environment}`;
-      const secretValue = JSON.stringify(variables);
-      
-      await this.client.setSecret(secretName, secretValue);
-      
+      // Parameter Store rejects empty values, and we will not drop variables silently
+      const empty = Object.keys(variables).filter(key => variables[key] === '');
+      if (empty.length > 0) {
+        throw new Error(`Parameter Store cannot hold empty values: ${empty.join(', ')}`);
+      }
+
+      const existing = await this.getParameters(environment, true);
+
+      // Only write what changed, so unchanged parameters keep their version
+      const kept = [];
+      for (const [key, value] of Object.entries(variables)) {
+        if (existing[key]?.Value !== value) {
+          await this.putParameter(environment, key, value, Boolean(existing[key]));
+        } else {
+          kept.push(existing[key].Name);
+        }
+      }
+
+      // Kept parameters are retagged in name order, so the last one only has the configured tags
+      // once all of them do. Checking it alone saves a call per parameter when the tags did not change.
+      const last = kept.sort().pop();
+      const lastChanges = last && await this.getTagChanges(last);
+      if (lastChanges && lastChanges.changed.length + lastChanges.dropped.length > 0) {
+        for (const name of kept) {
+          await this.syncTags(name);
+        }
+        await this.syncTags(last, lastChanges);
+      }
+
+      const removed = Object.keys(existing)
+        .filter(key => !Object.prototype.hasOwnProperty.call(variables, key))
+        .map(key => existing[key].Name);
+      await this.deleteParameters(removed);
+
       return {
         updated_at: new Date().toISOString(),
         variable_count: Object.keys(variables).length
@@ -385,9 +811,523 @@ class AzureKeyVaultProvider extends StorageProvider {
 
   async retrieve(environment) {
     try {
-      const secretName = `${this.prefix}-${environment}`;
-      
-      const secret = await this.client.getSecret(secretName);
+      const parameters = await this.getParameters(environment, true);
+      if (Object.keys(parameters).length === 0) {
+        throw new Error(`Environment ${environment} not found`);
+      }
+
+      const variables = {};
+      let updatedAt = null;
+      for (const [key, parameter] of Object.entries(parameters)) {
+        variables[key] = parameter.Value;
+        if (!updatedAt || parameter.LastModifiedDate > updatedAt) {
+          updatedAt = parameter.LastModifiedDate;
+        }
+      }
+
+      return {
+        variables,
+        metadata: {
+          updated_at: new Date(updatedAt).toISOString(),
+          variable_count: Object.keys(variables).length
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to retrieve environment ${environment}: ${error.message}`);
+    }
+  }
+
+  async list() {
+    try {
+      const environments = new Map();
+
+      for (const parameter of await this.getParametersByPath(this.getPath(), { Recursive: true })) {
+        // /<prefix>/<env>/<KEY>; anything nested deeper is not ours
+        const segments = parameter.Name.slice(this.getPath().length + 1).split('/');
+        if (segments.length !== 2) {
+          continue;
+        }
+
+        const [name] = segments;
+        const env = environments.get(name) || { name, metadata: { updated_at: null, variable_count: 0 } };
+        const updatedAt = new Date(parameter.LastModifiedDate).toISOString();
+        env.metadata.variable_count++;
+        if (!env.metadata.updated_at || updatedAt > env.metadata.updated_at) {
+          env.metadata.updated_at = updatedAt;
+        }
+        environments.set(name, env);
+      }
+
+      return [...environments.values()];
+    } catch (error) {
+      throw new Error(`Failed to list environments: ${error.message}`);
+    }
+  }
+
+  async delete(environment) {
+    try {
+      const parameters = await this.getParameters(environment, false);
+      await this.deleteParameters(Object.values(parameters).map(parameter => parameter.Name));
+    } catch (error) {
+      throw new Error(`Failed to delete environment ${environment}: ${error.message}`);
+    }
+  }
+
+  // Each variable is its own parameter, so single-variable operations address it directly
+
+  async getVariable(environment, key) {
+    try {
+      const result = await this.ssm.getParameter({
+        Name: this.getParameterName(environment, key),
+        WithDecryption: true
+      }).promise();
+      return result.Parameter.Value;
+    } catch (error) {
+      if (error.code === 'ParameterNotFound') {
+        return null;
+      }
+      throw new Error(`Failed to get ${key} from ${environment}: ${error.message}`);
+    }
+  }
+
+  async setVariable(environment, key, value) {
+    try {
+      if (value === '') {
+        throw new Error('Parameter Store cannot hold empty values');
+      }
+      return await this.putParameter(environment, key, value);
+    } catch (error) {
+      throw new Error(`Failed to set ${key} in ${environment}: ${error.message}`);
+    }
+  }
+
+  async unsetVariable(environment, key) {
+    try {
+      await this.ssm.deleteParameter({ Name: this.getParameterName(environment, key) }).promise();
+      return { removed: true };
+    } catch (error) {
+      if (error.code === 'ParameterNotFound') {
+        return { removed: false };
+      }
+      throw new Error(`Failed to unset ${key} in ${environment}: ${error.message}`);
+    }
+  }
+
+  // Parameter Store helper methods
+  getPath(environment = null) {
+    return `/${[this.prefix, environment].filter(Boolean).join('/')}`;
+  }
+
+  getParameterName(environment, key) {
+    return `${this.getPath(environment)}/${key}`;
+  }
+
+  async getParametersByPath(parameterPath, options = {}) {
+    const parameters = [];
+    let nextToken;
+
+    do {
+      const result = await this.ssm.getParametersByPath({
+        Path: parameterPath,
+        MaxResults: 10,
+        ...options,
+        ...(nextToken && { NextToken: nextToken })
+      }).promise();
+      parameters.push(...result.Parameters);
+      nextToken = result.NextToken;
+    } while (nextToken);
+
+    return parameters;
+  }
+
+  async getParameters(environment, withDecryption) {
+    const parameters = {};
+    const envPath = this.getPath(environment);
+
+    for (const parameter of await this.getParametersByPath(envPath, { WithDecryption: withDecryption })) {
+      parameters[parameter.Name.slice(envPath.length + 1)] = parameter;
+    }
+
+    return parameters;
+  }
+
+  async putParameter(environment, key, value, exists = false) {
+    const params = {
+      Name: this.getParameterName(environment, key),
+      Value: value,
+      Type: 'SecureString',
+      ...(this.kmsKeyId && { KeyId: this.kmsKeyId })
+    };
+
+    // Tags can only be given when a parameter is created, not together with Overwrite
+    if (!exists) {
+      try {
+        await this.ssm.putParameter({
+          ...params,
+          ...(this.tags.length > 0 && { Tags: this.tags })
+        }).promise();
+        return { created: true };
+      } catch (error) {
+        if (error.code !== 'ParameterAlreadyExists') {
+          throw error;
+        }
+      }
+    }
+
+    await this.ssm.putParameter({ ...params, Overwrite: true }).promise();
+    await this.syncTags(params.Name);
+    return { created: false };
+  }
+
+  /**
+   * Tags to add or change and tag keys to remove so a parameter's tags match the configured ones
+   */
+  async getTagChanges(name) {
+    const { TagList: current = [] } = await this.ssm.listTagsForResource({ ResourceType: 'Parameter', ResourceId: name }).promise();
+
+    return {
+      changed: this.tags.filter(tag => !current.some(t => t.Key === tag.Key && t.Value === tag.Value)),
+      // aws: tags are reserved and cannot be removed
+      dropped: current
+        .map(tag => tag.Key)
+        .filter(key => !key.startsWith('aws:') && !this.tags.some(tag => tag.Key === key))
+    };
+  }
+
+  /**
+   * Make an existing parameter's tags match the configured ones, adding changed tags and removing dropped ones
+   */
+  async syncTags(name, changes = null) {
+    const resource = { ResourceType: 'Parameter', ResourceId: name };
+    const { changed, dropped } = changes || await this.getTagChanges(name);
+
+    if (changed.length > 0) {
+      await this.ssm.addTagsToResource({ ...resource, Tags: changed }).promise();
+    }
+    if (dropped.length > 0) {
+      await this.ssm.removeTagsFromResource({ ...resource, TagKeys: dropped }).promise();
+    }
+  }
+
+  async deleteParameters(names) {
+    // DeleteParameters takes at most 10 names per call
+    for (let i = 0; i < names.length; i += 10) {
+      await this.ssm.deleteParameters({ Names: names.slice(i, i + 10) }).promise();
+    }
+  }
+}
+
+// S3-compatible object storage provider (AWS S3, MinIO, ...)
+class S3StorageProvider extends StorageProvider {
+  constructor(config) {
+    super(config);
+    const s3 = config.s3 || {};
+    this.bucket = s3.bucket;
+    this.region = s3.region || process.env.AWS_REGION || 'us-east-1';
+    this.prefix = (s3.prefix ?? 'envfly').replace(/^\/+|\/+$/g, '');
+    this.endpoint = s3.endpoint || process.env.AWS_ENDPOINT_URL_S3 || process.env.AWS_ENDPOINT_URL;
+    this.forcePathStyle = s3.force_path_style ?? Boolean(this.endpoint);
+
+    // ETags of objects read or written by this instance or set by the caller, for conditional writes
+    this.etags = new Map();
+    this.forced = new Set();
+  }
+
+  async initialize() {
+    try {
+      if (!this.bucket) {
+        throw new Error('Bucket not configured');
+      }
+
+      // Check if AWS SDK is available
+      const AWS = require('aws-sdk');
+      this.s3 = new AWS.S3({
+        region: this.region,
+        signatureVersion: 'v4',
+        s3ForcePathStyle: this.forcePathStyle,
+        ...(this.endpoint && { endpoint: this.endpoint })
+      });
+
+      // Test connection
+      await this.s3.headBucket({ Bucket: this.bucket }).promise();
+      return true;
+    } catch (error) {
+      throw new Error(`S3 initialization failed: ${error.message || error.code}`);
+    }
+  }
+
+  async store(environment, variables) {
+    try {
+      const data = {
+        environment,
+        variables: await this.encryptVariables(variables),
+        metadata: {
+          updated_at: new Date().toISOString(),
+          variable_count: Object.keys(variables).length
+        }
+      };
+
+      const condition = this.getWriteCondition(environment);
+      const request = this.s3.putObject({
+        Bucket: this.bucket,
+        Key: this.getObjectKey(environment),
+        Body: JSON.stringify(data, null, 2),
+        ContentType: 'application/json'
+      });
+
+      // The SDK has no IfMatch or IfNoneMatch parameter for PutObject, so set the headers directly
+      if (condition) {
+        request.on('build', () => {
+          Object.assign(request.httpRequest.headers, condition);
+        });
+      }
+
+      let result;
+      try {
+        result = await request.promise();
+      } catch (error) {
+        if (error.statusCode === 412 || error.code === 'ConditionalRequestConflict') {
+          throw new Error(condition?.['If-Match']
+            ? 'it changed since it was last read. Pull it and try again, or push with --force to overwrite it'
+            : 'it already exists. Pull it first, or push with --force to overwrite it');
+        }
+        throw error;
+      }
+
+      this.etags.set(environment, result.ETag);
+      this.forced.delete(environment);
+      return { ...data.metadata, etag: result.ETag };
+    } catch (error) {
+      throw new Error(`Failed to store environment ${environment}: ${error.message}`);
+    }
+  }
+
+  async retrieve(environment) {
+    try {
+      const { data, etag } = await this.readObject(environment);
+      this.etags.set(environment, etag);
+
+      return {
+        variables: await this.decryptVariables(data.variables),
+        metadata: { ...data.metadata, etag }
+      };
+    } catch (error) {
+      throw new Error(`Failed to retrieve environment ${environment}: ${error.message}`);
+    }
+  }
+
+  async list() {
+    try {
+      const prefix = this.prefix ? `${this.prefix}/` : '';
+      const environments = [];
+      let continuationToken;
+
+      do {
+        const result = await this.s3.listObjectsV2({
+          Bucket: this.bucket,
+          Prefix: prefix,
+          Delimiter: '/',
+          ...(continuationToken && { ContinuationToken: continuationToken })
+        }).promise();
+
+        for (const object of result.Contents) {
+          if (object.Key.endsWith('.json')) {
+            environments.push({
+              name: object.Key.slice(prefix.length, -'.json'.length),
+              metadata: {
+                updated_at: new Date(object.LastModified).toISOString(),
+                size: object.Size
+              }
+            });
+          }
+        }
+
+        continuationToken = result.NextContinuationToken;
+      } while (continuationToken);
+
+      return environments;
+    } catch (error) {
+      throw new Error(`Failed to list environments: ${error.message}`);
+    }
+  }
+
+  async listVersions(environment) {
+    try {
+      const key = this.getObjectKey(environment);
+      const objectVersions = [];
+      let keyMarker;
+      let versionIdMarker;
+
+      do {
+        const result = await this.s3.listObjectVersions({
+          Bucket: this.bucket,
+          Prefix: key,
+          ...(keyMarker && { KeyMarker: keyMarker, VersionIdMarker: versionIdMarker })
+        }).promise();
+
+        // S3 lists each key's versions newest first; the prefix can match longer keys too
+        objectVersions.push(...result.Versions.filter(v => v.Key === key));
+        keyMarker = result.IsTruncated ? result.NextKeyMarker : null;
+        versionIdMarker = result.NextVersionIdMarker;
+      } while (keyMarker);
+
+      // Version ids are opaque, so number them from the oldest
+      return objectVersions.map((v, index) => ({
+        version: objectVersions.length - index,
+        id: v.VersionId,
+        updated_at: new Date(v.LastModified).toISOString(),
+        current: Boolean(v.IsLatest)
+      }));
+    } catch (error) {
+      throw new Error(`Failed to list versions of ${environment}: ${error.message}`);
+    }
+  }
+
+  async retrieveVersion(environment, version) {
+    const match = await this.findVersion(environment, version);
+
+    try {
+      const { data } = await this.readObject(environment, match.id);
+      return {
+        variables: await this.decryptVariables(data.variables),
+        metadata: { ...data.metadata, version: match.version }
+      };
+    } catch (error) {
+      throw new Error(`Failed to retrieve version ${version} of ${environment}: ${error.message}`);
+    }
+  }
+
+  async delete(environment) {
+    try {
+      // In a versioned bucket this adds a delete marker, so the history stays recoverable
+      await this.s3.deleteObject({
+        Bucket: this.bucket,
+        Key: this.getObjectKey(environment)
+      }).promise();
+      this.etags.delete(environment);
+    } catch (error) {
+      throw new Error(`Failed to delete environment ${environment}: ${error.message}`);
+    }
+  }
+
+  setBase(environment, etag, { force = false } = {}) {
+    if (force) {
+      this.forced.add(environment);
+    } else {
+      this.forced.delete(environment);
+    }
+
+    if (etag === undefined) {
+      this.etags.delete(environment);
+    } else {
+      this.etags.set(environment, etag);
+    }
+  }
+
+  // S3 helper methods
+
+  /**
+   * Headers that make a write fail if the object is not the one the caller last saw
+   */
+  getWriteCondition(environment) {
+    if (this.forced.has(environment)) {
+      return null;
+    }
+
+    if (!this.etags.has(environment)) {
+      throw new Error('there is no pulled or pushed version to write over. Pull it first, or push with --force to overwrite it');
+    }
+
+    const etag = this.etags.get(environment);
+    return etag ? { 'If-Match': etag } : { 'If-None-Match': '*' };
+  }
+
+  getObjectKey(environment) {
+    return [this.prefix, `${environment}.json`].filter(Boolean).join('/');
+  }
+
+  async readObject(environment, versionId = null) {
+    let result;
+    try {
+      result = await this.s3.getObject({
+        Bucket: this.bucket,
+        Key: this.getObjectKey(environment),
+        ...(versionId && { VersionId: versionId })
+      }).promise();
+    } catch (error) {
+      if (error.code === 'NoSuchKey' || error.statusCode === 404) {
+        throw new Error(`Environment ${environment} not found`);
+      }
+      throw error;
+    }
+
+    return { data: JSON.parse(result.Body.toString('utf8')), etag: result.ETag };
+  }
+
+  // Encryption methods
+  getEncryptionKey() {
+    const key = this.config.encryption_key || process.env.ENVFLY_ENCRYPTION_KEY;
+    if (!key) {
+      throw new Error('Encryption key not configured');
+    }
+    return key;
+  }
+
+  async encryptVariables(variables) {
+    return await cryptoManager.encryptWithPassphrase(variables, this.getEncryptionKey(), 'envfly-s3');
+  }
+
+  async decryptVariables(encryptedData) {
+    return await cryptoManager.decryptWithPassphrase(encryptedData, this.getEncryptionKey(), 'envfly-s3');
+  }
+}
+
+// Azure Key Vault provider
+class AzureKeyVaultProvider extends StorageProvider {
+  constructor(config) {
+    super(config);
+    this.vaultUrl = config.azure.vault_url;
+    this.prefix = config.azure.prefix || 'envfly';
+  }
+
+  async initialize() {
+    try {
+      // Check if Azure SDK is available
+      const { DefaultAzureCredential } = require('@azure/identity');
+      const { SecretClient } = require('@azure/keyvault-secrets');
+      
+      const credential = new DefaultAzureCredential();
+      this.client = new SecretClient(this.vaultUrl, credential);
+      
+      // Test connection
+      await this.client.listPropertiesOfSecrets().next();
+      return true;
+    } catch (error) {
+      throw new Error(`Azure Key Vault initialization failed: ${error.message}`);
+    }
+  }
+
+  async store(environment, variables) {
+    try {
+      const secretName = `${this.prefix}-${environment}`;
+      const secretValue = JSON.stringify(variables);
+      
+      await this.client.setSecret(secretName, secretValue);
+      
+      return {
+        updated_at: new Date().toISOString(),
+        variable_count: Object.keys(variables).length
+      };
+    } catch (error) {
+      throw new Error(`Failed to store environment ${environment}: ${error.message}`);
+    }
+  }
+
+  async retrieve(environment) {
+    try {
+      const secretName = `${this.prefix}-${environment}`;
+      
+      const secret = await this.client.getSecret(secretName);
       const variables = JSON.parse(secret.value);
       
       return {
@@ -419,9 +1359,53 @@ class AzureKeyVaultProvider extends StorageProvider {
         }
       }
 
-      return environments;
+      return environments;
+    } catch (error) {
+      throw new Error(`Failed to list environments: ${error.message}`);
+    }
+  }
+
+  async listVersions(environment) {
+    try {
+      const secretName = `${this.prefix}-${environment}`;
+      const secretVersions = [];
+
+      for await (const properties of this.client.listPropertiesOfSecretVersions(secretName)) {
+        if (properties.enabled !== false) {
+          secretVersions.push(properties);
+        }
+      }
+
+      // Key Vault version ids are opaque, so number them by creation date
+      return secretVersions
+        .sort((a, b) => a.createdOn - b.createdOn)
+        .map((v, index, all) => ({
+          version: index + 1,
+          id: v.version,
+          updated_at: v.createdOn.toISOString(),
+          current: index === all.length - 1
+        }))
+        .reverse();
     } catch (error) {
-      throw new Error(`Failed to list environments: ${error.message}`);
+      throw new Error(`Failed to list versions of ${environment}: ${error.message}`);
+    }
+  }
+
+  async retrieveVersion(environment, version) {
+    const match = await this.findVersion(environment, version);
+
+    try {
+      const secret = await this.client.getSecret(`${this.prefix}-${environment}`, { version: match.id });
+      const variables = JSON.parse(secret.value);
+      return {
+        variables,
+        metadata: {
+          updated_at: match.updated_at,
+          variable_count: Object.keys(variables).length
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to retrieve version ${version} of ${environment}: ${error.message}`);
     }
   }
 
@@ -536,6 +1520,52 @@ class GoogleSecretManagerProvider extends StorageProvider {
     }
   }
 
+  async listVersions(environment) {
+    try {
+      const secretId = `${this.prefix}-${environment}`;
+      const [secretVersions] = await this.client.listSecretVersions({
+        parent: `projects/${this.projectId}/secrets/${secretId}`
+      });
+
+      // Secret Manager numbers versions itself; destroyed ones cannot be read
+      return secretVersions
+        .filter(v => v.state === 'ENABLED')
+        .map(v => {
+          const number = Number(v.name.split('/').pop());
+          return {
+            version: number,
+            id: String(number),
+            updated_at: v.createTime.toDate().toISOString()
+          };
+        })
+        .sort((a, b) => b.version - a.version)
+        .map((v, index) => ({ ...v, current: index === 0 }));
+    } catch (error) {
+      throw new Error(`Failed to list versions of ${environment}: ${error.message}`);
+    }
+  }
+
+  async retrieveVersion(environment, version) {
+    const match = await this.findVersion(environment, version);
+
+    try {
+      const secretId = `${this.prefix}-${environment}`;
+      const name = `projects/${this.projectId}/secrets/${secretId}/versions/${match.id}`;
+
+      const [secretVersion] = await this.client.accessSecretVersion({name});
+      const variables = JSON.parse(secretVersion.payload.data.toString('utf8'));
+      return {
+        variables,
+        metadata: {
+          updated_at: match.updated_at,
+          variable_count: Object.keys(variables).length
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to retrieve version ${version} of ${environment}: ${error.message}`);
+    }
+  }
+
   async delete(environment) {
     try {
       const secretId = `${this.prefix}-${environment}`;
@@ -548,6 +1578,436 @@ class GoogleSecretManagerProvider extends StorageProvider {
   }
 }
 
+// HashiCorp Vault KV v2 provider
+class VaultStorageProvider extends StorageProvider {
+  constructor(config) {
+    super(config);
+    const vault = config.vault || {};
+    this.address = (vault.address || process.env.VAULT_ADDR || 'http://127.0.0.1:8200').replace(/\/+$/, '');
+    this.mount = (vault.mount || 'secret').replace(/^\/+|\/+$/g, '');
+    this.prefix = (vault.prefix ?? 'envfly').replace(/^\/+|\/+$/g, '');
+    this.namespace = vault.namespace || process.env.VAULT_NAMESPACE;
+    this.auth = vault.auth || { method: 'token' };
+  }
+
+  async initialize() {
+    try {
+      this.client = axios.create({
+        baseURL: `${this.address}/v1`,
+        timeout: 10000,
+        headers: this.namespace ? { 'X-Vault-Namespace': this.namespace } : {}
+      });
+
+      this.client.defaults.headers.common['X-Vault-Token'] = await this.login();
+
+      // Test connection
+      await this.client.get('/auth/token/lookup-self');
+      return true;
+    } catch (error) {
+      throw new Error(`Vault initialization failed: ${this.describeError(error)}`);
+    }
+  }
+
+  /**
+   * Get a Vault token. Tokens and secret IDs come from the environment, never from .envfly
+   */
+  async login() {
+    const method = this.auth.method || 'token';
+
+    if (method === 'token') {
+      const tokenFile = path.join(os.homedir(), '.vault-token');
+      const token = process.env.VAULT_TOKEN ||
+        (await fs.pathExists(tokenFile) ? (await fs.readFile(tokenFile, 'utf8')).trim() : null);
+      if (!token) {
+        throw new Error('No Vault token found. Set VAULT_TOKEN or run "vault login"');
+      }
+      return token;
+    }
+
+    if (method === 'approle') {
+      const roleId = this.auth.role_id || process.env.VAULT_ROLE_ID;
+      const secretId = process.env.VAULT_SECRET_ID;
+      if (!roleId || !secretId) {
+        throw new Error('AppRole login needs a role ID and a secret ID. Set VAULT_ROLE_ID and VAULT_SECRET_ID');
+      }
+
+      const response = await this.client.post(`/auth/${this.auth.mount || 'approle'}/login`, {
+        role_id: roleId,
+        secret_id: secretId
+      });
+      return response.data.auth.client_token;
+    }
+
+    throw new Error(`Unsupported Vault auth method: ${method}`);
+  }
+
+  async store(environment, variables) {
+    try {
+      const response = await this.client.post(this.getDataUrl(environment), { data: variables });
+
+      return {
+        updated_at: response.data.data.created_time,
+        variable_count: Object.keys(variables).length,
+        version: response.data.data.version
+      };
+    } catch (error) {
+      throw new Error(`Failed to store environment ${environment}: ${this.describeError(error)}`);
+    }
+  }
+
+  async retrieve(environment) {
+    try {
+      return await this.readVersion(environment);
+    } catch (error) {
+      throw new Error(`Failed to retrieve environment ${environment}: ${this.describeError(error)}`);
+    }
+  }
+
+  async list() {
+    try {
+      let keys;
+      try {
+        const response = await this.client.get(this.getMetadataUrl(), { params: { list: true } });
+        keys = response.data.data.keys;
+      } catch (error) {
+        // Vault answers 404 when nothing is stored under the prefix yet
+        if (error.response?.status === 404) {
+          return [];
+        }
+        throw error;
+      }
+
+      const environments = [];
+
+      // Keys ending in "/" are folders, not environments
+      for (const key of keys.filter(key => !key.endsWith('/'))) {
+        const response = await this.client.get(this.getMetadataUrl(key));
+        environments.push({
+          name: key,
+          metadata: {
+            updated_at: response.data.data.updated_time,
+            version: response.data.data.current_version
+          }
+        });
+      }
+
+      return environments;
+    } catch (error) {
+      throw new Error(`Failed to list environments: ${this.describeError(error)}`);
+    }
+  }
+
+  // Read-modify-write with check-and-set, so a write made in between fails instead of being lost
+
+  async setVariable(environment, key, value) {
+    const { variables, metadata } = await this.retrieve(environment);
+    const created = !Object.prototype.hasOwnProperty.call(variables, key);
+    await this.storeIfUnchanged(environment, { ...variables, [key]: value }, metadata.version);
+    return { created };
+  }
+
+  async unsetVariable(environment, key) {
+    const { variables, metadata } = await this.retrieve(environment);
+    if (!Object.prototype.hasOwnProperty.call(variables, key)) {
+      return { removed: false };
+    }
+
+    const { [key]: removed, ...rest } = variables;
+    await this.storeIfUnchanged(environment, rest, metadata.version);
+    return { removed: true };
+  }
+
+  async listVersions(environment) {
+    try {
+      const response = await this.client.get(this.getMetadataUrl(environment));
+      const { versions, current_version: currentVersion } = response.data.data;
+
+      // Deleted and destroyed versions stay in the metadata but cannot be read
+      return Object.entries(versions)
+        .filter(([, v]) => !v.destroyed && !v.deletion_time)
+        .map(([number, v]) => ({
+          version: Number(number),
+          id: number,
+          updated_at: v.created_time,
+          current: Number(number) === currentVersion
+        }))
+        .sort((a, b) => b.version - a.version);
+    } catch (error) {
+      throw new Error(`Failed to list versions of ${environment}: ${this.describeError(error)}`);
+    }
+  }
+
+  async retrieveVersion(environment, version) {
+    const match = await this.findVersion(environment, version);
+
+    try {
+      return await this.readVersion(environment, match.version);
+    } catch (error) {
+      throw new Error(`Failed to retrieve version ${version} of ${environment}: ${this.describeError(error)}`);
+    }
+  }
+
+  async delete(environment) {
+    try {
+      // Deleting the metadata removes every version, as deleting a secret does elsewhere
+      await this.client.delete(this.getMetadataUrl(environment));
+    } catch (error) {
+      throw new Error(`Failed to delete environment ${environment}: ${this.describeError(error)}`);
+    }
+  }
+
+  async readVersion(environment, version = null) {
+    let response;
+    try {
+      response = await this.client.get(this.getDataUrl(environment), {
+        params: version === null ? {} : { version }
+      });
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw new Error(`Environment ${environment} not found`);
+      }
+      throw error;
+    }
+
+    const { data: variables, metadata } = response.data.data;
+    if (!variables) {
+      throw new Error(`Environment ${environment} not found`);
+    }
+
+    return {
+      variables,
+      metadata: {
+        updated_at: metadata.created_time,
+        variable_count: Object.keys(variables).length,
+        version: metadata.version
+      }
+    };
+  }
+
+  async storeIfUnchanged(environment, variables, version) {
+    try {
+      await this.client.post(this.getDataUrl(environment), { options: { cas: version }, data: variables });
+    } catch (error) {
+      if (error.response?.status === 400 && /check-and-set/.test(this.describeError(error))) {
+        throw new Error(`Failed to store environment ${environment}: it changed since it was read, try again`);
+      }
+      throw new Error(`Failed to store environment ${environment}: ${this.describeError(error)}`);
+    }
+  }
+
+  getSecretPath(environment) {
+    return [this.prefix, environment].filter(Boolean).map(encodeURIComponent).join('/');
+  }
+
+  getDataUrl(environment) {
+    return `/${this.mount}/data/${this.getSecretPath(environment)}`;
+  }
+
+  getMetadataUrl(environment = '') {
+    return `/${this.mount}/metadata/${this.getSecretPath(environment)}`;
+  }
+
+  describeError(error) {
+    const errors = error.response?.data?.errors;
+    return Array.isArray(errors) && errors.length > 0 ? errors.join('; ') : error.message;
+  }
+}
+
+// SOPS-compatible encrypted files with age recipients; keys stay readable, values are encrypted
+class SopsStorageProvider extends StorageProvider {
+  constructor(config) {
+    super(config);
+    const sops = config.sops || {};
+    this.envDir = path.resolve(sops.path || '.envfly-environments');
+    this.format = sops.format || 'yaml';
+    this.files = sops.files || {};
+    this.recipients = sops.age_recipients ||
+      (process.env.SOPS_AGE_RECIPIENTS || '').split(',').map(r => r.trim()).filter(Boolean);
+  }
+
+  async initialize() {
+    try {
+      if (!sopsManager.getExtension(this.format)) {
+        throw new Error(`Unsupported format "${this.format}". Use yaml, json or dotenv`);
+      }
+      this.recipients.forEach(recipient => ageManager.parseRecipient(recipient));
+
+      await fs.ensureDir(this.envDir);
+      return true;
+    } catch (error) {
+      throw new Error(`SOPS initialization failed: ${error.message}`);
+    }
+  }
+
+  async store(environment, variables) {
+    try {
+      const envFile = this.getEnvFile(environment);
+      const format = this.getFormat(envFile);
+      let recipients = this.recipients;
+      let rules = null;
+      let types = {};
+
+      let hasComments = false;
+
+      // An existing file keeps its recipients, its cleartext rules and, if we can read it, its value types
+      if (await fs.pathExists(envFile)) {
+        const existing = await fs.readFile(envFile, 'utf8');
+        const { metadata } = sopsManager.parse(existing, format);
+        hasComments = sopsManager.hasComments(existing, format);
+        if (metadata) {
+          recipients = recipients.length > 0 ? recipients : sopsManager.getRecipients(metadata);
+          rules = sopsManager.getRules(metadata);
+          try {
+            ({ types } = sopsManager.decrypt(existing, format, await this.getIdentities()));
+          } catch {
+            types = {};
+          }
+        }
+      }
+
+      if (recipients.length === 0 || !rules) {
+        const rule = await sopsManager.findCreationRule(envFile);
+        if (recipients.length === 0 && rule) {
+          recipients = sopsManager.getRuleRecipients(rule);
+        }
+        if (!rules && rule && Object.keys(sopsManager.getRules(rule)).length > 0) {
+          rules = sopsManager.getRules(rule);
+        }
+      }
+
+      if (recipients.length === 0) {
+        throw new Error(
+          'No age recipients. Set sops.age_recipients in .envfly, SOPS_AGE_RECIPIENTS, ' +
+          'or an age creation rule in .sops.yaml'
+        );
+      }
+
+      const content = sopsManager.encrypt(variables, format, {
+        recipients,
+        types,
+        ...(rules && Object.keys(rules).length > 0 && { rules })
+      });
+
+      if (hasComments) {
+        showWarning(
+          `${path.relative(process.cwd(), envFile)} has comments. EnvFly rewrites the whole file and does not keep them, ` +
+          'so they are removed now. Keep notes about variables outside SOPS files.',
+          'SOPS file comments'
+        );
+      }
+
+      await fs.ensureDir(path.dirname(envFile));
+      const tempFile = `${envFile}.${process.pid}.tmp`;
+      await fs.writeFile(tempFile, content);
+      await fs.rename(tempFile, envFile);
+
+      return {
+        updated_at: new Date().toISOString(),
+        variable_count: Object.keys(variables).length
+      };
+    } catch (error) {
+      throw new Error(`Failed to store environment ${environment}: ${error.message}`);
+    }
+  }
+
+  async retrieve(environment) {
+    try {
+      const envFile = this.getEnvFile(environment);
+      if (!await fs.pathExists(envFile)) {
+        throw new Error(`Environment ${environment} not found`);
+      }
+
+      const { variables, lastModified } = sopsManager.decrypt(
+        await fs.readFile(envFile, 'utf8'),
+        this.getFormat(envFile),
+        await this.getIdentities()
+      );
+
+      return {
+        variables,
+        metadata: {
+          updated_at: new Date(lastModified).toISOString(),
+          variable_count: Object.keys(variables).length
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to retrieve environment ${environment}: ${error.message}`);
+    }
+  }
+
+  async list() {
+    try {
+      const envFiles = {};
+      const extension = sopsManager.getExtension(this.format);
+
+      if (await fs.pathExists(this.envDir)) {
+        for (const file of await fs.readdir(this.envDir)) {
+          if (file.endsWith(extension) && file.length > extension.length) {
+            envFiles[file.slice(0, -extension.length)] = path.join(this.envDir, file);
+          }
+        }
+      }
+      for (const name of Object.keys(this.files)) {
+        envFiles[name] = this.getEnvFile(name);
+      }
+
+      const environments = [];
+      for (const [name, envFile] of Object.entries(envFiles)) {
+        if (!await fs.pathExists(envFile)) {
+          continue;
+        }
+
+        // Metadata is cleartext, so listing needs no key; files without it are not SOPS files
+        try {
+          const { entries, metadata } = sopsManager.parse(await fs.readFile(envFile, 'utf8'), this.getFormat(envFile));
+          if (metadata) {
+            environments.push({
+              name,
+              metadata: {
+                updated_at: new Date(metadata.lastmodified).toISOString(),
+                variable_count: entries.length,
+                recipients: sopsManager.getRecipients(metadata)
+              }
+            });
+          }
+        } catch {
+          continue;
+        }
+      }
+
+      return environments;
+    } catch (error) {
+      throw new Error(`Failed to list environments: ${error.message}`);
+    }
+  }
+
+  async delete(environment) {
+    try {
+      await fs.remove(this.getEnvFile(environment));
+    } catch (error) {
+      throw new Error(`Failed to delete environment ${environment}: ${error.message}`);
+    }
+  }
+
+  // SOPS helper methods
+  getEnvFile(environment) {
+    return this.files[environment]
+      ? path.resolve(this.files[environment])
+      : path.join(this.envDir, `${environment}${sopsManager.getExtension(this.format)}`);
+  }
+
+  getFormat(envFile) {
+    return sopsManager.detectFormat(envFile) || this.format;
+  }
+
+  async getIdentities() {
+    if (!this.identities) {
+      this.identities = await ageManager.loadIdentities();
+    }
+    return this.identities;
+  }
+}
+
 // Storage provider factory
 class StorageProviderFactory {
   static async create(providerType, config) {
@@ -557,15 +2017,30 @@ class StorageProviderFactory {
       case 'git':
         provider = new GitStorageProvider(config);
         break;
+      case 'local':
+        provider = new LocalStorageProvider(config);
+        break;
       case 'aws':
         provider = new AWSSecretsManagerProvider(config);
         break;
+      case 'aws-ssm':
+        provider = new AWSParameterStoreProvider(config);
+        break;
+      case 's3':
+        provider = new S3StorageProvider(config);
+        break;
       case 'azure':
         provider = new AzureKeyVaultProvider(config);
         break;
       case 'google':
         provider = new GoogleSecretManagerProvider(config);
         break;
+      case 'vault':
+        provider = new VaultStorageProvider(config);
+        break;
+      case 'sops':
+        provider = new SopsStorageProvider(config);
+        break;
       default:
         throw new Error(`Unsupported storage provider: ${providerType}`);
     }
@@ -582,12 +2057,30 @@ class StorageProviderFactory {
         description: 'Store environments in Git repository (encrypted)',
         requires: ['git repository']
       },
+      {
+        type: 'local',
+        name: 'Local Directory',
+        description: 'Store environments in a local or mounted directory (encrypted)',
+        requires: ['writable directory']
+      },
       {
         type: 'aws',
         name: 'AWS Secrets Manager',
         description: 'Store environments in AWS Secrets Manager',
         requires: ['AWS credentials', 'Secrets Manager access']
       },
+      {
+        type: 'aws-ssm',
+        name: 'AWS Systems Manager Parameter Store',
+        description: 'Store each variable as a SecureString parameter',
+        requires: ['AWS credentials', 'Parameter Store access']
+      },
+      {
+        type: 's3',
+        name: 'Amazon S3 / S3-compatible',
+        description: 'Store environments as encrypted objects in a versioned S3 or MinIO bucket',
+        requires: ['AWS credentials', 'versioned bucket']
+      },
       {
         type: 'azure',
         name: 'Azure Key Vault',
@@ -599,6 +2092,18 @@ class StorageProviderFactory {
         name: 'Google Secret Manager',
         description: 'Store environments in Google Secret Manager',
         requires: ['Google Cloud credentials', 'Secret Manager access']
+      },
+      {
+        type: 'vault',
+        name: 'HashiCorp Vault',
+        description: 'Store environments in a Vault KV v2 secrets engine',
+        requires: ['Vault token or AppRole credentials', 'KV v2 mount access']
+      },
+      {
+        type: 'sops',
+        name: 'SOPS Files',
+        description: 'Store environments as SOPS-encrypted YAML, JSON or dotenv files with age recipients',
+        requires: ['age recipients', 'age identity to read']
       }
     ];
   }
@@ -607,8 +2112,13 @@ class StorageProviderFactory {
 module.exports = {
   StorageProvider,
   GitStorageProvider,
+  LocalStorageProvider,
   AWSSecretsManagerProvider,
+  AWSParameterStoreProvider,
+  S3StorageProvider,
   AzureKeyVaultProvider,
   GoogleSecretManagerProvider,
+  VaultStorageProvider,
+  SopsStorageProvider,
   StorageProviderFactory
 }; 
\ No newline at end of file
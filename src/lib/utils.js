@@ -207,6 +207,24 @@ function validateEnvironmentName(name) {
   return { valid: true };
 }
 
+/**
+ * Parse an absolute date or a relative duration (30m, 24h, 7d, 2w) into an ISO string
+ */
+function parseDateInput(input, now = new Date()) {
+  const relative = /^(\d+)\s*([mhdw])$/i.exec(String(input).trim());
+  if (relative) {
+    const units = { m: 60, h: 3600, d: 86400, w: 604800 };
+    const seconds = parseInt(relative[1], 10) * units[relative[2].toLowerCase()];
+    return new Date(now.getTime() - seconds * 1000).toISOString();
+  }
+
+  const date = new Date(input);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${input}". Use an ISO date (2024-01-31) or a duration like 24h or 7d`);
+  }
+  return date.toISOString();
+}
+
 /**
  * Generate unique ID
  */
@@ -353,6 +371,7 @@ module.exports = {
   getPackageName,
   generateProjectName,
   validateEnvironmentName,
+  parseDateInput,
   generateId,
   deepClone,
   isEmpty,
@@ -0,0 +1,211 @@
+const { apiClient } = require('./api');
+const { StorageProviderFactory } = require('./storage-providers');
+const { cryptoManager } = require('./crypto');
+const { environmentLoader } = require('./environments');
+
+const KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+
+class VariableManager {
+  /**
+   * Check that a variable name can be stored in a .env file
+   */
+  validateKey(key) {
+    if (!KEY_PATTERN.test(key || '')) {
+      throw new Error(
+        `Invalid variable name "${key}". ` +
+        'Names start with a letter or underscore and contain only letters, digits, "_", "." and "-"'
+      );
+    }
+  }
+
+  /**
+   * Split a KEY=value argument
+   */
+  parseAssignment(assignment) {
+    const index = assignment.indexOf('=');
+    if (index <= 0) {
+      throw new Error(`Expected KEY=value, got "${assignment}"`);
+    }
+
+    const key = assignment.slice(0, index).trim();
+    this.validateKey(key);
+    return { key, value: assignment.slice(index + 1) };
+  }
+
+  /**
+   * How an environment's variables are stored: 'provider', 'encrypted' (client-side) or 'server'
+   */
+  getMode(name, config) {
+    const envConfig = environmentLoader.getEnvConfig(name, config);
+
+    if ((config.storage?.provider || 'envfly') !== 'envfly') {
+      return 'provider';
+    }
+
+    if (!envConfig.remote_id) {
+      throw new Error(
+        `Environment "${name}" is not connected to a remote environment. ` +
+        `Use "envfly push ${name}" to create it first.`
+      );
+    }
+
+    return cryptoManager.isEncryptionEnabled(config) ? 'encrypted' : 'server';
+  }
+
+  /**
+   * Get a variable from an environment's own layer, or null if it is not set there
+   */
+  async getOwn(name, key, config) {
+    switch (this.getMode(name, config)) {
+      case 'provider': {
+        const provider = await StorageProviderFactory.create(config.storage.provider, config.storage.config);
+        const value = await provider.getVariable(name, key);
+        return value === null ? null : { key, value };
+      }
+      case 'server':
+        try {
+          return await apiClient.getVariable(config.project_id, config.environments[name].remote_id, key);
+        } catch (error) {
+          if (error.status === 404 && error.data?.error === 'Variable not found') {
+            return null;
+          }
+          throw error;
+        }
+      default: {
+        const variables = await environmentLoader.loadRemote(name, config);
+        return Object.prototype.hasOwnProperty.call(variables, key) ? { key, value: variables[key] } : null;
+      }
+    }
+  }
+
+  /**
+   * Get a variable, falling back to the environment's bases
+   */
+  async get(name, key, config) {
+    this.validateKey(key);
+
+    const own = await this.getOwn(name, key, config);
+    if (own) {
+      return { ...own, origin: name };
+    }
+
+    if (environmentLoader.hasBases(name, config)) {
+      const inherited = await environmentLoader.loadInherited(name, config);
+      if (Object.prototype.hasOwnProperty.call(inherited.variables, key)) {
+        return { key, value: inherited.variables[key], origin: inherited.origins[key] };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Set a variable in an environment's own layer
+   */
+  async set(name, key, value, config, options = {}) {
+    this.validateKey(key);
+
+    switch (this.getMode(name, config)) {
+      case 'provider': {
+        const provider = await StorageProviderFactory.create(config.storage.provider, config.storage.config);
+        const { created } = await provider.setVariable(name, key, value);
+        return { created, metadataStored: false };
+      }
+      case 'server': {
+        const variable = await apiClient.setVariable(config.project_id, config.environments[name].remote_id, key, {
+          value,
+          ...(options.description !== undefined && { description: options.description }),
+          ...(options.secret && { is_secret: true })
+        });
+        return { created: variable.created, metadataStored: true };
+      }
+      default: {
+        const { variables, version } = await this.loadEncrypted(name, config);
+        const created = !Object.prototype.hasOwnProperty.call(variables, key);
+        await this.storeEncrypted(name, { ...variables, [key]: value }, config, `Set ${key}`, version);
+        return { created, metadataStored: false };
+      }
+    }
+  }
+
+  /**
+   * Remove a variable from an environment's own layer
+   */
+  async unset(name, key, config) {
+    this.validateKey(key);
+
+    const own = await this.getOwn(name, key, config);
+    if (!own) {
+      if (environmentLoader.hasBases(name, config)) {
+        const inherited = await environmentLoader.loadInherited(name, config);
+        if (Object.prototype.hasOwnProperty.call(inherited.variables, key)) {
+          throw new Error(
+            `${key} is inherited from "${inherited.origins[key]}". ` +
+            `Use "envfly unset ${inherited.origins[key]} ${key}" to remove it there.`
+          );
+        }
+      }
+      throw new Error(`${key} is not set in ${name}`);
+    }
+
+    switch (this.getMode(name, config)) {
+      case 'provider': {
+        const provider = await StorageProviderFactory.create(config.storage.provider, config.storage.config);
+        await provider.unsetVariable(name, key);
+        break;
+      }
+      case 'server':
+        await apiClient.unsetVariable(config.project_id, config.environments[name].remote_id, key);
+        break;
+      default: {
+        const { variables, version } = await this.loadEncrypted(name, config);
+        const { [key]: removed, ...rest } = variables;
+        await this.storeEncrypted(name, rest, config, `Unset ${key}`, version);
+      }
+    }
+
+    // Report the value the environment now sees, if a base still provides one
+    if (environmentLoader.hasBases(name, config)) {
+      const inherited = await environmentLoader.loadInherited(name, config);
+      if (Object.prototype.hasOwnProperty.call(inherited.variables, key)) {
+        return { removed: true, inheritedFrom: inherited.origins[key] };
+      }
+    }
+
+    return { removed: true, inheritedFrom: null };
+  }
+
+  /**
+   * Fetch and decrypt a client-side encrypted environment along with its version
+   */
+  async loadEncrypted(name, config) {
+    const remoteData = await apiClient.getEnvironment(config.project_id, config.environments[name].remote_id);
+    const variables = remoteData.encrypted
+      ? await cryptoManager.decrypt(remoteData.variables, config.project_id)
+      : remoteData.variables || {};
+
+    return { variables, version: remoteData.version };
+  }
+
+  /**
+   * Re-encrypt and upload a client-side encrypted environment, failing if it changed since it was read
+   */
+  async storeEncrypted(name, variables, config, message, baseVersion) {
+    const encryptedData = await cryptoManager.encrypt(variables, config.project_id);
+    await apiClient.updateEnvironment(
+      config.project_id,
+      config.environments[name].remote_id,
+      encryptedData,
+      message,
+      baseVersion
+    );
+  }
+}
+
+// Create singleton instance
+const variableManager = new VariableManager();
+
+module.exports = {
+  VariableManager,
+  variableManager
+};
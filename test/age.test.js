@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { ageManager } = require('../src/lib/age');
+
+const testkitDir = path.join(__dirname, 'fixtures', 'age-testkit');
+
+/**
+ * Split a test kit vector into its header and the age file it holds
+ */
+function readVector(name) {
+  const raw = fs.readFileSync(path.join(testkitDir, name));
+  const separator = raw.indexOf('\n\n');
+  const header = { identity: [] };
+
+  for (const line of raw.subarray(0, separator).toString('utf8').split('\n')) {
+    const index = line.indexOf(': ');
+    const [key, value] = [line.slice(0, index), line.slice(index + 2)];
+    if (key === 'identity') {
+      header.identity.push(value);
+    } else {
+      header[key] = value;
+    }
+  }
+
+  const body = header.compressed === 'zlib' ? zlib.inflateSync(raw.subarray(separator + 2)) : raw.subarray(separator + 2);
+  return { header, file: header.armored === 'yes' ? body.toString('utf8') : body };
+}
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+describe('age test kit', () => {
+  const vectors = fs.readdirSync(testkitDir).filter(name => name !== 'README.md').sort();
+
+  test('has the vectors', () => {
+    expect(vectors.length).toBeGreaterThan(90);
+  });
+
+  test.each(vectors)('%s', name => {
+    const { header, file } = readVector(name);
+    const decrypt = () => ageManager.decrypt(file, header.identity.map(identity => ageManager.parseIdentity(identity)));
+
+    if (header.expect === 'success') {
+      expect(sha256(decrypt())).toBe(header.payload);
+    } else if (header.expect === 'no match') {
+      expect(decrypt).toThrow('No age identity matches');
+    } else {
+      expect(decrypt).toThrow();
+    }
+  });
+});
+
+describe('age keys', () => {
+  // RFC 7748 section 6.1: Alice's X25519 private and public keys
+  const privateKey = Buffer.from('77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a', 'hex');
+  const publicKey = Buffer.from('8520f0098930a754748b7ddcb43ef75a0dbf3a0d26381af4eba4a98eaa9b4e6a', 'hex');
+
+  test('derives the X25519 public key of an identity', () => {
+    const identity = ageManager.bech32Encode('age-secret-key-', privateKey).toUpperCase();
+
+    const parsed = ageManager.parseIdentity(identity);
+
+    expect(parsed.publicKey).toEqual(publicKey);
+    expect(ageManager.parseRecipient(parsed.recipient)).toEqual(publicKey);
+  });
+
+  test('reads the identity of a test kit vector', () => {
+    const { header } = readVector('x25519');
+
+    expect(ageManager.parseIdentity(header.identity[0]).recipient).toMatch(/^age1[02-9ac-hj-np-z]{58}$/);
+  });
+
+  test('generates identities that decrypt what is encrypted to their recipient', () => {
+    const { identity, recipient } = ageManager.generateIdentity();
+
+    const file = ageManager.encrypt(Buffer.from('secret'), [recipient]);
+
+    expect(ageManager.decrypt(file, [ageManager.parseIdentity(identity)]).toString()).toBe('secret');
+  });
+
+  test('rejects a recipient with a bad checksum', () => {
+    const { recipient } = ageManager.generateIdentity();
+    const last = recipient.slice(-1) === 'q' ? 'p' : 'q';
+
+    expect(() => ageManager.parseRecipient(recipient.slice(0, -1) + last)).toThrow();
+  });
+});
+
+describe('age files', () => {
+  const { identity, recipient } = ageManager.generateIdentity();
+  const identities = [ageManager.parseIdentity(identity)];
+
+  test.each([0, 1, 64 * 1024 - 1, 64 * 1024, 64 * 1024 + 1, 3 * 64 * 1024 + 100])('round trips %i bytes', size => {
+    const plaintext = crypto.randomBytes(size);
+
+    const file = ageManager.encrypt(plaintext, [recipient]);
+
+    expect(file).toMatch(/^-----BEGIN AGE ENCRYPTED FILE-----\n[\s\S]*\n-----END AGE ENCRYPTED FILE-----\n$/);
+    expect(ageManager.decrypt(file, identities)).toEqual(plaintext);
+  });
+
+  test('encrypts to several recipients', () => {
+    const other = ageManager.generateIdentity();
+
+    const file = ageManager.encrypt(Buffer.from('shared'), [other.recipient, recipient]);
+
+    expect(ageManager.decrypt(file, identities).toString()).toBe('shared');
+    expect(ageManager.decrypt(file, [ageManager.parseIdentity(other.identity)]).toString()).toBe('shared');
+  });
+
+  test('rejects a changed payload', () => {
+    const file = ageManager.dearmor(ageManager.encrypt(Buffer.from('secret'), [recipient]));
+    file[file.length - 1] ^= 1;
+
+    expect(() => ageManager.decrypt(file, identities)).toThrow();
+  });
+});
@@ -0,0 +1,118 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Commands read .envfly from the working directory
+const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'envfly-audit-'));
+const originalDir = process.cwd();
+process.chdir(projectDir);
+
+const audit = require('../src/commands/audit');
+const { authManager } = require('../src/lib/auth');
+const { apiClient } = require('../src/lib/api');
+
+const entry = (action, overrides = {}) => ({
+  action,
+  timestamp: '2024-03-14T09:31:07Z',
+  user_name: 'Alice',
+  user_email: 'alice@example.com',
+  ip_address: '203.0.113.7',
+  user_agent: 'envfly-cli',
+  ...overrides
+});
+
+describe('audit', () => {
+  let output;
+
+  beforeEach(async () => {
+    await fs.writeJson(path.join(projectDir, '.envfly'), {
+      version: '1.0',
+      project_id: 'proj_audit',
+      project_name: 'audit-test',
+      team_id: 'team_1',
+      environments: { production: { file: '.env.production', remote_id: 'env_1' } },
+      storage: { provider: 'envfly' },
+      auth: { method: 'api_key' }
+    });
+
+    output = [];
+    jest.spyOn(console, 'log').mockImplementation((...args) => output.push(args.join(' ')));
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    jest.spyOn(process, 'exit').mockImplementation(code => {
+      throw new Error(`process.exit(${code}): ${output.join('\n')}`);
+    });
+    jest.spyOn(authManager, 'checkAuth').mockResolvedValue(true);
+    jest.spyOn(apiClient, 'initialize').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    process.chdir(originalDir);
+    await fs.remove(projectDir);
+  });
+
+  test('shows every action, including rollbacks and shares, in its own color', async () => {
+    const level = chalk.level;
+    chalk.level = 1;
+    jest.spyOn(apiClient, 'getEnvironmentAudit').mockResolvedValue({
+      entries: [
+        entry('rollback', { details: { metadata: { from_version: 3, to_version: 1 } } }),
+        entry('share'),
+        entry('push'),
+        entry('something-new')
+      ],
+      next_cursor: null
+    });
+
+    try {
+      await audit('production', {});
+
+      const text = output.join('\n');
+      expect(text).toContain(chalk.yellowBright('ROLLBACK'));
+      expect(text).toContain(chalk.magentaBright('SHARE'));
+      expect(text).toContain(chalk.magenta('PUSH'));
+      expect(text).toContain(chalk.white('SOMETHING-NEW'));
+      expect(text).toContain('Total actions:');
+    } finally {
+      chalk.level = level;
+    }
+  });
+});
+
+describe('audit command line', () => {
+  const savedArgv = process.argv;
+
+  const run = (...args) => {
+    process.argv = ['node', 'envfly', ...args];
+    let command;
+    jest.isolateModules(() => {
+      jest.doMock('../src/commands/audit', () => Object.assign(jest.fn(), { verify: jest.fn() }));
+      command = require('../src/commands/audit');
+      require('../bin/envfly');
+    });
+    return command;
+  };
+
+  afterEach(() => {
+    process.argv = savedArgv;
+    jest.dontMock('../src/commands/audit');
+  });
+
+  test('shows the audit logs of an environment', () => {
+    const command = run('audit', 'production', '--action', 'push,rollback');
+
+    expect(command).toHaveBeenCalledWith('production', expect.objectContaining({ action: 'push,rollback' }), expect.anything());
+    expect(command.verify).not.toHaveBeenCalled();
+  });
+
+  test('verifies with its own subcommand', () => {
+    const command = run('audit', 'verify', 'production');
+
+    expect(command.verify).toHaveBeenCalledWith('production', expect.anything(), expect.anything());
+    expect(command).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,121 @@
+const http = require('http');
+const crypto = require('crypto');
+
+const escapeXml = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * A small HTTP stand-in for a versioned S3 bucket with path-style addressing:
+ * conditional PutObject, GetObject, ListObjectsV2 and ListObjectVersions. Only what the provider uses.
+ */
+function createS3StandIn({ bucket = 'envfly-test' } = {}) {
+  const objects = new Map();
+  const requests = [];
+  let clock = Date.UTC(2024, 0, 1);
+
+  const send = (res, status, body = '', headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/xml', ...headers });
+    res.end(body);
+  };
+
+  const sendError = (res, status, code) => {
+    send(res, status, `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+  };
+
+  const handle = (req, res, body) => {
+    const url = new URL(req.url, 'http://s3');
+    const [, bucketName, ...keyParts] = url.pathname.split('/');
+    const key = decodeURIComponent(keyParts.join('/'));
+    requests.push({
+      method: req.method,
+      key,
+      ifMatch: req.headers['if-match'],
+      ifNoneMatch: req.headers['if-none-match']
+    });
+
+    if (bucketName !== bucket) {
+      return sendError(res, 404, 'NoSuchBucket');
+    }
+
+    if (!key && req.method === 'HEAD') {
+      return send(res, 200);
+    }
+
+    if (!key && req.method === 'GET' && url.searchParams.has('versions')) {
+      const prefix = url.searchParams.get('prefix') || '';
+      const versions = [...objects.entries()]
+        .filter(([name]) => name.startsWith(prefix))
+        .flatMap(([name, history]) => history.slice().reverse().map((version, index) => `<Version>` +
+          `<Key>${escapeXml(name)}</Key><VersionId>${version.id}</VersionId><IsLatest>${index === 0}</IsLatest>` +
+          `<LastModified>${version.lastModified}</LastModified><ETag>${version.etag}</ETag><Size>${version.body.length}</Size>` +
+          `</Version>`));
+      return send(res, 200, `<?xml version="1.0" encoding="UTF-8"?><ListVersionsResult><Name>${bucket}</Name>` +
+        `<IsTruncated>false</IsTruncated>${versions.join('')}</ListVersionsResult>`);
+    }
+
+    if (!key && req.method === 'GET') {
+      const prefix = url.searchParams.get('prefix') || '';
+      const contents = [...objects.entries()]
+        .filter(([name]) => name.startsWith(prefix) && !name.slice(prefix.length).includes('/'))
+        .map(([name, history]) => {
+          const latest = history[history.length - 1];
+          return `<Contents><Key>${escapeXml(name)}</Key><LastModified>${latest.lastModified}</LastModified>` +
+            `<ETag>${latest.etag}</ETag><Size>${latest.body.length}</Size></Contents>`;
+        });
+      return send(res, 200, `<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>${bucket}</Name>` +
+        `<IsTruncated>false</IsTruncated>${contents.join('')}</ListBucketResult>`);
+    }
+
+    const history = objects.get(key);
+    const latest = history?.[history.length - 1];
+
+    if (req.method === 'PUT') {
+      if (req.headers['if-none-match'] === '*' && latest) {
+        return sendError(res, 412, 'PreconditionFailed');
+      }
+      if (req.headers['if-match'] && req.headers['if-match'] !== latest?.etag) {
+        return sendError(res, latest ? 412 : 404, latest ? 'PreconditionFailed' : 'NoSuchKey');
+      }
+
+      clock += 1000;
+      const version = {
+        id: crypto.randomBytes(8).toString('hex'),
+        etag: `"${crypto.createHash('md5').update(body).digest('hex')}"`,
+        lastModified: new Date(clock).toISOString(),
+        body
+      };
+      objects.set(key, [...(history || []), version]);
+      return send(res, 200, '', { ETag: version.etag, 'x-amz-version-id': version.id });
+    }
+
+    if (req.method === 'GET') {
+      const versionId = url.searchParams.get('versionId');
+      const version = versionId ? history?.find(v => v.id === versionId) : latest;
+      if (!version) {
+        return sendError(res, 404, 'NoSuchKey');
+      }
+      return send(res, 200, version.body, {
+        'Content-Type': 'application/json',
+        ETag: version.etag,
+        'x-amz-version-id': version.id
+      });
+    }
+
+    sendError(res, 405, 'MethodNotAllowed');
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => handle(req, res, Buffer.concat(chunks)));
+  });
+
+  return {
+    bucket,
+    objects,
+    requests,
+    listen: () => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`))),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { createS3StandIn };
@@ -0,0 +1,122 @@
+const http = require('http');
+
+/**
+ * A small HTTP stand-in for Vault: token and AppRole auth, and a KV v2 mount at secret/
+ * with versions, check-and-set, soft deletes and metadata. Only what the provider uses.
+ */
+function createVaultStandIn({ tokens = ['root-token'], approle = { role_id: 'role', secret_id: 'secret' } } = {}) {
+  const validTokens = new Set(tokens);
+  const secrets = new Map();
+  const requests = [];
+  let clock = Date.UTC(2024, 0, 1);
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body ? JSON.stringify(body) : '');
+  };
+
+  const handle = (req, res, body) => {
+    const url = new URL(req.url, 'http://vault');
+    requests.push({ method: req.method, path: url.pathname, namespace: req.headers['x-vault-namespace'] });
+
+    if (req.method === 'POST' && url.pathname === '/v1/auth/approle/login') {
+      if (body.role_id !== approle.role_id || body.secret_id !== approle.secret_id) {
+        return send(res, 400, { errors: ['invalid role or secret ID'] });
+      }
+      validTokens.add('approle-token');
+      return send(res, 200, { auth: { client_token: 'approle-token' } });
+    }
+
+    if (!validTokens.has(req.headers['x-vault-token'])) {
+      return send(res, 403, { errors: ['permission denied'] });
+    }
+
+    if (url.pathname === '/v1/auth/token/lookup-self') {
+      return send(res, 200, { data: { id: req.headers['x-vault-token'] } });
+    }
+
+    const match = url.pathname.match(/^\/v1\/secret\/(data|metadata)\/?(.*)$/);
+    if (!match) {
+      return send(res, 404, { errors: [] });
+    }
+
+    const [, kind, encodedPath] = match;
+    const key = decodeURIComponent(encodedPath);
+    const secret = secrets.get(key);
+
+    if (kind === 'data' && req.method === 'POST') {
+      const current = secret ? secret.current : 0;
+      if (body.options?.cas !== undefined && body.options.cas !== current) {
+        return send(res, 400, { errors: ['check-and-set parameter did not match the current version'] });
+      }
+
+      const entry = secret || { current: 0, versions: {} };
+      secrets.set(key, entry);
+      entry.current++;
+      clock += 1000;
+      const createdTime = new Date(clock).toISOString();
+      entry.versions[entry.current] = { data: body.data, created_time: createdTime, deletion_time: '', destroyed: false };
+      return send(res, 200, { data: { version: entry.current, created_time: createdTime } });
+    }
+
+    if (kind === 'data' && req.method === 'GET') {
+      const number = Number(url.searchParams.get('version') || secret?.current);
+      const version = secret?.versions[number];
+      if (!version) {
+        return send(res, 404, { errors: [] });
+      }
+      return send(res, 200, {
+        data: {
+          data: version.deletion_time ? null : version.data,
+          metadata: { version: number, created_time: version.created_time, deletion_time: version.deletion_time, destroyed: version.destroyed }
+        }
+      });
+    }
+
+    if (kind === 'metadata' && req.method === 'GET' && url.searchParams.get('list') === 'true') {
+      const prefix = key ? key.replace(/\/?$/, '/') : '';
+      const keys = new Set([...secrets.keys()]
+        .filter(name => name.startsWith(prefix))
+        .map(name => {
+          const rest = name.slice(prefix.length);
+          return rest.includes('/') ? `${rest.split('/')[0]}/` : rest;
+        }));
+      return keys.size === 0 ? send(res, 404, { errors: [] }) : send(res, 200, { data: { keys: [...keys] } });
+    }
+
+    if (kind === 'metadata' && req.method === 'GET') {
+      if (!secret) {
+        return send(res, 404, { errors: [] });
+      }
+      const versions = {};
+      for (const [number, { data, ...version }] of Object.entries(secret.versions)) {
+        versions[number] = version;
+      }
+      return send(res, 200, {
+        data: { current_version: secret.current, updated_time: secret.versions[secret.current].created_time, versions }
+      });
+    }
+
+    if (kind === 'metadata' && req.method === 'DELETE') {
+      secrets.delete(key);
+      return send(res, 204);
+    }
+
+    send(res, 405, { errors: ['unsupported request'] });
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => handle(req, res, raw ? JSON.parse(raw) : {}));
+  });
+
+  return {
+    secrets,
+    requests,
+    listen: () => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`))),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { createVaultStandIn };
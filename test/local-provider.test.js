@@ -0,0 +1,163 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Commands read .envfly and environment files from the working directory
+const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'envfly-local-'));
+const originalDir = process.cwd();
+process.chdir(projectDir);
+
+const push = require('../src/commands/push');
+const pull = require('../src/commands/pull');
+const list = require('../src/commands/list');
+const rollback = require('../src/commands/rollback');
+const { configManager } = require('../src/lib/config');
+const { envParser } = require('../src/lib/env-parser');
+const { StorageProviderFactory } = require('../src/lib/storage-providers');
+
+const storageConfig = {
+  encryption_key: 'local-test-encryption-key',
+  local: { path: '.envfly-environments' }
+};
+
+function createConfig() {
+  return {
+    version: '1.0',
+    project_id: 'proj_local',
+    project_name: 'local-test',
+    team_id: 'local',
+    environments: {
+      development: { file: '.env.development' },
+      production: { file: '.env.production' }
+    },
+    storage: { provider: 'local', config: storageConfig },
+    auth: { method: 'none' }
+  };
+}
+
+const readLocal = environment => envParser.readEnvFile(path.join(projectDir, `.env.${environment}`));
+const writeLocal = (environment, variables) => envParser.writeEnvFile(path.join(projectDir, `.env.${environment}`), variables);
+const createProvider = () => StorageProviderFactory.create('local', storageConfig);
+
+describe('local storage end to end', () => {
+  let output;
+
+  beforeEach(async () => {
+    await fs.emptyDir(projectDir);
+    await fs.writeJson(path.join(projectDir, '.envfly'), createConfig());
+
+    output = [];
+    jest.spyOn(console, 'log').mockImplementation((...args) => output.push(args.join(' ')));
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    jest.spyOn(process, 'exit').mockImplementation(code => {
+      throw new Error(`process.exit(${code}): ${output.join('\n')}`);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    process.chdir(originalDir);
+    await fs.remove(projectDir);
+  });
+
+  test('push, pull, list and rollback', async () => {
+    await writeLocal('production', { API_URL: 'https://v1.example.com', DB_PASSWORD: 'first "secret" #1' });
+    await push('production');
+
+    await writeLocal('production', { API_URL: 'https://v2.example.com', FEATURE: 'on' });
+    await push('production');
+
+    // Stored encrypted, one file per version
+    const stored = await fs.readFile(path.join(projectDir, '.envfly-environments', 'production.json'), 'utf8');
+    expect(stored).not.toContain('v2.example.com');
+    expect(await fs.readdir(path.join(projectDir, '.envfly-environments', '.versions', 'production'))).toEqual(['1.json', '2.json']);
+
+    await fs.remove(path.join(projectDir, '.env.production'));
+    await pull('production');
+    expect(await readLocal('production')).toEqual({ API_URL: 'https://v2.example.com', FEATURE: 'on' });
+    expect((await configManager.loadConfig()).environments.production.last_pull).toBeDefined();
+
+    output = [];
+    await list();
+    expect(output.join('\n')).toContain('production');
+
+    await rollback('production', '1', { yes: true, pull: true });
+    expect(await readLocal('production')).toEqual({ API_URL: 'https://v1.example.com', DB_PASSWORD: 'first "secret" #1' });
+
+    const versions = await (await createProvider()).listVersions('production');
+    expect(versions.map(v => v.version)).toEqual([3, 2, 1]);
+  });
+
+  test('rollback previews without printing values', async () => {
+    await writeLocal('development', { TOKEN: 'old-token' });
+    await push('development');
+    await writeLocal('development', { TOKEN: 'new-token' });
+    await push('development');
+
+    output = [];
+    await rollback('development', undefined, { previous: true, yes: true });
+
+    expect(output.join('\n')).toContain('TOKEN');
+    expect(output.join('\n')).not.toContain('old-token');
+  });
+
+  test('concurrent writers each claim their own version', async () => {
+    const writers = await Promise.all([1, 2, 3, 4, 5].map(() => createProvider()));
+    await writers[0].store('development', { WRITER: '0' });
+
+    const results = await Promise.allSettled(writers.map((writer, i) => writer.store('development', { WRITER: String(i + 1) })));
+    const stored = results.filter(result => result.status === 'fulfilled').map(result => result.value.version);
+    const rejected = results.filter(result => result.status === 'rejected').map(result => result.reason.message);
+
+    expect(stored.length).toBeGreaterThan(0);
+    expect(new Set(stored).size).toBe(stored.length);
+    rejected.forEach(message => expect(message).toMatch(/stored by someone else at the same time/));
+
+    // Every claimed version holds the variables of the writer that claimed it, and the newest is current
+    const provider = await createProvider();
+    const versions = await provider.listVersions('development');
+    expect(versions).toHaveLength(stored.length + 1);
+    for (const [i, result] of results.entries()) {
+      if (result.status === 'fulfilled') {
+        expect((await provider.retrieveVersion('development', result.value.version)).variables).toEqual({ WRITER: String(i + 1) });
+      }
+    }
+    const current = await provider.retrieve('development');
+    expect(current.metadata.version).toBe(versions[0].version);
+    expect(current.variables).toEqual((await provider.retrieveVersion('development', versions[0].version)).variables);
+  });
+
+  test('a version claimed by another writer is never overwritten', async () => {
+    const first = await createProvider();
+    const second = await createProvider();
+    await first.store('production', { A: '1' });
+
+    // Both writers see version 1 as the newest and try to claim version 2
+    jest.spyOn(second, 'getNextVersion').mockResolvedValue(2);
+    await first.store('production', { A: 'first' });
+
+    await expect(second.store('production', { A: 'second' })).rejects.toThrow('version 2 was stored by someone else at the same time');
+    expect((await first.retrieveVersion('production', 2)).variables).toEqual({ A: 'first' });
+    expect((await first.retrieve('production')).variables).toEqual({ A: 'first' });
+  });
+
+  test('a slower writer does not replace a newer current version with its own', async () => {
+    const slow = await createProvider();
+    const fast = await createProvider();
+    await slow.store('production', { A: '1' });
+
+    // The slow writer claims version 2, and version 3 is stored before it updates the current version
+    const writeFileAtomic = slow.writeFileAtomic.bind(slow);
+    jest.spyOn(slow, 'writeFileAtomic').mockImplementationOnce(async (file, data) => {
+      await fast.store('production', { A: '3' });
+      return writeFileAtomic(file, data);
+    });
+
+    expect((await slow.store('production', { A: '2' })).version).toBe(2);
+    expect((await fast.retrieve('production')).variables).toEqual({ A: '3' });
+    expect((await fast.list()).find(env => env.name === 'production').metadata.version).toBe(3);
+  });
+});
@@ -0,0 +1,156 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'envfly-cache-'));
+process.env.ENVFLY_CACHE_DIR = cacheDir;
+
+const { cacheManager } = require('../src/lib/cache');
+const { apiClient } = require('../src/lib/api');
+const { authManager } = require('../src/lib/auth');
+const { keyManager } = require('../src/lib/keys');
+const { configManager } = require('../src/lib/config');
+const { cryptoManager } = require('../src/lib/crypto');
+
+function createConfig() {
+  return {
+    project_id: `proj_${crypto.randomBytes(4).toString('hex')}`,
+    environments: {
+      development: { file: '.env.development', remote_id: 'env_dev', version: 3 },
+      staging: { file: '.env.staging', remote_id: 'env_staging', version: 7 },
+      production: { file: '.env.production', remote_id: 'env_prod', version: 1 }
+    }
+  };
+}
+
+function versionConflict(currentVersion) {
+  return Object.assign(new Error('Version conflict'), {
+    status: 409,
+    data: { error: 'Version conflict', current_version: currentVersion }
+  });
+}
+
+function unreachable() {
+  return Object.assign(new Error('Cannot reach the EnvFly server'), { code: 'ECONNREFUSED', unreachable: true });
+}
+
+describe('cacheManager.replayQueue', () => {
+  const projectKey = crypto.randomBytes(32);
+  let config;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(authManager, 'getApiKey').mockResolvedValue('envfly_test_api_key');
+    jest.spyOn(keyManager, 'getCurrentKey').mockResolvedValue({ version: 1, key: projectKey });
+    jest.spyOn(keyManager, 'getKey').mockResolvedValue(projectKey);
+    jest.spyOn(configManager, 'saveConfig').mockResolvedValue();
+  });
+
+  beforeEach(async () => {
+    config = createConfig();
+    configManager.saveConfig.mockClear();
+    await cacheManager.enqueue('development', { API_URL: 'http://dev' }, config, { baseVersion: 3, message: 'dev change' });
+    await cacheManager.enqueue('staging', { API_URL: 'http://staging' }, config, { baseVersion: 7 });
+    await cacheManager.enqueue('production', { API_URL: 'http://prod' }, config, { baseVersion: 1 });
+  });
+
+  afterEach(() => {
+    apiClient.updateEnvironment.mockRestore?.();
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(cacheDir);
+  });
+
+  test('pushes every queued change based on the version it was made against', async () => {
+    const pushed = [];
+    jest.spyOn(apiClient, 'updateEnvironment').mockImplementation(async (projectId, remoteId, data, message, baseVersion) => {
+      pushed.push({ remoteId, variables: await cryptoManager.decrypt(data, projectId), message, baseVersion });
+      return { version: baseVersion + 1 };
+    });
+
+    const results = await cacheManager.replayQueue(config);
+
+    expect(results).toEqual({ pushed: ['development', 'staging', 'production'], conflicts: [], failed: [] });
+    expect(pushed[0]).toEqual({ remoteId: 'env_dev', variables: { API_URL: 'http://dev' }, message: 'dev change', baseVersion: 3 });
+    expect(pushed.map(push => push.baseVersion)).toEqual([3, 7, 1]);
+    expect(config.environments.staging.version).toBe(8);
+    expect(await cacheManager.getQueue(config)).toEqual([]);
+    expect(configManager.saveConfig).toHaveBeenCalledWith(config);
+  });
+
+  test('keeps a push that conflicts with a remote change, marks it and goes on with the rest', async () => {
+    jest.spyOn(apiClient, 'updateEnvironment').mockImplementation(async (projectId, remoteId, data, message, baseVersion) => {
+      if (remoteId === 'env_staging') {
+        throw versionConflict(9);
+      }
+      return { version: baseVersion + 1 };
+    });
+
+    const results = await cacheManager.replayQueue(config);
+    const queue = await cacheManager.getQueue(config);
+
+    expect(results).toEqual({ pushed: ['development', 'production'], conflicts: ['staging'], failed: [] });
+    expect(queue).toHaveLength(1);
+    expect(queue[0]).toMatchObject({
+      environment: 'staging',
+      base_version: 7,
+      conflict: { message: 'Version conflict', current_version: 9 }
+    });
+    expect(config.environments.staging.version).toBe(7);
+  });
+
+  test('stops at the first unreachable error and keeps everything not yet pushed', async () => {
+    jest.spyOn(apiClient, 'updateEnvironment').mockImplementation(async (projectId, remoteId, data, message, baseVersion) => {
+      if (remoteId === 'env_staging') {
+        throw unreachable();
+      }
+      return { version: baseVersion + 1 };
+    });
+
+    const results = await cacheManager.replayQueue(config);
+    const queue = await cacheManager.getQueue(config);
+
+    expect(results).toEqual({ pushed: ['development'], conflicts: [], failed: [] });
+    expect(apiClient.updateEnvironment).toHaveBeenCalledTimes(2);
+    expect(queue.map(item => item.environment)).toEqual(['staging', 'production']);
+    expect(queue.every(item => !item.conflict)).toBe(true);
+  });
+
+  test('keeps the whole queue when the server cannot be reached at all', async () => {
+    jest.spyOn(apiClient, 'updateEnvironment').mockRejectedValue(unreachable());
+
+    const results = await cacheManager.replayQueue(config);
+
+    expect(results).toEqual({ pushed: [], conflicts: [], failed: [] });
+    expect((await cacheManager.getQueue(config)).map(item => item.environment)).toEqual(['development', 'staging', 'production']);
+    expect(configManager.saveConfig).not.toHaveBeenCalled();
+  });
+
+  test('keeps pushes that failed for other reasons and reports them', async () => {
+    jest.spyOn(apiClient, 'updateEnvironment').mockImplementation(async (projectId, remoteId, data, message, baseVersion) => {
+      if (remoteId === 'env_dev') {
+        throw Object.assign(new Error('Forbidden'), { status: 403 });
+      }
+      return { version: baseVersion + 1 };
+    });
+
+    const results = await cacheManager.replayQueue(config);
+
+    expect(results).toEqual({ pushed: ['staging', 'production'], conflicts: [], failed: ['development'] });
+    expect((await cacheManager.getQueue(config)).map(item => item.environment)).toEqual(['development']);
+  });
+
+  test('drops pushes of environments no longer connected to the same remote', async () => {
+    config.environments.production.remote_id = 'env_prod_recreated';
+    jest.spyOn(apiClient, 'updateEnvironment').mockImplementation(async (projectId, remoteId, data, message, baseVersion) => ({ version: baseVersion + 1 }));
+
+    const results = await cacheManager.replayQueue(config);
+
+    expect(results.pushed).toEqual(['development', 'staging']);
+    expect(apiClient.updateEnvironment).toHaveBeenCalledTimes(2);
+    expect(await cacheManager.getQueue(config)).toEqual([]);
+  });
+});
@@ -0,0 +1,163 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Commands read .envfly and environment files from the working directory
+const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'envfly-s3-'));
+const originalDir = process.cwd();
+process.chdir(projectDir);
+
+const push = require('../src/commands/push');
+const pull = require('../src/commands/pull');
+const rollback = require('../src/commands/rollback');
+const { configManager } = require('../src/lib/config');
+const { envParser } = require('../src/lib/env-parser');
+const { StorageProviderFactory } = require('../src/lib/storage-providers');
+const { createS3StandIn } = require('./helpers/s3-stand-in');
+
+describe('S3 conditional writes', () => {
+  const savedEnv = { ...process.env };
+  let s3;
+  let storageConfig;
+  let output;
+
+  const writeLocal = variables => envParser.writeEnvFile(path.join(projectDir, '.env.production'), variables);
+  const readLocal = () => envParser.readEnvFile(path.join(projectDir, '.env.production'));
+  const recordedETag = async () => (await configManager.loadConfig()).environments.production.etag;
+  const createProvider = () => StorageProviderFactory.create('s3', storageConfig);
+  const puts = () => s3.requests.filter(request => request.method === 'PUT');
+
+  beforeEach(async () => {
+    s3 = createS3StandIn();
+    storageConfig = {
+      encryption_key: 's3-test-encryption-key',
+      s3: { bucket: s3.bucket, region: 'us-east-1', prefix: 'envfly', endpoint: await s3.listen() }
+    };
+    process.env = { ...savedEnv, AWS_ACCESS_KEY_ID: 'test', AWS_SECRET_ACCESS_KEY: 'test' };
+
+    await fs.emptyDir(projectDir);
+    await fs.writeJson(path.join(projectDir, '.envfly'), {
+      version: '1.0',
+      project_id: 'proj_s3',
+      project_name: 's3-test',
+      team_id: 'local',
+      environments: { production: { file: '.env.production' } },
+      storage: { provider: 's3', config: storageConfig },
+      auth: { method: 'none' }
+    });
+
+    output = [];
+    jest.spyOn(console, 'log').mockImplementation((...args) => output.push(args.join(' ')));
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    jest.spyOn(process, 'exit').mockImplementation(code => {
+      throw new Error(`process.exit(${code}): ${output.join('\n')}`);
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    process.env = { ...savedEnv };
+    await s3.close();
+  });
+
+  afterAll(async () => {
+    process.chdir(originalDir);
+    await fs.remove(projectDir);
+  });
+
+  test('creates an environment only if it does not exist and records its ETag', async () => {
+    await writeLocal({ API_URL: 'https://v1.example.com' });
+    await push('production');
+
+    expect(puts()).toEqual([expect.objectContaining({ ifNoneMatch: '*', ifMatch: undefined })]);
+    expect(await recordedETag()).toBe(s3.objects.get('envfly/production.json')[0].etag);
+  });
+
+  test('overwrites only the copy last pushed', async () => {
+    await writeLocal({ API_URL: 'https://v1.example.com' });
+    await push('production');
+    const firstETag = await recordedETag();
+
+    await writeLocal({ API_URL: 'https://v2.example.com' });
+    await push('production');
+
+    expect(puts()[1]).toMatchObject({ ifMatch: firstETag });
+    expect(await recordedETag()).not.toBe(firstETag);
+  });
+
+  test('refuses to overwrite a change made by someone else since the last pull', async () => {
+    await writeLocal({ API_URL: 'https://v1.example.com' });
+    await push('production');
+
+    const other = await createProvider();
+    await other.retrieve('production');
+    await other.store('production', { API_URL: 'https://theirs.example.com' });
+
+    await writeLocal({ API_URL: 'https://mine.example.com' });
+    await expect(push('production')).rejects.toThrow('process.exit(1)');
+    expect(output.join('\n')).toContain('changed since it');
+    expect((await other.retrieve('production')).variables).toEqual({ API_URL: 'https://theirs.example.com' });
+
+    // Pulling takes their copy as the new base
+    await pull('production');
+    expect(await readLocal()).toEqual({ API_URL: 'https://theirs.example.com' });
+    await writeLocal({ API_URL: 'https://merged.example.com' });
+    await push('production');
+    expect((await other.retrieve('production')).variables).toEqual({ API_URL: 'https://merged.example.com' });
+  });
+
+  test('refuses to create over an environment that already exists', async () => {
+    const other = await createProvider();
+    other.setBase('production', null);
+    await other.store('production', { API_URL: 'https://theirs.example.com' });
+
+    await writeLocal({ API_URL: 'https://mine.example.com' });
+    await expect(push('production')).rejects.toThrow('process.exit(1)');
+    expect(output.join('\n')).toContain('it already exists');
+  });
+
+  test('overwrites unconditionally with --force', async () => {
+    const other = await createProvider();
+    other.setBase('production', null);
+    await other.store('production', { API_URL: 'https://theirs.example.com' });
+
+    await writeLocal({ API_URL: 'https://mine.example.com' });
+    await push('production', { force: true });
+
+    expect(puts()[1]).toMatchObject({ ifMatch: undefined, ifNoneMatch: undefined });
+    expect((await other.retrieve('production')).variables).toEqual({ API_URL: 'https://mine.example.com' });
+    expect(await recordedETag()).toBe(s3.objects.get('envfly/production.json')[1].etag);
+  });
+
+  test('refuses to write without a base version', async () => {
+    const provider = await createProvider();
+
+    await expect(provider.store('production', { A: '1' })).rejects.toThrow('there is no pulled or pushed version to write over');
+    expect(puts()).toEqual([]);
+  });
+
+  test('sets a variable over the copy it read', async () => {
+    const provider = await createProvider();
+    provider.setBase('production', null);
+    await provider.store('production', { A: '1' });
+
+    await (await createProvider()).setVariable('production', 'B', '2');
+
+    const etags = s3.objects.get('envfly/production.json').map(version => version.etag);
+    expect(puts()[1]).toMatchObject({ ifMatch: etags[0] });
+  });
+
+  test('rolls back over the version it previewed', async () => {
+    await writeLocal({ API_URL: 'https://v1.example.com' });
+    await push('production');
+    await writeLocal({ API_URL: 'https://v2.example.com' });
+    await push('production');
+    const previewed = await recordedETag();
+
+    await rollback('production', '1', { yes: true, pull: true });
+
+    expect(puts()[2]).toMatchObject({ ifMatch: previewed });
+    expect(await readLocal()).toEqual({ API_URL: 'https://v1.example.com' });
+    expect(await recordedETag()).toBe(s3.objects.get('envfly/production.json')[2].etag);
+  });
+});
@@ -0,0 +1,149 @@
+const { AWSParameterStoreProvider } = require('../src/lib/storage-providers');
+
+/**
+ * An in-memory SSM client with the calls the provider makes, in the SDK's request.promise() style
+ */
+function createFakeSSM() {
+  const parameters = new Map();
+  const calls = [];
+  const call = (name, handler) => params => {
+    calls.push({ name, params });
+    return { promise: async () => handler(params) };
+  };
+  const notFound = () => Object.assign(new Error('ParameterNotFound'), { code: 'ParameterNotFound' });
+
+  return {
+    parameters,
+    calls,
+    putParameter: call('putParameter', ({ Name, Value, Overwrite, Tags }) => {
+      const parameter = parameters.get(Name);
+      if (parameter && !Overwrite) {
+        throw Object.assign(new Error('ParameterAlreadyExists'), { code: 'ParameterAlreadyExists' });
+      }
+      if (Overwrite && Tags) {
+        throw Object.assign(new Error('Tags cannot be used with Overwrite'), { code: 'ValidationException' });
+      }
+      parameters.set(Name, { Name, Value, LastModifiedDate: new Date(), tags: parameter?.tags || new Map((Tags || []).map(t => [t.Key, t.Value])) });
+      return {};
+    }),
+    getParametersByPath: call('getParametersByPath', ({ Path }) => ({
+      Parameters: [...parameters.values()].filter(p => p.Name.startsWith(`${Path}/`)).map(({ tags, ...p }) => p)
+    })),
+    deleteParameters: call('deleteParameters', ({ Names }) => {
+      Names.forEach(name => parameters.delete(name));
+      return {};
+    }),
+    listTagsForResource: call('listTagsForResource', ({ ResourceId }) => {
+      const parameter = parameters.get(ResourceId);
+      if (!parameter) {
+        throw notFound();
+      }
+      return { TagList: [...parameter.tags].map(([Key, Value]) => ({ Key, Value })) };
+    }),
+    addTagsToResource: call('addTagsToResource', ({ ResourceId, Tags }) => {
+      Tags.forEach(tag => parameters.get(ResourceId).tags.set(tag.Key, tag.Value));
+      return {};
+    }),
+    removeTagsFromResource: call('removeTagsFromResource', ({ ResourceId, TagKeys }) => {
+      TagKeys.forEach(key => parameters.get(ResourceId).tags.delete(key));
+      return {};
+    })
+  };
+}
+
+describe('AWSParameterStoreProvider tags', () => {
+  let ssm;
+
+  const createProvider = tags => {
+    const provider = new AWSParameterStoreProvider({ ssm: { prefix: 'envfly', tags } });
+    provider.ssm = ssm;
+    return provider;
+  };
+  const tagsOf = name => Object.fromEntries(ssm.parameters.get(name).tags);
+
+  beforeEach(() => {
+    ssm = createFakeSSM();
+  });
+
+  test('tags parameters when they are created', async () => {
+    await createProvider({ team: 'payments' }).store('production', { A: '1' });
+
+    expect(tagsOf('/envfly/production/A')).toEqual({ team: 'payments' });
+    expect(ssm.calls.map(c => c.name)).not.toContain('addTagsToResource');
+  });
+
+  test('applies changed and dropped tags when a parameter is overwritten', async () => {
+    await createProvider({ team: 'payments', owner: 'alice' }).store('production', { A: '1' });
+
+    await createProvider({ team: 'billing', service: 'api' }).store('production', { A: '2' });
+
+    expect(ssm.parameters.get('/envfly/production/A').Value).toBe('2');
+    expect(tagsOf('/envfly/production/A')).toEqual({ team: 'billing', service: 'api' });
+  });
+
+  test('applies tag changes to parameters whose value did not change', async () => {
+    await createProvider({ team: 'payments' }).store('production', { A: '1', B: '2' });
+
+    await createProvider({ team: 'billing' }).store('production', { A: '1', B: '3' });
+
+    expect(tagsOf('/envfly/production/A')).toEqual({ team: 'billing' });
+    expect(tagsOf('/envfly/production/B')).toEqual({ team: 'billing' });
+    expect(ssm.calls.filter(c => c.name === 'putParameter' && c.params.Name === '/envfly/production/A')).toHaveLength(1);
+  });
+
+  test('applies tags when a single variable is overwritten', async () => {
+    await createProvider({}).store('production', { A: '1' });
+
+    await createProvider({ team: 'payments' }).setVariable('production', 'A', '2');
+
+    expect(tagsOf('/envfly/production/A')).toEqual({ team: 'payments' });
+  });
+
+  test('removes every tag once none are configured, except reserved aws: tags', async () => {
+    await createProvider({ team: 'payments' }).store('production', { A: '1' });
+    ssm.parameters.get('/envfly/production/A').tags.set('aws:cloudformation:stack-name', 'stack');
+
+    await createProvider(undefined).store('production', { A: '1' });
+
+    expect(tagsOf('/envfly/production/A')).toEqual({ 'aws:cloudformation:stack-name': 'stack' });
+  });
+
+  test('does not call the tagging APIs when the tags already match', async () => {
+    await createProvider({ team: 'payments' }).store('production', { A: '1' });
+    ssm.calls.length = 0;
+
+    await createProvider({ team: 'payments' }).store('production', { A: '2' });
+
+    const names = ssm.calls.map(c => c.name);
+    expect(names).toContain('listTagsForResource');
+    expect(names).not.toContain('addTagsToResource');
+    expect(names).not.toContain('removeTagsFromResource');
+  });
+
+  test('checks the tags of one unchanged parameter when the tags did not change', async () => {
+    const variables = { A: '1', B: '2', C: '3', D: '4' };
+    await createProvider({ team: 'payments' }).store('production', variables);
+    ssm.calls.length = 0;
+
+    await createProvider({ team: 'payments' }).store('production', { ...variables, D: '5' });
+
+    expect(ssm.calls.filter(c => c.name === 'listTagsForResource').map(c => c.params.ResourceId))
+      .toEqual(['/envfly/production/D', '/envfly/production/C']);
+  });
+
+  test('finishes retagging unchanged parameters after a push that failed part way', async () => {
+    const variables = { A: '1', B: '2', C: '3' };
+    await createProvider({ team: 'payments' }).store('production', variables);
+
+    const addTagsToResource = ssm.addTagsToResource;
+    ssm.addTagsToResource = params => (params.ResourceId === '/envfly/production/B'
+      ? { promise: async () => { throw new Error('ThrottlingException'); } }
+      : addTagsToResource(params));
+    await expect(createProvider({ team: 'billing' }).store('production', variables)).rejects.toThrow('ThrottlingException');
+    ssm.addTagsToResource = addTagsToResource;
+
+    await createProvider({ team: 'billing' }).store('production', variables);
+
+    ['A', 'B', 'C'].forEach(key => expect(tagsOf(`/envfly/production/${key}`)).toEqual({ team: 'billing' }));
+  });
+});
@@ -0,0 +1,78 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Commands read .envfly and environment files from the working directory
+const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'envfly-sync-'));
+const originalDir = process.cwd();
+process.chdir(projectDir);
+
+const sync = require('../src/commands/sync');
+const { authManager } = require('../src/lib/auth');
+const { apiClient } = require('../src/lib/api');
+const { cacheManager } = require('../src/lib/cache');
+const { envParser } = require('../src/lib/env-parser');
+const { environmentLoader } = require('../src/lib/environments');
+
+describe('sync merge report', () => {
+  let output;
+
+  beforeEach(async () => {
+    await fs.emptyDir(projectDir);
+    await fs.writeJson(path.join(projectDir, '.envfly'), {
+      version: '1.0',
+      project_id: 'proj_sync',
+      project_name: 'sync-test',
+      team_id: 'team_1',
+      environments: { production: { file: '.env.production', remote_id: 'env_1', version: 2 } },
+      storage: { provider: 'envfly' },
+      auth: { method: 'api_key' }
+    });
+    await envParser.writeEnvFile(path.join(projectDir, '.env.production'), { API_URL: 'https://local.example.com', TOKEN: 'local-token' });
+
+    output = [];
+    jest.spyOn(console, 'log').mockImplementation((...args) => output.push(args.join(' ')));
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    jest.spyOn(process, 'exit').mockImplementation(code => {
+      throw new Error(`process.exit(${code}): ${output.join('\n')}`);
+    });
+    jest.spyOn(authManager, 'checkAuth').mockResolvedValue(true);
+    jest.spyOn(apiClient, 'initialize').mockResolvedValue();
+    jest.spyOn(cacheManager, 'replayQueue').mockResolvedValue();
+    jest.spyOn(environmentLoader, 'fetchRemote').mockResolvedValue({
+      variables: { API_URL: 'https://remote.example.com', TOKEN: 'remote-token' },
+      version: 3
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    process.chdir(originalDir);
+    await fs.remove(projectDir);
+  });
+
+  test('masks conflicting values', async () => {
+    await sync('production', { force: true });
+
+    const text = output.join('\n');
+    expect(text).toContain('API_URL');
+    expect(text).toContain('********');
+    expect(text).not.toContain('local-token');
+    expect(text).not.toContain('remote-token');
+    expect(await envParser.readEnvFile(path.join(projectDir, '.env.production'))).toEqual({
+      API_URL: 'https://remote.example.com',
+      TOKEN: 'remote-token'
+    });
+  });
+
+  test('shows conflicting values with --show-values', async () => {
+    await sync('production', { force: true, showValues: true });
+
+    const text = output.join('\n');
+    expect(text).toContain('local-token');
+    expect(text).toContain('remote-token');
+  });
+});
@@ -0,0 +1,109 @@
+const { envParser } = require('../src/lib/env-parser');
+
+const base = { KEEP: 'same', EDIT: 'v1', DROP: 'gone', SHARED: 'old' };
+
+function merge(localEnv, remoteEnv, snapshotOf = base) {
+  const snapshot = snapshotOf ? envParser.createSnapshot(snapshotOf) : null;
+  return envParser.threeWayMerge(snapshot, localEnv, remoteEnv);
+}
+
+describe('threeWayMerge', () => {
+  test('keeps keys neither side changed', () => {
+    const result = merge({ ...base }, { ...base });
+
+    expect(result.merged).toEqual(base);
+    expect(result.fromLocal).toEqual([]);
+    expect(result.fromRemote).toEqual([]);
+    expect(result.conflicts).toEqual([]);
+  });
+
+  test('takes changes made on the local side only', () => {
+    const { DROP, ...local } = { ...base, EDIT: 'v2', NEW: 'added' };
+    const result = merge(local, { ...base });
+
+    expect(result.merged).toEqual({ KEEP: 'same', EDIT: 'v2', SHARED: 'old', NEW: 'added' });
+    expect(result.fromLocal).toEqual(expect.arrayContaining([
+      { key: 'EDIT', type: 'modified', value: 'v2' },
+      { key: 'NEW', type: 'added', value: 'added' },
+      { key: 'DROP', type: 'removed', value: undefined }
+    ]));
+    expect(result.fromLocal).toHaveLength(3);
+    expect(result.fromRemote).toEqual([]);
+    expect(result.conflicts).toEqual([]);
+  });
+
+  test('takes changes made on the remote side only', () => {
+    const { DROP, ...remote } = { ...base, EDIT: 'v2', NEW: 'added' };
+    const result = merge({ ...base }, remote);
+
+    expect(result.merged).toEqual({ KEEP: 'same', EDIT: 'v2', SHARED: 'old', NEW: 'added' });
+    expect(result.fromRemote).toEqual(expect.arrayContaining([
+      { key: 'EDIT', type: 'modified', value: 'v2' },
+      { key: 'NEW', type: 'added', value: 'added' },
+      { key: 'DROP', type: 'removed', value: undefined }
+    ]));
+    expect(result.fromRemote).toHaveLength(3);
+    expect(result.fromLocal).toEqual([]);
+  });
+
+  test('combines changes to different keys from both sides', () => {
+    const result = merge({ ...base, EDIT: 'local' }, { ...base, SHARED: 'remote' });
+
+    expect(result.merged).toEqual({ ...base, EDIT: 'local', SHARED: 'remote' });
+    expect(result.fromLocal).toEqual([{ key: 'EDIT', type: 'modified', value: 'local' }]);
+    expect(result.fromRemote).toEqual([{ key: 'SHARED', type: 'modified', value: 'remote' }]);
+    expect(result.conflicts).toEqual([]);
+  });
+
+  test('does not report the same change made on both sides', () => {
+    const result = merge({ ...base, EDIT: 'v2' }, { ...base, EDIT: 'v2' });
+
+    expect(result.merged.EDIT).toBe('v2');
+    expect(result.conflicts).toEqual([]);
+    expect(result.fromLocal).toEqual([]);
+    expect(result.fromRemote).toEqual([]);
+  });
+
+  test('reports different changes to the same key as a conflict and leaves it out of merged', () => {
+    const result = merge({ ...base, EDIT: 'local' }, { ...base, EDIT: 'remote' });
+
+    expect(result.conflicts).toEqual([{ key: 'EDIT', localValue: 'local', remoteValue: 'remote', inBase: true }]);
+    expect(result.merged).not.toHaveProperty('EDIT');
+  });
+
+  test('reports a removal on one side and an edit on the other as a conflict', () => {
+    const { EDIT, ...local } = base;
+    const result = merge(local, { ...base, EDIT: 'remote' });
+
+    expect(result.conflicts).toEqual([{ key: 'EDIT', localValue: undefined, remoteValue: 'remote', inBase: true }]);
+    expect(result.merged).not.toHaveProperty('EDIT');
+  });
+
+  test('reports the same key added with different values as a conflict not in the base', () => {
+    const result = merge({ ...base, NEW: 'local' }, { ...base, NEW: 'remote' });
+
+    expect(result.conflicts).toEqual([{ key: 'NEW', localValue: 'local', remoteValue: 'remote', inBase: false }]);
+  });
+
+  test('without a snapshot, treats keys on one side as additions and differing values as conflicts', () => {
+    const result = merge({ A: '1', LOCAL_ONLY: 'l' }, { A: '2', REMOTE_ONLY: 'r' }, null);
+
+    expect(result.merged).toEqual({ LOCAL_ONLY: 'l', REMOTE_ONLY: 'r' });
+    expect(result.fromLocal).toEqual([{ key: 'LOCAL_ONLY', type: 'added', value: 'l' }]);
+    expect(result.fromRemote).toEqual([{ key: 'REMOTE_ONLY', type: 'added', value: 'r' }]);
+    expect(result.conflicts).toEqual([{ key: 'A', localValue: '1', remoteValue: '2', inBase: false }]);
+  });
+
+  test('treats an empty value as a value, not a removal', () => {
+    const result = merge({ ...base, EDIT: '' }, { ...base });
+
+    expect(result.merged.EDIT).toBe('');
+    expect(result.fromLocal).toEqual([{ key: 'EDIT', type: 'modified', value: '' }]);
+  });
+
+  test('snapshots do not contain values', () => {
+    const snapshot = envParser.createSnapshot({ SECRET: 'hunter2' });
+
+    expect(JSON.stringify(snapshot)).not.toContain('hunter2');
+  });
+});
@@ -0,0 +1,182 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { StorageProviderFactory } = require('../src/lib/storage-providers');
+const { createVaultStandIn } = require('./helpers/vault-stand-in');
+
+describe('VaultStorageProvider', () => {
+  const savedEnv = { ...process.env };
+  let vault;
+  let address;
+
+  const createProvider = (vaultConfig = {}) => StorageProviderFactory.create('vault', {
+    vault: { address, mount: 'secret', prefix: 'envfly', ...vaultConfig }
+  });
+
+  beforeEach(async () => {
+    vault = createVaultStandIn();
+    address = await vault.listen();
+    process.env = { ...savedEnv, VAULT_TOKEN: 'root-token' };
+    delete process.env.VAULT_ADDR;
+    delete process.env.VAULT_NAMESPACE;
+  });
+
+  afterEach(async () => {
+    process.env = { ...savedEnv };
+    jest.restoreAllMocks();
+    await vault.close();
+  });
+
+  describe('authentication', () => {
+    test('logs in with VAULT_TOKEN', async () => {
+      const provider = await createProvider();
+      await provider.store('development', { A: '1' });
+
+      expect(vault.requests.some(r => r.path === '/v1/auth/token/lookup-self')).toBe(true);
+    });
+
+    test('falls back to the token saved by "vault login"', async () => {
+      const home = await fs.mkdtemp(path.join(os.tmpdir(), 'envfly-home-'));
+      await fs.writeFile(path.join(home, '.vault-token'), 'root-token\n');
+      delete process.env.VAULT_TOKEN;
+      jest.spyOn(os, 'homedir').mockReturnValue(home);
+
+      try {
+        await expect(createProvider()).resolves.toBeDefined();
+      } finally {
+        await fs.remove(home);
+      }
+    });
+
+    test('fails without a token', async () => {
+      delete process.env.VAULT_TOKEN;
+      jest.spyOn(os, 'homedir').mockReturnValue(os.tmpdir());
+
+      await expect(createProvider()).rejects.toThrow('No Vault token found');
+    });
+
+    test('rejects a token Vault does not accept', async () => {
+      process.env.VAULT_TOKEN = 'wrong-token';
+
+      await expect(createProvider()).rejects.toThrow('permission denied');
+    });
+
+    test('logs in with AppRole', async () => {
+      delete process.env.VAULT_TOKEN;
+      process.env.VAULT_SECRET_ID = 'secret';
+
+      const provider = await createProvider({ auth: { method: 'approle', role_id: 'role' } });
+      await provider.store('development', { A: '1' });
+
+      expect(vault.requests.map(r => r.path)).toContain('/v1/auth/approle/login');
+      expect(vault.secrets.has('envfly/development')).toBe(true);
+    });
+
+    test('rejects a wrong AppRole secret ID', async () => {
+      process.env.VAULT_ROLE_ID = 'role';
+      process.env.VAULT_SECRET_ID = 'not-the-secret';
+
+      await expect(createProvider({ auth: { method: 'approle' } })).rejects.toThrow('invalid role or secret ID');
+    });
+
+    test('sends the namespace with every request', async () => {
+      const provider = await createProvider({ namespace: 'team-a' });
+      await provider.store('development', { A: '1' });
+
+      expect(vault.requests.every(r => r.namespace === 'team-a')).toBe(true);
+    });
+  });
+
+  describe('environments', () => {
+    test('stores, retrieves, lists and deletes', async () => {
+      const provider = await createProvider();
+
+      const stored = await provider.store('development', { API_URL: 'http://localhost', DEBUG: 'true' });
+      await provider.store('production', { API_URL: 'https://example.com' });
+
+      expect(stored).toMatchObject({ version: 1, variable_count: 2 });
+      expect(await provider.retrieve('development')).toMatchObject({
+        variables: { API_URL: 'http://localhost', DEBUG: 'true' },
+        metadata: { version: 1, variable_count: 2 }
+      });
+      expect((await provider.list()).map(env => env.name).sort()).toEqual(['development', 'production']);
+
+      await provider.delete('development');
+
+      expect((await provider.list()).map(env => env.name)).toEqual(['production']);
+      await expect(provider.retrieve('development')).rejects.toThrow('Environment development not found');
+    });
+
+    test('lists nothing before anything is stored', async () => {
+      const provider = await createProvider();
+
+      expect(await provider.list()).toEqual([]);
+    });
+
+    test('keeps environments under the configured prefix', async () => {
+      const provider = await createProvider({ prefix: 'apps/billing' });
+      await provider.store('staging', { A: '1' });
+
+      expect([...vault.secrets.keys()]).toEqual(['apps/billing/staging']);
+    });
+  });
+
+  describe('single variables', () => {
+    test('sets and unsets a variable with check-and-set on the version read', async () => {
+      const provider = await createProvider();
+      await provider.store('development', { A: '1' });
+
+      expect(await provider.setVariable('development', 'B', '2')).toEqual({ created: true });
+      expect(await provider.unsetVariable('development', 'A')).toEqual({ removed: true });
+      expect(await provider.unsetVariable('development', 'A')).toEqual({ removed: false });
+
+      expect((await provider.retrieve('development')).variables).toEqual({ B: '2' });
+    });
+
+    test.each([
+      ['set', provider => provider.setVariable('development', 'B', '2')],
+      ['unset', provider => provider.unsetVariable('development', 'A')]
+    ])('fails to %s a variable when the environment changed after it was read', async (name, change) => {
+      const provider = await createProvider();
+      const other = await createProvider();
+      await provider.store('development', { A: '1' });
+
+      // Another writer stores a new version between the read and the write
+      const retrieve = provider.retrieve.bind(provider);
+      jest.spyOn(provider, 'retrieve').mockImplementation(async environment => {
+        const result = await retrieve(environment);
+        await other.store(environment, { A: '1', OTHER: 'kept' });
+        return result;
+      });
+
+      await expect(change(provider)).rejects.toThrow('it changed since it was read');
+      expect((await other.retrieve('development')).variables).toEqual({ A: '1', OTHER: 'kept' });
+    });
+  });
+
+  describe('versions', () => {
+    test('lists versions newest first and rolls back to one as a new version', async () => {
+      const provider = await createProvider();
+      await provider.store('production', { API_URL: 'https://v1.example.com' });
+      await provider.store('production', { API_URL: 'https://v2.example.com' });
+
+      const versions = await provider.listVersions('production');
+      expect(versions.map(v => [v.version, v.current])).toEqual([[2, true], [1, false]]);
+
+      expect((await provider.retrieveVersion('production', 1)).variables).toEqual({ API_URL: 'https://v1.example.com' });
+
+      const rolledBack = await provider.rollback('production', 1);
+
+      expect(rolledBack.version).toBe(3);
+      expect((await provider.retrieve('production')).variables).toEqual({ API_URL: 'https://v1.example.com' });
+      expect((await provider.listVersions('production')).map(v => v.version)).toEqual([3, 2, 1]);
+    });
+
+    test('does not offer a version that does not exist', async () => {
+      const provider = await createProvider();
+      await provider.store('production', { A: '1' });
+
+      await expect(provider.rollback('production', 7)).rejects.toThrow('Version 7 of production not found');
+    });
+  });
+});